@@ -0,0 +1,32 @@
+/**
+ * Remove the per-country figures stored on daily campaign stats
+ *
+ * Earlier rollups saved each campaign's geo targeting split in
+ * CampaignDailyStat.countryStats as if the vendor had measured it. Country
+ * figures are now estimated when read and nothing is stored, so the old
+ * values are removed. Run this once; running it again does nothing.
+ *
+ * Usage: node scripts/clear-daily-country-stats.js
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const CampaignDailyStat = require("../src/models/CampaignDailyStat");
+
+async function clearCountryStats() {
+  await mongoose.connect(process.env.MONGO_URI);
+  // countryStats is no longer in the schema, so go through the driver
+  const result = await CampaignDailyStat.collection.updateMany(
+    { countryStats: { $exists: true } },
+    { $unset: { countryStats: "" } }
+  );
+  console.log(`Cleared country stats from ${result.modifiedCount} daily stat documents`);
+}
+
+clearCountryStats()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("❌ Script failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+/**
+ * Drop the old unique index of credit deduction windows
+ *
+ * Windows used to be unique on (campaign, fromHits) alone, which blocks every
+ * window of a reset counter that starts at an already charged count. They are
+ * now unique per counter epoch as well. Run this once when deploying that
+ * change; running it again does nothing.
+ *
+ * Usage: node scripts/drop-legacy-deduction-window-index.js
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const CreditDeductionWindow = require("../src/models/CreditDeductionWindow");
+
+async function dropLegacyIndex() {
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    await CreditDeductionWindow.collection.dropIndex(CreditDeductionWindow.LEGACY_INDEX);
+    console.log(`Dropped index ${CreditDeductionWindow.LEGACY_INDEX}`);
+  } catch (error) {
+    if (!["IndexNotFound", "NamespaceNotFound"].includes(error.codeName)) throw error;
+    console.log(`Index ${CreditDeductionWindow.LEGACY_INDEX} already gone`);
+  }
+  await CreditDeductionWindow.syncIndexes();
+  console.log("Credit deduction window indexes are up to date");
+}
+
+dropLegacyIndex()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("❌ Script failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
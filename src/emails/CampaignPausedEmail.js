@@ -3,7 +3,11 @@ const {
   Html, Head, Body, Container, Section, Row, Column, Text, Button, Hr,
 } = require("@react-email/components");
 
-function CampaignPausedEmail({ firstName = "there", campaignTitle = "Your Campaign", visitsIncluded, visitsUsed }) {
+function CampaignPausedEmail({ firstName = "there", campaignTitle = "Your Campaign", visitsIncluded, visitsUsed, budget }) {
+  if (budget) {
+    return BudgetPausedEmail({ firstName, campaignTitle, budget });
+  }
+
   const formattedIncluded = visitsIncluded ? Number(visitsIncluded).toLocaleString() : null;
   const formattedUsed = visitsUsed ? Number(visitsUsed).toLocaleString() : null;
 
@@ -53,6 +57,53 @@ function CampaignPausedEmail({ firstName = "there", campaignTitle = "Your Campai
   );
 }
 
+// Variant for a campaign that reached one of its own visit budgets
+function BudgetPausedEmail({ firstName, campaignTitle, budget }) {
+  const periodLabel = budget.period === "lifetime" ? "lifetime" : budget.period;
+  const resumeText = budget.resumesAt
+    ? `It will resume automatically when the next ${budget.period === "daily" ? "day" : "week"} starts (${new Date(budget.resumesAt).toUTCString()}).`
+    : "Raise the campaign's lifetime budget to resume it.";
+
+  return React.createElement(Html, null,
+    React.createElement(Head, null),
+    React.createElement(Body, { style: styles.body },
+      React.createElement(Container, { style: styles.container },
+        React.createElement(Section, { style: styles.header },
+          React.createElement(Text, { style: styles.logo }, "TrafficBoxes")
+        ),
+        React.createElement(Section, { style: styles.content },
+          React.createElement(Text, { style: styles.label }, "Budget Reached"),
+          React.createElement(Text, { style: styles.greeting }, "Your campaign has been paused"),
+          React.createElement(Text, { style: styles.paragraph },
+            `Hi ${firstName}, your campaign "${campaignTitle}" has been automatically paused because it reached its ${periodLabel} visit budget.`
+          ),
+          React.createElement(Section, { style: styles.planBox },
+            React.createElement(Text, { style: styles.planTitle }, "BUDGET SUMMARY"),
+            React.createElement(Hr, { style: styles.innerHr }),
+            React.createElement(Row, { style: styles.row },
+              React.createElement(Column, { style: styles.keyCol }, `${periodLabel.charAt(0).toUpperCase()}${periodLabel.slice(1)} budget`),
+              React.createElement(Column, { style: styles.valCol }, Number(budget.limit || 0).toLocaleString())
+            ),
+            React.createElement(Row, { style: styles.row },
+              React.createElement(Column, { style: styles.keyCol }, "Visits used"),
+              React.createElement(Column, { style: styles.valColUsed }, Number(budget.used || 0).toLocaleString())
+            )
+          ),
+          React.createElement(Text, { style: styles.paragraph }, resumeText),
+          React.createElement(Hr, { style: styles.hr }),
+          React.createElement(Button, {
+            href: `${process.env.FRONTEND_URL || "https://trafficboxes.com"}/dashboard`,
+            style: styles.button,
+          }, "View Campaign"),
+          React.createElement(Hr, { style: styles.hr }),
+          React.createElement(Text, { style: styles.footer }, "For support, contact us at connect@trafficboxes.com"),
+          React.createElement(Text, { style: styles.footer }, "TrafficBoxes  |  All rights reserved.")
+        )
+      )
+    )
+  );
+}
+
 const styles = {
   body: { backgroundColor: "#f4f4f5", fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" },
   container: { backgroundColor: "#ffffff", margin: "0 auto", padding: "0", maxWidth: "560px", borderRadius: "6px", overflow: "hidden" },
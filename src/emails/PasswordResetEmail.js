@@ -0,0 +1,72 @@
+const React = require("react");
+const {
+  Html,
+  Head,
+  Body,
+  Container,
+  Section,
+  Text,
+  Button,
+  Hr,
+} = require("@react-email/components");
+
+function PasswordResetEmail({ firstName = "there", resetToken, expiresInMinutes = 60 }) {
+  const resetUrl = `${process.env.FRONTEND_URL || "https://trafficboxes.com"}/reset-password?token=${resetToken}`;
+
+  return (
+    React.createElement(Html, null,
+      React.createElement(Head, null),
+      React.createElement(Body, { style: styles.body },
+        React.createElement(Container, { style: styles.container },
+          React.createElement(Section, { style: styles.header },
+            React.createElement(Text, { style: styles.logo }, "TrafficBoxes")
+          ),
+          React.createElement(Section, { style: styles.content },
+            React.createElement(Text, { style: styles.greeting },
+              `Reset your password, ${firstName}`
+            ),
+            React.createElement(Text, { style: styles.paragraph },
+              "We received a request to reset the password for your TrafficBoxes account. Click the button below to choose a new one."
+            ),
+            React.createElement(Section, { style: styles.noticeBox },
+              React.createElement(Text, { style: styles.noticeText },
+                `This link can be used once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out on all devices.`
+              )
+            ),
+            React.createElement(Hr, { style: styles.hr }),
+            React.createElement(Button, { href: resetUrl, style: styles.button },
+              "Reset Password"
+            ),
+            React.createElement(Hr, { style: styles.hr }),
+            React.createElement(Text, { style: styles.footer },
+              "If you did not request a password reset, you can ignore this email. Your password will not change."
+            ),
+            React.createElement(Text, { style: styles.footer },
+              "Questions? Contact us at connect@trafficboxes.com"
+            ),
+            React.createElement(Text, { style: styles.footer },
+              "TrafficBoxes  |  All rights reserved."
+            )
+          )
+        )
+      )
+    )
+  );
+}
+
+const styles = {
+  body: { backgroundColor: "#f4f4f5", fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" },
+  container: { backgroundColor: "#ffffff", margin: "0 auto", padding: "0", maxWidth: "560px", borderRadius: "6px", overflow: "hidden" },
+  header: { backgroundColor: "#111827", padding: "28px 40px" },
+  logo: { color: "#ffffff", fontSize: "20px", fontWeight: "700", margin: "0", letterSpacing: "0.5px" },
+  content: { padding: "40px" },
+  greeting: { fontSize: "22px", fontWeight: "700", color: "#111827", margin: "0 0 16px" },
+  paragraph: { fontSize: "15px", color: "#4b5563", lineHeight: "1.6", margin: "0 0 20px" },
+  noticeBox: { backgroundColor: "#f9fafb", border: "1px solid #e5e7eb", borderRadius: "6px", padding: "16px 20px", marginBottom: "4px" },
+  noticeText: { fontSize: "14px", color: "#4b5563", lineHeight: "1.6", margin: "0" },
+  hr: { borderColor: "#e5e7eb", margin: "28px 0" },
+  button: { backgroundColor: "#111827", color: "#ffffff", fontSize: "14px", fontWeight: "600", textDecoration: "none", padding: "12px 28px", borderRadius: "5px", display: "inline-block", letterSpacing: "0.3px" },
+  footer: { fontSize: "12px", color: "#9ca3af", margin: "6px 0", lineHeight: "1.5" },
+};
+
+module.exports = PasswordResetEmail;
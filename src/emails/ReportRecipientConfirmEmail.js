@@ -0,0 +1,67 @@
+const React = require("react");
+const {
+  Html,
+  Head,
+  Body,
+  Container,
+  Section,
+  Text,
+  Button,
+  Hr,
+} = require("@react-email/components");
+
+function ReportRecipientConfirmEmail({ organizationName, reportName, frequency, confirmToken, expiresInDays = 7 }) {
+  const confirmUrl = `${process.env.FRONTEND_URL || "https://trafficboxes.com"}/confirm-report-recipient?token=${confirmToken}`;
+
+  return (
+    React.createElement(Html, null,
+      React.createElement(Head, null),
+      React.createElement(Body, { style: styles.body },
+        React.createElement(Container, { style: styles.container },
+          React.createElement(Section, { style: styles.header },
+            React.createElement(Text, { style: styles.logo }, "TrafficBoxes")
+          ),
+          React.createElement(Section, { style: styles.content },
+            React.createElement(Text, { style: styles.label }, "Scheduled report"),
+            React.createElement(Text, { style: styles.greeting },
+              "Confirm your email address"
+            ),
+            React.createElement(Text, { style: styles.paragraph },
+              `${organizationName} wants to send you the ${frequency} report "${reportName}" from TrafficBoxes. Reports are only sent once you confirm this address.`
+            ),
+            React.createElement(Hr, { style: styles.hr }),
+            React.createElement(Button, { href: confirmUrl, style: styles.button },
+              "Confirm and Receive Reports"
+            ),
+            React.createElement(Hr, { style: styles.hr }),
+            React.createElement(Text, { style: styles.footer },
+              `This link expires in ${expiresInDays} days.`
+            ),
+            React.createElement(Text, { style: styles.footer },
+              "If you do not want these reports, ignore this email and you will not receive them."
+            ),
+            React.createElement(Text, { style: styles.footer },
+              "TrafficBoxes  |  All rights reserved."
+            )
+          )
+        )
+      )
+    )
+  );
+}
+
+const styles = {
+  body: { backgroundColor: "#f4f4f5", fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" },
+  container: { backgroundColor: "#ffffff", margin: "0 auto", padding: "0", maxWidth: "560px", borderRadius: "6px", overflow: "hidden" },
+  header: { backgroundColor: "#111827", padding: "28px 40px" },
+  logo: { color: "#ffffff", fontSize: "20px", fontWeight: "700", margin: "0", letterSpacing: "0.5px" },
+  content: { padding: "40px" },
+  label: { display: "inline-block", backgroundColor: "#dbeafe", color: "#1e40af", fontSize: "12px", fontWeight: "600", padding: "3px 10px", borderRadius: "20px", margin: "0 0 14px", textTransform: "uppercase", letterSpacing: "0.6px" },
+  greeting: { fontSize: "22px", fontWeight: "700", color: "#111827", margin: "0 0 16px" },
+  paragraph: { fontSize: "15px", color: "#4b5563", lineHeight: "1.6", margin: "0 0 20px" },
+  hr: { borderColor: "#e5e7eb", margin: "28px 0" },
+  button: { backgroundColor: "#111827", color: "#ffffff", fontSize: "14px", fontWeight: "600", textDecoration: "none", padding: "12px 28px", borderRadius: "5px", display: "inline-block", letterSpacing: "0.3px" },
+  footer: { fontSize: "12px", color: "#9ca3af", margin: "6px 0", lineHeight: "1.5" },
+};
+
+module.exports = ReportRecipientConfirmEmail;
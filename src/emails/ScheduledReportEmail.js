@@ -0,0 +1,108 @@
+const React = require("react");
+const {
+  Html, Head, Body, Container, Section, Row, Column, Text, Button, Hr, Img,
+} = require("@react-email/components");
+
+const FREQUENCY_LABELS = { daily: "Daily", weekly: "Weekly", monthly: "Monthly" };
+
+function ScheduledReportEmail({
+  reportName = "Performance report",
+  subjectTitle = "All campaigns",
+  frequency = "weekly",
+  from,
+  to,
+  summary = {},
+  format = "pdf",
+  downloadUrl,
+  linkExpiresInDays,
+  branding = {},
+}) {
+  const period = from === to ? from : `${from} to ${to}`;
+  const fileLabel = format.toUpperCase();
+  // White-label: the agency's name and logo, and no TrafficBoxes mentions when hidden
+  const senderName = branding.companyName || (branding.hideTrafficBox ? null : "TrafficBoxes");
+  const headerStyle =
+    (branding.companyName || branding.logoUrl) && branding.primaryColor
+      ? { ...styles.header, backgroundColor: branding.primaryColor }
+      : styles.header;
+
+  return React.createElement(Html, null,
+    React.createElement(Head, null),
+    React.createElement(Body, { style: styles.body },
+      React.createElement(Container, { style: styles.container },
+        React.createElement(Section, { style: headerStyle },
+          branding.logoUrl
+            ? React.createElement(Img, { src: branding.logoUrl, alt: senderName || "", height: "40", style: styles.logoImg })
+            : React.createElement(Text, { style: styles.logo }, senderName || reportName)
+        ),
+        React.createElement(Section, { style: styles.content },
+          React.createElement(Text, { style: styles.label }, `${FREQUENCY_LABELS[frequency] || "Scheduled"} Report`),
+          React.createElement(Text, { style: styles.greeting }, reportName),
+          React.createElement(Text, { style: styles.paragraph },
+            `Here is the performance of ${subjectTitle} for ${period}.`
+          ),
+          React.createElement(Section, { style: styles.planBox },
+            React.createElement(Text, { style: styles.planTitle }, "SUMMARY"),
+            React.createElement(Hr, { style: styles.innerHr }),
+            React.createElement(Row, { style: styles.row },
+              React.createElement(Column, { style: styles.keyCol }, "Hits"),
+              React.createElement(Column, { style: styles.valCol }, Number(summary.totalHits || 0).toLocaleString())
+            ),
+            React.createElement(Row, { style: styles.row },
+              React.createElement(Column, { style: styles.keyCol }, "Visits"),
+              React.createElement(Column, { style: styles.valCol }, Number(summary.totalVisits || 0).toLocaleString())
+            ),
+            React.createElement(Row, { style: styles.row },
+              React.createElement(Column, { style: styles.keyCol }, "Active days"),
+              React.createElement(Column, { style: styles.valCol }, String(summary.activeDays || 0))
+            ),
+            summary.topCountry && summary.topCountry !== "N/A" && React.createElement(Row, { style: styles.row },
+              React.createElement(Column, { style: styles.keyCol }, "Top country"),
+              React.createElement(Column, { style: styles.valCol }, summary.topCountry)
+            )
+          ),
+          downloadUrl
+            ? React.createElement(Text, { style: styles.paragraph },
+                `Download the full ${fileLabel} report below.${linkExpiresInDays ? ` The link expires in ${linkExpiresInDays} days.` : ""}`
+              )
+            : React.createElement(Text, { style: styles.paragraph },
+                `The full ${fileLabel} report is attached to this email.`
+              ),
+          downloadUrl && React.createElement(Hr, { style: styles.hr }),
+          downloadUrl && React.createElement(Button, { href: downloadUrl, style: styles.button }, `Download ${fileLabel}`),
+          React.createElement(Hr, { style: styles.hr }),
+          React.createElement(Text, { style: styles.footer },
+            senderName
+              ? `You receive this email because a ${senderName} user added you to a scheduled report.`
+              : "You receive this email because you were added to a scheduled report."
+          ),
+          branding.footerText && React.createElement(Text, { style: styles.footer }, branding.footerText),
+          senderName && React.createElement(Text, { style: styles.footer }, `${senderName}  |  All rights reserved.`)
+        )
+      )
+    )
+  );
+}
+
+const styles = {
+  body: { backgroundColor: "#f4f4f5", fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" },
+  container: { backgroundColor: "#ffffff", margin: "0 auto", padding: "0", maxWidth: "560px", borderRadius: "6px", overflow: "hidden" },
+  header: { backgroundColor: "#111827", padding: "28px 40px" },
+  logo: { color: "#ffffff", fontSize: "20px", fontWeight: "700", margin: "0", letterSpacing: "0.5px" },
+  logoImg: { maxHeight: "40px", maxWidth: "200px" },
+  content: { padding: "40px" },
+  label: { display: "inline-block", backgroundColor: "#e0e7ff", color: "#3730a3", fontSize: "12px", fontWeight: "600", padding: "3px 10px", borderRadius: "20px", margin: "0 0 14px", textTransform: "uppercase", letterSpacing: "0.6px" },
+  greeting: { fontSize: "22px", fontWeight: "700", color: "#111827", margin: "0 0 12px" },
+  paragraph: { fontSize: "15px", color: "#4b5563", lineHeight: "1.6", margin: "0 0 20px" },
+  planBox: { border: "1px solid #e5e7eb", borderRadius: "6px", padding: "20px 24px", marginBottom: "20px" },
+  planTitle: { fontSize: "12px", fontWeight: "700", color: "#6b7280", letterSpacing: "0.8px", textTransform: "uppercase", margin: "0 0 12px" },
+  innerHr: { borderColor: "#f3f4f6", margin: "0 0 8px" },
+  row: { width: "100%" },
+  keyCol: { fontSize: "14px", color: "#6b7280", paddingTop: "8px", paddingBottom: "8px", width: "55%" },
+  valCol: { fontSize: "14px", fontWeight: "600", color: "#111827", paddingTop: "8px", paddingBottom: "8px", textAlign: "right" },
+  hr: { borderColor: "#e5e7eb", margin: "24px 0" },
+  button: { backgroundColor: "#111827", color: "#ffffff", fontSize: "14px", fontWeight: "600", textDecoration: "none", padding: "12px 28px", borderRadius: "5px", display: "inline-block", letterSpacing: "0.3px" },
+  footer: { fontSize: "12px", color: "#9ca3af", margin: "6px 0", lineHeight: "1.5" },
+};
+
+module.exports = ScheduledReportEmail;
@@ -0,0 +1,50 @@
+const auditLog = require("../services/auditLog");
+const logger = require("../utils/logger");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Record every mutating request as an AuditEvent once the response is sent.
+ * Mount in front of admin routers or add to individual admin-only routes.
+ * Requests that never authenticate (no req.user) are not recorded.
+ */
+const auditAdminActions = async (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method) || !req.headers.authorization) {
+    return next();
+  }
+
+  let target = null;
+  let before = null;
+  try {
+    target = await auditLog.resolveTarget(req);
+    before = target ? await auditLog.snapshot(target) : null;
+  } catch (err) {
+    logger.warn("Audit snapshot failed", {
+      path: req.originalUrl,
+      error: err.message,
+    });
+  }
+
+  res.on("finish", () => {
+    // Impersonated requests are recorded by auditImpersonatedRequests
+    if (!req.user || req.user.impersonatedBy) return;
+    auditLog.recordRequest(req, res, target, before);
+  });
+  next();
+};
+
+/**
+ * Record every request made with an impersonation ("view as user") token,
+ * reads included. Mount once, before the routers; req.user is only known
+ * after the route's auth middleware, so the check happens when the response
+ * finishes.
+ */
+const auditImpersonatedRequests = (req, res, next) => {
+  res.on("finish", () => {
+    if (!req.user?.impersonatedBy) return;
+    auditLog.recordImpersonatedRequest(req, res);
+  });
+  next();
+};
+
+module.exports = { auditAdminActions, auditImpersonatedRequests };
@@ -1,6 +1,57 @@
 const jwt = require("jsonwebtoken");
+const apiKeyService = require("../services/apiKeyService");
+const sessionService = require("../services/sessionService");
+const organizationService = require("../services/organizationService");
+const User = require("../models/User");
 
-const authenticateJWT = (req, res, next) => {
+// Verify a JWT and make sure its session has not been revoked; null if unusable
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (!(await sessionService.isAccessTokenActive(decoded))) return null;
+
+  // "View as user" token minted by an admin: the user's identity, read-only
+  if (decoded.imp) {
+    decoded.role = "user";
+    decoded.impersonatedBy = String(decoded.imp);
+    return decoded;
+  }
+
+  // Admin rights need a session that passed a two-factor challenge; until then
+  // the admin is treated as a regular user
+  if (decoded.role === "admin" && !decoded.mfa) {
+    decoded.role = "user";
+    decoded.adminTwoFactorRequired = true;
+  }
+  return decoded;
+};
+
+const adminTwoFactorResponse = (res) =>
+  res.status(403).json({
+    error: "Two-factor authentication required",
+    message: "Admins must enable two-factor authentication and log in with a code to use admin features.",
+    twoFactorRequired: true,
+  });
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Impersonation tokens may only read
+const rejectsImpersonatedMutation = (req, res) => {
+  if (!req.user.impersonatedBy || READ_ONLY_METHODS.includes(req.method)) {
+    return false;
+  }
+  res.status(403).json({
+    error: "Impersonation sessions are read-only",
+    impersonation: true,
+  });
+  return true;
+};
+
+const authenticateJWT = async (req, res, next) => {
   const header = req.headers.authorization;
   if (!header || !header.startsWith("Bearer ")) {
     return res.status(401).json({ error: "No token or malformed token" });
@@ -10,23 +61,47 @@ const authenticateJWT = (req, res, next) => {
     return res.status(401).json({ error: "No token provided" });
   }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
     req.user = decoded;
-    next();
   } catch (err) {
-    return res.status(401).json({ error: "Invalid token" });
+    return res.status(500).json({ error: err.message });
   }
+  if (rejectsImpersonatedMutation(req, res)) return;
+  next();
 };
 
 const requireAdmin = (req, res, next) => {
+  if (req.user.adminTwoFactorRequired) {
+    return adminTwoFactorResponse(res);
+  }
   if (req.user.role !== "admin") {
     return res.status(403).json({ error: "Admin access required" });
   }
   next();
 };
 
+// API key sent as "Authorization: Bearer tbk_..." or "X-API-Key: tbk_..."
+const getApiKey = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    const token = header.split(" ")[1];
+    return apiKeyService.looksLikeApiKey(token) ? token : null;
+  }
+  const apiKeyHeader = req.headers["x-api-key"];
+  return apiKeyService.looksLikeApiKey(apiKeyHeader) ? apiKeyHeader : null;
+};
+
 const requireRole = function (requiredRole = null) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
+    // API keys only reach routes that declare a scope (see requireScope)
+    if (getApiKey(req)) {
+      return res
+        .status(403)
+        .json({ error: "This endpoint cannot be used with an API key" });
+    }
     const header = req.headers.authorization;
     if (!header || !header.startsWith("Bearer ")) {
       return res.status(401).json({ error: "No token or malformed token" });
@@ -35,22 +110,127 @@ const requireRole = function (requiredRole = null) {
     if (!token) {
       return res.status(401).json({ error: "No token provided" });
     }
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-      if (requiredRole && decoded.role !== requiredRole)
-        return res.status(403).json({ error: "Forbidden" });
-      next();
+      decoded = await verifyAccessToken(token);
     } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!decoded) {
       return res.status(401).json({ error: "Invalid token" });
     }
+    req.user = decoded;
+    if (rejectsImpersonatedMutation(req, res)) return;
+    if (requiredRole === "admin" && decoded.adminTwoFactorRequired) {
+      return adminTwoFactorResponse(res);
+    }
+    if (requiredRole && decoded.role !== requiredRole)
+      return res.status(403).json({ error: "Forbidden" });
+    next();
   };
 };
 
+/**
+ * Resolve the organization the request acts in (:organizationId route param,
+ * X-Organization-Id header, or the caller's own) and check that the caller's
+ * member role grants the permission. Sets req.organization and
+ * req.organizationRole. Must run after requireRole.
+ * @param {String|null} permission - One of Organization.ROLE_PERMISSIONS, or null for any member
+ */
+const requirePermission = function (permission) {
+  return async (req, res, next) => {
+    try {
+      const membership = await organizationService.resolveMembership(
+        req.user.id,
+        req.params.organizationId || req.headers["x-organization-id"]
+      );
+      if (!membership) {
+        return res
+          .status(403)
+          .json({ error: "You are not a member of this organization" });
+      }
+      if (permission && !organizationService.can(membership.role, permission)) {
+        return res.status(403).json({
+          error: `Your ${membership.role} role does not allow ${permission}`,
+          role: membership.role,
+        });
+      }
+      req.organization = membership.organization;
+      req.organizationRole = membership.role;
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    next();
+  };
+};
+
+/**
+ * Accept a user JWT or a personal API key that carries the given scope.
+ * JWT sessions have every scope. Sets req.user to { id, role } in both cases,
+ * plus apiKeyId and scopes for API keys. The caller's organization role must
+ * also grant the scope (see requirePermission).
+ * @param {String} scope - One of ApiKey.SCOPES
+ */
+const requireScope = function (scope) {
+  const jwtAuth = requireRole();
+  const organizationAuth = requirePermission(scope);
+  return async (req, res, next) => {
+    const rawKey = getApiKey(req);
+    if (!rawKey) return jwtAuth(req, res, () => organizationAuth(req, res, next));
+
+    try {
+      const result = await apiKeyService.authenticateKey(rawKey, { ip: req.ip });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      if (!result.apiKey.scopes.includes(scope)) {
+        return res
+          .status(403)
+          .json({ error: `API key is missing the ${scope} scope` });
+      }
+      // Keys never carry admin privileges, even when an admin created them
+      req.user = {
+        id: result.user._id.toString(),
+        role: "user",
+        apiKeyId: result.apiKey._id.toString(),
+        scopes: result.apiKey.scopes,
+      };
+      return organizationAuth(req, res, next);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  };
+};
+
+/**
+ * Block accounts that have not confirmed their email address.
+ * Must run after requireRole/requireScope.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("emailVerified");
+    // Accounts created before verification existed have no emailVerified value
+    if (user && user.emailVerified === false) {
+      return res.status(403).json({
+        error: "Email not verified",
+        message: "Please verify your email address before creating campaigns.",
+        emailVerificationRequired: true,
+      });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  next();
+};
+
 module.exports = {
+  verifyAccessToken,
   authenticateJWT,
   requireAdmin,
   requireRole,
+  requireScope,
+  requirePermission,
+  requireVerifiedEmail,
 };
 
 // Keep backward compatibility
@@ -1,6 +1,7 @@
 const Subscription = require("../models/Subscription");
 const Campaign = require("../models/Campaign");
 const logger = require("../utils/logger");
+const visitLedger = require("../services/visitLedger");
 
 /**
  * Middleware to check subscription access for campaign creation
@@ -16,7 +17,8 @@ const checkSubscriptionAccess = async (req, res, next) => {
       });
     }
 
-    const userId = req.user.id;
+    // Organization campaigns are billed to the organization owner
+    const userId = req.organization ? String(req.organization.owner) : req.user.id;
 
     // Fetch user's subscription
     let subscription = await Subscription.findOne({ user: userId });
@@ -136,6 +138,35 @@ const checkSubscriptionAccess = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to attach the billing subscription to req.subscription without
+ * enforcing campaign limits, for routes that only gate on plan features
+ */
+const loadSubscription = async (req, res, next) => {
+  try {
+    const userId = req.organization ? String(req.organization.owner) : req.user.id;
+    const subscription = await Subscription.findOne({ user: userId });
+
+    if (
+      subscription &&
+      (subscription.status === "active" || subscription.status === "trialing")
+    ) {
+      req.subscription = subscription;
+    }
+    next();
+  } catch (error) {
+    logger.error("Subscription lookup failed", {
+      userId: req.user?.id,
+      error: error.message,
+    });
+
+    return res.status(500).json({
+      error: "Subscription verification failed",
+      message: "Unable to verify subscription. Please try again.",
+    });
+  }
+};
+
 /**
  * Middleware to validate feature access based on subscription
  * @param {string} feature - Feature name (e.g., 'countryTargeting', 'behaviorSettings')
@@ -192,8 +223,10 @@ const trackVisitUsage = async (req, res, next) => {
     const visitsToAdd = req.body.visitsToTrack || 0;
 
     if (visitsToAdd > 0) {
-      req.subscription.visitsUsed += visitsToAdd;
-      await req.subscription.save();
+      await visitLedger.deductVisits(req.subscription, visitsToAdd, {
+        description: "Visit usage tracked",
+        metadata: { path: req.originalUrl },
+      });
 
       logger.info("Visit usage tracked", {
         userId: req.user.id,
@@ -216,6 +249,7 @@ const trackVisitUsage = async (req, res, next) => {
 
 module.exports = {
   checkSubscriptionAccess,
+  loadSubscription,
   checkFeatureAccess,
   trackVisitUsage,
 };
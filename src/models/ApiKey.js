@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = [
+  "campaigns:read",
+  "campaigns:write",
+  "stats:read",
+  "seo:read",
+  "seo:run",
+];
+
+// Personal API key. Only a SHA-256 hash of the key is stored; the plain key is
+// shown once when it is created or rotated.
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      validate: {
+        validator: (value) =>
+          Array.isArray(value) &&
+          value.length > 0 &&
+          value.every((s) => API_KEY_SCOPES.includes(s)),
+        message: "scopes must list one or more known scopes",
+      },
+    },
+
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    // Key this one replaced when it was rotated
+    rotatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isUsable = function (now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
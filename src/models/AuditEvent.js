@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+const AUDIT_TARGET_TYPES = [
+  "campaign",
+  "subscription",
+  "user",
+  "custom_plan_request",
+  "contact_message",
+  "blog",
+];
+
+// One privileged (admin) action: who did what to which record, and how the
+// record changed. Written by the audit middleware after the response is sent.
+// Covers admin mutations and every request made with an impersonation token.
+const auditEventSchema = new mongoose.Schema(
+  {
+    actor: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      email: { type: String },
+      role: { type: String },
+    },
+    // Route pattern with IDs replaced, e.g. "POST /api/admin/campaigns/:id/transfer"
+    action: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: { type: String, enum: [...AUDIT_TARGET_TYPES, null], default: null },
+      id: { type: String, default: null },
+    },
+    // Field-level changes of the target, from snapshots taken before and after the request
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    // Set when the actor was an admin viewing the app as this user
+    impersonation: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      session: { type: mongoose.Schema.Types.ObjectId, ref: "Session" },
+    },
+    reason: {
+      type: String,
+    },
+    // Query and body with secrets removed
+    request: {
+      query: { type: mongoose.Schema.Types.Mixed },
+      body: { type: mongoose.Schema.Types.Mixed },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    statusCode: {
+      type: Number,
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ "actor.user": 1, createdAt: -1 });
+auditEventSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ "impersonation.session": 1, createdAt: 1 }, { sparse: true });
+
+// Audit events are append-only
+function rejectMutation(next) {
+  next(new Error("Audit events are append-only"));
+}
+
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit events are append-only"));
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => {
+  auditEventSchema.pre(op, rejectMutation);
+});
+
+auditEventSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const BULK_ACTIONS = ["pause", "resume", "modify", "archive"];
+
+// One bulk pause/resume/modify/archive request over many Alpha campaigns.
+// Items are worked through by bulkCampaignJobs with limited concurrency; the
+// instance holding the lease (lockedBy/lockedUntil) processes the job.
+const bulkCampaignJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Organization owner
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: BULK_ACTIONS,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed, // Modify fields, for action "modify"
+    },
+    filter: {
+      type: mongoose.Schema.Types.Mixed, // Filter the campaigns were selected with, if any
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed"],
+      default: "queued",
+    },
+    total: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    results: [
+      {
+        _id: false,
+        campaign: { type: mongoose.Schema.Types.ObjectId, ref: "Campaign", required: true },
+        title: { type: String },
+        status: {
+          type: String,
+          enum: ["pending", "succeeded", "failed"],
+          default: "pending",
+        },
+        statusCode: { type: Number },
+        error: { type: String },
+        finishedAt: { type: Date },
+      },
+    ],
+
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+bulkCampaignJobSchema.index({ status: 1, lockedUntil: 1 });
+bulkCampaignJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days
+
+bulkCampaignJobSchema.statics.ACTIONS = BULK_ACTIONS;
+
+module.exports = mongoose.model("BulkCampaignJob", bulkCampaignJobSchema);
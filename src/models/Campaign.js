@@ -1,8 +1,11 @@
 const mongoose = require("mongoose");
+const Organization = require("./Organization");
 
 const campaignSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Owner whose plan pays for the campaign
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", index: true }, // Workspace the campaign belongs to
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Member who created it
     title: { type: String },
     urls: { type: [String], default: [] },
     duration_min: Number,
@@ -45,7 +48,20 @@ const campaignSchema = new mongoose.Schema(
     capping_type: { type: String },
     capping_value: Number,
     max_hits: Number,
-    until_date: Date,
+    until_date: Date, // Campaign end; the scheduler stops delivery after this time
+    start_date: Date, // Campaign start; the scheduler holds delivery until this time
+    timezone: { type: String, default: "UTC" }, // IANA timezone for hourly_schedule
+    hourly_schedule: { type: [[Number]], default: undefined }, // 7 entries (0 = Sunday) listing active hours 0-23
+    schedule_paused: { type: Boolean, default: false }, // Paused by the scheduler rather than the user
+    schedule_resume_speed: Number, // Speed to restore when the scheduler resumes delivery
+    schedule_log: [{
+      at: { type: Date, default: Date.now },
+      action: { type: String, enum: ["paused", "resumed", "skipped"] },
+      reason: { type: String }, // not_started | ended | off_hours | in_window | no_visits
+      from_state: { type: String },
+      to_state: { type: String },
+      error: { type: String },
+    }],
     macros: { type: String },
     popup_macros: { type: String },
     is_adult: { type: Boolean, default: false },
@@ -62,7 +78,16 @@ const campaignSchema = new mongoose.Schema(
     last_stats_check: { type: Date }, // Last time we checked for stats to deduct visits
     total_hits_counted: { type: Number, default: 0 }, // Total hits we've already counted for visit deduction
     total_visits_counted: { type: Number, default: 0 }, // Total visits we've already counted
+    hits_counter_epoch: { type: Number, default: 0 }, // Bumped whenever total_hits_counted is reset, so deduction windows of the new count never collide with old ones
+    stats_backfilled_at: { type: Date }, // When vendor stats history was copied into CampaignDailyStat
     credit_deduction_enabled: { type: Boolean, default: true }, // Enable/disable automatic credit deduction
+    budget: {
+      daily: { type: Number, default: null }, // Max visits charged per day (campaign timezone)
+      weekly: { type: Number, default: null }, // Max visits charged per week, starting Monday
+      lifetime: { type: Number, default: null }, // Max visits charged over the campaign's life
+    },
+    budget_paused: { type: String, enum: ["daily", "weekly", "lifetime", null], default: null }, // Budget that paused the campaign
+    budget_paused_at: Date,
     transfer_history: [{
       from_user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       to_user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -71,9 +96,18 @@ const campaignSchema = new mongoose.Schema(
       reason: { type: String, default: "Admin transfer" },
       admin_email: { type: String }
     }],
+    settings: { type: mongoose.Schema.Types.Mixed }, // Create payload fields (size, traffic_type, ...) used for templates and clones
     metadata: { type: mongoose.Schema.Types.Mixed },
   },
   { timestamps: true }
 );
 
+// New documents (and admin transfers) follow their user's organization
+campaignSchema.pre("save", async function (next) {
+  if (this.isModified("user") && !this.isModified("organization")) {
+    this.organization = await Organization.idOwnedBy(this.user);
+  }
+  next();
+});
+
 module.exports = mongoose.model("Campaign", campaignSchema);
@@ -20,14 +20,6 @@ const campaignDailyStatSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    // Store country breakdown for this day
-    countryStats: [
-      {
-        country: String,
-        hits: { type: Number, default: 0 },
-        visits: { type: Number, default: 0 },
-      },
-    ],
   },
   { timestamps: true }
 );
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const Organization = require("./Organization");
+
+// Saved Alpha campaign settings (geo, speed, size, traffic_type, referrers, ...)
+// that new campaigns can be created from. Shared by the organization's members.
+const campaignTemplateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Campaign create fields, see campaignTemplates.SETTING_FIELDS
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Campaign the settings were copied from, if any
+    sourceCampaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+campaignTemplateSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+campaignTemplateSchema.pre("save", async function (next) {
+  if (this.isModified("user") && !this.isModified("organization")) {
+    this.organization = await Organization.idOwnedBy(this.user);
+  }
+  next();
+});
+
+module.exports = mongoose.model("CampaignTemplate", campaignTemplateSchema);
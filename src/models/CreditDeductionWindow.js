@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// One document per charged stats window. A window starts at the campaign's
+// cumulative vendor hit count when it was claimed, so a window can only be
+// charged once no matter how many workers or retries see it. The count starts
+// over when the campaign's counter is reset (restore, counter resets), so
+// windows are keyed on the campaign's counter epoch as well.
+const creditDeductionWindowSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    vendor: {
+      type: String,
+    },
+    projectId: {
+      type: String,
+    },
+    // Campaign.hits_counter_epoch when the window was claimed
+    epoch: {
+      type: Number,
+      default: 0,
+    },
+
+    // Cumulative vendor hit counts bounding the window
+    fromHits: {
+      type: Number,
+      required: true,
+    },
+    toHits: {
+      type: Number,
+      required: true,
+    },
+    // Stats date range queried for the window (YYYY-MM-DD)
+    statsFrom: {
+      type: String,
+    },
+    statsTo: {
+      type: String,
+    },
+
+    status: {
+      type: String,
+      enum: ["claimed", "applied"],
+      default: "claimed",
+    },
+    claimedBy: {
+      type: String,
+    },
+    claimedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    appliedAt: {
+      type: Date,
+    },
+    visitsDeducted: {
+      type: Number,
+      default: 0,
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VisitLedgerEntry",
+    },
+  },
+  { timestamps: true }
+);
+
+creditDeductionWindowSchema.index({ campaign: 1, epoch: 1, fromHits: 1 }, { unique: true });
+creditDeductionWindowSchema.index({ user: 1, createdAt: -1 });
+
+// Replaced by the epoch-scoped index above; dropped by
+// scripts/drop-legacy-deduction-window-index.js
+creditDeductionWindowSchema.statics.LEGACY_INDEX = "campaign_1_fromHits_1";
+
+module.exports = mongoose.model("CreditDeductionWindow", creditDeductionWindowSchema);
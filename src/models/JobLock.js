@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One document per scheduled job; the holder of an unexpired lease runs the job
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Job name
+    },
+    owner: {
+      type: String, // Instance ID of the current lease holder
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Run history
+    lastStartedAt: {
+      type: Date,
+    },
+    lastCompletedAt: {
+      type: Date,
+    },
+    lastDurationMs: {
+      type: Number,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastOwner: {
+      type: String,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
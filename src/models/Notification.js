@@ -19,6 +19,7 @@ const notificationSchema = new mongoose.Schema(
         "system",
         "campaign",
         "subscription",
+        "website",
       ],
       required: true,
     },
@@ -36,7 +37,7 @@ const notificationSchema = new mongoose.Schema(
     },
     relatedModel: {
       type: String,
-      enum: ["CustomPlanRequest", "ContactUsMessage", "Campaign", "Subscription", "Payment"],
+      enum: ["CustomPlanRequest", "ContactUsMessage", "Campaign", "Subscription", "Payment", "Website"],
     },
     actionUrl: {
       type: String,
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+const MEMBER_ROLES = ["owner", "manager", "analyst", "billing"];
+
+// What each member role may do. Permission names match API key scopes where
+// they overlap, so a request is allowed only if both the key and the role allow it.
+const ROLE_PERMISSIONS = {
+  owner: [
+    "campaigns:read",
+    "campaigns:write",
+    "stats:read",
+    "seo:run",
+    "seo:read",
+    "websites:read",
+    "websites:write",
+    "billing:manage",
+    "members:manage",
+    "organization:manage",
+  ],
+  manager: [
+    "campaigns:read",
+    "campaigns:write",
+    "stats:read",
+    "seo:run",
+    "seo:read",
+    "websites:read",
+    "websites:write",
+  ],
+  analyst: ["campaigns:read", "stats:read", "seo:read", "websites:read"],
+  billing: ["stats:read", "billing:manage"],
+};
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: MEMBER_ROLES,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Workspace that owns campaigns, websites and SEO analyses. Every user owns
+// exactly one (created on first use); it is billed through the owner's
+// subscription, so campaigns created by members count against that plan.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+    // White-label settings applied to PDF and scheduled email reports
+    reportBranding: {
+      companyName: { type: String, trim: true, maxlength: 100 },
+      logoKey: { type: String }, // S3 object key
+      primaryColor: { type: String },
+      accentColor: { type: String },
+      footerText: { type: String, trim: true, maxlength: 300 },
+      // Leave out every TrafficBox and vendor mention
+      hideTrafficBox: { type: Boolean, default: false },
+    },
+  },
+  { timestamps: true }
+);
+
+organizationSchema.index({ "members.user": 1 });
+
+organizationSchema.methods.roleOf = function (userId) {
+  const member = this.members.find((m) => String(m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+/**
+ * ID of the organization a user owns, if it exists yet. Used by models to
+ * file new documents under their owner's organization.
+ */
+organizationSchema.statics.idOwnedBy = async function (userId) {
+  const organization = await this.findOne({ owner: userId }).select("_id");
+  return organization ? organization._id : undefined;
+};
+
+organizationSchema.statics.ROLES = MEMBER_ROLES;
+organizationSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// Emailed invitation to join an organization. Only a SHA-256 hash of the
+// token is stored; the plain token is in the invite link.
+const organizationInviteSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Owners are never invited; ownership comes with the organization
+    role: {
+      type: String,
+      enum: ["manager", "analyst", "billing"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+organizationInviteSchema.index({ organization: 1, email: 1 });
+
+organizationInviteSchema.methods.isPending = function (now = new Date()) {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model("OrganizationInvite", organizationInviteSchema);
@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const Organization = require("./Organization");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const FORMATS = ["pdf", "csv", "xlsx"];
+const DELIVERIES = ["attachment", "link"];
+
+// Recurring performance report emailed to a list of recipients, for one
+// campaign or for every campaign of the organization. nextRunAt is when the
+// cron job sends it next; it is advanced before sending so a run is never
+// picked up twice.
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    scope: {
+      type: String,
+      enum: ["campaign", "account"],
+      required: true,
+    },
+    // Set when scope is "campaign"
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
+
+    // When: `hour` local time in `timezone`, every day, on `dayOfWeek`
+    // (0 = Sunday) or on `dayOfMonth`. Each report covers the previous day,
+    // the previous 7 days or the previous calendar month.
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true,
+    },
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1,
+    },
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 28,
+      default: 1,
+    },
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8,
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+
+    recipients: {
+      type: [String],
+      required: true,
+    },
+    // Recipients outside the organization only receive reports once they
+    // follow the confirmation link emailed to them
+    confirmedRecipients: {
+      type: [String],
+      default: [],
+    },
+    pendingRecipients: {
+      type: [
+        {
+          _id: false,
+          email: { type: String, required: true },
+          tokenHash: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+      ],
+      default: [],
+    },
+    format: {
+      type: String,
+      enum: FORMATS,
+      default: "pdf",
+    },
+    // Attach the file, or link to a copy in S3 (signed URL)
+    delivery: {
+      type: String,
+      enum: DELIVERIES,
+      default: "attachment",
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    lastStatus: {
+      type: String,
+      enum: ["sent", "failed"],
+    },
+    lastError: {
+      type: String,
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    // Last "send now" request; manual sends are rate limited per schedule
+    lastManualSendAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+reportScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+reportScheduleSchema.index({ "pendingRecipients.tokenHash": 1 });
+
+reportScheduleSchema.pre("save", async function (next) {
+  if (this.isModified("user") && !this.isModified("organization")) {
+    this.organization = await Organization.idOwnedBy(this.user);
+  }
+  next();
+});
+
+reportScheduleSchema.statics.FREQUENCIES = FREQUENCIES;
+reportScheduleSchema.statics.FORMATS = FORMATS;
+reportScheduleSchema.statics.DELIVERIES = DELIVERIES;
+
+module.exports = mongoose.model("ReportSchedule", reportScheduleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Organization = require("./Organization");
 
 const seoAnalysisSchema = new mongoose.Schema(
   {
@@ -9,6 +10,11 @@ const seoAnalysisSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Workspace the analysis belongs to
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
 
     // Analysis identification
     analysisId: {
@@ -126,6 +132,7 @@ const seoAnalysisSchema = new mongoose.Schema(
 
 // Indexes for efficient queries
 seoAnalysisSchema.index({ user: 1, createdAt: -1 });
+seoAnalysisSchema.index({ organization: 1, createdAt: -1 });
 seoAnalysisSchema.index({ url: 1, createdAt: -1 });
 seoAnalysisSchema.index({ analysisId: 1 });
 seoAnalysisSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
@@ -152,4 +159,12 @@ seoAnalysisSchema.virtual("overallScore").get(function () {
 seoAnalysisSchema.set("toJSON", { virtuals: true });
 seoAnalysisSchema.set("toObject", { virtuals: true });
 
+// New documents (and admin transfers) follow their user's organization
+seoAnalysisSchema.pre("save", async function (next) {
+  if (this.isModified("user") && !this.isModified("organization")) {
+    this.organization = await Organization.idOwnedBy(this.user);
+  }
+  next();
+});
+
 module.exports = mongoose.model("SEOAnalysis", seoAnalysisSchema);
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// One login on one device. Access tokens carry the session ID (sid) and stop
+// working once the session is revoked; the refresh token is rotated on every use
+// and only its hash is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the refresh token this one replaced; presenting it again means the
+    // token was stolen or replayed, and the whole session is revoked
+    previousRefreshTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    // Device
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    refreshCount: {
+      type: Number,
+      default: 0,
+    },
+    // Login completed a two-factor challenge
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Read-only "view as user" session opened by an admin; it has no usable
+    // refresh token and ends when its access token expires
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    impersonationReason: {
+      type: String,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "revoked",
+        "refresh_token_reuse",
+        "password_reset",
+        "impersonation_ended",
+      ],
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ impersonatedBy: 1, createdAt: -1 }, { sparse: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const AUDIT_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const SEVERITIES = ["critical", "warning", "info"];
+
+// One issue found by an audit check
+const issueSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true }, // Stable slug, e.g. "missing-title-tag"
+    severity: { type: String, enum: SEVERITIES, required: true },
+    category: { type: String, required: true }, // meta, headers, links, schema, ssl, dns, crawl
+    message: { type: String, required: true },
+    detail: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// A full-site SEO audit: crawls a site and runs the SEO tool checks on every
+// page. Per-page results are stored in SiteAuditPage; site-wide findings (SSL,
+// DNS) and the summary live here. The instance holding the lease
+// (lockedBy/lockedUntil) runs the audit.
+const siteAuditSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Organization owner
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    website: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Website",
+      index: true,
+    },
+    url: { type: String, required: true }, // Start URL
+    host: { type: String, required: true },
+    options: {
+      maxPages: { type: Number },
+      maxDepth: { type: Number },
+    },
+
+    status: {
+      type: String,
+      enum: AUDIT_STATUSES,
+      default: "queued",
+    },
+    cancelRequested: { type: Boolean, default: false },
+    pagesCrawled: { type: Number, default: 0 }, // Progress while running
+    summary: {
+      score: { type: Number },
+      grade: { type: String },
+      pages: { type: Number, default: 0 },
+      critical: { type: Number, default: 0 },
+      warning: { type: Number, default: 0 },
+      info: { type: Number, default: 0 },
+      categories: { type: mongoose.Schema.Types.Mixed }, // { category: issue count }
+    },
+    siteIssues: [issueSchema],
+    site: {
+      ssl: { type: mongoose.Schema.Types.Mixed }, // ssl-checker result
+      dns: { type: mongoose.Schema.Types.Mixed }, // dns-checker records
+      robots: { type: mongoose.Schema.Types.Mixed }, // { found, crawl_delay, sitemaps }
+    },
+    crawl: { type: mongoose.Schema.Types.Mixed }, // crawlSite() stats
+    error: { type: String },
+
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+siteAuditSchema.index({ status: 1, lockedUntil: 1 });
+siteAuditSchema.index({ organization: 1, createdAt: -1 });
+
+siteAuditSchema.statics.STATUSES = AUDIT_STATUSES;
+siteAuditSchema.statics.SEVERITIES = SEVERITIES;
+siteAuditSchema.statics.issueSchema = issueSchema;
+
+module.exports = mongoose.model("SiteAudit", siteAuditSchema);
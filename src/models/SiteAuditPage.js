@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const SiteAudit = require("./SiteAudit");
+
+// One crawled page of a SiteAudit with the issues found on it
+const siteAuditPageSchema = new mongoose.Schema(
+  {
+    audit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SiteAudit",
+      required: true,
+    },
+    url: { type: String, required: true },
+    final_url: { type: String },
+    depth: { type: Number },
+    status: { type: Number }, // HTTP status, null when the request failed
+    content_type: { type: String },
+    response_time_ms: { type: Number },
+    redirect_chain: [{ _id: false, url: String, status: Number }],
+    title: { type: String },
+    issues: [SiteAudit.issueSchema],
+    critical: { type: Number, default: 0 },
+    warning: { type: Number, default: 0 },
+    info: { type: Number, default: 0 },
+    score: { type: Number },
+  },
+  { timestamps: true }
+);
+
+siteAuditPageSchema.index({ audit: 1, critical: -1, warning: -1, url: 1 });
+siteAuditPageSchema.index({ audit: 1, "issues.code": 1 });
+
+module.exports = mongoose.model("SiteAuditPage", siteAuditPageSchema);
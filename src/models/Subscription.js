@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Organization = require("./Organization");
 
 const subscriptionSchema = new mongoose.Schema(
   {
@@ -8,6 +9,12 @@ const subscriptionSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Organization this plan pays for (the one `user` owns)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
     // Stripe identifiers
     stripeCustomerId: {
       type: String,
@@ -125,7 +132,7 @@ const subscriptionSchema = new mongoose.Schema(
       type: Date,
     },
 
-    // Tracking
+    // Tracking (cached projection of the visit ledger; change only via services/visitLedger)
     visitsUsed: {
       type: Number,
       default: 0,
@@ -134,6 +141,11 @@ const subscriptionSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Sequence of the latest ledger entry applied to the counters above
+    ledgerSequence: {
+      type: Number,
+      default: 0,
+    },
     lastResetAt: {
       type: Date,
       default: Date.now,
@@ -324,4 +336,12 @@ subscriptionSchema.statics.getPlanConfig = function (planName) {
   return plans[planName] || plans.free;
 };
 
+// New documents (and admin transfers) follow their user's organization
+subscriptionSchema.pre("save", async function (next) {
+  if (this.isModified("user") && !this.isModified("organization")) {
+    this.organization = await Organization.idOwnedBy(this.user);
+  }
+  next();
+});
+
 module.exports = mongoose.model("Subscription", subscriptionSchema);
@@ -16,6 +16,31 @@ const userSchema = new mongoose.Schema(
     // Token for activating a lead-capture account (expires in 48h)
     activationToken: { type: String, index: true },
     activationTokenExpiry: { type: Date },
+    // Unset for accounts created before email verification existed (treated as verified)
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date },
+    // Single-use tokens; only SHA-256 hashes are stored
+    emailVerificationToken: { type: String, index: true },
+    emailVerificationTokenExpiry: { type: Date },
+    passwordResetToken: { type: String, index: true },
+    passwordResetTokenExpiry: { type: Date },
+    // Access tokens issued before this moment are rejected ("log out everywhere")
+    tokensRevokedAt: { type: Date },
+    // TOTP two-factor authentication (required for admins)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Secret generated by /setup, promoted to `secret` once a code is confirmed
+      pendingSecret: { type: String, select: false },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: { type: [String], select: false },
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: { type: Number },
+      // Wrong codes at the login challenge; verification locks after too many
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: { type: Date },
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+const LEDGER_REASONS = [
+  "opening_balance", // Balance carried over from Subscription counters when the ledger was opened
+  "vendor_hits", // Visits consumed by vendor-delivered traffic
+  "top_up", // Purchased top-up credits
+  "admin_grant", // Visits granted manually by an admin
+  "monthly_reset", // Usage cleared at the start of a billing period
+  "plan_change", // Allowance changed by a plan upgrade, downgrade or assignment
+  "refund", // Consumed visits returned to the balance
+  "counter_reset", // Campaign hit baseline moved; no balance change, kept for traceability
+];
+
+const visitLedgerEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
+
+    // Signed visit amount: positive credits the balance, negative debits it
+    amount: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: LEDGER_REASONS,
+      required: true,
+    },
+    // Position in the user's chain of entries (absent on entries written before
+    // the chain existed)
+    sequence: {
+      type: Number,
+    },
+    // Running balance after this entry was applied
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // Increments this entry makes to the Subscription counters (absent on
+    // entries whose change was applied when they were written)
+    counterChange: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    description: {
+      type: String,
+    },
+
+    // External reference (e.g. Stripe checkout session) used to make writes idempotent
+    reference: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+visitLedgerEntrySchema.index({ user: 1, createdAt: -1 });
+visitLedgerEntrySchema.index({ user: 1, reason: 1, createdAt: -1 });
+visitLedgerEntrySchema.index({ campaign: 1, createdAt: -1 });
+visitLedgerEntrySchema.index(
+  { user: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: "number" } } }
+);
+visitLedgerEntrySchema.index(
+  { user: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: "string" } } }
+);
+
+// Ledger entries are append-only: corrections are new entries, never edits
+function rejectMutation(next) {
+  next(new Error("Visit ledger entries are append-only"));
+}
+
+visitLedgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Visit ledger entries are append-only"));
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => {
+  visitLedgerEntrySchema.pre(op, rejectMutation);
+});
+
+visitLedgerEntrySchema.statics.REASONS = LEDGER_REASONS;
+
+module.exports = mongoose.model("VisitLedgerEntry", visitLedgerEntrySchema);
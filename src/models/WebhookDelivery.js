@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Event
+    eventId: {
+      type: String,
+      required: true,
+    },
+    eventType: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // Delivery state
+    status: {
+      type: String,
+      enum: ["pending", "sending", "retrying", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+
+    // Last response
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: String, // Truncated
+    },
+    error: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+
+    // Set when this delivery was created by replaying another one
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ user: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
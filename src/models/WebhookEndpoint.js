@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+const WEBHOOK_EVENT_TYPES = [
+  "campaign.paused",
+  "campaign.resumed",
+  "usage.threshold_reached",
+  "subscription.changed",
+  "payment.failed",
+  "seo.analysis_finished",
+  "seo.website_changed",
+];
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Event types delivered to this endpoint; "*" subscribes to all of them
+    events: {
+      type: [String],
+      validate: {
+        validator: (value) =>
+          Array.isArray(value) &&
+          value.length > 0 &&
+          value.every((e) => e === "*" || WEBHOOK_EVENT_TYPES.includes(e)),
+        message: "events must list one or more known event types (or \"*\")",
+      },
+    },
+    // Signing secret for the X-TrafficBox-Signature header
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Delivery health
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    lastDeliveryAt: {
+      type: Date,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["succeeded", "failed"],
+    },
+    disabledAt: {
+      type: Date,
+    },
+    disabledReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEndpointSchema.index({ user: 1, isActive: 1 });
+
+webhookEndpointSchema.methods.subscribesTo = function (eventType) {
+  return this.events.includes("*") || this.events.includes(eventType);
+};
+
+webhookEndpointSchema.statics.EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+
+module.exports = mongoose.model("WebhookEndpoint", webhookEndpointSchema);
@@ -1,15 +1,47 @@
 const mongoose = require("mongoose");
+const Organization = require("./Organization");
+
+const MONITOR_CHECKS = ["meta", "headers", "ssl", "dns", "robots", "index"];
+const MONITOR_FREQUENCIES = ["hourly", "daily", "weekly"];
 
 const websiteSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", index: true },
     url: { type: String, required: true },
     title: { type: String },
     description: { type: String },
     isActive: { type: Boolean, default: true },
     metadata: { type: mongoose.Schema.Types.Mixed },
+    // Scheduled SEO checks; each run is stored as a WebsiteCheck and compared
+    // with the previous one (see websiteMonitoring)
+    monitoring: {
+      enabled: { type: Boolean, default: false },
+      checks: {
+        type: [{ type: String, enum: MONITOR_CHECKS }],
+        default: () => ["meta", "headers", "ssl", "dns", "robots"],
+      },
+      frequency: { type: String, enum: MONITOR_FREQUENCIES, default: "daily" },
+      nextRunAt: { type: Date, default: null },
+      lastRunAt: { type: Date, default: null },
+      lastStatus: { type: String, enum: ["ok", "changed", "failed"], default: null },
+      lastError: { type: String, default: null },
+    },
   },
   { timestamps: true }
 );
 
+// New documents (and admin transfers) follow their user's organization
+websiteSchema.pre("save", async function (next) {
+  if (this.isModified("user") && !this.isModified("organization")) {
+    this.organization = await Organization.idOwnedBy(this.user);
+  }
+  next();
+});
+
+websiteSchema.index({ "monitoring.enabled": 1, "monitoring.nextRunAt": 1 });
+
+websiteSchema.statics.MONITOR_CHECKS = MONITOR_CHECKS;
+websiteSchema.statics.MONITOR_FREQUENCIES = MONITOR_FREQUENCIES;
+
 module.exports = mongoose.model("Website", websiteSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// One monitoring run of a Website: a snapshot per SEO check and what changed
+// since the previous run
+const websiteCheckSchema = new mongoose.Schema(
+  {
+    website: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Website",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Website owner
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    url: { type: String, required: true },
+    trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+    checks: [{ type: String }], // Checks that ran
+    snapshots: { type: mongoose.Schema.Types.Mixed, default: {} }, // { check: snapshot }
+    checkErrors: { type: mongoose.Schema.Types.Mixed, default: {} }, // { check: message }
+    baseline: { type: Boolean, default: false }, // First run, nothing to compare with
+    changes: [
+      {
+        _id: false,
+        check: { type: String, required: true },
+        field: { type: String, required: true },
+        severity: { type: String, enum: ["critical", "warning", "info"], required: true },
+        message: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+websiteCheckSchema.index({ website: 1, createdAt: -1 });
+websiteCheckSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 }); // Keep 180 days
+
+module.exports = mongoose.model("WebsiteCheck", websiteCheckSchema);
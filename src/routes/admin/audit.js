@@ -0,0 +1,125 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../../middleware/auth");
+const AuditEvent = require("../../models/AuditEvent");
+const auditLog = require("../../services/auditLog");
+const logger = require("../../utils/logger");
+
+const router = express.Router();
+
+const MAX_EXPORT_ROWS = 50000;
+
+function validateQuery(query) {
+  for (const key of ["actorId", "impersonationSessionId"]) {
+    if (query[key] && !mongoose.Types.ObjectId.isValid(query[key])) {
+      return `${key} must be a valid ID`;
+    }
+  }
+  for (const key of ["from", "to"]) {
+    if (query[key] && isNaN(new Date(query[key]).getTime())) {
+      return `${key} must be a valid date`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Search audit events, newest first
+ * GET /api/admin/audit-events?q=&actorId=&actorEmail=&action=&method=&targetType=&targetId=&outcome=&impersonationSessionId=&from=&to=&page=&limit=
+ */
+router.get("/", requireRole("admin"), async (req, res) => {
+  try {
+    const error = validateQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = auditLog.buildFilter(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+
+    res.json({
+      ok: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      targetTypes: AuditEvent.TARGET_TYPES,
+    });
+  } catch (err) {
+    logger.error("Failed to search audit events", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Download matching audit events as CSV (same filters as the list)
+ * GET /api/admin/audit-events/export.csv
+ */
+router.get("/export.csv", requireRole("admin"), async (req, res) => {
+  try {
+    const error = validateQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const filter = auditLog.buildFilter(req.query);
+    const filename = `audit-events-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.write(auditLog.csvHeader());
+
+    const cursor = AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean()
+      .cursor();
+    for await (const event of cursor) {
+      res.write(auditLog.csvRow(event));
+    }
+    res.end();
+
+    logger.info("Audit events exported", {
+      userId: req.user.id,
+      filter: req.query,
+    });
+  } catch (err) {
+    logger.error("Failed to export audit events", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get one audit event
+ * GET /api/admin/audit-events/:eventId
+ */
+router.get("/:eventId", requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      return res.status(404).json({ error: "Audit event not found" });
+    }
+    const event = await AuditEvent.findById(req.params.eventId).lean();
+    if (!event) return res.status(404).json({ error: "Audit event not found" });
+    res.json({ ok: true, event });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
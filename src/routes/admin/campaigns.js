@@ -1,26 +1,19 @@
 const express = require("express");
-const axios = require("axios");
 const { requireRole } = require("../../middleware/auth");
 const Campaign = require("../../models/Campaign");
 const User = require("../../models/User");
 const Subscription = require("../../models/Subscription");
+const vendors = require("../../services/vendors");
+const visitLedger = require("../../services/visitLedger");
 
 const router = express.Router();
 
 // Get SparkTraffic Account Balance
 router.get("/alpha/balance", requireRole("admin"), async (req, res) => {
   try {
-    const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-    if (!API_KEY) {
-      return res.status(500).json({ error: "SparkTraffic API key not configured" });
-    }
-
-    const response = await axios.get("https://v2.sparktraffic.com/balance", {
-      headers: { api_key: API_KEY },
-      timeout: 10000,
-    });
+    const balance = await vendors.getVendor("sparkTraffic").getBalance();
 
-    res.json({ ok: true, balance: response.data });
+    res.json({ ok: true, balance });
   } catch (err) {
     const status = err.response?.status || 500;
     res.status(status).json({ error: err.response?.data || err.message });
@@ -318,7 +311,7 @@ router.post("/:campaignId/:action", requireRole("admin"), async (req, res) => {
       }
 
       // Check available visits
-      const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
+      const availableVisits = await visitLedger.getAvailableVisits(subscription);
       if (availableVisits <= 0) {
         return res.status(400).json({
           error: "Campaign owner has no visits remaining in their subscription.",
@@ -341,35 +334,19 @@ router.post("/:campaignId/:action", requireRole("admin"), async (req, res) => {
       }
     }
 
-    // Handle SparkTraffic campaigns
-    if (campaign.spark_traffic_project_id) {
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-      const resumeSpeed = action === "resume"
-        ? (campaign.metadata?.currentSpeed || campaign.spark_traffic_data?.speed || 200)
-        : 0;
-
-      try {
-        await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          { unique_id: campaign.spark_traffic_project_id, speed: resumeSpeed },
-          { headers: { "Content-Type": "application/json", API_KEY }, timeout: 10000 }
-        );
-      } catch (err) {
-        // Log but don't block — still update DB state
-      }
-    }
-
-    // Handle 9Hits campaigns
-    if (campaign.nine_hits_campaign_id) {
+    // Apply on the vendor
+    const resolved = vendors.forCampaign(campaign);
+    if (resolved) {
+      const resumeSpeed =
+        campaign.metadata?.currentSpeed || campaign.spark_traffic_data?.speed || 200;
       try {
-        const nine = require("../../services/nineHits");
         if (action === "pause") {
-          await nine.sitePause({ id: campaign.nine_hits_campaign_id });
+          await resolved.vendor.pauseProject(resolved.projectId);
         } else {
-          await nine.siteUpdate({ id: campaign.nine_hits_campaign_id, userState: "running" });
+          await resolved.vendor.resumeProject(resolved.projectId, { speed: resumeSpeed });
         }
       } catch (err) {
-        // Log but don't block
+        // Log but don't block — still update DB state
       }
     }
 
@@ -408,30 +385,16 @@ router.delete("/:campaignId", requireRole("admin"), async (req, res) => {
     const campaign = await Campaign.findById(req.params.campaignId);
     if (!campaign) return res.status(404).json({ error: "Campaign not found" });
 
-    // Pause on SparkTraffic before deleting
-    if (campaign.spark_traffic_project_id) {
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+    // Pause on the vendor before deleting
+    const resolved = vendors.forCampaign(campaign);
+    if (resolved) {
       try {
-        await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          { unique_id: campaign.spark_traffic_project_id, speed: 0 },
-          { headers: { "Content-Type": "application/json", API_KEY }, timeout: 10000 }
-        );
+        await resolved.vendor.pauseProject(resolved.projectId);
       } catch (err) {
         // Proceed with deletion even if pause fails (campaign may already be gone)
       }
     }
 
-    // Pause on 9Hits before deleting
-    if (campaign.nine_hits_campaign_id) {
-      try {
-        const nine = require("../../services/nineHits");
-        await nine.sitePause({ id: campaign.nine_hits_campaign_id });
-      } catch (err) {
-        // Proceed regardless
-      }
-    }
-
     await campaign.deleteOne();
 
     res.json({
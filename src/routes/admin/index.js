@@ -1,4 +1,5 @@
 const express = require("express");
+const { auditAdminActions } = require("../../middleware/audit");
 
 const router = express.Router();
 
@@ -9,6 +10,10 @@ const campaignsRouter = require("./campaigns");
 const subscriptionsRouter = require("./subscriptions");
 const analyticsRouter = require("./analytics");
 const mailboxRouter = require("./mailbox");
+const auditRouter = require("./audit");
+
+// Every mutation under /api/admin is written to the audit log
+router.use(auditAdminActions);
 
 // Mount sub-routers
 router.use("/dashboard", dashboardRouter);
@@ -17,5 +22,6 @@ router.use("/campaigns", campaignsRouter);
 router.use("/subscriptions", subscriptionsRouter);
 router.use("/analytics", analyticsRouter);
 router.use("/mailbox", mailboxRouter);
+router.use("/audit-events", auditRouter);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const Payment = require("../../models/Payment");
 const Notification = require("../../models/Notification");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const logger = require("../../utils/logger");
+const visitLedger = require("../../services/visitLedger");
+const webhookService = require("../../services/webhookService");
 const { sendCustomPlanEmail } = require("../../services/emailService");
 
 const router = express.Router();
@@ -218,7 +220,11 @@ router.post("/users/:userId", requireRole("admin"), async (req, res) => {
 
       subscription.planName = planName;
       subscription.status = "active";
-      subscription.visitsIncluded = planConfig.visitsIncluded;
+      await visitLedger.setAllowance(subscription, planConfig.visitsIncluded, {
+        createdBy: req.user.id,
+        description: `Admin changed plan from ${oldPlan} to ${planName}`,
+        metadata: { previousPlan: oldPlan, planName },
+      });
       subscription.campaignLimit = planConfig.campaignLimit;
       subscription.features = planConfig.features;
       subscription.adminAssigned = true;
@@ -238,6 +244,11 @@ router.post("/users/:userId", requireRole("admin"), async (req, res) => {
     }
 
     await subscription.save();
+    webhookService.emit(
+      userId,
+      "subscription.changed",
+      webhookService.subscriptionEventData(subscription, { source: "admin" })
+    );
 
     // Count current campaigns
     const currentCampaigns = await Campaign.countDocuments({
@@ -417,7 +428,11 @@ router.post("/users/:userId/custom", requireRole("admin"), async (req, res) => {
         const oldPlan = subscription.planName;
         subscription.planName = "custom";
         subscription.status = "active";
-        subscription.visitsIncluded = visitsIncluded;
+        await visitLedger.setAllowance(subscription, visitsIncluded, {
+          createdBy: req.user.id,
+          description: `Admin assigned free custom plan (was ${oldPlan})`,
+          metadata: { previousPlan: oldPlan, planName: "custom" },
+        });
         subscription.campaignLimit = campaignLimit;
         subscription.features = customFeatures;
         subscription.stripeCustomerId = stripeCustomerId;
@@ -613,6 +628,12 @@ Your plan is now active and ready to use!`,
         notificationId: notification._id,
       });
 
+      webhookService.emit(
+        userId,
+        "subscription.changed",
+        webhookService.subscriptionEventData(subscription, { source: "admin" })
+      );
+
       // Send email for free custom plan activation
       sendCustomPlanEmail(user, {
         visitsIncluded,
@@ -720,10 +741,18 @@ router.delete("/users/:userId", requireRole("admin"), async (req, res) => {
     const planConfig = Subscription.getPlanConfig("free");
     subscription.planName = "free";
     subscription.status = "active";
-    subscription.visitsIncluded = planConfig.visitsIncluded;
+    await visitLedger.resetUsage(subscription, {
+      reason: "plan_change",
+      createdBy: req.user.id,
+      description: `Usage cleared on admin reset from ${oldPlan} to free plan`,
+    });
+    await visitLedger.setAllowance(subscription, planConfig.visitsIncluded, {
+      createdBy: req.user.id,
+      description: `Admin reset from ${oldPlan} to free plan`,
+      metadata: { previousPlan: oldPlan, planName: "free" },
+    });
     subscription.campaignLimit = planConfig.campaignLimit;
     subscription.features = planConfig.features;
-    subscription.visitsUsed = 0;
     subscription.stripeSubscriptionId = null;
     subscription.stripePriceId = null;
     subscription.adminAssigned = true;
@@ -733,6 +762,14 @@ router.delete("/users/:userId", requireRole("admin"), async (req, res) => {
       reason || `Admin reset from ${oldPlan} to free plan`;
 
     await subscription.save();
+    webhookService.emit(
+      userId,
+      "subscription.changed",
+      webhookService.subscriptionEventData(subscription, {
+        source: "admin",
+        previous: { planName: oldPlan },
+      })
+    );
 
     res.json({
       ok: true,
@@ -780,9 +817,11 @@ router.post("/add-hits", requireRole("admin"), async (req, res) => {
 
     const hits = parseInt(hitsToAdd);
     const previousBalance = subscription.visitsIncluded;
-    subscription.topUpCredits = (subscription.topUpCredits || 0) + hits;
-    subscription.visitsIncluded += hits;
-    await subscription.save();
+    await visitLedger.addVisits(subscription, hits, {
+      reason: "admin_grant",
+      createdBy: req.user.id,
+      description: note || `Admin added ${hits.toLocaleString()} hits`,
+    });
 
     logger.info("Admin manually added hits", {
       adminId: req.user.id,
@@ -806,4 +845,100 @@ router.post("/add-hits", requireRole("admin"), async (req, res) => {
   }
 });
 
+/**
+ * Refund consumed visits to a user's balance (e.g. traffic not delivered)
+ * POST /api/admin/subscriptions/refund-visits
+ */
+router.post("/refund-visits", requireRole("admin"), async (req, res) => {
+  try {
+    const { email, visits, campaignId, note } = req.body;
+
+    if (!email || !visits || isNaN(parseInt(visits)) || parseInt(visits) < 1) {
+      return res.status(400).json({ error: "email and visits (positive integer) are required" });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(404).json({ error: `User not found: ${email}` });
+
+    const subscription = await Subscription.findOne({ user: user._id });
+    if (!subscription) return res.status(404).json({ error: "No subscription found for this user" });
+
+    if (campaignId) {
+      const campaign = await Campaign.findOne({ _id: campaignId, user: user._id });
+      if (!campaign) return res.status(404).json({ error: "Campaign not found for this user" });
+    }
+
+    const previousUsed = subscription.visitsUsed;
+    const entry = await visitLedger.refundVisits(subscription, parseInt(visits), {
+      campaign: campaignId || undefined,
+      createdBy: req.user.id,
+      description: note || "Admin refund",
+    });
+
+    logger.info("Admin refunded visits", {
+      adminId: req.user.id,
+      targetUser: email,
+      requested: parseInt(visits),
+      refunded: entry ? entry.amount : 0,
+      previousUsed,
+      campaignId,
+      note,
+    });
+
+    res.json({
+      ok: true,
+      message: `Refunded ${(entry ? entry.amount : 0).toLocaleString()} visits to ${email}`,
+      refunded: entry ? entry.amount : 0,
+      visitsUsed: subscription.visitsUsed,
+      availableVisits: subscription.visitsIncluded - subscription.visitsUsed,
+      entry,
+    });
+  } catch (error) {
+    logger.error("Admin refund-visits failed", { error: error.message });
+    res.status(500).json({ error: "Failed to refund visits", details: error.message });
+  }
+});
+
+/**
+ * Visit ledger for a user, with a reconciliation against subscription counters
+ * GET /api/admin/subscriptions/users/:userId/ledger
+ */
+router.get("/users/:userId/ledger", requireRole("admin"), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const user = await User.findById(userId).select("email firstName lastName");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const reconciliation = await visitLedger.reconcile(userId);
+    const { entries, pagination } = await visitLedger.getEntries(userId, {
+      page,
+      limit,
+      reason: req.query.reason,
+      campaign: req.query.campaignId,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.json({
+      ok: true,
+      user,
+      balance: reconciliation.ledgerBalance,
+      reconciliation,
+      entries,
+      pagination,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch visit ledger", {
+      userId: req.params.userId,
+      error: error.message,
+    });
+    res.status(500).json({ error: "Failed to fetch visit ledger", details: error.message });
+  }
+});
+
 module.exports = router;
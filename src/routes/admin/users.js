@@ -1,8 +1,12 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { requireRole } = require("../../middleware/auth");
 const Campaign = require("../../models/Campaign");
+const Session = require("../../models/Session");
 const User = require("../../models/User");
 const Subscription = require("../../models/Subscription");
+const sessionService = require("../../services/sessionService");
+const logger = require("../../utils/logger");
 
 const router = express.Router();
 
@@ -99,4 +103,114 @@ router.get("/:userId", requireRole("admin"), async (req, res) => {
   }
 });
 
+// Start a read-only "view as user" session for support. The returned token acts
+// as the user on GET routes only; every request made with it is audited.
+// Body: { reason, minutes } (minutes defaults to 30, at most 60)
+router.post("/:userId/impersonate", requireRole("admin"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (req.params.userId === String(req.user.id)) {
+      return res.status(400).json({ error: "You cannot impersonate yourself" });
+    }
+
+    const [admin, user] = await Promise.all([
+      User.findById(req.user.id).select("email role"),
+      User.findById(req.params.userId).select("email role"),
+    ]);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.role === "admin") {
+      return res.status(403).json({ error: "Admins cannot be impersonated" });
+    }
+
+    const minutes = parseInt(req.body.minutes) || 30;
+    const session = await sessionService.createImpersonationSession(admin, user, req, {
+      minutes,
+      reason: reason.trim(),
+    });
+
+    res.status(201).json({
+      ok: true,
+      ...session,
+      readOnly: true,
+      user: { id: user._id, email: user.email },
+      maxMinutes: sessionService.IMPERSONATION_MAX_MINUTES,
+    });
+  } catch (err) {
+    logger.error("Failed to start impersonation", {
+      userId: req.user.id,
+      impersonatedUserId: req.params.userId,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List impersonation sessions opened for a user, newest first
+router.get("/:userId/impersonations", requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const sessions = await Session.find({
+      user: req.params.userId,
+      impersonatedBy: { $exists: true },
+    })
+      .populate("impersonatedBy", "email")
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      ok: true,
+      impersonations: sessions.map((s) => ({
+        sessionId: s._id,
+        admin: s.impersonatedBy
+          ? { id: s.impersonatedBy._id, email: s.impersonatedBy.email }
+          : null,
+        reason: s.impersonationReason,
+        ip: s.ip,
+        active: s.isActive(),
+        createdAt: s.createdAt,
+        expiresAt: s.expiresAt,
+        revokedAt: s.revokedAt,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End an impersonation session before it expires
+router.delete(
+  "/:userId/impersonations/:sessionId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+        return res.status(404).json({ error: "Impersonation session not found" });
+      }
+      const result = await Session.updateOne(
+        {
+          _id: req.params.sessionId,
+          user: req.params.userId,
+          impersonatedBy: { $exists: true },
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date(), revokedReason: "impersonation_ended" } }
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ error: "Impersonation session not found" });
+      }
+      res.json({ ok: true, message: "Impersonation session ended" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 module.exports = router;
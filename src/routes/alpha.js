@@ -1,20 +1,34 @@
 const express = require("express");
-const { requireRole } = require("../middleware/auth");
+const mongoose = require("mongoose");
+const { requireRole, requireScope, requireVerifiedEmail } = require("../middleware/auth");
 const {
   checkSubscriptionAccess,
+  loadSubscription,
   checkFeatureAccess,
 } = require("../middleware/subscription");
 const Campaign = require("../models/Campaign");
+const CampaignTemplate = require("../models/CampaignTemplate");
+const BulkCampaignJob = require("../models/BulkCampaignJob");
 const AlphaTrafficData = require("../models/AlphaTrafficData");
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
 const vendors = require("../services/vendors");
+const visitLedger = require("../services/visitLedger");
 const {
   processSingleCampaignCredits,
   processAllCampaignCredits,
 } = require("../services/creditDeduction");
 const { generateCampaignReportPDF } = require("../services/reportService");
-const alphaTrafficTrackingService = require("../services/alphaTrafficTrackingService");
+const campaignScheduler = require("../services/campaignScheduler");
+const campaignBudget = require("../services/campaignBudget");
+const campaignTemplates = require("../services/campaignTemplates");
+const alphaCampaignActions = require("../services/alphaCampaignActions");
+const bulkCampaignJobs = require("../services/bulkCampaignJobs");
+const campaignImport = require("../services/campaignImport");
+const exportService = require("../services/exportService");
+const dailyStatsService = require("../services/dailyStats");
+const reportBranding = require("../services/reportBranding");
+const organizationService = require("../services/organizationService");
 const logger = require("../utils/logger");
 
 const router = express.Router();
@@ -26,51 +40,19 @@ async function fetchCampaignStats(campaign) {
   }
 
   try {
-    const axios = require("axios");
-    const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+    const { vendor, projectId } = vendors.forCampaign(campaign);
     const now = new Date();
     const createdDate = campaign.createdAt
       ? campaign.createdAt.toISOString().split("T")[0]
       : now.toISOString().split("T")[0];
 
     // Get stats data
-    const statsResp = await axios.post(
-      "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-      null,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          API_KEY,
-        },
-        params: {
-          unique_id: campaign.spark_traffic_project_id,
-          from: createdDate,
-          to: now.toISOString().split("T")[0],
-        },
-      }
-    );
-
-    if (statsResp.data) {
-      // Calculate total hits and visits
-      let totalHits = 0;
-      let totalVisits = 0;
-
-      if (Array.isArray(statsResp.data.hits)) {
-        statsResp.data.hits.forEach((hitData) => {
-          Object.values(hitData).forEach((count) => {
-            totalHits += parseInt(count) || 0;
-          });
-        });
-      }
-
-      if (Array.isArray(statsResp.data.visits)) {
-        statsResp.data.visits.forEach((visitData) => {
-          Object.values(visitData).forEach((count) => {
-            totalVisits += parseInt(count) || 0;
-          });
-        });
-      }
+    const stats = await vendor.getProjectStats(projectId, {
+      from: createdDate,
+      to: now.toISOString().split("T")[0],
+    });
 
+    if (stats) {
       // Get actual project details to fetch real speed
       let actualSpeed = campaign.state === "paused" ? 0 : 200; // Default fallback
 
@@ -81,21 +63,9 @@ async function fetchCampaignStats(campaign) {
       } else {
         // Fallback to API call if no stored speed
         try {
-          const projectResp = await axios.post(
-            "https://v2.sparktraffic.com/modify-website-traffic-project",
-            {
-              unique_id: campaign.spark_traffic_project_id,
-            },
-            {
-              headers: {
-                "Content-Type": "application/json",
-                API_KEY,
-              },
-            }
-          );
-
-          if (projectResp.data && projectResp.data.speed !== undefined) {
-            actualSpeed = projectResp.data.speed;
+          const project = await vendor.getProject(projectId);
+          if (project && project.speed !== undefined) {
+            actualSpeed = project.speed;
           }
         } catch (projectErr) {
           // Keep default speed if we can't fetch project details
@@ -103,9 +73,7 @@ async function fetchCampaignStats(campaign) {
       }
 
       return {
-        ...statsResp.data,
-        totalHits,
-        totalVisits,
+        ...stats,
         speed: actualSpeed,
       };
     }
@@ -120,56 +88,6 @@ async function fetchCampaignStats(campaign) {
   return null;
 }
 
-// Helper function to validate geo format
-function validateGeoFormat(geo) {
-  if (!Array.isArray(geo)) {
-    return { valid: false, error: "geo must be an array" };
-  }
-
-  if (geo.length === 0) {
-    return { valid: true }; // Empty array is valid
-  }
-
-  let totalPercent = 0;
-  for (const item of geo) {
-    // Check if it's the new format (objects with country and percent)
-    if (typeof item === "object" && item !== null) {
-      if (!item.country || typeof item.country !== "string") {
-        return {
-          valid: false,
-          error: "Each geo item must have a 'country' string field",
-        };
-      }
-      if (
-        typeof item.percent !== "number" ||
-        item.percent < 0 ||
-        item.percent > 1
-      ) {
-        return {
-          valid: false,
-          error:
-            "Each geo item must have a 'percent' number field between 0 and 1",
-        };
-      }
-      totalPercent += item.percent;
-    } else {
-      // Old format (strings) is not allowed for new campaigns
-      return {
-        valid: false,
-        error:
-          "geo items must be objects with 'country' and 'percent' fields. Old string format is no longer supported for new campaigns.",
-      };
-    }
-  }
-
-  // Allow some tolerance for floating point precision
-  if (Math.abs(totalPercent - 1) > 0.01) {
-    return { valid: false, error: "Total percentage must equal 1.0 (100%)" };
-  }
-
-  return { valid: true };
-}
-
 // Helper function to create clean campaign response (hiding implementation details)
 // Batch-fetch last-7-day daily hits/visits for a set of campaign IDs
 async function fetchDailyStatsBatch(campaignIds) {
@@ -232,6 +150,19 @@ function createCleanCampaignResponse(
     updatedAt: campaign.updatedAt,
     archived_at: campaign.archived_at,
     delete_eligible: campaign.delete_eligible,
+    schedule: {
+      startDate: campaign.start_date || null,
+      endDate: campaign.until_date || null,
+      timezone: campaign.timezone || "UTC",
+      hourlySchedule: campaign.hourly_schedule || null,
+      pausedBySchedule: !!campaign.schedule_paused,
+    },
+    budget: {
+      daily: campaign.budget?.daily ?? null,
+      weekly: campaign.budget?.weekly ?? null,
+      lifetime: campaign.budget?.lifetime ?? null,
+      pausedBy: campaign.budget_paused || null,
+    },
     // User-friendly status
     status:
       campaign.state === "paused"
@@ -256,350 +187,286 @@ function createCleanCampaignResponse(
   };
 }
 
+/**
+ * Create an Alpha campaign from a create payload and send the response.
+ * Shared by the create, create-from-template and clone routes.
+ * @param {Object} body - Create payload
+ * @param {Object} options - { templateId, clonedFrom } recorded in metadata
+ */
+async function createAlphaCampaign(req, res, body, options = {}) {
+  logger.campaign("Alpha campaign creation started", {
+    userId: req.user.id,
+    vendor: "sparkTraffic",
+    url: body.url,
+    subscription: {
+      planName: req.subscription.planName,
+      currentCampaigns: req.subscription.currentCampaigns,
+      campaignLimit: req.subscription.campaignLimit,
+    },
+  });
+
+  try {
+    // Campaigns are billed to the organization owner's subscription
+    const result = await alphaCampaignActions.createCampaign(body, {
+      organizationId: req.organization._id,
+      ownerId: organizationService.billingUserId(req),
+      createdBy: req.user.id,
+      ...options,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, ...result.details });
+    }
+
+    const { campaign, subscription, speed } = result;
+    return res.json({
+      ok: true,
+      campaign: createCleanCampaignResponse(campaign, true, {
+        totalHits: 0,
+        totalVisits: 0,
+        speed, // Use the actual speed from the request
+        status: "active",
+        dailyHits: [],
+        dailyVisits: [],
+      }),
+      subscription: {
+        planName: subscription.planName,
+        visitsUsed: subscription.visitsUsed,
+        visitsIncluded: subscription.visitsIncluded,
+        visitsRemaining: subscription.visitsIncluded - subscription.visitsUsed,
+      },
+      message: "Alpha campaign created successfully",
+      vendor: "sparkTraffic",
+    });
+  } catch (err) {
+    logger.error("Alpha campaign creation failed", {
+      userId: req.user.id,
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // Create Alpha campaign (SparkTraffic only) - WITH SUBSCRIPTION CHECK
 router.post(
   "/campaigns",
-  requireRole(),
+  requireScope("campaigns:write"),
+  requireVerifiedEmail,
   checkSubscriptionAccess,
-  async (req, res) => {
-    logger.campaign("Alpha campaign creation started", {
-      userId: req.user.id,
-      vendor: "sparkTraffic",
-      url: req.body.url,
-      subscription: {
-        planName: req.subscription.planName,
-        currentCampaigns: req.subscription.currentCampaigns,
-        campaignLimit: req.subscription.campaignLimit,
-      },
-    });
+  (req, res) => createAlphaCampaign(req, res, req.body)
+);
 
+// Import Alpha campaigns from CSV (text/csv body, or { csv }) or JSON ({ rows: [...] })
+// ?dryRun=true validates every row without creating anything
+router.post(
+  "/campaigns/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  requireScope("campaigns:write"),
+  requireVerifiedEmail,
+  checkSubscriptionAccess,
+  async (req, res) => {
     try {
-      const userId = req.user.id;
-      const body = req.body;
-
-      // Basic validation
-      if (!body.url || typeof body.url !== "string" || !body.url.trim()) {
-        logger.error("Invalid URL provided", { userId, url: body.url });
-        return res.status(400).json({ error: "url required" });
-      }
-
-      // Validate geo format if provided
-      if (body.geo) {
-        const geoValidation = validateGeoFormat(body.geo);
-        if (!geoValidation.valid) {
-          logger.error("Invalid geo format", {
-            userId,
-            geo: body.geo,
-            error: geoValidation.error,
-          });
-          return res.status(400).json({ error: geoValidation.error });
-        }
-      }
-
-      // Check subscription before creating campaign
-      const user = await User.findById(userId);
-      if (!user) {
-        logger.error("User not found", { userId });
-        return res.status(404).json({ error: "User not found" });
-      }
+      const parsed = campaignImport.parseRows(req.body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const dryRun = req.query.dryRun === "true" || req.body?.dryRun === true;
+      const report = await campaignImport.importRows(parsed.rows, req.subscription, {
+        dryRun,
+        organizationId: req.organization._id,
+        ownerId: organizationService.billingUserId(req),
+        createdBy: req.user.id,
+      });
 
-      // Get user's subscription
-      const subscription = await Subscription.findOne({ user: userId });
-      if (!subscription) {
-        logger.error("No subscription found for user", { userId, userEmail: user.email });
-        return res.status(404).json({ error: "No subscription found. Please subscribe to create campaigns." });
-      }
+      res.json({
+        ok: true,
+        dryRun,
+        summary: report.summary,
+        rows: report.rows,
+      });
+    } catch (err) {
+      logger.error("Alpha campaign import failed", {
+        userId: req.user.id,
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
-      // Check if subscription is active
-      if (subscription.status !== "active" && subscription.status !== "trialing") {
-        logger.warn("Inactive subscription for Alpha campaign", {
-          userId,
-          userEmail: user.email,
-          subscriptionStatus: subscription.status,
-        });
-        return res.status(400).json({
-          error: "Subscription is not active",
-          status: subscription.status,
-          message: "Please activate your subscription to create campaigns.",
-        });
+// Create Alpha campaign from a saved template; body fields override the template
+router.post(
+  "/campaigns/from-template/:templateId",
+  requireScope("campaigns:write"),
+  requireVerifiedEmail,
+  checkSubscriptionAccess,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.templateId)) {
+        return res.status(404).json({ error: "Template not found" });
       }
-
-      // Check if user has available visits in their subscription
-      const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
-      const requiredHits = body.maxHits || 5;
-      
-      if (availableVisits < requiredHits) {
-        logger.warn("Insufficient subscription visits for Alpha campaign", {
-          userId,
-          userEmail: user.email,
-          requiredVisits: requiredHits,
-          availableVisits,
-          visitsUsed: subscription.visitsUsed,
-          visitsIncluded: subscription.visitsIncluded,
-        });
-        return res.status(400).json({
-          error: "Insufficient visits in subscription",
-          required: requiredHits,
-          available: availableVisits,
-          visitsUsed: subscription.visitsUsed,
-          visitsIncluded: subscription.visitsIncluded,
-          message: "Your subscription does not have enough visits remaining. Please upgrade your plan.",
-        });
+      const template = await CampaignTemplate.findOne({
+        _id: req.params.templateId,
+        ...organizationService.organizationFilter(req),
+      });
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
       }
 
-      // Ensure required fields have default values
-      if (body.is_adult === undefined) body.is_adult = false;
-      if (body.is_coin_mining === undefined) body.is_coin_mining = false;
-
-      // Default payload for campaign creation
-      const defaultPayload = {
-        title: "Alpha Campaign",
-        urls: [],
-        duration: [5, 15],
-        referrers: { mode: "basic", urls: [] },
-        platform: { usage: { system: 100, fixed: 0, custom: 0 } },
-        macros: "",
-        popupMacros: "",
-        connectionTypes: ["system"],
-        geo: { rule: "any", by: "country", codes: [] },
-        capping: { type: "own", value: 3600 },
-        maxHits: 5,
-        maxPopups: 0,
-        allowProxy: true,
-        allowIPv6: true,
-        bypassCf: false,
-        similarWebEnabled: false,
-        fingerprintSpoof: false,
-        userState: "running",
-      };
-
-      // Merge user input with defaults (user input takes precedence)
-      const merged = { ...defaultPayload, ...req.body };
-
-      // SparkTraffic integration (always use SparkTraffic for Alpha)
-      const vendor = vendors.sparkTraffic;
-
-      // Build SparkTraffic payload following exact API documentation
-      const sparkPayload = {
-        unique_id: merged.unique_id || undefined,
-        created_at: merged.created_at || Date.now(),
-        expires_at: merged.expires_at || 0,
-        title: merged.title,
-        size: merged.size || "eco", // Use provided size or default to eco
-        multiplier: merged.multiplier || 0,
-        speed: merged.speed || 200,
-        traffic_type: merged.traffic_type || "direct",
-        keywords: merged.keywords || "",
-        referrers:
-          merged.referrers && merged.referrers.urls
-            ? merged.referrers.urls.join(",")
-            : "",
-        social_links: merged.social_links || "",
-        languages: merged.languages || "",
-        bounce_rate: merged.bounce_rate || 0,
-        return_rate: merged.return_rate || 0,
-        click_outbound_events: merged.click_outbound_events || 0,
-        form_submit_events: merged.form_submit_events || 0,
-        scroll_events: merged.scroll_events || 0,
-        time_on_page: merged.time_on_page || "5sec",
-        desktop_rate: merged.desktop_rate || 0,
-        auto_renew: merged.auto_renew || "true",
-        geo_type: merged.geo_type || "global",
-        geo: merged.geo ? JSON.stringify(merged.geo) : "",
-        shortener: merged.shortener || "",
-        rss_feed: merged.rss_feed || "",
-        ga_id: merged.ga_id || "",
-      };
-
-      // Handle URLs in SparkTraffic format (urls-1, urls-2, etc.)
-      // Take single URL and populate urls-1, urls-2, urls-3 with the same URL
-      const sparkTrafficUrls = {};
-
-      if (merged.url) {
-        // Use the same URL for urls-1, urls-2, and urls-3
-        sparkPayload["urls-1"] = merged.url;
-        sparkPayload["urls-2"] = merged.url;
-        sparkPayload["urls-3"] = merged.url;
+      return createAlphaCampaign(
+        req,
+        res,
+        { ...template.settings, ...req.body },
+        { templateId: template._id }
+      );
+    } catch (err) {
+      logger.error("Alpha campaign creation from template failed", {
+        userId: req.user.id,
+        templateId: req.params.templateId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
-        sparkTrafficUrls["urls-1"] = merged.url;
-        sparkTrafficUrls["urls-2"] = merged.url;
-        sparkTrafficUrls["urls-3"] = merged.url;
+// Duplicate an Alpha campaign into a new SparkTraffic project; body fields override
+router.post(
+  "/campaigns/:id/clone",
+  requireScope("campaigns:write"),
+  requireVerifiedEmail,
+  checkSubscriptionAccess,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: "Alpha campaign not found" });
       }
-
-      // If user provides individual URL fields, respect those
-      for (let i = 1; i <= 11; i++) {
-        const urlField = `urls-${i}`;
-        if (merged[urlField]) {
-          sparkPayload[urlField] = merged[urlField];
-          sparkTrafficUrls[urlField] = merged[urlField];
-        }
+      const source = await Campaign.findById(req.params.id);
+      if (!source || !source.spark_traffic_project_id) {
+        return res.status(404).json({ error: "Alpha campaign not found" });
       }
-
-      // Handle legacy urls array format (but prioritize single URL approach)
-      if (merged.urls && Array.isArray(merged.urls) && !merged.url) {
-        merged.urls.forEach((url, index) => {
-          if (index < 11 && url && url.trim()) {
-            const urlKey = `urls-${index + 1}`;
-            sparkPayload[urlKey] = url.trim();
-            sparkTrafficUrls[urlKey] = url.trim();
-          }
+      if (!organizationService.canAccess(req, source)) {
+        logger.warn("Unauthorized Alpha clone attempt", {
+          userId: req.user.id,
+          campaignId: req.params.id,
+          campaignOwner: source.user.toString(),
         });
+        return res.status(403).json({ error: "Forbidden" });
       }
 
-      try {
-        const vendorResp = await vendor.createProject(sparkPayload);
-        logger.campaign("Alpha SparkTraffic campaign created", {
-          userId,
-          projectId: vendorResp["new-id"] || vendorResp.id,
-          title: sparkPayload.title,
-        });
-
-        // Immediately resume the campaign if it was created in paused state
-        let resumeResp = null;
-        if (vendorResp && vendorResp["new-id"]) {
-          try {
-            // Call the resume endpoint for SparkTraffic
-            const axios = require("axios");
-            const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-            resumeResp = await axios.post(
-              "https://v2.sparktraffic.com/resume-website-traffic-project",
-              { id: vendorResp["new-id"] },
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  API_KEY,
-                },
-              }
-            );
-          } catch (resumeErr) {
-            resumeResp = { error: resumeErr.message };
-          }
-        }
-
-        // Save to DB with proper geo format handling
-        const projectId =
-          vendorResp["new-id"] || vendorResp.id || vendorResp.project_id;
-
-        // Handle countries/geo data properly for both old and new formats
-        let countriesData = [];
-        if (merged.geo) {
-          if (Array.isArray(merged.geo)) {
-            // New format: array of objects with country and percent
-            countriesData = merged.geo;
-          } else if (merged.geo.codes && Array.isArray(merged.geo.codes)) {
-            // Old format: geo object with codes array
-            countriesData = merged.geo.codes;
-          }
-        } else if (merged.countries) {
-          // Direct countries field
-          countriesData = merged.countries;
-        }
-
-        const camp = new Campaign({
-          user: userId,
-          title: sparkPayload.title,
-          urls: merged.urls || [], // Keep for backward compatibility
-          duration_min: merged.duration[0],
-          duration_max: merged.duration[1],
-          countries: countriesData,
-          rule: merged.rule || "any",
-          macros: merged.macros,
-          is_adult: merged.is_adult,
-          is_coin_mining: merged.is_coin_mining,
-          spark_traffic_project_id: projectId,
-          state: "created",
-          metadata: {
-            ...body.metadata,
-            vendor: "sparkTraffic",
-            route: "alpha",
-            sparkTrafficUrls: sparkTrafficUrls, // Store the URL mapping
-            currentSpeed: sparkPayload.speed || 200, // Store the current speed
-          },
-          spark_traffic_data: vendorResp,
-        });
-
-        await camp.save();
-
-        logger.campaign("Alpha campaign saved with metadata", {
-          userId,
-          campaignId: camp._id,
-          storedSpeed: camp.metadata?.currentSpeed,
-          sparkPayloadSpeed: sparkPayload.speed,
-          mergedSpeed: merged.speed,
-          requestBodySpeed: req.body.speed,
-        });
-
-        // Note: No immediate deduction - visits will be deducted by creditDeduction service as traffic is delivered
-
-        // Initialize Alpha traffic tracking for the new campaign
-        try {
-          await alphaTrafficTrackingService.initializeAlphaTrafficTracking(
-            camp._id.toString(),
-            projectId
-          );
-          logger.campaign("Alpha traffic tracking initialized", {
-            userId,
-            campaignId: camp._id,
-            sparkTrafficProjectId: projectId,
-          });
-        } catch (trackingErr) {
-          logger.error("Failed to initialize Alpha traffic tracking", {
-            userId,
-            campaignId: camp._id,
-            sparkTrafficProjectId: projectId,
-            error: trackingErr.message,
-          });
-          // Don't fail the campaign creation if tracking initialization fails
-        }
-
-        logger.campaign("Alpha campaign created successfully", {
-          userId,
-          campaignId: camp._id,
-          sparkTrafficProjectId: projectId,
-          subscriptionPlan: subscription.planName,
-          visitsRemaining: subscription.visitsIncluded - subscription.visitsUsed,
-        });
-
-        return res.json({
-          ok: true,
-          campaign: createCleanCampaignResponse(camp, true, {
-            totalHits: 0,
-            totalVisits: 0,
-            speed: sparkPayload.speed, // Use the actual speed from the request
-            status: "active",
-            dailyHits: [],
-            dailyVisits: [],
-          }),
-          subscription: {
-            planName: subscription.planName,
-            visitsUsed: subscription.visitsUsed,
-            visitsIncluded: subscription.visitsIncluded,
-            visitsRemaining: subscription.visitsIncluded - subscription.visitsUsed,
-          },
-          message: "Alpha campaign created successfully",
-          vendor: "sparkTraffic",
-        });
-      } catch (err) {
-        logger.error("Alpha SparkTraffic campaign creation failed", {
-          userId,
-          error: err.message,
-          stack: err.stack,
-        });
-        return res.status(500).json({ error: err.message });
-      }
+      const settings = campaignTemplates.settingsFromCampaign(source);
+      return createAlphaCampaign(
+        req,
+        res,
+        { ...settings, title: `${settings.title || "Alpha Campaign"} (copy)`, ...req.body },
+        { clonedFrom: source._id }
+      );
     } catch (err) {
-      logger.error("Alpha campaign creation failed", {
+      logger.error("Alpha campaign clone failed", {
         userId: req.user.id,
+        campaignId: req.params.id,
         error: err.message,
-        stack: err.stack,
       });
       res.status(500).json({ error: err.message });
     }
   }
 );
 
+function formatBulkJob(job, { includeResults = true } = {}) {
+  const processed = job.succeeded + job.failed;
+  return {
+    id: job._id,
+    action: job.action,
+    status: job.status,
+    total: job.total,
+    processed,
+    succeeded: job.succeeded,
+    failed: job.failed,
+    progress: job.total ? Math.round((processed / job.total) * 100) : 100,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    ...(includeResults && {
+      results: job.results.map((r) => ({
+        campaignId: r.campaign,
+        title: r.title,
+        status: r.status,
+        statusCode: r.statusCode,
+        error: r.error,
+        finishedAt: r.finishedAt,
+      })),
+    }),
+  };
+}
+
+// Start a bulk pause/resume/modify/archive job over Alpha campaigns
+// Body: { action, campaignIds: [...] | filter: { state, q, archived }, payload }
+router.post("/campaigns/bulk", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const result = await bulkCampaignJobs.createJob(req.organization, req.user.id, req.body);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    // Runs in the background; the sync worker picks it up if this instance stops
+    bulkCampaignJobs.processJob(result.job._id).catch((err) => {
+      logger.error("Bulk campaign job failed", {
+        userId: req.user.id,
+        jobId: result.job._id,
+        error: err.message,
+      });
+    });
+
+    res.status(202).json({
+      ok: true,
+      job: formatBulkJob(result.job, { includeResults: false }),
+    });
+  } catch (err) {
+    logger.error("Bulk campaign job creation failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List recent bulk jobs of the organization
+router.get("/campaigns/bulk", requireScope("campaigns:read"), async (req, res) => {
+  try {
+    const jobs = await BulkCampaignJob.find(organizationService.organizationFilter(req))
+      .select("-results -payload")
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json({
+      ok: true,
+      jobs: jobs.map((job) => formatBulkJob(job, { includeResults: false })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bulk job progress with per-campaign results
+router.get("/campaigns/bulk/:jobId", requireScope("campaigns:read"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({ error: "Bulk job not found" });
+    }
+    const job = await BulkCampaignJob.findOne({
+      _id: req.params.jobId,
+      ...organizationService.organizationFilter(req),
+    });
+    if (!job) return res.status(404).json({ error: "Bulk job not found" });
+    res.json({ ok: true, job: formatBulkJob(job) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get Alpha campaigns with time range filtering (SparkTraffic only)
-router.get("/campaigns/filter", requireRole(), async (req, res) => {
+router.get("/campaigns/filter", requireScope("campaigns:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const { timeRange = "7d" } = req.query;
@@ -636,7 +503,7 @@ router.get("/campaigns/filter", requireRole(), async (req, res) => {
 
     // Build query filters - only SparkTraffic campaigns within time range
     const query = {
-      user: userId,
+      ...organizationService.organizationFilter(req),
       spark_traffic_project_id: { $exists: true, $ne: null },
       createdAt: { $gte: startDate, $lte: now },
     };
@@ -736,10 +603,10 @@ router.get("/campaigns/filter", requireRole(), async (req, res) => {
 });
 
 // Get archived Alpha campaigns - MUST BE BEFORE /:id route
-router.get("/campaigns/archived", requireRole(), async (req, res) => {
+router.get("/campaigns/archived", requireScope("campaigns:read"), async (req, res) => {
   try {
     const archivedCampaigns = await Campaign.find({
-      user: req.user.id,
+      ...organizationService.organizationFilter(req),
       spark_traffic_project_id: { $exists: true, $ne: null },
       is_archived: true,
     }).sort({ archived_at: -1 }).lean();
@@ -783,7 +650,7 @@ router.get("/campaigns/archived", requireRole(), async (req, res) => {
 });
 
 // Restore an archived Alpha campaign — recreates the project on SparkTraffic
-router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
+router.post("/campaigns/:id/restore", requireScope("campaigns:write"), async (req, res) => {
   try {
     logger.info("Alpha restore requested", { userId: req.user.id, campaignId: req.params.id });
 
@@ -792,7 +659,7 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -800,8 +667,8 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
       return res.status(400).json({ error: "Campaign is not archived" });
     }
 
-    // Check subscription
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    // Check the subscription that pays for the campaign
+    const subscription = await Subscription.findOne({ user: c.user });
     if (!subscription) {
       return res.status(400).json({ error: "No active subscription found." });
     }
@@ -811,7 +678,7 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
 
     // Check campaign limit — count active (non-archived) campaigns
     const activeCampaignCount = await Campaign.countDocuments({
-      user: req.user.id,
+      user: c.user,
       $or: [{ is_archived: { $exists: false } }, { is_archived: false }],
     });
     if (activeCampaignCount >= subscription.campaignLimit) {
@@ -823,7 +690,7 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
     }
 
     // Check available visits
-    const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
+    const availableVisits = await visitLedger.getAvailableVisits(subscription);
     if (availableVisits <= 0) {
       return res.status(400).json({
         error: "Insufficient visits in your subscription to restore this campaign.",
@@ -832,20 +699,13 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
       });
     }
 
-    const axios = require("axios");
-    const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+    const vendor = vendors.getVendor("sparkTraffic");
     const resumeSpeed = (c.spark_traffic_data?.speed) || 200;
 
     // Step 1: Check if the project still exists on SparkTraffic
     let projectStillExists = false;
     try {
-      const allProjectsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-all-website-traffic-projects",
-        { filters: [] },
-        { headers: { "Content-Type": "application/json", API_KEY }, timeout: 10000 }
-      );
-      const activeIds = allProjectsResp.data;
-      projectStillExists = Array.isArray(activeIds) && activeIds.includes(c.spark_traffic_project_id);
+      projectStillExists = await vendor.projectExists(c.spark_traffic_project_id);
       logger.info("Alpha restore: project existence check", {
         campaignId: c._id,
         sparkProjectId: c.spark_traffic_project_id,
@@ -859,11 +719,7 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
     if (projectStillExists) {
       // Project still exists — just resume it (set speed)
       try {
-        await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          { unique_id: c.spark_traffic_project_id, speed: resumeSpeed },
-          { headers: { "Content-Type": "application/json", API_KEY }, timeout: 10000 }
-        );
+        await vendor.resumeProject(c.spark_traffic_project_id, { speed: resumeSpeed });
       } catch (resumeErr) {
         logger.error("Alpha restore: resume existing project failed", { campaignId: c._id, error: resumeErr.message });
         return res.status(502).json({ error: "Failed to resume campaign. Please try again." });
@@ -929,13 +785,9 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
 
     let newProjectId;
     try {
-      const createResp = await axios.post(
-        "https://v2.sparktraffic.com/add-website-traffic-project",
-        sparkPayload,
-        { headers: { "Content-Type": "application/json", API_KEY }, timeout: 15000 }
-      );
-      logger.info("Alpha restore: SparkTraffic create response", { data: createResp.data });
-      newProjectId = createResp.data?.["new-id"] || createResp.data?.id;
+      const createResp = await vendor.createProject(sparkPayload);
+      logger.info("Alpha restore: SparkTraffic create response", { data: createResp });
+      newProjectId = createResp.id;
       if (!newProjectId) {
         return res.status(502).json({ error: "Failed to recreate campaign. Please try again." });
       }
@@ -955,6 +807,7 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
     c.credit_deduction_enabled = true;
     c.last_stats_check = null;
     c.total_hits_counted = 0;
+    c.hits_counter_epoch = (c.hits_counter_epoch || 0) + 1;
     c.total_visits_counted = 0;
     if (c.metadata) { c.metadata.currentSpeed = resumeSpeed; } else { c.metadata = { currentSpeed: resumeSpeed }; }
     await c.save();
@@ -980,7 +833,7 @@ router.post("/campaigns/:id/restore", requireRole(), async (req, res) => {
 });
 
 // Get all Alpha campaigns for authenticated user (SparkTraffic only)
-router.get("/campaigns", requireRole(), async (req, res) => {
+router.get("/campaigns", requireScope("campaigns:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
@@ -989,7 +842,7 @@ router.get("/campaigns", requireRole(), async (req, res) => {
 
     // Build query filters - only SparkTraffic campaigns
     const query = {
-      user: userId,
+      ...organizationService.organizationFilter(req),
       spark_traffic_project_id: { $exists: true, $ne: null },
     };
 
@@ -1086,7 +939,7 @@ router.get("/campaigns", requireRole(), async (req, res) => {
 });
 
 // Get Alpha campaign by ID
-router.get("/campaigns/:id", requireRole(), async (req, res) => {
+router.get("/campaigns/:id", requireScope("campaigns:read"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -1106,7 +959,7 @@ router.get("/campaigns/:id", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found in Alpha" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized Alpha campaign access attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1128,8 +981,7 @@ router.get("/campaigns/:id", requireRole(), async (req, res) => {
     // Fetch SparkTraffic stats
     let vendorStats = null;
     try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+      const vendor = vendors.getVendor("sparkTraffic");
 
       // Try to get specific project stats
       const now = new Date();
@@ -1138,41 +990,15 @@ router.get("/campaigns/:id", requireRole(), async (req, res) => {
         : now.toISOString().split("T")[0];
 
       // Get stats data
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: createdDate,
-            to: now.toISOString().split("T")[0],
-          },
-        }
-      );
+      const stats = await vendor.getProjectStats(c.spark_traffic_project_id, {
+        from: createdDate,
+        to: now.toISOString().split("T")[0],
+      });
 
       // Get actual project details to fetch real speed and settings
       let projectDetails = null;
       try {
-        const projectResp = await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          {
-            unique_id: c.spark_traffic_project_id,
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-          }
-        );
-
-        if (projectResp.data && projectResp.data.speed !== undefined) {
-          projectDetails = projectResp.data;
-        }
+        projectDetails = await vendor.getProject(c.spark_traffic_project_id);
       } catch (projectErr) {
         logger.warn("Failed to fetch project details via modify endpoint", {
           campaignId: req.params.id,
@@ -1181,31 +1007,9 @@ router.get("/campaigns/:id", requireRole(), async (req, res) => {
         });
       }
 
-      if (statsResp.data) {
-        // Calculate total hits from stats
-        let totalHits = 0;
-        let totalVisits = 0;
-
-        if (Array.isArray(statsResp.data.hits)) {
-          statsResp.data.hits.forEach((hitData) => {
-            Object.values(hitData).forEach((count) => {
-              totalHits += parseInt(count) || 0;
-            });
-          });
-        }
-
-        if (Array.isArray(statsResp.data.visits)) {
-          statsResp.data.visits.forEach((visitData) => {
-            Object.values(visitData).forEach((count) => {
-              totalVisits += parseInt(count) || 0;
-            });
-          });
-        }
-
+      if (stats) {
         vendorStats = {
-          ...statsResp.data,
-          totalHits,
-          totalVisits,
+          ...stats,
           speed:
             projectDetails?.speed !== undefined
               ? projectDetails.speed
@@ -1261,7 +1065,7 @@ router.get("/campaigns/:id", requireRole(), async (req, res) => {
 });
 
 // Pause Alpha campaign
-router.post("/campaigns/:id/pause", requireRole(), async (req, res) => {
+router.post("/campaigns/:id/pause", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c || !c.spark_traffic_project_id) {
@@ -1272,7 +1076,7 @@ router.post("/campaigns/:id/pause", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Alpha campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized Alpha pause attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1281,57 +1085,14 @@ router.post("/campaigns/:id/pause", requireRole(), async (req, res) => {
       return res.status(403).json({ error: "Forbidden" });
     }
 
-    let vendorResp = null;
-    try {
-      // Pause by setting speed to 0 using modify-website-traffic-project endpoint
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-      vendorResp = await axios.post(
-        "https://v2.sparktraffic.com/modify-website-traffic-project",
-        {
-          unique_id: c.spark_traffic_project_id,
-          speed: 0,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-        }
-      );
-      logger.campaign("Alpha campaign paused", {
-        userId: req.user.id,
-        campaignId: c._id,
-        vendor: "sparkTraffic",
-      });
-    } catch (err) {
-      logger.error("Alpha SparkTraffic pause failed", {
-        userId: req.user.id,
-        campaignId: c._id,
-        sparkTrafficProjectId: c.spark_traffic_project_id,
-        error: err.message,
-      });
-      vendorResp = { error: err.message };
-    }
-
-    c.state = "paused";
-    // Update stored speed in metadata
-    if (c.metadata) {
-      c.metadata.currentSpeed = 0;
-    } else {
-      c.metadata = { currentSpeed: 0 };
-    }
-    await c.save();
+    const { vendorResp } = await alphaCampaignActions.pauseCampaign(c, {
+      userId: req.user.id,
+    });
 
     return res.json({
       ok: true,
       campaign: createCleanCampaignResponse(c),
-      vendorResp:
-        vendorResp && vendorResp.data
-          ? vendorResp.data
-          : vendorResp && vendorResp.error
-            ? { error: vendorResp.error }
-            : vendorResp,
+      vendorResp,
     });
   } catch (err) {
     logger.error("Alpha campaign pause failed", {
@@ -1345,7 +1106,7 @@ router.post("/campaigns/:id/pause", requireRole(), async (req, res) => {
 });
 
 // Resume Alpha campaign
-router.post("/campaigns/:id/resume", requireRole(), async (req, res) => {
+router.post("/campaigns/:id/resume", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id).populate("user");
     if (!c || !c.spark_traffic_project_id) {
@@ -1356,7 +1117,7 @@ router.post("/campaigns/:id/resume", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Alpha campaign not found" });
     }
 
-    if (c.user._id.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized Alpha resume attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1365,141 +1126,17 @@ router.post("/campaigns/:id/resume", requireRole(), async (req, res) => {
       return res.status(403).json({ error: "Forbidden" });
     }
 
-    // Check if user has sufficient subscription visits before resuming
-    const subscription = await Subscription.findOne({ user: c.user._id });
-    if (!subscription) {
-      logger.warn("Cannot resume Alpha campaign - no subscription found", {
-        userId: req.user.id,
-        campaignId: req.params.id,
-      });
-      return res.status(400).json({
-        error: "Cannot resume campaign - no subscription found",
-      });
-    }
-
-    // Check if subscription is active
-    if (subscription.status !== "active" && subscription.status !== "trialing") {
-      logger.warn("Cannot resume Alpha campaign - subscription not active", {
-        userId: req.user.id,
-        campaignId: req.params.id,
-        subscriptionStatus: subscription.status,
-      });
-      return res.status(400).json({
-        error: "Cannot resume campaign - subscription is not active",
-        status: subscription.status,
-      });
-    }
-
-    // Check if user has available visits
-    const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
-    if (availableVisits <= 0) {
-      logger.warn("Cannot resume Alpha campaign - insufficient visits", {
-        userId: req.user.id,
-        campaignId: req.params.id,
-        visitsUsed: subscription.visitsUsed,
-        visitsIncluded: subscription.visitsIncluded,
-      });
-      return res.status(400).json({
-        error: "Cannot resume campaign - insufficient visits in subscription",
-        visitsUsed: subscription.visitsUsed,
-        visitsIncluded: subscription.visitsIncluded,
-        message: "Please upgrade your subscription plan to resume this campaign.",
-      });
-    }
-
-    const axios = require("axios");
-    const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
-    // Step 1: Fetch all non-deleted project IDs and verify this one still exists
-    try {
-      const allProjectsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-all-website-traffic-projects",
-        { filters: [] },
-        {
-          headers: { "Content-Type": "application/json", API_KEY },
-          timeout: 10000,
-        }
-      );
-
-      const activeIds = allProjectsResp.data;
-      logger.info("SparkTraffic active project IDs fetched", {
-        campaignId: c._id,
-        sparkProjectId: c.spark_traffic_project_id,
-        totalActive: Array.isArray(activeIds) ? activeIds.length : "non-array",
-        projectFound: Array.isArray(activeIds) && activeIds.includes(c.spark_traffic_project_id),
-      });
-
-        if (!Array.isArray(activeIds) || !activeIds.includes(c.spark_traffic_project_id)) {
-        logger.error("Alpha campaign not found in SparkTraffic active projects", {
-          userId: req.user.id,
-          campaignId: c._id,
-          sparkProjectId: c.spark_traffic_project_id,
-        });
-        c.state = "archived";
-        c.userState = "archived";
-        c.is_archived = true;
-        c.archived_at = new Date();
-        await c.save();
-        return res.status(400).json({
-          error: "This campaign no longer exists and has been archived.",
-        });
-      }
-    } catch (checkErr) {
-      logger.error("SparkTraffic project list fetch failed", {
-        userId: req.user.id,
-        campaignId: c._id,
-        error: checkErr.message,
-      });
-      return res.status(502).json({
-        error: "Could not verify campaign status. Please try again.",
-      });
-    }
-
-    // Step 2: Project confirmed — resume at the campaign's configured speed
-    const resumeSpeed = c.metadata?.currentSpeed || c.spark_traffic_data?.speed || 200;
-    let vendorResp = null;
-    try {
-      vendorResp = await axios.post(
-        "https://v2.sparktraffic.com/modify-website-traffic-project",
-        { unique_id: c.spark_traffic_project_id, speed: resumeSpeed },
-        {
-          headers: { "Content-Type": "application/json", API_KEY },
-          timeout: 10000,
-        }
-      );
-    } catch (err) {
-      logger.error("Alpha SparkTraffic resume (set speed) failed", {
-        userId: req.user.id,
-        campaignId: c._id,
-        error: err.message,
-      });
-      return res.status(502).json({
-        error: "Failed to resume campaign. Please try again.",
-      });
-    }
-
-    // Step 3: Both confirmed — update local state
-    c.state = "ok";
-    c.userState = "running";
-    c.credit_deduction_enabled = true;
-    if (c.metadata) {
-      c.metadata.currentSpeed = resumeSpeed;
-    } else {
-      c.metadata = { currentSpeed: resumeSpeed };
-    }
-    await c.save();
-
-    logger.campaign("Alpha campaign resumed", {
+    const result = await alphaCampaignActions.resumeCampaign(c, {
       userId: req.user.id,
-      campaignId: c._id,
-      vendor: "sparkTraffic",
-      speed: resumeSpeed,
     });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, ...result.details });
+    }
 
     return res.json({
       ok: true,
       campaign: createCleanCampaignResponse(c),
-      vendorResp: vendorResp?.data || null,
+      vendorResp: result.vendorResp,
     });
   } catch (err) {
     logger.error("Alpha campaign resume failed", {
@@ -1513,7 +1150,7 @@ router.post("/campaigns/:id/resume", requireRole(), async (req, res) => {
 });
 
 // Update Alpha campaign
-router.post("/campaigns/:id/modify", requireRole(), async (req, res) => {
+router.post("/campaigns/:id/modify", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c || !c.spark_traffic_project_id) {
@@ -1524,7 +1161,7 @@ router.post("/campaigns/:id/modify", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Alpha campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized Alpha modify attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1533,182 +1170,12 @@ router.post("/campaigns/:id/modify", requireRole(), async (req, res) => {
       return res.status(403).json({ error: "Forbidden" });
     }
 
-    // Update fields locally
-    const updatable = [
-      "title",
-      "urls",
-      "duration_min",
-      "duration_max",
-      "countries",
-      "rule",
-      "macros",
-      "is_adult",
-      "is_coin_mining",
-      "metadata",
-    ];
-
-    // Handle geo mapping to countries for MongoDB storage
-    if (req.body.geo) {
-      // Map geo to countries for MongoDB storage
-      req.body.countries = req.body.geo;
-
-      // Validate geo format
-      const geoValidation = validateGeoFormat(req.body.geo);
-      if (!geoValidation.valid) {
-        logger.error("Invalid geo format in Alpha modify", {
-          userId: req.user.id,
-          campaignId: req.params.id,
-          geo: req.body.geo,
-          error: geoValidation.error,
-        });
-        return res.status(400).json({ error: geoValidation.error });
-      }
-    }
-
-    // Validate geo format if countries is provided directly
-    if (req.body.countries) {
-      const geoValidation = validateGeoFormat(req.body.countries);
-      if (!geoValidation.valid) {
-        logger.error("Invalid geo format in Alpha modify", {
-          userId: req.user.id,
-          campaignId: req.params.id,
-          geo: req.body.countries,
-          error: geoValidation.error,
-        });
-        return res.status(400).json({ error: geoValidation.error });
-      }
-    }
-
-    updatable.forEach((f) => {
-      if (req.body[f] !== undefined) c[f] = req.body[f];
-    });
-
-    // Update metadata to maintain Alpha route info and store current speed
-    c.metadata = {
-      ...c.metadata,
-      ...req.body.metadata,
-      route: "alpha",
-      ...(req.body.speed !== undefined && { currentSpeed: req.body.speed }),
-    };
-
-    // Update on SparkTraffic
-    let vendorResp = null;
-    try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
-      // Build SparkTraffic modify payload
-      const modifyPayload = {
-        unique_id: c.spark_traffic_project_id,
-      };
-
-      // Map fields exactly as per SparkTraffic documentation
-      if (req.body.created_at !== undefined)
-        modifyPayload.created_at = req.body.created_at;
-      if (req.body.expires_at !== undefined)
-        modifyPayload.expires_at = req.body.expires_at;
-      if (req.body.title) modifyPayload.title = req.body.title;
-      if (req.body.size) modifyPayload.size = req.body.size;
-      if (req.body.multiplier !== undefined)
-        modifyPayload.multiplier = req.body.multiplier;
-      if (req.body.speed !== undefined) modifyPayload.speed = req.body.speed;
-      if (req.body.traffic_type)
-        modifyPayload.traffic_type = req.body.traffic_type;
-      if (req.body.keywords) modifyPayload.keywords = req.body.keywords;
-      if (req.body.referrers) {
-        if (typeof req.body.referrers === "object" && req.body.referrers.urls) {
-          modifyPayload.referrers = req.body.referrers.urls.join(",");
-        } else if (typeof req.body.referrers === "string") {
-          modifyPayload.referrers = req.body.referrers;
-        }
-      }
-      if (req.body.social_links)
-        modifyPayload.social_links = req.body.social_links;
-      if (req.body.languages) modifyPayload.languages = req.body.languages;
-      if (req.body.bounce_rate !== undefined)
-        modifyPayload.bounce_rate = req.body.bounce_rate;
-      if (req.body.return_rate !== undefined)
-        modifyPayload.return_rate = req.body.return_rate;
-      if (req.body.click_outbound_events !== undefined)
-        modifyPayload.click_outbound_events = req.body.click_outbound_events;
-      if (req.body.form_submit_events !== undefined)
-        modifyPayload.form_submit_events = req.body.form_submit_events;
-      if (req.body.scroll_events !== undefined)
-        modifyPayload.scroll_events = req.body.scroll_events;
-      if (req.body.time_on_page)
-        modifyPayload.time_on_page = req.body.time_on_page;
-      if (req.body.desktop_rate !== undefined)
-        modifyPayload.desktop_rate = req.body.desktop_rate;
-      if (req.body.auto_renew) modifyPayload.auto_renew = req.body.auto_renew;
-      if (req.body.geo_type) modifyPayload.geo_type = req.body.geo_type;
-      if (req.body.shortener) modifyPayload.shortener = req.body.shortener;
-      if (req.body.rss_feed) modifyPayload.rss_feed = req.body.rss_feed;
-      if (req.body.ga_id) modifyPayload.ga_id = req.body.ga_id;
-
-      // Handle URLs in SparkTraffic format (urls-1, urls-2, etc.)
-      // Take single URL and populate urls-1, urls-2, urls-3 with the same URL
-      if (req.body.url) {
-        modifyPayload["urls-1"] = req.body.url;
-        modifyPayload["urls-2"] = req.body.url;
-        modifyPayload["urls-3"] = req.body.url;
-      }
-
-      // If user provides individual URL fields, respect those
-      for (let i = 1; i <= 11; i++) {
-        const urlField = `urls-${i}`;
-        if (req.body[urlField]) {
-          modifyPayload[urlField] = req.body[urlField];
-        }
-      }
-
-      // Handle legacy urls array format (but prioritize single URL approach)
-      if (req.body.urls && Array.isArray(req.body.urls) && !req.body.url) {
-        req.body.urls.forEach((url, index) => {
-          if (index < 11 && url && url.trim()) {
-            modifyPayload[`urls-${index + 1}`] = url.trim();
-          }
-        });
-      }
-
-      // Handle geo format
-      if (req.body.geo) {
-        modifyPayload.geo = Array.isArray(req.body.geo)
-          ? JSON.stringify(req.body.geo)
-          : req.body.geo;
-      }
-
-      // Call SparkTraffic modify endpoint
-      vendorResp = await axios.post(
-        "https://v2.sparktraffic.com/modify-website-traffic-project",
-        modifyPayload,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-        }
-      );
-
-      logger.campaign("Alpha SparkTraffic campaign modified successfully", {
-        userId: req.user.id,
-        campaignId: c._id,
-        sparkTrafficProjectId: c.spark_traffic_project_id,
-      });
-    } catch (err) {
-      logger.error("Alpha SparkTraffic modify API call failed", {
-        userId: req.user.id,
-        campaignId: c._id,
-        error: err.message,
-      });
-      vendorResp = { error: err.message };
-    }
-
-    await c.save();
-
-    logger.campaign("Alpha campaign modified", {
+    const result = await alphaCampaignActions.modifyCampaign(c, req.body, {
       userId: req.user.id,
-      campaignId: c._id,
     });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
     res.json({
       ok: true,
@@ -1728,7 +1195,7 @@ router.post("/campaigns/:id/modify", requireRole(), async (req, res) => {
 });
 
 // Archive Alpha campaign
-router.delete("/campaigns/:id", requireRole(), async (req, res) => {
+router.delete("/campaigns/:id", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c || !c.spark_traffic_project_id) {
@@ -1739,7 +1206,7 @@ router.delete("/campaigns/:id", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Alpha campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized Alpha archive attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1748,13 +1215,10 @@ router.delete("/campaigns/:id", requireRole(), async (req, res) => {
       return res.status(403).json({ error: "Forbidden" });
     }
 
-    // If already archived, check if eligible for permanent deletion
-    if (c.is_archived && c.delete_eligible) {
-      await c.deleteOne();
-      logger.campaign("Alpha campaign permanently deleted", {
-        userId: req.user.id,
-        campaignId: c._id,
-      });
+    const result = await alphaCampaignActions.archiveCampaign(c, {
+      userId: req.user.id,
+    });
+    if (result.action === "permanent_delete") {
       return res.json({
         ok: true,
         message: "Alpha campaign permanently deleted",
@@ -1762,51 +1226,6 @@ router.delete("/campaigns/:id", requireRole(), async (req, res) => {
       });
     }
 
-    // Pause campaign on SparkTraffic by setting speed to 0
-    let vendorResp = null;
-    try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-      vendorResp = await axios.post(
-        "https://v2.sparktraffic.com/modify-website-traffic-project",
-        {
-          unique_id: c.spark_traffic_project_id,
-          speed: 0,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-        }
-      );
-      logger.campaign("Alpha campaign archived on SparkTraffic", {
-        userId: req.user.id,
-        campaignId: c._id,
-      });
-    } catch (err) {
-      logger.error("Alpha SparkTraffic archive failed", {
-        userId: req.user.id,
-        campaignId: c._id,
-        error: err.message,
-      });
-      vendorResp = { error: err.message };
-    }
-
-    // Archive the campaign — stop credit deduction immediately
-    c.is_archived = true;
-    c.archived_at = new Date();
-    c.state = "archived";
-    c.userState = "archived";
-    c.credit_deduction_enabled = false;
-    if (c.metadata) { c.metadata.currentSpeed = 0; } else { c.metadata = { currentSpeed: 0 }; }
-    await c.save();
-
-    logger.campaign("Alpha campaign archived", {
-      userId: req.user.id,
-      campaignId: c._id,
-    });
-
     res.json({
       ok: true,
       message:
@@ -1826,8 +1245,89 @@ router.delete("/campaigns/:id", requireRole(), async (req, res) => {
   }
 });
 
+// Get Alpha campaign budget usage
+router.get("/campaigns/:id/budget", requireScope("campaigns:read"), async (req, res) => {
+  try {
+    const c = await Campaign.findById(req.params.id);
+    if (!c || !c.spark_traffic_project_id) {
+      return res.status(404).json({ error: "Alpha campaign not found" });
+    }
+
+    if (!organizationService.canAccess(req, c)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const status = await campaignBudget.getBudgetStatus(c);
+    const usage = status.usage || (await campaignBudget.getUsage(c));
+
+    res.json({
+      ok: true,
+      campaign: { id: c._id, title: c.title, state: c.state },
+      budget: {
+        limits: status.limits,
+        usage,
+        remaining: status.hasBudget ? status.remaining : null,
+        limitingPeriod: status.limitingPeriod,
+        pausedBy: c.budget_paused || null,
+        pausedAt: c.budget_paused_at || null,
+        resumesAt: c.budget_paused ? status.resumesAt : null,
+        timezone: c.timezone || "UTC",
+      },
+    });
+  } catch (err) {
+    logger.error("Alpha campaign budget fetch failed", {
+      userId: req.user.id,
+      campaignId: req.params.id,
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get Alpha campaign schedule and its transition log
+router.get("/campaigns/:id/schedule", requireScope("campaigns:read"), async (req, res) => {
+  try {
+    const c = await Campaign.findById(req.params.id).select(
+      "user title state spark_traffic_project_id start_date until_date timezone hourly_schedule schedule_paused schedule_log"
+    );
+    if (!c || !c.spark_traffic_project_id) {
+      return res.status(404).json({ error: "Alpha campaign not found" });
+    }
+
+    if (!organizationService.canAccess(req, c)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const { active, reason } = campaignScheduler.evaluateSchedule(c);
+
+    res.json({
+      ok: true,
+      campaign: { id: c._id, title: c.title, state: c.state },
+      schedule: {
+        startDate: c.start_date || null,
+        endDate: c.until_date || null,
+        timezone: c.timezone || "UTC",
+        hourlySchedule: c.hourly_schedule || null,
+        pausedBySchedule: !!c.schedule_paused,
+        inWindow: active,
+        reason,
+      },
+      log: [...(c.schedule_log || [])].reverse(),
+    });
+  } catch (err) {
+    logger.error("Alpha campaign schedule fetch failed", {
+      userId: req.user.id,
+      campaignId: req.params.id,
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get Alpha campaign statistics
-router.get("/campaigns/:id/stats", requireRole(), async (req, res) => {
+router.get("/campaigns/:id/stats", requireScope("stats:read"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c || !c.spark_traffic_project_id) {
@@ -1838,7 +1338,7 @@ router.get("/campaigns/:id/stats", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Alpha campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized Alpha campaign stats access attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1876,73 +1376,97 @@ router.get("/campaigns/:id/stats", requireRole(), async (req, res) => {
       toDate = toDate || now.toISOString().split("T")[0];
     }
 
+    // Daily hits and visits from the rollup store, in the vendor stats shape
+    const stats = dailyStatsService.toVendorShape(
+      await dailyStatsService.getDailySeries([c._id], { from: fromDate, to: toDate })
+    );
+
+    logger.campaign("Alpha campaign stats retrieved successfully", {
+      userId: req.user.id,
+      campaignId: c._id,
+      dateRange: { from: fromDate, to: toDate },
+    });
+
+    res.json({
+      ok: true,
+      campaign: {
+        id: c._id,
+        title: c.title,
+        vendor: "sparkTraffic",
+        spark_traffic_project_id: c.spark_traffic_project_id,
+      },
+      dateRange: {
+        from: fromDate,
+        to: toDate,
+      },
+      stats,
+    });
+  } catch (err) {
+    logger.error("Get Alpha campaign stats failed", {
+      userId: req.user.id,
+      campaignId: req.params.id,
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export raw Alpha campaign numbers: daily hits and visits, or the per-country
+// breakdown of each traffic summary window
+// GET /api/alpha/campaigns/:id/export?report=daily|countries&format=csv|xlsx|json&from=&to=&timeRange=
+router.get(
+  "/campaigns/:id/export",
+  requireScope("stats:read"),
+  loadSubscription,
+  checkFeatureAccess("analytics", exportService.ANALYTICS_LEVELS),
+  async (req, res) => {
     try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
-      // Call SparkTraffic stats API
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: fromDate,
-            to: toDate,
-          },
-        }
-      );
+      const format = exportService.parseFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${exportService.FORMATS.join(", ")}`,
+        });
+      }
 
-      logger.campaign("Alpha campaign stats retrieved successfully", {
+      const c = await Campaign.findById(req.params.id);
+      if (!c || !c.spark_traffic_project_id) {
+        return res.status(404).json({ error: "Alpha campaign not found" });
+      }
+      if (!organizationService.canAccess(req, c)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const table = await exportService.campaignExport(c, req.query);
+      if (table.error) {
+        return res.status(table.status).json({ error: table.error });
+      }
+
+      logger.info("Alpha campaign export generated", {
         userId: req.user.id,
         campaignId: c._id,
-        dateRange: { from: fromDate, to: toDate },
+        report: table.meta.report,
+        format,
+        rows: table.rows.length,
       });
 
-      res.json({
-        ok: true,
-        campaign: {
-          id: c._id,
-          title: c.title,
-          vendor: "sparkTraffic",
-          spark_traffic_project_id: c.spark_traffic_project_id,
-        },
-        dateRange: {
-          from: fromDate,
-          to: toDate,
-        },
-        stats: statsResp.data,
-      });
+      exportService.send(res, format, table);
     } catch (err) {
-      logger.error("Alpha SparkTraffic stats API failed", {
+      logger.error("Alpha campaign export failed", {
         userId: req.user.id,
-        campaignId: c._id,
+        campaignId: req.params.id,
         error: err.message,
       });
-
       res.status(500).json({
-        error: "Failed to fetch Alpha campaign statistics",
+        error: "Failed to export Alpha campaign statistics",
         details: err.message,
-        vendor: "sparkTraffic",
       });
     }
-  } catch (err) {
-    logger.error("Get Alpha campaign stats failed", {
-      userId: req.user.id,
-      campaignId: req.params.id,
-      error: err.message,
-      stack: err.stack,
-    });
-    res.status(500).json({ error: err.message });
   }
-});
+);
 
 // Generate PDF report for Alpha campaign
-router.get("/campaigns/:id/report.pdf", requireRole(), async (req, res) => {
+router.get("/campaigns/:id/report.pdf", requireScope("stats:read"), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign || !campaign.spark_traffic_project_id) {
@@ -1953,7 +1477,7 @@ router.get("/campaigns/:id/report.pdf", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Alpha campaign not found" });
     }
 
-    if (campaign.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, campaign)) {
       logger.warn("Unauthorized Alpha report access attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1983,10 +1507,12 @@ router.get("/campaigns/:id/report.pdf", requireRole(), async (req, res) => {
       dateRange: { from, to },
     });
 
-    // Generate PDF report
+    // Generate PDF report with the organization's white-label branding
+    const branding = await reportBranding.resolveBranding(campaign.organization);
     const pdfBuffer = await generateCampaignReportPDF(req.params.id, {
       from,
       to,
+      branding,
     });
 
     // Set response headers for PDF download
@@ -2020,28 +1546,30 @@ router.get("/campaigns/:id/report.pdf", requireRole(), async (req, res) => {
 });
 
 // Get user's subscription status and paused campaigns
-router.get("/credit-status", requireRole(), async (req, res) => {
+router.get("/credit-status", requireScope("stats:read"), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Get user's subscription
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    // Get the organization's subscription
+    const subscription = await Subscription.findOne({
+      user: organizationService.billingUserId(req),
+    });
     if (!subscription) {
       return res.status(404).json({ error: "No subscription found" });
     }
 
     // Find paused Alpha campaigns due to insufficient visits
     const pausedCampaigns = await Campaign.find({
-      user: req.user.id,
+      ...organizationService.organizationFilter(req),
       spark_traffic_project_id: { $exists: true, $ne: null },
       state: "paused",
       credit_deduction_enabled: false,
     }).select("_id title urls spark_traffic_project_id createdAt");
 
-    const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
+    const availableVisits = await visitLedger.getAvailableVisits(subscription);
 
     logger.info("Subscription status checked", {
       userId: req.user.id,
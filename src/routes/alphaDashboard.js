@@ -1,5 +1,5 @@
 const express = require("express");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requirePermission } = require("../middleware/auth");
 const Campaign = require("../models/Campaign");
 const AlphaTrafficData = require("../models/AlphaTrafficData");
 const AlphaTrafficSummary = require("../models/AlphaTrafficSummary");
@@ -9,12 +9,12 @@ const logger = require("../utils/logger");
 const router = express.Router();
 
 // Get Alpha dashboard overview - aggregated data from all user''s Alpha campaigns
-router.get("/overview", requireRole(), async (req, res) => {
+router.get("/overview", requireRole(), requirePermission("stats:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const isAdmin = req.user.role === "admin";
 
-    // Get all Alpha campaigns for the user (or all if admin)
+    // Get all Alpha campaigns of the organization (or all if admin)
     const campaignQuery = {
       spark_traffic_project_id: { $exists: true, $ne: null },
       is_archived: { $ne: true },
@@ -22,7 +22,7 @@ router.get("/overview", requireRole(), async (req, res) => {
     };
 
     if (!isAdmin) {
-      campaignQuery.user = userId;
+      campaignQuery.organization = req.organization._id;
     }
 
     const alphaCampaigns = await Campaign.find(campaignQuery).select(
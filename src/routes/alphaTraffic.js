@@ -1,5 +1,7 @@
 const express = require("express");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requirePermission } = require("../middleware/auth");
+const { auditAdminActions } = require("../middleware/audit");
+const organizationService = require("../services/organizationService");
 const alphaTrafficTrackingService = require("../services/alphaTrafficTrackingService");
 const alphaTrafficDataCollector = require("../services/alphaTrafficDataCollector");
 const Campaign = require("../models/Campaign");
@@ -10,15 +12,15 @@ const logger = require("../utils/logger");
 const router = express.Router();
 
 // Get current Alpha traffic metrics for a campaign
-router.get("/campaigns/:id/alpha-traffic/current", requireRole(), async (req, res) => {
+router.get("/campaigns/:id/alpha-traffic/current", requireRole(), requirePermission("stats:read"), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Check if user owns the campaign or is admin
-    if (campaign.user.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check the campaign belongs to the organization (admins can see all)
+    if (!organizationService.canAccess(req, campaign)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -76,15 +78,15 @@ router.get("/campaigns/:id/alpha-traffic/current", requireRole(), async (req, re
 });
 
 // Get Alpha traffic summary for a specific time range
-router.get("/campaigns/:id/alpha-traffic/summary", requireRole(), async (req, res) => {
+router.get("/campaigns/:id/alpha-traffic/summary", requireRole(), requirePermission("stats:read"), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Check if user owns the campaign or is admin
-    if (campaign.user.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check the campaign belongs to the organization (admins can see all)
+    if (!organizationService.canAccess(req, campaign)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -134,15 +136,15 @@ router.get("/campaigns/:id/alpha-traffic/summary", requireRole(), async (req, re
 });
 
 // Get Alpha traffic trends analysis
-router.get("/campaigns/:id/alpha-traffic/trends", requireRole(), async (req, res) => {
+router.get("/campaigns/:id/alpha-traffic/trends", requireRole(), requirePermission("stats:read"), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Check if user owns the campaign or is admin
-    if (campaign.user.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check the campaign belongs to the organization (admins can see all)
+    if (!organizationService.canAccess(req, campaign)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -191,15 +193,15 @@ router.get("/campaigns/:id/alpha-traffic/trends", requireRole(), async (req, res
 });
 
 // Get raw Alpha traffic data for a campaign
-router.get("/campaigns/:id/alpha-traffic/raw", requireRole(), async (req, res) => {
+router.get("/campaigns/:id/alpha-traffic/raw", requireRole(), requirePermission("stats:read"), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Check if user owns the campaign or is admin
-    if (campaign.user.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check the campaign belongs to the organization (admins can see all)
+    if (!organizationService.canAccess(req, campaign)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -279,6 +281,7 @@ router.get("/campaigns/:id/alpha-traffic/raw", requireRole(), async (req, res) =
 router.post(
   "/campaigns/:id/alpha-traffic/collect",
   requireRole(),
+  requirePermission("campaigns:write"),
   async (req, res) => {
     try {
       const campaign = await Campaign.findById(req.params.id);
@@ -286,11 +289,8 @@ router.post(
         return res.status(404).json({ error: "Campaign not found" });
       }
 
-      // Check if user owns the campaign or is admin
-      if (
-        campaign.user.toString() !== req.user.id &&
-        req.user.role !== "admin"
-      ) {
+      // Check the campaign belongs to the organization (admins can see all)
+      if (!organizationService.canAccess(req, campaign)) {
         return res.status(403).json({ error: "Forbidden" });
       }
 
@@ -328,6 +328,7 @@ router.post(
 router.post(
   "/campaigns/:id/alpha-traffic/initialize",
   requireRole(),
+  requirePermission("campaigns:write"),
   async (req, res) => {
     try {
       const campaign = await Campaign.findById(req.params.id);
@@ -335,11 +336,8 @@ router.post(
         return res.status(404).json({ error: "Campaign not found" });
       }
 
-      // Check if user owns the campaign or is admin
-      if (
-        campaign.user.toString() !== req.user.id &&
-        req.user.role !== "admin"
-      ) {
+      // Check the campaign belongs to the organization (admins can see all)
+      if (!organizationService.canAccess(req, campaign)) {
         return res.status(403).json({ error: "Forbidden" });
       }
 
@@ -397,6 +395,7 @@ router.get(
 router.post(
   "/admin/alpha-traffic/collector/start",
   requireRole("admin"),
+  auditAdminActions,
   async (req, res) => {
     try {
       const intervalMs = parseInt(req.body.intervalMs) || 60000; // Default 1 minute
@@ -421,6 +420,7 @@ router.post(
 router.post(
   "/admin/alpha-traffic/collector/stop",
   requireRole("admin"),
+  auditAdminActions,
   async (req, res) => {
     try {
       alphaTrafficDataCollector.stop();
@@ -444,6 +444,7 @@ router.post(
 router.put(
   "/admin/alpha-traffic/collector/interval",
   requireRole("admin"),
+  auditAdminActions,
   async (req, res) => {
     try {
       const intervalMs = parseInt(req.body.intervalMs);
@@ -475,6 +476,7 @@ router.put(
 router.put(
   "/admin/alpha-traffic/collector/config",
   requireRole("admin"),
+  auditAdminActions,
   async (req, res) => {
     try {
       const config = {
@@ -504,6 +506,7 @@ router.put(
 router.post(
   "/admin/alpha-traffic/collect-all",
   requireRole("admin"),
+  auditAdminActions,
   async (req, res) => {
     try {
       const result =
@@ -525,7 +528,7 @@ router.post(
 );
 
 // Cleanup old Alpha traffic data (admin only)
-router.post("/admin/alpha-traffic/cleanup", requireRole("admin"), async (req, res) => {
+router.post("/admin/alpha-traffic/cleanup", requireRole("admin"), auditAdminActions, async (req, res) => {
   try {
     const retentionDays = parseInt(req.body.retentionDays) || 90;
 
@@ -0,0 +1,284 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const ApiKey = require("../models/ApiKey");
+const Subscription = require("../models/Subscription");
+const apiKeyService = require("../services/apiKeyService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS_PER_USER = 20;
+
+// Validate a scopes list; returns an error message or null
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "scopes must be a non-empty array";
+  }
+  const unknown = scopes.filter((s) => !apiKeyService.SCOPES.includes(s));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+// Parse an optional expiry; returns { expiresAt } or { error }
+function parseExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) return { expiresAt: null };
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime())) return { error: "expiresAt must be a valid date" };
+  if (date <= new Date()) return { error: "expiresAt must be in the future" };
+  return { expiresAt: date };
+}
+
+function formatKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    lastUsedIp: apiKey.lastUsedIp || null,
+    expiresAt: apiKey.expiresAt || null,
+    revokedAt: apiKey.revokedAt || null,
+    rotatedFrom: apiKey.rotatedFrom || null,
+    status: apiKey.revokedAt
+      ? "revoked"
+      : apiKey.isUsable()
+      ? "active"
+      : "expired",
+    createdAt: apiKey.createdAt,
+  };
+}
+
+// Respond 403 unless the user's plan includes API access
+async function ensureApiAccess(req, res) {
+  const subscription = await Subscription.findOne({ user: req.user.id });
+  if (!apiKeyService.hasApiAccess(subscription)) {
+    logger.warn("API key management denied by plan", {
+      userId: req.user.id,
+      planName: subscription?.planName,
+    });
+    res.status(403).json({
+      error: "Feature not available",
+      message: `Your ${subscription?.planName || "free"} plan does not include API access. Upgrade to the business plan or higher to create API keys.`,
+      currentPlan: subscription?.planName || "free",
+      upgradeRequired: true,
+    });
+    return false;
+  }
+  return true;
+}
+
+async function findOwnKey(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: "API key not found" });
+    return null;
+  }
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+  if (!apiKey) {
+    res.status(404).json({ error: "API key not found" });
+    return null;
+  }
+  return apiKey;
+}
+
+/**
+ * List available scopes
+ * GET /api/api-keys/scopes
+ */
+router.get("/scopes", requireRole(), (req, res) => {
+  res.json({ scopes: apiKeyService.SCOPES });
+});
+
+/**
+ * List the user's API keys (revoked keys included)
+ * GET /api/api-keys
+ */
+router.get("/", requireRole(), async (req, res) => {
+  try {
+    const [keys, subscription] = await Promise.all([
+      ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 }),
+      Subscription.findOne({ user: req.user.id }),
+    ]);
+    res.json({
+      apiAccess: apiKeyService.hasApiAccess(subscription),
+      keys: keys.map(formatKey),
+    });
+  } catch (err) {
+    logger.error("Failed to list API keys", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create an API key. The key itself is only returned in this response.
+ * POST /api/api-keys
+ * Body: { name, scopes: ["campaigns:read", ...], expiresAt }
+ */
+router.post("/", requireRole(), async (req, res) => {
+  try {
+    if (!(await ensureApiAccess(req, res))) return;
+
+    const { name, scopes } = req.body;
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    const scopesError = validateScopes(scopes);
+    if (scopesError) return res.status(400).json({ error: scopesError });
+    const expiry = parseExpiry(req.body.expiresAt);
+    if (expiry.error) return res.status(400).json({ error: expiry.error });
+
+    const activeCount = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS_PER_USER) {
+      return res.status(400).json({
+        error: `You can have up to ${MAX_ACTIVE_KEYS_PER_USER} active API keys`,
+      });
+    }
+
+    const { key, prefix, keyHash } = apiKeyService.generateKey();
+    const apiKey = await ApiKey.create({
+      user: req.user.id,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry.expiresAt,
+    });
+
+    logger.info("API key created", {
+      userId: req.user.id,
+      apiKeyId: apiKey._id,
+      scopes: apiKey.scopes,
+    });
+
+    res.status(201).json({ key, apiKey: formatKey(apiKey) });
+  } catch (err) {
+    logger.error("Failed to create API key", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Rename a key or change its scopes
+ * PUT /api/api-keys/:id
+ * Body: { name, scopes }
+ */
+router.put("/:id", requireRole(), async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req, res);
+    if (!apiKey) return;
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ error: "API key has been revoked" });
+    }
+
+    const { name, scopes } = req.body;
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({ error: "name must be a non-empty string" });
+      }
+      apiKey.name = name.trim();
+    }
+    if (scopes !== undefined) {
+      const scopesError = validateScopes(scopes);
+      if (scopesError) return res.status(400).json({ error: scopesError });
+      apiKey.scopes = [...new Set(scopes)];
+    }
+
+    await apiKey.save();
+    res.json({ apiKey: formatKey(apiKey) });
+  } catch (err) {
+    logger.error("Failed to update API key", {
+      userId: req.user.id,
+      apiKeyId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Replace a key with a new one that has the same name and scopes. The old key
+ * stops working immediately.
+ * POST /api/api-keys/:id/rotate
+ */
+router.post("/:id/rotate", requireRole(), async (req, res) => {
+  try {
+    if (!(await ensureApiAccess(req, res))) return;
+
+    const oldKey = await findOwnKey(req, res);
+    if (!oldKey) return;
+    if (oldKey.revokedAt) {
+      return res.status(400).json({ error: "API key has been revoked" });
+    }
+
+    const { key, prefix, keyHash } = apiKeyService.generateKey();
+    const apiKey = await ApiKey.create({
+      user: req.user.id,
+      name: oldKey.name,
+      prefix,
+      keyHash,
+      scopes: oldKey.scopes,
+      expiresAt: oldKey.expiresAt && oldKey.expiresAt > new Date() ? oldKey.expiresAt : null,
+      rotatedFrom: oldKey._id,
+    });
+
+    oldKey.revokedAt = new Date();
+    await oldKey.save();
+
+    logger.info("API key rotated", {
+      userId: req.user.id,
+      oldApiKeyId: oldKey._id,
+      apiKeyId: apiKey._id,
+    });
+
+    res.status(201).json({ key, apiKey: formatKey(apiKey) });
+  } catch (err) {
+    logger.error("Failed to rotate API key", {
+      userId: req.user.id,
+      apiKeyId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Revoke a key
+ * DELETE /api/api-keys/:id
+ */
+router.delete("/:id", requireRole(), async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req, res);
+    if (!apiKey) return;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info("API key revoked", {
+        userId: req.user.id,
+        apiKeyId: apiKey._id,
+      });
+    }
+
+    res.json({ ok: true, apiKey: formatKey(apiKey) });
+  } catch (err) {
+    logger.error("Failed to revoke API key", {
+      userId: req.user.id,
+      apiKeyId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
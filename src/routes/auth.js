@@ -1,7 +1,11 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { requireRole } = require("../middleware/auth");
+const sessionService = require("../services/sessionService");
+const accountTokens = require("../services/accountTokens");
+const twoFactor = require("../services/twoFactor");
 const { sendWelcomeEmail } = require("../services/emailService");
+const logger = require("../utils/logger");
 const router = express.Router();
 
 // Register
@@ -18,17 +22,13 @@ router.post("/register", async (req, res) => {
         exists.lastName = lastName || exists.lastName;
         exists.dob = dob || exists.dob;
         exists.isLeadCapture = false;
-        await exists.save();
+        await accountTokens.sendEmailVerification(exists);
         sendWelcomeEmail(exists).catch(() => {});
-        const token = jwt.sign(
-          { id: exists._id, role: exists.role },
-          process.env.JWT_SECRET,
-          { expiresIn: "7d" }
-        );
+        const tokens = await sessionService.createSession(exists, req);
         return res.json({
           success: true,
           message: "Account activated successfully",
-          token,
+          ...tokens,
           user: {
             id: exists._id,
             email: exists.email,
@@ -36,6 +36,7 @@ router.post("/register", async (req, res) => {
             lastName: exists.lastName,
             dob: exists.dob,
             role: exists.role,
+            emailVerified: false,
             cashBalance: exists.cashBalance,
             createdAt: exists.createdAt,
           },
@@ -45,18 +46,14 @@ router.post("/register", async (req, res) => {
     }
 
     const user = new User({ email, password, firstName, lastName, dob });
-    await user.save();
+    await accountTokens.sendEmailVerification(user);
     sendWelcomeEmail(user).catch(() => {});
     // Generate JWT token after registration
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const tokens = await sessionService.createSession(user, req);
     res.json({ 
       success: true,
       message: "User registered successfully",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
@@ -64,6 +61,7 @@ router.post("/register", async (req, res) => {
         lastName: user.lastName,
         dob: user.dob,
         role: user.role,
+        emailVerified: false,
         cashBalance: user.cashBalance,
         createdAt: user.createdAt
       }
@@ -97,22 +95,21 @@ router.post("/activate", async (req, res) => {
     user.isLeadCapture = false;
     user.activationToken = undefined;
     user.activationTokenExpiry = undefined;
+    // The activation link was emailed, so the address is confirmed
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     await user.save();
 
     sendWelcomeEmail(user).catch(() => {});
 
-    const jwtToken = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const tokens = await sessionService.createSession(user, req);
 
     res.json({
       success: true,
       message: "Account activated successfully",
-      token: jwtToken,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
@@ -127,7 +124,21 @@ router.post("/activate", async (req, res) => {
   }
 });
 
-// Login
+const loginUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  dob: user.dob,
+  role: user.role,
+  emailVerified: accountTokens.isEmailVerified(user),
+  cashBalance: user.cashBalance,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Login. With two-factor enabled, answers with a challenge token instead of a
+// session; finish with POST /login/2fa.
 router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -135,28 +146,211 @@ router.post("/login", async (req, res) => {
     if (!user) return res.status(401).json({ error: "Invalid credentials" });
     const ok = await user.comparePassword(password);
     if (!ok) return res.status(401).json({ error: "Invalid credentials" });
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: twoFactor.signChallenge(user),
+      });
+    }
+
+    const tokens = await sessionService.createSession(user, req);
     res.json({ 
       success: true,
       message: "User logged in successfully",
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        dob: user.dob,
-        role: user.role,
-        cashBalance: user.cashBalance,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt
+      ...tokens,
+      // Admins keep regular user access until they enroll in two-factor
+      ...(user.role === "admin" && { twoFactorEnrollmentRequired: true }),
+      user: loginUser(user)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Second login step: exchange the challenge token and a TOTP or recovery code for a session
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "challengeToken and code or recoveryCode are required" });
+    }
+
+    const userId = twoFactor.verifyChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: "Login challenge is invalid or has expired. Please log in again." });
+    }
+
+    const user = await User.findById(userId).select("+twoFactor.secret +twoFactor.recoveryCodes");
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ error: "Login challenge is invalid or has expired. Please log in again." });
+    }
+    if (twoFactor.isLocked(user)) {
+      return res.status(429).json({ error: "Too many invalid codes. Please try again later." });
+    }
+
+    const method = twoFactor.verifyUserCode(user, { code, recoveryCode });
+    if (!method) {
+      if (twoFactor.recordFailedAttempt(user)) {
+        logger.warn("Two-factor verification locked", { userId: user._id, ip: req.ip });
       }
+      await user.save();
+      return res.status(401).json({ error: "Invalid code" });
+    }
+
+    twoFactor.clearFailedAttempts(user);
+    await user.save();
+
+    if (method === "recovery_code") {
+      logger.info("Recovery code used for login", {
+        userId: user._id,
+        remaining: user.twoFactor.recoveryCodes.length,
+      });
+    }
+
+    const tokens = await sessionService.createSession(user, req, { twoFactorVerified: true });
+    res.json({
+      success: true,
+      message: "User logged in successfully",
+      ...tokens,
+      ...(method === "recovery_code" && {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      }),
+      user: loginUser(user)
+    });
+  } catch (err) {
+    logger.error("Two-factor login failed", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+    const tokens = await sessionService.refreshSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Request a password reset email. Always answers the same way so it cannot be
+// used to find out which emails are registered.
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user && !user.isLeadCapture) {
+      await accountTokens.sendPasswordReset(user);
+    }
+
+    res.json({
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent.",
+    });
+  } catch (err) {
+    logger.error("Forgot password failed", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a new password using the token from the reset email; signs out every session
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: "Token and password are required" });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    const user = await accountTokens.consumeToken("passwordReset", token);
+    if (!user) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired. Please request a new one." });
+    }
+
+    user.password = password;
+    // The reset link was emailed, so the address is confirmed
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await sessionService.revokeAllSessions(user._id, { reason: "password_reset" });
+
+    logger.info("Password reset completed", { userId: user._id });
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
     });
   } catch (err) {
+    logger.error("Password reset failed", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm an email address using the token from the verification email
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: "Token is required" });
+    }
+
+    const user = await accountTokens.consumeToken("emailVerification", token);
+    if (!user) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired. Please request a new one." });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    logger.info("Email verified", { userId: user._id });
+
+    res.json({ success: true, message: "Email verified successfully" });
+  } catch (err) {
+    logger.error("Email verification failed", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a new verification email to the logged-in user
+router.post("/resend-verification", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (accountTokens.isEmailVerified(user)) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    const sentAt = accountTokens.verificationSentAt(user);
+    if (sentAt && Date.now() - sentAt.getTime() < 60 * 1000) {
+      return res.status(429).json({ error: "Please wait a minute before requesting another email" });
+    }
+
+    await accountTokens.sendEmailVerification(user);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    logger.error("Resend verification failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
     res.status(500).json({ error: err.message });
   }
 });
@@ -175,18 +369,16 @@ router.post("/register-admin", async (req, res) => {
       lastName,
       dob,
       role: "admin", // Set role as admin
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
     });
     await user.save();
     // Generate JWT token after registration
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const tokens = await sessionService.createSession(user, req);
     res.json({ 
       success: true,
       message: "Admin user created successfully",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
@@ -1,11 +1,12 @@
 const express = require("express");
-const { requireRole } = require("../../../middleware/auth");
+const { requireRole, requirePermission } = require("../../../middleware/auth");
 const { checkSubscriptionAccess } = require("../../../middleware/subscription");
 const Campaign = require("../../../models/Campaign");
 const User = require("../../../models/User");
 const Subscription = require("../../../models/Subscription");
+const organizationService = require("../../../services/organizationService");
+const vendors = require("../../../services/vendors");
 const logger = require("../../../utils/logger");
-const axios = require("axios");
 
 const router = express.Router();
 
@@ -13,19 +14,11 @@ const router = express.Router();
  * Create a new 9hits campaign
  * POST /api/beta/campaigns
  */
-router.post("/", requireRole(), checkSubscriptionAccess, async (req, res) => {
+router.post("/", requireRole(), requirePermission("campaigns:write"), checkSubscriptionAccess, async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
+    // Organization campaigns belong to (and are billed to) the organization owner
 
-    if (!API_KEY) {
-      logger.error("9hits API key not configured");
-      return res.status(500).json({
-        error: "9hits API key not configured",
-        message: "Please configure NINE_HITS_API_KEY in environment variables",
-      });
-    }
-
-    const userId = req.user.id;
+    const userId = organizationService.billingUserId(req);
     const campaignData = req.body;
 
     // Basic validation
@@ -115,79 +108,65 @@ router.post("/", requireRole(), checkSubscriptionAccess, async (req, res) => {
       payloadKeys: Object.keys(campaignPayload),
     });
 
-    // Call 9hits API to create campaign
-    const response = await axios.post(
-      `https://panel.9hits.com/api/siteAdd?key=${API_KEY}`,
-      campaignPayload,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      }
-    );
+    // Create the campaign through the vendor adapter
+    const response = await vendors.getVendor("nineHits").createProject(campaignPayload);
 
     logger.info("9hits API response received", {
       userId,
-      status: response.data.status,
-      hasData: !!response.data.data,
-      dataKeys: response.data.data ? Object.keys(response.data.data) : [],
+      status: response.status,
+      campaignId: response.id,
     });
 
-    if (response.data.status !== "ok") {
+    if (response.status !== "ok") {
       logger.error("9hits campaign creation failed", {
         userId,
-        status: response.data.status,
-        messages: response.data.messages,
-        fullResponse: response.data,
+        status: response.status,
+        messages: response.messages,
+        fullResponse: response,
       });
 
       return res.status(400).json({
         error: "Failed to create campaign",
-        message: response.data.messages || "Unknown error from 9hits API",
-        status: response.data.status,
+        message: response.messages || "Unknown error from 9hits API",
+        status: response.status,
       });
     }
 
-    // Extract campaign ID from messages array (format: "Created #CAMPAIGN_ID")
-    let campaignId = null;
-    if (response.data.messages && response.data.messages.length > 0) {
-      const message = response.data.messages[0];
-      const match = message.match(/#(\d+)/);
-      if (match) {
-        campaignId = match[1];
-      }
-    }
+    // The adapter extracts the ID ("Created #CAMPAIGN_ID")
+    const campaignId = response.id ? String(response.id) : null;
+    const createdMessage = response.messages?.[0] || null;
 
     // Validate 9hits response
     if (!campaignId) {
       logger.error("9hits returned invalid campaign data - could not extract ID", {
         userId,
-        responseData: response.data,
+        responseData: response,
       });
 
       return res.status(500).json({
         error: "Invalid response from 9hits API",
         message: "Campaign was created but ID could not be extracted from messages",
-        debug: response.data,
+        debug: response,
       });
     }
 
     logger.info("Successfully extracted campaign ID from 9hits", {
       userId,
       campaignId,
-      message: response.data.messages[0],
+      message: createdMessage,
     });
 
     // Save campaign to database
     const campaign = new Campaign({
       user: userId,
+      organization: req.organization._id,
+      createdBy: req.user.id,
       title: campaignData.title,
       urls: campaignData.urls,
       nine_hits_campaign_id: campaignId,
       nine_hits_data: {
         id: campaignId,
-        created_message: response.data.messages[0],
+        created_message: createdMessage,
         ...campaignData,
       },
       is_adult: campaignData.isAdult || false,
@@ -1,9 +1,10 @@
 const express = require("express");
-const { requireRole } = require("../../../middleware/auth");
+const { requireRole, requirePermission } = require("../../../middleware/auth");
 const Campaign = require("../../../models/Campaign");
 const Subscription = require("../../../models/Subscription");
+const organizationService = require("../../../services/organizationService");
+const vendors = require("../../../services/vendors");
 const logger = require("../../../utils/logger");
-const axios = require("axios");
 
 const router = express.Router();
 
@@ -14,17 +15,11 @@ const router = express.Router();
  *
  * Example: ["mongoId1", "mongoId2"] or just delete by query params
  */
-router.delete("/", requireRole(), async (req, res) => {
+router.delete("/", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
+    // Organization campaigns belong to (and are billed to) the organization owner
 
-    if (!API_KEY) {
-      return res.status(500).json({
-        error: "9hits API key not configured",
-      });
-    }
-
-    const userId = req.user.id;
+    const userId = organizationService.billingUserId(req);
     let campaignIds = req.body;
 
     // Accept both array in body or single id in body
@@ -67,37 +62,42 @@ router.delete("/", requireRole(), async (req, res) => {
       nineHitsIds,
     });
 
-    // Call 9hits API to delete campaigns
-    const response = await axios.post(
-      `https://panel.9hits.com/api/siteDel?key=${API_KEY}`,
-      nineHitsIds,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      }
+    // Delete each project through the vendor adapter; only the ones the
+    // vendor deleted are archived
+    const vendor = vendors.getVendor("nineHits");
+    const results = await Promise.all(
+      campaigns.map(async (c) => {
+        try {
+          const response = await vendor.deleteProject(c.nine_hits_campaign_id);
+          if (response.status && response.status !== "ok") {
+            return { campaign: c, error: response.messages || "Unknown error from 9hits API" };
+          }
+          return { campaign: c };
+        } catch (error) {
+          return { campaign: c, error: error.response?.data?.messages || error.message };
+        }
+      })
     );
+    const deleted = results.filter((r) => !r.error).map((r) => r.campaign._id);
+    const failed = results.filter((r) => r.error);
 
-    if (response.data.status !== "ok") {
+    if (deleted.length === 0) {
       logger.error("9hits campaign deletion failed", {
         userId,
         nineHitsIds,
-        status: response.data.status,
-        messages: response.data.messages,
+        errors: failed.map((r) => r.error),
       });
 
       return res.status(400).json({
         error: "Failed to delete campaigns",
-        message: response.data.messages || "Unknown error from 9hits API",
-        status: response.data.status,
+        message: failed[0].error,
       });
     }
 
     // Soft delete campaigns in database (mark as archived)
     const deleteResult = await Campaign.updateMany(
       {
-        _id: { $in: campaignIds },
+        _id: { $in: deleted },
         user: userId,
       },
       {
@@ -124,11 +124,13 @@ router.delete("/", requireRole(), async (req, res) => {
       userId,
       deletedCount: deleteResult.modifiedCount,
       nineHitsIds,
+      failedCount: failed.length,
     });
 
     res.json({
       ok: true,
       deletedCount: deleteResult.modifiedCount,
+      failed: failed.map((r) => ({ id: r.campaign._id, message: r.error })),
       message: `Successfully deleted ${deleteResult.modifiedCount} campaign(s)`,
     });
   } catch (error) {
@@ -156,17 +158,11 @@ router.delete("/", requireRole(), async (req, res) => {
  * Delete single campaign by ID
  * DELETE /api/beta/campaigns/:id
  */
-router.delete("/:id", requireRole(), async (req, res) => {
+router.delete("/:id", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
+    // Organization campaigns belong to (and are billed to) the organization owner
 
-    if (!API_KEY) {
-      return res.status(500).json({
-        error: "9hits API key not configured",
-      });
-    }
-
-    const userId = req.user.id;
+    const userId = organizationService.billingUserId(req);
     const campaignMongoId = req.params.id;
 
     // Find campaign in database
@@ -195,31 +191,23 @@ router.delete("/:id", requireRole(), async (req, res) => {
       nineHitsId: campaign.nine_hits_campaign_id,
     });
 
-    // Call 9hits API to delete campaign
-    const response = await axios.post(
-      `https://panel.9hits.com/api/siteDel?key=${API_KEY}`,
-      [campaign.nine_hits_campaign_id],
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      }
-    );
+    const response = await vendors
+      .getVendor("nineHits")
+      .deleteProject(campaign.nine_hits_campaign_id);
 
-    if (response.data.status !== "ok") {
+    if (response.status && response.status !== "ok") {
       logger.error("9hits campaign deletion failed", {
         userId,
         campaignId: campaign._id,
         nineHitsId: campaign.nine_hits_campaign_id,
-        status: response.data.status,
-        messages: response.data.messages,
+        status: response.status,
+        messages: response.messages,
       });
 
       return res.status(400).json({
         error: "Failed to delete campaign",
-        message: response.data.messages || "Unknown error from 9hits API",
-        status: response.data.status,
+        message: response.messages || "Unknown error from 9hits API",
+        status: response.status,
       });
     }
 
@@ -1,13 +1,32 @@
 const express = require("express");
-const { requireRole } = require("../../../middleware/auth");
+const { requireRole, requirePermission } = require("../../../middleware/auth");
 const Campaign = require("../../../models/Campaign");
+const vendors = require("../../../services/vendors");
+const organizationService = require("../../../services/organizationService");
 const logger = require("../../../utils/logger");
-const axios = require("axios");
 
 const router = express.Router();
 
+// 9hits IDs of the organization's campaigns, or null for admins (who see the
+// whole 9hits account). Campaigns not backfilled yet belong to the
+// organization of their owner, as in organizationService.canAccess.
+async function organizationNineHitsIds(req) {
+  if (req.user.role === "admin") return null;
+  const campaigns = await Campaign.find({
+    nine_hits_campaign_id: { $exists: true, $ne: null },
+    $or: [
+      { organization: req.organization._id },
+      { organization: null, user: req.organization.owner },
+    ],
+  })
+    .select("nine_hits_campaign_id")
+    .lean();
+  return new Set(campaigns.map((c) => String(c.nine_hits_campaign_id)));
+}
+
 /**
- * Get campaigns from 9hits
+ * Get the organization's campaigns from 9hits. The 9hits account is shared, so
+ * campaigns of other organizations are left out of each page.
  * GET /api/beta/campaigns
  *
  * Query Parameters:
@@ -15,18 +34,8 @@ const router = express.Router();
  * - limit: Items per page (default: 100, max: 500)
  * - filter: Filter by title, url, or id:campaignId
  */
-router.get("/", requireRole(), async (req, res) => {
+router.get("/", requireRole(), requirePermission("campaigns:read"), async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
-
-    if (!API_KEY) {
-      logger.error("9hits API key not configured");
-      return res.status(500).json({
-        error: "9hits API key not configured",
-        message: "Please configure NINE_HITS_API_KEY in environment variables",
-      });
-    }
-
     const { page = 1, limit = 100, filter } = req.query;
 
     // Validate limit (max 500)
@@ -40,38 +49,15 @@ router.get("/", requireRole(), async (req, res) => {
       filter: filter || "none",
     });
 
-    // Build query parameters
-    const params = {
-      key: API_KEY,
+    const ownIds = await organizationNineHitsIds(req);
+    const projects = await vendors.getVendor("nineHits").searchProjects({
       page: validPage,
       limit: validLimit,
-    };
-
-    if (filter) {
-      params.filter = filter;
-    }
-
-    // Call 9hits API
-    const response = await axios.get("https://panel.9hits.com/api/siteGet", {
-      params,
-      timeout: 15000,
+      filter,
     });
-
-    if (response.data.status !== "ok") {
-      logger.error("9hits API returned error status", {
-        userId: req.user.id,
-        status: response.data.status,
-        messages: response.data.messages,
-      });
-
-      return res.status(400).json({
-        error: "Failed to fetch campaigns",
-        message: response.data.messages || "Unknown error from 9hits API",
-        status: response.data.status,
-      });
-    }
-
-    const campaigns = response.data.data;
+    const campaigns = ownIds
+      ? (projects || []).filter((p) => ownIds.has(String(p.id)))
+      : projects;
 
     logger.info("9hits campaigns fetched successfully", {
       userId: req.user.id,
@@ -120,16 +106,8 @@ router.get("/", requireRole(), async (req, res) => {
  * Get single campaign by ID
  * GET /api/beta/campaigns/:id
  */
-router.get("/:id", requireRole(), async (req, res) => {
+router.get("/:id", requireRole(), requirePermission("campaigns:read"), async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
-
-    if (!API_KEY) {
-      return res.status(500).json({
-        error: "9hits API key not configured",
-      });
-    }
-
     const campaignId = req.params.id;
 
     logger.info("Fetching single 9hits campaign", {
@@ -137,25 +115,24 @@ router.get("/:id", requireRole(), async (req, res) => {
       campaignId,
     });
 
-    // Call 9hits API with filter by id
-    const response = await axios.get("https://panel.9hits.com/api/siteGet", {
-      params: {
-        key: API_KEY,
-        filter: `id:${campaignId}`,
-      },
-      timeout: 15000,
-    });
-
-    if (response.data.status !== "ok") {
-      return res.status(400).json({
-        error: "Failed to fetch campaign",
-        message: response.data.messages,
+    // Only campaigns of the organization; admins can read any 9hits campaign
+    const nineHitsId = Number(campaignId);
+    const local = Number.isFinite(nineHitsId)
+      ? await Campaign.findOne({ nine_hits_campaign_id: nineHitsId })
+      : null;
+    const allowed = local
+      ? organizationService.canAccess(req, local)
+      : req.user.role === "admin";
+    if (!allowed) {
+      return res.status(404).json({
+        error: "Campaign not found",
+        message: `Campaign with ID ${campaignId} not found`,
       });
     }
 
-    const campaigns = response.data.data;
+    const campaign = await vendors.getVendor("nineHits").getProject(campaignId);
 
-    if (!Array.isArray(campaigns) || campaigns.length === 0) {
+    if (!campaign) {
       return res.status(404).json({
         error: "Campaign not found",
         message: `Campaign with ID ${campaignId} not found`,
@@ -169,7 +146,7 @@ router.get("/:id", requireRole(), async (req, res) => {
 
     res.json({
       ok: true,
-      campaign: campaigns[0],
+      campaign,
     });
   } catch (error) {
     logger.error("Failed to fetch 9hits campaign", {
@@ -1,8 +1,9 @@
 const express = require("express");
-const { requireRole } = require("../../../middleware/auth");
+const { requireRole, requirePermission } = require("../../../middleware/auth");
 const Campaign = require("../../../models/Campaign");
+const organizationService = require("../../../services/organizationService");
+const vendors = require("../../../services/vendors");
 const logger = require("../../../utils/logger");
-const axios = require("axios");
 
 const router = express.Router();
 
@@ -10,17 +11,11 @@ const router = express.Router();
  * Update a 9hits campaign
  * PUT /api/beta/campaigns/:id
  */
-router.put("/:id", requireRole(), async (req, res) => {
+router.put("/:id", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
+    // Organization campaigns belong to (and are billed to) the organization owner
 
-    if (!API_KEY) {
-      return res.status(500).json({
-        error: "9hits API key not configured",
-      });
-    }
-
-    const userId = req.user.id;
+    const userId = organizationService.billingUserId(req);
     const campaignMongoId = req.params.id;
     const updateData = req.body;
 
@@ -50,10 +45,8 @@ router.put("/:id", requireRole(), async (req, res) => {
       nineHitsId: campaign.nine_hits_campaign_id,
     });
 
-    // Build comprehensive 9hits API update payload
-    const nineHitsUpdateData = {
-      id: campaign.nine_hits_campaign_id,
-    };
+    // Build comprehensive 9hits API update payload (the adapter adds the id)
+    const nineHitsUpdateData = {};
 
     // Core fields
     if (updateData.title !== undefined) nineHitsUpdateData.title = updateData.title;
@@ -107,36 +100,27 @@ router.put("/:id", requireRole(), async (req, res) => {
     // State
     if (updateData.userState !== undefined) nineHitsUpdateData.userState = updateData.userState;
 
-    // Call 9hits API to update campaign
-    const response = await axios.post(
-      `https://panel.9hits.com/api/siteUpdate?key=${API_KEY}`,
-      nineHitsUpdateData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      }
-    );
-
-    if (response.data.status !== "ok") {
+    const response = await vendors
+      .getVendor("nineHits")
+      .modifyProject(campaign.nine_hits_campaign_id, nineHitsUpdateData);
+
+    // 9Hits answers with a status; the mock vendor returns the settings only
+    if (response.status && response.status !== "ok") {
       logger.error("9hits campaign update failed", {
         userId,
         campaignId: campaign._id,
         nineHitsId: campaign.nine_hits_campaign_id,
-        status: response.data.status,
-        messages: response.data.messages,
+        status: response.status,
+        messages: response.messages,
       });
 
       return res.status(400).json({
         error: "Failed to update campaign",
-        message: response.data.messages || "Unknown error from 9hits API",
-        status: response.data.status,
+        message: response.messages || "Unknown error from 9hits API",
+        status: response.status,
       });
     }
 
-    const updatedNineHitsCampaign = response.data.data;
-
     // Update campaign in database
     if (updateData.title) campaign.title = updateData.title;
     if (updateData.urls) campaign.urls = updateData.urls;
@@ -161,7 +145,7 @@ router.put("/:id", requireRole(), async (req, res) => {
     }
 
     // Update nine_hits_data with the latest response
-    campaign.nine_hits_data = updatedNineHitsCampaign;
+    if (response.data) campaign.nine_hits_data = response.data;
 
     // Update metadata - store all 9hits specific settings
     if (!campaign.metadata) campaign.metadata = {};
@@ -240,9 +224,10 @@ router.put("/:id", requireRole(), async (req, res) => {
  * Pause a 9hits campaign
  * POST /api/beta/campaigns/:id/pause
  */
-router.post("/:id/pause", requireRole(), async (req, res) => {
+router.post("/:id/pause", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
-    const userId = req.user.id;
+    // Organization campaigns belong to (and are billed to) the organization owner
+    const userId = organizationService.billingUserId(req);
     const campaignMongoId = req.params.id;
 
     const campaign = await Campaign.findOne({
@@ -256,18 +241,11 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
       });
     }
 
-    // Update via 9hits API
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
-    const response = await axios.post(
-      `https://panel.9hits.com/api/siteUpdate?key=${API_KEY}`,
-      {
-        id: campaign.nine_hits_campaign_id,
-        userState: "paused",
-      },
-      { headers: { "Content-Type": "application/json" }, timeout: 30000 }
-    );
+    const response = await vendors
+      .getVendor("nineHits")
+      .pauseProject(campaign.nine_hits_campaign_id);
 
-    if (response.data.status === "ok") {
+    if (!response.status || response.status === "ok") {
       campaign.state = "paused";
       await campaign.save();
 
@@ -283,7 +261,7 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
         .status(400)
         .json({
           error: "Failed to pause campaign",
-          message: response.data.messages,
+          message: response.messages,
         });
     }
   } catch (error) {
@@ -298,9 +276,10 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
  * Resume a 9hits campaign
  * POST /api/beta/campaigns/:id/resume
  */
-router.post("/:id/resume", requireRole(), async (req, res) => {
+router.post("/:id/resume", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
-    const userId = req.user.id;
+    // Organization campaigns belong to (and are billed to) the organization owner
+    const userId = organizationService.billingUserId(req);
     const campaignMongoId = req.params.id;
 
     const campaign = await Campaign.findOne({
@@ -314,18 +293,11 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
       });
     }
 
-    // Update via 9hits API
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
-    const response = await axios.post(
-      `https://panel.9hits.com/api/siteUpdate?key=${API_KEY}`,
-      {
-        id: campaign.nine_hits_campaign_id,
-        userState: "running",
-      },
-      { headers: { "Content-Type": "application/json" }, timeout: 30000 }
-    );
+    const response = await vendors
+      .getVendor("nineHits")
+      .resumeProject(campaign.nine_hits_campaign_id);
 
-    if (response.data.status === "ok") {
+    if (!response.status || response.status === "ok") {
       campaign.state = "created";
       await campaign.save();
 
@@ -341,7 +313,7 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
         .status(400)
         .json({
           error: "Failed to resume campaign",
-          message: response.data.messages,
+          message: response.messages,
         });
     }
   } catch (error) {
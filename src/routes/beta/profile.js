@@ -1,7 +1,7 @@
 const express = require("express");
 const { requireRole } = require("../../middleware/auth");
+const vendors = require("../../services/vendors");
 const logger = require("../../utils/logger");
-const axios = require("axios");
 
 const router = express.Router();
 
@@ -12,44 +12,27 @@ const router = express.Router();
  */
 router.get("/", requireRole(), async (req, res) => {
   try {
-    const API_KEY = process.env.NINE_HITS_API_KEY?.trim();
-
-    if (!API_KEY) {
-      logger.error("9hits API key not configured");
-      return res.status(500).json({
-        error: "9hits API key not configured",
-        message: "Please configure NINE_HITS_API_KEY in environment variables",
-      });
-    }
-
     logger.info("Fetching 9hits profile", {
       userId: req.user.id,
     });
 
-    // Call 9hits API
-    const response = await axios.get(`https://panel.9hits.com/api/profileGet`, {
-      params: {
-        key: API_KEY,
-      },
-      timeout: 15000,
-    });
+    // 9Hits returns the profile, or the error response when the call failed
+    const profileData = await vendors.getVendor("nineHits").getBalance();
 
-    if (response.data.status !== "ok") {
+    if (!profileData || (profileData.status && profileData.status !== "ok")) {
       logger.error("9hits API returned error status", {
         userId: req.user.id,
-        status: response.data.status,
-        messages: response.data.messages,
+        status: profileData?.status,
+        messages: profileData?.messages,
       });
 
       return res.status(400).json({
         error: "Failed to fetch 9hits profile",
-        message: response.data.messages || "Unknown error from 9hits API",
-        status: response.data.status,
+        message: profileData?.messages || "Unknown error from 9hits API",
+        status: profileData?.status,
       });
     }
 
-    const profileData = response.data.data;
-
     logger.info("9hits profile fetched successfully", {
       userId: req.user.id,
       username: profileData.username,
@@ -66,11 +49,13 @@ router.get("/", requireRole(), async (req, res) => {
         joined: profileData.joined,
         token: profileData.token,
         funds: profileData.funds,
-        slots: {
-          used: profileData.slots.used,
-          available: profileData.slots.available,
-          total: profileData.slots.used + profileData.slots.available,
-        },
+        slots: profileData.slots
+          ? {
+              used: profileData.slots.used,
+              available: profileData.slots.available,
+              total: profileData.slots.used + profileData.slots.available,
+            }
+          : null,
         points: profileData.points,
         membership: profileData.membership,
         membershipEndDate: profileData.membershipEndDate,
@@ -1,10 +1,27 @@
 const express = require("express");
 const router = express.Router();
-const { authenticateJWT, requireAdmin } = require("../middleware/auth");
+const { authenticateJWT, requireAdmin, requireScope, requirePermission } = require("../middleware/auth");
+const { auditAdminActions } = require("../middleware/audit");
 const Blog = require("../models/Blog");
 const SEOAnalysis = require("../models/SEOAnalysis");
 const Subscription = require("../models/Subscription");
+const organizationService = require("../services/organizationService");
 const logger = require("../utils/logger");
+const { assertSafeUrl, assertSafeHost } = require("../utils/safeFetch");
+
+// The AI backend fetches the URLs we pass on, so only public http(s) URLs are
+// forwarded. Returns an error message or null.
+async function checkAnalysisUrl(url) {
+  try {
+    const parsed = assertSafeUrl(String(url));
+    await assertSafeHost(parsed.hostname);
+    return null;
+  } catch (error) {
+    if (error.code === "ERR_UNSAFE_URL") return error.message;
+    if (error.code === "ENOTFOUND") return "URL host could not be resolved";
+    throw error;
+  }
+}
 
 // GET all published blogs (public endpoint)
 router.get("/public", async (req, res) => {
@@ -109,7 +126,7 @@ router.get("/:id", authenticateJWT, requireAdmin, async (req, res) => {
 });
 
 // CREATE new blog (admin only)
-router.post("/", authenticateJWT, requireAdmin, async (req, res) => {
+router.post("/", authenticateJWT, requireAdmin, auditAdminActions, async (req, res) => {
   try {
     const { title, content, slug, imageUrl, summary, isPublished, order } =
       req.body;
@@ -163,7 +180,7 @@ router.post("/", authenticateJWT, requireAdmin, async (req, res) => {
 });
 
 // UPDATE blog (admin only)
-router.put("/:id", authenticateJWT, requireAdmin, async (req, res) => {
+router.put("/:id", authenticateJWT, requireAdmin, auditAdminActions, async (req, res) => {
   try {
     const blogId = req.params.id;
 
@@ -220,7 +237,7 @@ router.put("/:id", authenticateJWT, requireAdmin, async (req, res) => {
 });
 
 // DELETE blog (admin only)
-router.delete("/:id", authenticateJWT, requireAdmin, async (req, res) => {
+router.delete("/:id", authenticateJWT, requireAdmin, auditAdminActions, async (req, res) => {
   try {
     const blogId = req.params.id;
 
@@ -254,6 +271,7 @@ router.post(
   "/ai/article-title",
   authenticateJWT,
   requireAdmin,
+  auditAdminActions,
   async (req, res) => {
     try {
       const axios = require("axios");
@@ -295,6 +313,7 @@ router.post(
   "/ai/research-blog-writer",
   authenticateJWT,
   requireAdmin,
+  auditAdminActions,
   async (req, res) => {
     try {
       const axios = require("axios");
@@ -344,6 +363,7 @@ router.post(
   "/ai/image-generation",
   authenticateJWT,
   requireAdmin,
+  auditAdminActions,
   async (req, res) => {
     try {
       const axios = require("axios");
@@ -405,6 +425,10 @@ router.post("/ai/seo-analysis", async (req, res) => {
         .status(400)
         .json({ status: "error", message: "url is required" });
     }
+    const urlError = await checkAnalysisUrl(url);
+    if (urlError) {
+      return res.status(400).json({ status: "error", message: urlError });
+    }
 
     const payload = {
       url,
@@ -447,7 +471,7 @@ router.post("/ai/seo-analysis", async (req, res) => {
  * - Fast responses (lightweight metadata only)
  * - Production-ready
  */
-router.post("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
+router.post("/ai/seo-analysis-pro", requireScope("seo:run"), async (req, res) => {
   try {
     const axios = require("axios");
     const {
@@ -483,7 +507,7 @@ router.post("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
       });
     }
 
-    // Validate URL format
+    // Validate URL format and target
     try {
       new URL(url);
     } catch (error) {
@@ -492,9 +516,15 @@ router.post("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
         message: "Invalid URL format",
       });
     }
+    const urlError = await checkAnalysisUrl(url);
+    if (urlError) {
+      return res.status(400).json({ status: "error", message: urlError });
+    }
 
-    // --- Subscription-based SEO analysis limit ---
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    // --- Subscription-based SEO analysis limit (shared by the organization) ---
+    const subscription = await Subscription.findOne({
+      user: organizationService.billingUserId(req),
+    });
     const planName = subscription?.planName || "free";
     const planConfig = Subscription.getPlanConfig(planName);
     const seoLimit = planConfig.seoAnalysisLimit ?? 2;
@@ -513,7 +543,7 @@ router.post("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
       const countFrom = new Date(Math.max(periodStart.getTime(), cutoffDate.getTime()));
 
       const usedThisPeriod = await SEOAnalysis.countDocuments({
-        user: req.user.id,
+        ...organizationService.organizationFilter(req),
         createdAt: { $gte: countFrom },
       });
 
@@ -560,7 +590,8 @@ router.post("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
       aiResponse.data,
       url,
       req.user.id,
-      includeBacklinks
+      includeBacklinks,
+      req.organization._id
     );
 
     res.json({
@@ -594,12 +625,13 @@ router.post("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
 router.get(
   "/ai/seo-analysis-pro/:analysisId",
   authenticateJWT,
+  requirePermission("seo:read"),
   async (req, res) => {
     try {
       const { getSEOAnalysisById } = require("../services/seoAnalysisService");
       const { analysisId } = req.params;
 
-      const analysis = await getSEOAnalysisById(analysisId, req.user.id);
+      const analysis = await getSEOAnalysisById(analysisId, req.organization._id);
 
       res.json({
         status: "success",
@@ -622,17 +654,17 @@ router.get(
 );
 
 /**
- * Get user's SEO analysis history (Auth Required)
+ * Get the organization's SEO analysis history (Auth Required)
  */
-router.get("/ai/seo-analysis-pro", authenticateJWT, async (req, res) => {
+router.get("/ai/seo-analysis-pro", authenticateJWT, requirePermission("seo:read"), async (req, res) => {
   try {
-    const { getUserSEOAnalyses } = require("../services/seoAnalysisService");
+    const { getOrganizationSEOAnalyses } = require("../services/seoAnalysisService");
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const url = req.query.url || null;
 
-    const result = await getUserSEOAnalyses(req.user.id, { page, limit, url });
+    const result = await getOrganizationSEOAnalyses(req.organization._id, { page, limit, url });
 
     res.json({
       status: "success",
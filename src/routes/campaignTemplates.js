@@ -0,0 +1,216 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireScope } = require("../middleware/auth");
+const Campaign = require("../models/Campaign");
+const CampaignTemplate = require("../models/CampaignTemplate");
+const campaignTemplates = require("../services/campaignTemplates");
+const organizationService = require("../services/organizationService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_TEMPLATES = 100;
+
+function formatTemplate(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    description: template.description || null,
+    settings: template.settings,
+    sourceCampaign: template.sourceCampaign || null,
+    createdBy: template.createdBy || null,
+    usageCount: template.usageCount,
+    lastUsedAt: template.lastUsedAt || null,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+}
+
+function parseName(name) {
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return { valid: false, error: "name is required" };
+  }
+  if (name.trim().length > 100) {
+    return { valid: false, error: "name must be at most 100 characters" };
+  }
+  return { valid: true, name: name.trim() };
+}
+
+const duplicateNameResponse = (res) =>
+  res.status(409).json({ error: "A template with this name already exists" });
+
+async function findTemplate(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.templateId)) return null;
+  return CampaignTemplate.findOne({
+    _id: req.params.templateId,
+    ...organizationService.organizationFilter(req),
+  });
+}
+
+/**
+ * List campaign templates, most used first
+ * GET /api/campaign-templates
+ */
+router.get("/", requireScope("campaigns:read"), async (req, res) => {
+  try {
+    const templates = await CampaignTemplate.find(
+      organizationService.organizationFilter(req)
+    ).sort({ usageCount: -1, name: 1 });
+    res.json({
+      ok: true,
+      templates: templates.map(formatTemplate),
+      fields: campaignTemplates.SETTING_FIELDS,
+    });
+  } catch (err) {
+    logger.error("Failed to list campaign templates", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Save a template from settings or from an existing Alpha campaign
+ * POST /api/campaign-templates
+ * Body: { name, description, settings } or { name, description, campaignId, settings? }
+ * With campaignId, settings override the campaign's.
+ */
+router.post("/", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const nameInput = parseName(req.body.name);
+    if (!nameInput.valid) return res.status(400).json({ error: nameInput.error });
+
+    let settings = {};
+    let sourceCampaign;
+    if (req.body.campaignId !== undefined) {
+      const campaign = mongoose.Types.ObjectId.isValid(req.body.campaignId)
+        ? await Campaign.findById(req.body.campaignId)
+        : null;
+      if (!campaign || !campaign.spark_traffic_project_id) {
+        return res.status(404).json({ error: "Alpha campaign not found" });
+      }
+      if (!organizationService.canAccess(req, campaign)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      settings = campaignTemplates.settingsFromCampaign(campaign);
+      sourceCampaign = campaign._id;
+    }
+    if (req.body.settings !== undefined || !sourceCampaign) {
+      const settingsInput = campaignTemplates.parseSettings(req.body.settings);
+      if (!settingsInput.valid) {
+        return res.status(400).json({ error: settingsInput.error });
+      }
+      settings = { ...settings, ...settingsInput.settings };
+    }
+
+    const filter = organizationService.organizationFilter(req);
+    const count = await CampaignTemplate.countDocuments(filter);
+    if (count >= MAX_TEMPLATES) {
+      return res
+        .status(400)
+        .json({ error: `You can have at most ${MAX_TEMPLATES} templates` });
+    }
+    if (await CampaignTemplate.exists({ ...filter, name: nameInput.name })) {
+      return duplicateNameResponse(res);
+    }
+
+    const template = await CampaignTemplate.create({
+      user: req.organization.owner,
+      organization: req.organization._id,
+      createdBy: req.user.id,
+      name: nameInput.name,
+      description: req.body.description,
+      settings,
+      sourceCampaign,
+    });
+
+    logger.info("Campaign template created", {
+      userId: req.user.id,
+      templateId: template._id,
+      sourceCampaign,
+    });
+    res.status(201).json({ ok: true, template: formatTemplate(template) });
+  } catch (err) {
+    if (err.code === 11000) return duplicateNameResponse(res);
+    logger.error("Failed to create campaign template", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get one template
+ * GET /api/campaign-templates/:templateId
+ */
+router.get("/:templateId", requireScope("campaigns:read"), async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    res.json({ ok: true, template: formatTemplate(template) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Rename a template or replace its settings
+ * PUT /api/campaign-templates/:templateId
+ * Body: { name, description, settings }
+ */
+router.put("/:templateId", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    if (req.body.name !== undefined) {
+      const nameInput = parseName(req.body.name);
+      if (!nameInput.valid) return res.status(400).json({ error: nameInput.error });
+      template.name = nameInput.name;
+    }
+    if (req.body.description !== undefined) {
+      template.description = req.body.description;
+    }
+    if (req.body.settings !== undefined) {
+      const settingsInput = campaignTemplates.parseSettings(req.body.settings);
+      if (!settingsInput.valid) {
+        return res.status(400).json({ error: settingsInput.error });
+      }
+      template.settings = settingsInput.settings;
+    }
+
+    await template.save();
+    res.json({ ok: true, template: formatTemplate(template) });
+  } catch (err) {
+    if (err.code === 11000) return duplicateNameResponse(res);
+    logger.error("Failed to update campaign template", {
+      userId: req.user.id,
+      templateId: req.params.templateId,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Delete a template; campaigns created from it are not affected
+ * DELETE /api/campaign-templates/:templateId
+ */
+router.delete("/:templateId", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    await template.deleteOne();
+    logger.info("Campaign template deleted", {
+      userId: req.user.id,
+      templateId: template._id,
+    });
+    res.json({ ok: true, message: "Template deleted" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
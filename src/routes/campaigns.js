@@ -1,10 +1,18 @@
 const express = require("express");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requireScope, requirePermission, requireVerifiedEmail } = require("../middleware/auth");
+const { auditAdminActions } = require("../middleware/audit");
+const { loadSubscription, checkFeatureAccess } = require("../middleware/subscription");
 const Campaign = require("../models/Campaign");
 const AlphaTrafficData = require("../models/AlphaTrafficData");
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
 const vendors = require("../services/vendors");
+const visitLedger = require("../services/visitLedger");
+const webhookService = require("../services/webhookService");
+const organizationService = require("../services/organizationService");
+const exportService = require("../services/exportService");
+const dailyStatsService = require("../services/dailyStats");
+const reportBranding = require("../services/reportBranding");
 const {
   processSingleCampaignCredits,
   processAllCampaignCredits,
@@ -71,55 +79,21 @@ async function fetchCampaignStats(campaign) {
   }
 
   try {
-    const axios = require("axios");
-    const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+    const { vendor, projectId } = vendors.forCampaign(campaign);
     const now = new Date();
     const createdDate = campaign.createdAt
       ? campaign.createdAt.toISOString().split("T")[0]
       : now.toISOString().split("T")[0];
 
     // Get stats data
-    const statsResp = await axios.post(
-      "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-      null,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          API_KEY,
-        },
-        params: {
-          unique_id: campaign.spark_traffic_project_id,
-          from: createdDate,
-          to: now.toISOString().split("T")[0],
-        },
-      }
-    );
-
-    if (statsResp.data) {
-      // Calculate total hits and visits
-      let totalHits = 0;
-      let totalVisits = 0;
-
-      if (Array.isArray(statsResp.data.hits)) {
-        statsResp.data.hits.forEach((hitData) => {
-          Object.values(hitData).forEach((count) => {
-            totalHits += parseInt(count) || 0;
-          });
-        });
-      }
-
-      if (Array.isArray(statsResp.data.visits)) {
-        statsResp.data.visits.forEach((visitData) => {
-          Object.values(visitData).forEach((count) => {
-            totalVisits += parseInt(count) || 0;
-          });
-        });
-      }
+    const stats = await vendor.getProjectStats(projectId, {
+      from: createdDate,
+      to: now.toISOString().split("T")[0],
+    });
 
+    if (stats) {
       return {
-        ...statsResp.data,
-        totalHits,
-        totalVisits,
+        ...stats,
         speed: campaign.state === "paused" ? 0 : 200, // Default speed or fetch from project details
       };
     }
@@ -208,7 +182,7 @@ function createCleanCampaignResponse(
 }
 
 // Create campaign -> siteAdd
-router.post("/", requireRole(), async (req, res) => {
+router.post("/", requireScope("campaigns:write"), requireVerifiedEmail, async (req, res) => {
   logger.campaign("Campaign creation started", {
     userId: req.user.id,
     vendor: req.body.vendor || "sparkTraffic",
@@ -216,11 +190,12 @@ router.post("/", requireRole(), async (req, res) => {
   });
 
   try {
-    const userId = req.user.id;
+    // Campaigns are billed to the organization owner's subscription
+    const userId = organizationService.billingUserId(req);
     const body = req.body;
     const vendorName = body.vendor || "sparkTraffic";
 
-    const vendor = vendors[vendorName];
+    const vendor = vendors.getVendor(vendorName);
     if (!vendor) {
       logger.error("Invalid vendor", { userId, vendor: vendorName });
       return res.status(400).json({ error: "Invalid vendor" });
@@ -274,7 +249,7 @@ router.post("/", requireRole(), async (req, res) => {
     }
 
     // Check if user has available visits in their subscription
-    const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
+    const availableVisits = await visitLedger.getAvailableVisits(subscription);
     const requiredHits = body.maxHits || 5;
     
     if (availableVisits < requiredHits) {
@@ -363,34 +338,12 @@ router.post("/", requireRole(), async (req, res) => {
         const vendorResp = await vendor.createProject(sparkPayload);
         logger.campaign("SparkTraffic campaign created", {
           userId,
-          projectId: vendorResp["new-id"] || vendorResp.id,
+          projectId: vendorResp.id,
           title: sparkPayload.title,
         });
 
-        // Immediately resume the campaign if it was created in paused state
-        let resumeResp = null;
-        if (vendorResp && vendorResp["new-id"]) {
-          try {
-            // Call the resume endpoint for SparkTraffic
-            const axios = require("axios");
-            const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-            resumeResp = await axios.post(
-              "https://v2.sparktraffic.com/resume-website-traffic-project",
-              { id: vendorResp["new-id"] },
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  API_KEY,
-                },
-              }
-            );
-          } catch (resumeErr) {
-            resumeResp = { error: resumeErr.message };
-          }
-        }
         // Save to DB with proper geo format handling
-        const projectId =
-          vendorResp["new-id"] || vendorResp.id || vendorResp.project_id;
+        const projectId = vendorResp.id;
 
         // Handle countries/geo data properly for both old and new formats
         let countriesData = [];
@@ -409,6 +362,8 @@ router.post("/", requireRole(), async (req, res) => {
 
         const camp = new Campaign({
           user: userId,
+          organization: req.organization._id,
+          createdBy: req.user.id,
           title: sparkPayload.title,
           urls: merged.urls,
           duration_min: merged.duration[0],
@@ -502,11 +457,7 @@ router.post("/", requireRole(), async (req, res) => {
     let nineHitsData = null;
     if (vendorId) {
       try {
-        const nine = require("../services/nineHits");
-        const detailsResp = await nine.siteGet({ filter: `id:${vendorId}` });
-        if (detailsResp && Array.isArray(detailsResp.data) && detailsResp.data.length > 0) {
-          nineHitsData = detailsResp.data[0];
-        }
+        nineHitsData = await vendor.getProject(vendorId);
       } catch (err) {
         nineHitsData = {
           error: "Failed to fetch full 9Hits data",
@@ -517,6 +468,8 @@ router.post("/", requireRole(), async (req, res) => {
 
     const camp = new Campaign({
       user: userId,
+      organization: req.organization._id,
+      createdBy: req.user.id,
       title: payload.title,
       urls: payload.urls,
       duration_min: payload.duration[0],
@@ -552,7 +505,7 @@ router.post("/", requireRole(), async (req, res) => {
 });
 
 // Get all campaigns for authenticated user
-router.get("/", requireRole(), async (req, res) => {
+router.get("/", requireScope("campaigns:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
@@ -560,7 +513,7 @@ router.get("/", requireRole(), async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Build query filters
-    const query = { user: userId };
+    const query = organizationService.organizationFilter(req);
 
     // Filter by status if provided
     if (req.query.status) {
@@ -672,7 +625,7 @@ router.get("/", requireRole(), async (req, res) => {
 });
 
 // Get user stats (subscription-based) - MUST BE BEFORE /:id route
-router.get("/user/stats", requireRole(), async (req, res) => {
+router.get("/user/stats", requireScope("stats:read"), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select(
       "email firstName lastName"
@@ -682,8 +635,10 @@ router.get("/user/stats", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Get subscription info (primary source of truth)
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    // Get subscription info (primary source of truth); members see the organization's plan
+    const subscription = await Subscription.findOne({
+      user: organizationService.billingUserId(req),
+    });
     
     const response = {
       ok: true,
@@ -722,10 +677,10 @@ router.get("/user/stats", requireRole(), async (req, res) => {
 });
 
 // Get archived campaigns - MUST BE BEFORE /:id route
-router.get("/archived", requireRole(), async (req, res) => {
+router.get("/archived", requireScope("campaigns:read"), async (req, res) => {
   try {
     const archivedCampaigns = await Campaign.find({
-      user: req.user.id,
+      ...organizationService.organizationFilter(req),
       is_archived: true,
     }).sort({ archived_at: -1 }).lean();
 
@@ -768,7 +723,7 @@ router.get("/archived", requireRole(), async (req, res) => {
 });
 
 // Get campaign
-router.get("/:id", requireRole(), async (req, res) => {
+router.get("/:id", requireScope("campaigns:read"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -779,7 +734,7 @@ router.get("/:id", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized campaign access attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -804,8 +759,7 @@ router.get("/:id", requireRole(), async (req, res) => {
     // Fetch SparkTraffic stats
     if (c.spark_traffic_project_id) {
       try {
-        const axios = require("axios");
-        const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+        const vendor = vendors.getVendor("sparkTraffic");
 
         // Try to get specific project stats
         const now = new Date();
@@ -814,44 +768,18 @@ router.get("/:id", requireRole(), async (req, res) => {
           : now.toISOString().split("T")[0];
 
         // Get stats data
-        const statsResp = await axios.post(
-          "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-          null,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-            params: {
-              unique_id: c.spark_traffic_project_id,
-              from: createdDate,
-              to: now.toISOString().split("T")[0],
-            },
-          }
-        );
+        const stats = await vendor.getProjectStats(c.spark_traffic_project_id, {
+          from: createdDate,
+          to: now.toISOString().split("T")[0],
+        });
 
         // Get actual project details to fetch real speed and settings
         let projectDetails = null;
         try {
-          // Try to get current project settings by using modify endpoint with current unique_id only
-          // This often returns current project state in the response
-          const projectResp = await axios.post(
-            "https://v2.sparktraffic.com/modify-website-traffic-project",
-            {
-              unique_id: c.spark_traffic_project_id,
-              // Not changing anything, just querying current state
-            },
-            {
-              headers: {
-                "Content-Type": "application/json",
-                API_KEY,
-              },
-            }
-          );
+          // The modify endpoint returns current project state when nothing is changed
+          projectDetails = await vendor.getProject(c.spark_traffic_project_id);
 
-          // Check if the response contains current project settings
-          if (projectResp.data && projectResp.data.speed !== undefined) {
-            projectDetails = projectResp.data;
+          if (projectDetails) {
             logger.debug("Project details fetched via modify endpoint", {
               campaignId: req.params.id,
               sparkTrafficProjectId: c.spark_traffic_project_id,
@@ -861,7 +789,6 @@ router.get("/:id", requireRole(), async (req, res) => {
             logger.warn("Modify endpoint didn't return project details", {
               campaignId: req.params.id,
               sparkTrafficProjectId: c.spark_traffic_project_id,
-              response: projectResp.data,
             });
           }
         } catch (projectErr) {
@@ -874,31 +801,9 @@ router.get("/:id", requireRole(), async (req, res) => {
           });
         }
 
-        if (statsResp.data) {
-          // Calculate total hits from stats
-          let totalHits = 0;
-          let totalVisits = 0;
-
-          if (Array.isArray(statsResp.data.hits)) {
-            statsResp.data.hits.forEach((hitData) => {
-              Object.values(hitData).forEach((count) => {
-                totalHits += parseInt(count) || 0;
-              });
-            });
-          }
-
-          if (Array.isArray(statsResp.data.visits)) {
-            statsResp.data.visits.forEach((visitData) => {
-              Object.values(visitData).forEach((count) => {
-                totalVisits += parseInt(count) || 0;
-              });
-            });
-          }
-
+        if (stats) {
           vendorStats = {
-            ...statsResp.data,
-            totalHits,
-            totalVisits,
+            ...stats,
             // Use actual speed from project details, fallback to estimate
             speed: projectDetails?.speed || (c.state === "paused" ? 0 : 200),
             // Include other project settings if available
@@ -916,7 +821,7 @@ router.get("/:id", requireRole(), async (req, res) => {
         } else {
           vendorStats = {
             error: "No data returned from SparkTraffic",
-            response: statsResp.data,
+            response: stats,
           };
         }
       } catch (err) {
@@ -940,9 +845,9 @@ router.get("/:id", requireRole(), async (req, res) => {
     // Fetch 9Hits stats
     if (c.nine_hits_campaign_id) {
       try {
-        const nine = require("../services/nineHits");
-        const statsResp = await nine.siteGet({ id: c.nine_hits_campaign_id });
-        vendorStats = statsResp;
+        vendorStats = await vendors
+          .getVendor("nineHits")
+          .getProjectStats(c.nine_hits_campaign_id);
       } catch (err) {
         logger.error("Failed to fetch 9Hits vendor stats", {
           userId: req.user.id,
@@ -970,7 +875,7 @@ router.get("/:id", requireRole(), async (req, res) => {
 });
 
 // Pause campaign
-router.post("/:id/pause", requireRole(), async (req, res) => {
+router.post("/:id/pause", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -981,7 +886,7 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized pause attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -993,22 +898,9 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
     let vendorResp = null;
     if (c.spark_traffic_project_id) {
       try {
-        // Pause by setting speed to 0 using modify-website-traffic-project endpoint
-        const axios = require("axios");
-        const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-        vendorResp = await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          {
-            unique_id: c.spark_traffic_project_id,
-            speed: 0,
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-          }
-        );
+        vendorResp = await vendors
+          .getVendor("sparkTraffic")
+          .pauseProject(c.spark_traffic_project_id);
         logger.campaign("Campaign paused", {
           userId: req.user.id,
           campaignId: c._id,
@@ -1026,17 +918,19 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
       }
 
       c.state = "paused";
+      c.schedule_paused = false; // User pause wins over the scheduler and budgets
+      c.budget_paused = null;
       await c.save();
+      webhookService.emit(
+        c.user,
+        "campaign.paused",
+        webhookService.campaignEventData(c, { reason: "user" })
+      );
 
       return res.json({
         ok: true,
         campaign: createCleanCampaignResponse(c),
-        vendorResp:
-          vendorResp && vendorResp.data
-            ? vendorResp.data
-            : vendorResp && vendorResp.error
-            ? { error: vendorResp.error }
-            : vendorResp,
+        vendorResp,
       });
     }
     // Handle 9Hits campaigns
@@ -1049,8 +943,9 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
       });
 
       try {
-        const nine = require("../services/nineHits");
-        nineResp = await nine.sitePause({ id: c.nine_hits_campaign_id });
+        nineResp = await vendors
+          .getVendor("nineHits")
+          .pauseProject(c.nine_hits_campaign_id);
         logger.campaign("9Hits pause API call successful", {
           userId: req.user.id,
           campaignId: c._id,
@@ -1067,7 +962,14 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
       }
 
       c.state = "paused";
+      c.schedule_paused = false; // User pause wins over the scheduler and budgets
+      c.budget_paused = null;
       await c.save();
+      webhookService.emit(
+        c.user,
+        "campaign.paused",
+        webhookService.campaignEventData(c, { reason: "user" })
+      );
 
       logger.campaign("Campaign paused successfully", {
         userId: req.user.id,
@@ -1099,7 +1001,7 @@ router.post("/:id/pause", requireRole(), async (req, res) => {
 });
 
 // Resume campaign
-router.post("/:id/resume", requireRole(), async (req, res) => {
+router.post("/:id/resume", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -1110,7 +1012,7 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized resume attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1122,29 +1024,19 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
     // Resume on vendor if possible
     let vendorResp = null;
     if (c.spark_traffic_project_id) {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
+      const vendor = vendors.getVendor("sparkTraffic");
 
       // Step 1: Fetch all non-deleted project IDs and verify this one still exists
       try {
-        const allProjectsResp = await axios.post(
-          "https://v2.sparktraffic.com/get-all-website-traffic-projects",
-          { filters: [] },
-          {
-            headers: { "Content-Type": "application/json", API_KEY },
-            timeout: 10000,
-          }
-        );
-
-        const activeIds = allProjectsResp.data;
+        const activeIds = await vendor.listProjects();
         logger.info("SparkTraffic active project IDs fetched", {
           campaignId: c._id,
           sparkProjectId: c.spark_traffic_project_id,
-          totalActive: Array.isArray(activeIds) ? activeIds.length : "non-array",
-          projectFound: Array.isArray(activeIds) && activeIds.includes(c.spark_traffic_project_id),
+          totalActive: activeIds.length,
+          projectFound: activeIds.includes(c.spark_traffic_project_id),
         });
 
-        if (!Array.isArray(activeIds) || !activeIds.includes(c.spark_traffic_project_id)) {
+        if (!activeIds.includes(c.spark_traffic_project_id)) {
           logger.error("Campaign not found in vendor active projects", {
             userId: req.user.id,
             campaignId: c._id,
@@ -1173,14 +1065,9 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
       // Step 2: Project confirmed — resume at the campaign's configured speed
       const resumeSpeed = c.metadata?.currentSpeed || c.spark_traffic_data?.speed || 200;
       try {
-        vendorResp = await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          { unique_id: c.spark_traffic_project_id, speed: resumeSpeed },
-          {
-            headers: { "Content-Type": "application/json", API_KEY },
-            timeout: 10000,
-          }
-        );
+        vendorResp = await vendor.resumeProject(c.spark_traffic_project_id, {
+          speed: resumeSpeed,
+        });
       } catch (err) {
         logger.error("Vendor resume (set speed) failed", {
           userId: req.user.id,
@@ -1205,11 +1092,16 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
         vendor: "sparkTraffic",
         speed: resumeSpeed,
       });
+      webhookService.emit(
+        c.user,
+        "campaign.resumed",
+        webhookService.campaignEventData(c, { reason: "user" })
+      );
 
       return res.json({
         ok: true,
         campaign: createCleanCampaignResponse(c),
-        vendorResp: vendorResp?.data || null,
+        vendorResp: vendorResp || null,
       });
     }
     if (c.nine_hits_campaign_id) {
@@ -1220,11 +1112,9 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
       });
 
       try {
-        const nine = require("../services/nineHits");
-        vendorResp = await nine.siteUpdate({
-          id: c.nine_hits_campaign_id,
-          userState: "running",
-        });
+        vendorResp = await vendors
+          .getVendor("nineHits")
+          .resumeProject(c.nine_hits_campaign_id);
         logger.campaign("9Hits resume API call successful", {
           userId: req.user.id,
           campaignId: c._id,
@@ -1250,6 +1140,11 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
       campaignId: c._id,
       vendor: c.nine_hits_campaign_id ? "9Hits" : "unknown",
     });
+    webhookService.emit(
+      c.user,
+      "campaign.resumed",
+      webhookService.campaignEventData(c, { reason: "user" })
+    );
 
     res.json({
       ok: true,
@@ -1268,7 +1163,7 @@ router.post("/:id/resume", requireRole(), async (req, res) => {
 });
 
 // Update campaign (POST method following SparkTraffic documentation)
-router.post("/:id/modify", requireRole(), async (req, res) => {
+router.post("/:id/modify", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -1279,7 +1174,7 @@ router.post("/:id/modify", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized modify attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1332,13 +1227,8 @@ router.post("/:id/modify", requireRole(), async (req, res) => {
       });
 
       try {
-        const axios = require("axios");
-        const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
         // Build SparkTraffic modify payload following exact documentation format
-        const modifyPayload = {
-          unique_id: c.spark_traffic_project_id, // Required parameter
-        };
+        const modifyPayload = {};
 
         // Map fields exactly as per SparkTraffic documentation
         if (req.body.created_at !== undefined)
@@ -1408,16 +1298,9 @@ router.post("/:id/modify", requireRole(), async (req, res) => {
         if (req.body.ga_id) modifyPayload.ga_id = req.body.ga_id;
 
         // Call SparkTraffic modify endpoint
-        vendorResp = await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          modifyPayload,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-          }
-        );
+        vendorResp = await vendors
+          .getVendor("sparkTraffic")
+          .modifyProject(c.spark_traffic_project_id, modifyPayload);
 
         logger.campaign("SparkTraffic campaign modified successfully", {
           userId: req.user.id,
@@ -1448,11 +1331,9 @@ router.post("/:id/modify", requireRole(), async (req, res) => {
       });
 
       try {
-        const nine = require("../services/nineHits");
-        vendorResp = await nine.siteUpdate({
-          id: c.nine_hits_campaign_id,
-          ...req.body,
-        });
+        vendorResp = await vendors
+          .getVendor("nineHits")
+          .modifyProject(c.nine_hits_campaign_id, req.body);
       } catch (err) {
         logger.error("9Hits modify API call failed", {
           userId: req.user.id,
@@ -1471,13 +1352,8 @@ router.post("/:id/modify", requireRole(), async (req, res) => {
       campaignId: c._id,
     });
 
-    // Clean vendor response to avoid circular reference issues
-    const cleanVendorResp =
-      vendorResp && vendorResp.data
-        ? vendorResp.data
-        : vendorResp && vendorResp.error
-        ? { error: vendorResp.error }
-        : vendorResp;
+    // Vendor adapters return plain response bodies
+    const cleanVendorResp = vendorResp;
 
     // Return response with clean campaign data
     const cleanCampaign = createCleanCampaignResponse(c);
@@ -1507,7 +1383,7 @@ router.post("/:id/modify", requireRole(), async (req, res) => {
 });
 
 // Archive campaign (soft delete)
-router.delete("/:id", requireRole(), async (req, res) => {
+router.delete("/:id", requireScope("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -1518,7 +1394,7 @@ router.delete("/:id", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized archive attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1550,21 +1426,9 @@ router.delete("/:id", requireRole(), async (req, res) => {
     // Handle SparkTraffic campaigns
     if (c.spark_traffic_project_id) {
       try {
-        const axios = require("axios");
-        const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-        vendorResp = await axios.post(
-          "https://v2.sparktraffic.com/modify-website-traffic-project",
-          {
-            unique_id: c.spark_traffic_project_id,
-            speed: 0,
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-          }
-        );
+        vendorResp = await vendors
+          .getVendor("sparkTraffic")
+          .deleteProject(c.spark_traffic_project_id);
         logger.campaign("Campaign archived on SparkTraffic", {
           userId: req.user.id,
           campaignId: c._id,
@@ -1590,8 +1454,9 @@ router.delete("/:id", requireRole(), async (req, res) => {
     // Handle 9Hits campaigns
     if (c.nine_hits_campaign_id) {
       try {
-        const nine = require("../services/nineHits");
-        vendorResp = await nine.sitePause({ id: c.nine_hits_campaign_id });
+        vendorResp = await vendors
+          .getVendor("nineHits")
+          .pauseProject(c.nine_hits_campaign_id);
       } catch (err) {
         vendorResp = { error: err.message };
       }
@@ -1617,9 +1482,7 @@ router.delete("/:id", requireRole(), async (req, res) => {
         "Campaign archived successfully. Will be permanently deleted after 7 days.",
       campaign: c,
       vendorResp:
-        vendorResp && vendorResp.data
-          ? vendorResp.data
-          : vendorResp && vendorResp.error
+        vendorResp && vendorResp.error
           ? { error: vendorResp.error }
           : vendorResp,
       action: "archived",
@@ -1636,7 +1499,7 @@ router.delete("/:id", requireRole(), async (req, res) => {
 });
 
 // Restore archived campaign
-router.post("/:id/restore", requireRole(), async (req, res) => {
+router.post("/:id/restore", requireScope("campaigns:write"), async (req, res) => {
   try {
     logger.info("Restore campaign requested", { userId: req.user.id, campaignId: req.params.id });
     const c = await Campaign.findById(req.params.id).populate("user");
@@ -1648,7 +1511,7 @@ router.post("/:id/restore", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    if (c.user._id.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized restore attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1663,9 +1526,6 @@ router.post("/:id/restore", requireRole(), async (req, res) => {
 
     // For SparkTraffic campaigns: recreate the project on the vendor
     if (c.spark_traffic_project_id) {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
       // Check subscription
       const Subscription = require("../models/Subscription");
       const subscription = await Subscription.findOne({ user: c.user._id });
@@ -1690,7 +1550,7 @@ router.post("/:id/restore", requireRole(), async (req, res) => {
       }
 
       // Check available visits
-      const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
+      const availableVisits = await visitLedger.getAvailableVisits(subscription);
       if (availableVisits <= 0) {
         return res.status(400).json({
           error: "Insufficient visits in your subscription to restore this campaign.",
@@ -1739,17 +1599,12 @@ router.post("/:id/restore", requireRole(), async (req, res) => {
       // Create new project on SparkTraffic
       let newProjectId;
       try {
-        const createResp = await axios.post(
-          "https://v2.sparktraffic.com/add-website-traffic-project",
-          sparkPayload,
-          {
-            headers: { "Content-Type": "application/json", API_KEY },
-            timeout: 15000,
-          }
-        );
-        newProjectId = createResp.data?.["new-id"] || createResp.data?.id;
+        const createResp = await vendors
+          .getVendor("sparkTraffic")
+          .createProject(sparkPayload);
+        newProjectId = createResp.id;
         if (!newProjectId) {
-          logger.error("No project ID returned on restore", { response: createResp.data });
+          logger.error("No project ID returned on restore", { response: createResp });
           return res.status(502).json({ error: "Failed to recreate campaign. Please try again." });
         }
       } catch (createErr) {
@@ -1770,6 +1625,7 @@ router.post("/:id/restore", requireRole(), async (req, res) => {
       c.credit_deduction_enabled = true;
       c.last_stats_check = null;
       c.total_hits_counted = 0;
+      c.hits_counter_epoch = (c.hits_counter_epoch || 0) + 1;
       c.total_visits_counted = 0;
       if (c.metadata) {
         c.metadata.currentSpeed = sparkPayload.speed;
@@ -1819,7 +1675,7 @@ router.post("/:id/restore", requireRole(), async (req, res) => {
 });
 
 // Get campaign statistics (daily hits and visits report)
-router.get("/:id/stats", requireRole(), async (req, res) => {
+router.get("/:id/stats", requireScope("stats:read"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -1830,7 +1686,7 @@ router.get("/:id/stats", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized campaign stats access attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -1890,66 +1746,32 @@ router.get("/:id/stats", requireRole(), async (req, res) => {
       toDate = toDate || now.toISOString().split("T")[0];
     }
 
-    try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
-      // Call SparkTraffic stats API
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null, // POST with no body, params in query string
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: fromDate,
-            to: toDate,
-          },
-        }
-      );
-
-      logger.campaign("Campaign stats retrieved successfully", {
-        userId: req.user.id,
-        campaignId: c._id,
-        sparkTrafficProjectId: c.spark_traffic_project_id,
-        dateRange: { from: fromDate, to: toDate },
-      });
+    // Daily hits and visits from the rollup store (today from the vendor until
+    // it is rolled up), in the vendor stats shape
+    const stats = dailyStatsService.toVendorShape(
+      await dailyStatsService.getCampaignSeries(c, { from: fromDate, to: toDate })
+    );
 
-      res.json({
-        ok: true,
-        campaign: {
-          id: c._id,
-          title: c.title,
-          spark_traffic_project_id: c.spark_traffic_project_id,
-        },
-        dateRange: {
-          from: fromDate,
-          to: toDate,
-        },
-        stats: statsResp.data,
-      });
-    } catch (err) {
-      logger.error("SparkTraffic stats API failed", {
-        userId: req.user.id,
-        campaignId: c._id,
-        sparkTrafficProjectId: c.spark_traffic_project_id,
-        error: err.message,
-        status: err.response?.status,
-        responseData: err.response?.data,
-        dateRange: { from: fromDate, to: toDate },
-      });
+    logger.campaign("Campaign stats retrieved successfully", {
+      userId: req.user.id,
+      campaignId: c._id,
+      sparkTrafficProjectId: c.spark_traffic_project_id,
+      dateRange: { from: fromDate, to: toDate },
+    });
 
-      res.status(500).json({
-        error: "Failed to fetch campaign statistics",
-        details: err.message,
-        status: err.response?.status,
-        apiResponse: err.response?.data,
-        dateRange: { from: fromDate, to: toDate },
-      });
-    }
+    res.json({
+      ok: true,
+      campaign: {
+        id: c._id,
+        title: c.title,
+        spark_traffic_project_id: c.spark_traffic_project_id,
+      },
+      dateRange: {
+        from: fromDate,
+        to: toDate,
+      },
+      stats,
+    });
   } catch (err) {
     logger.error("Get campaign stats failed", {
       userId: req.user.id,
@@ -1965,7 +1787,7 @@ router.get("/:id/stats", requireRole(), async (req, res) => {
 // Use subscription management endpoints instead
 
 // Manual credit deduction for specific campaign (admin only)
-router.post("/:id/process-credits", requireRole("admin"), async (req, res) => {
+router.post("/:id/process-credits", requireRole("admin"), auditAdminActions, async (req, res) => {
   try {
     const result = await processSingleCampaignCredits(req.params.id);
 
@@ -1992,7 +1814,7 @@ router.post("/:id/process-credits", requireRole("admin"), async (req, res) => {
 });
 
 // Test credit deduction for specific campaign (owner or admin)
-router.post("/:id/test-credits", requireRole(), async (req, res) => {
+router.post("/:id/test-credits", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id).populate(
       "user",
@@ -2002,7 +1824,7 @@ router.post("/:id/test-credits", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -2011,37 +1833,17 @@ router.post("/:id/test-credits", requireRole(), async (req, res) => {
     let totalCurrentHits = 0;
 
     try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
       const now = new Date();
       const createdDate = c.createdAt
         ? c.createdAt.toISOString().split("T")[0]
         : now.toISOString().split("T")[0];
 
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: createdDate,
-            to: now.toISOString().split("T")[0],
-          },
-        }
-      );
-
-      if (statsResp.data && Array.isArray(statsResp.data.hits)) {
-        statsResp.data.hits.forEach((hitData) => {
-          Object.values(hitData).forEach((count) => {
-            totalCurrentHits += parseInt(count) || 0;
-          });
-        });
-      }
-      currentStats = statsResp.data;
+      const { vendor, projectId } = vendors.forCampaign(c);
+      currentStats = await vendor.getProjectStats(projectId, {
+        from: createdDate,
+        to: now.toISOString().split("T")[0],
+      });
+      totalCurrentHits = currentStats?.totalHits || 0;
     } catch (err) {
       logger.error("Failed to get current stats for test", {
         campaignId: c._id,
@@ -2106,7 +1908,7 @@ router.post("/:id/test-credits", requireRole(), async (req, res) => {
 });
 
 // Debug endpoint to show campaign credit state without processing (owner or admin)
-router.get("/:id/credit-debug", requireRole(), async (req, res) => {
+router.get("/:id/credit-debug", requireRole(), requirePermission("stats:read"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id).populate(
       "user",
@@ -2116,7 +1918,7 @@ router.get("/:id/credit-debug", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user._id.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -2128,32 +1930,20 @@ router.get("/:id/credit-debug", requireRole(), async (req, res) => {
     let dailyBreakdown = {};
 
     try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
       const now = new Date();
       const today = now.toISOString().split("T")[0];
       const createdDate = c.createdAt
         ? c.createdAt.toISOString().split("T")[0]
         : today;
 
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: createdDate,
-            to: today,
-          },
-        }
-      );
+      const { vendor, projectId } = vendors.forCampaign(c);
+      const stats = await vendor.getProjectStats(projectId, {
+        from: createdDate,
+        to: today,
+      });
 
-      if (statsResp.data && Array.isArray(statsResp.data.hits)) {
-        statsResp.data.hits.forEach((hitData) => {
+      if (stats && Array.isArray(stats.hits)) {
+        stats.hits.forEach((hitData) => {
           Object.keys(hitData).forEach((date) => {
             const count = parseInt(hitData[date]) || 0;
             dailyBreakdown[date] = count;
@@ -2164,7 +1954,7 @@ router.get("/:id/credit-debug", requireRole(), async (req, res) => {
           });
         });
       }
-      currentStats = statsResp.data;
+      currentStats = stats;
     } catch (err) {
       logger.error("Failed to get current stats for debug", {
         campaignId: c._id,
@@ -2248,7 +2038,7 @@ router.get("/:id/credit-debug", requireRole(), async (req, res) => {
 });
 
 // Process all campaigns credits (admin only)
-router.post("/admin/process-all-credits", requireRole("admin"), async (req, res) => {
+router.post("/admin/process-all-credits", requireRole("admin"), auditAdminActions, async (req, res) => {
   try {
     const result = await processAllCampaignCredits();
 
@@ -2273,7 +2063,7 @@ router.post("/admin/process-all-credits", requireRole("admin"), async (req, res)
 });
 
 // Toggle credit deduction for a campaign
-router.post("/:id/toggle-credit-deduction", requireRole(), async (req, res) => {
+router.post("/:id/toggle-credit-deduction", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
@@ -2284,7 +2074,7 @@ router.post("/:id/toggle-credit-deduction", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       logger.warn("Unauthorized credit deduction toggle attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -2326,50 +2116,31 @@ router.post("/:id/toggle-credit-deduction", requireRole(), async (req, res) => {
 });
 
 // Reset campaign hit counter (owner or admin) - for debugging
-router.post("/:id/reset-hit-counter", requireRole(), async (req, res) => {
+router.post("/:id/reset-hit-counter", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
     // Reset the hit counter to current SparkTraffic total
     let totalCurrentHits = 0;
     try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
       const now = new Date();
       const createdDate = c.createdAt
         ? c.createdAt.toISOString().split("T")[0]
         : now.toISOString().split("T")[0];
 
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: createdDate,
-            to: now.toISOString().split("T")[0],
-          },
-        }
-      );
-
-      if (statsResp.data && Array.isArray(statsResp.data.hits)) {
-        statsResp.data.hits.forEach((hitData) => {
-          Object.values(hitData).forEach((count) => {
-            totalCurrentHits += parseInt(count) || 0;
-          });
-        });
-      }
+      const { vendor, projectId } = vendors.forCampaign(c);
+      const stats = await vendor.getProjectStats(projectId, {
+        from: createdDate,
+        to: now.toISOString().split("T")[0],
+      });
+      totalCurrentHits = stats?.totalHits || 0;
     } catch (err) {
       logger.error("Failed to get current stats for reset", {
         campaignId: c._id,
@@ -2383,9 +2154,17 @@ router.post("/:id/reset-hit-counter", requireRole(), async (req, res) => {
 
     const oldTotal = c.total_hits_counted || 0;
     c.total_hits_counted = totalCurrentHits;
+    c.hits_counter_epoch = (c.hits_counter_epoch || 0) + 1;
     c.last_stats_check = new Date();
     await c.save();
 
+    await visitLedger.recordCounterReset(c, {
+      skippedHits: Math.max(0, totalCurrentHits - oldTotal),
+      createdBy: req.user.id,
+      description: "Hit counter reset to current vendor total",
+      metadata: { oldTotal, newTotal: totalCurrentHits },
+    });
+
     logger.campaign("Hit counter reset", {
       userId: req.user.id,
       campaignId: c._id,
@@ -2419,14 +2198,14 @@ router.post("/:id/reset-hit-counter", requireRole(), async (req, res) => {
 });
 
 // Reset campaign counters (both hits and visits) - for debugging inflated counts
-router.post("/:id/reset-counters", requireRole(), async (req, res) => {
+router.post("/:id/reset-counters", requireRole(), requirePermission("campaigns:write"), async (req, res) => {
   try {
     const c = await Campaign.findById(req.params.id);
     if (!c) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (c.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, c)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -2435,46 +2214,18 @@ router.post("/:id/reset-counters", requireRole(), async (req, res) => {
     let totalCurrentVisits = 0;
 
     try {
-      const axios = require("axios");
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
       const now = new Date();
       const createdDate = c.createdAt
         ? c.createdAt.toISOString().split("T")[0]
         : now.toISOString().split("T")[0];
 
-      const statsResp = await axios.post(
-        "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-        null,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY,
-          },
-          params: {
-            unique_id: c.spark_traffic_project_id,
-            from: createdDate,
-            to: now.toISOString().split("T")[0],
-          },
-        }
-      );
-
-      // Calculate total hits
-      if (statsResp.data && Array.isArray(statsResp.data.hits)) {
-        statsResp.data.hits.forEach((hitData) => {
-          Object.values(hitData).forEach((count) => {
-            totalCurrentHits += parseInt(count) || 0;
-          });
-        });
-      }
-
-      // Calculate total visits
-      if (statsResp.data && Array.isArray(statsResp.data.visits)) {
-        statsResp.data.visits.forEach((visitData) => {
-          Object.values(visitData).forEach((count) => {
-            totalCurrentVisits += parseInt(count) || 0;
-          });
-        });
-      }
+      const { vendor, projectId } = vendors.forCampaign(c);
+      const stats = await vendor.getProjectStats(projectId, {
+        from: createdDate,
+        to: now.toISOString().split("T")[0],
+      });
+      totalCurrentHits = stats?.totalHits || 0;
+      totalCurrentVisits = stats?.totalVisits || 0;
     } catch (err) {
       logger.error("Failed to get current stats for reset", {
         campaignId: c._id,
@@ -2491,9 +2242,22 @@ router.post("/:id/reset-counters", requireRole(), async (req, res) => {
 
     c.total_hits_counted = totalCurrentHits;
     c.total_visits_counted = totalCurrentVisits;
+    c.hits_counter_epoch = (c.hits_counter_epoch || 0) + 1;
     c.last_stats_check = new Date();
     await c.save();
 
+    await visitLedger.recordCounterReset(c, {
+      skippedHits: Math.max(0, totalCurrentHits - oldHitsTotal),
+      createdBy: req.user.id,
+      description: "Hit and visit counters reset to current vendor totals",
+      metadata: {
+        oldHitsTotal,
+        newHitsTotal: totalCurrentHits,
+        oldVisitsTotal,
+        newVisitsTotal: totalCurrentVisits,
+      },
+    });
+
     logger.campaign("Hit and visit counters reset", {
       userId: req.user.id,
       campaignId: c._id,
@@ -2536,7 +2300,7 @@ router.post("/:id/reset-counters", requireRole(), async (req, res) => {
 });
 
 // Migrate existing campaigns to new geo format (admin only)
-router.post("/admin/migrate-geo-format", requireRole("admin"), async (req, res) => {
+router.post("/admin/migrate-geo-format", requireRole("admin"), auditAdminActions, async (req, res) => {
   try {
     const campaigns = await Campaign.find({
       countries: { $exists: true, $not: { $size: 0 } },
@@ -2619,8 +2383,61 @@ router.post("/admin/migrate-geo-format", requireRole("admin"), async (req, res)
   }
 });
 
+// Export raw campaign numbers (daily hits and visits, or per-country breakdown)
+// GET /api/campaigns/:id/export?report=daily|countries&format=csv|xlsx|json&from=&to=&timeRange=
+router.get(
+  "/:id/export",
+  requireScope("stats:read"),
+  loadSubscription,
+  checkFeatureAccess("analytics", exportService.ANALYTICS_LEVELS),
+  async (req, res) => {
+    try {
+      const format = exportService.parseFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${exportService.FORMATS.join(", ")}`,
+        });
+      }
+
+      const c = await Campaign.findById(req.params.id);
+      if (!c) return res.status(404).json({ error: "Campaign not found" });
+      if (!organizationService.canAccess(req, c)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      if (c.is_archived && !req.query.include_archived) {
+        return res.status(404).json({ error: "Campaign not found" });
+      }
+
+      const table = await exportService.campaignExport(c, req.query);
+      if (table.error) {
+        return res.status(table.status).json({ error: table.error });
+      }
+
+      logger.info("Campaign export generated", {
+        userId: req.user.id,
+        campaignId: c._id,
+        report: table.meta.report,
+        format,
+        rows: table.rows.length,
+      });
+
+      exportService.send(res, format, table);
+    } catch (err) {
+      logger.error("Campaign export failed", {
+        userId: req.user.id,
+        campaignId: req.params.id,
+        error: err.message,
+      });
+      res.status(500).json({
+        error: "Failed to export campaign statistics",
+        details: err.message,
+      });
+    }
+  }
+);
+
 // Generate PDF report for campaign
-router.get("/:id/report.pdf", requireRole(), async (req, res) => {
+router.get("/:id/report.pdf", requireScope("stats:read"), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign) {
@@ -2631,7 +2448,7 @@ router.get("/:id/report.pdf", requireRole(), async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    if (campaign.user.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!organizationService.canAccess(req, campaign)) {
       logger.warn("Unauthorized report access attempt", {
         userId: req.user.id,
         campaignId: req.params.id,
@@ -2673,7 +2490,8 @@ router.get("/:id/report.pdf", requireRole(), async (req, res) => {
     });
 
     // Generate PDF report
-    const pdfBuffer = await generateCampaignReportPDF(req.params.id, { from, to });
+    const branding = await reportBranding.resolveBranding(campaign.organization);
+    const pdfBuffer = await generateCampaignReportPDF(req.params.id, { from, to, branding });
 
     // Set response headers for PDF download
     const filename = `campaign-${campaign.title || campaign._id}-report.pdf`;
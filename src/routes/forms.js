@@ -1,13 +1,12 @@
 const express = require("express");
 const crypto = require("crypto");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, verifyAccessToken } = require("../middleware/auth");
 const CustomPlanRequest = require("../models/CustomPlanRequest");
 const ContactUsMessage = require("../models/ContactUsMessage");
 const Notification = require("../models/Notification");
 const User = require("../models/User");
 const Website = require("../models/Website");
 const logger = require("../utils/logger");
-const jwt = require("jsonwebtoken");
 const { sendLeadCaptureEmail, sendContactAckEmail } = require("../services/emailService");
 
 const router = express.Router();
@@ -21,8 +20,9 @@ const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith("Bearer ")) {
       const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+      const decoded = await verifyAccessToken(token);
+      // Support staff viewing as the user must not submit forms in their name
+      if (decoded && !decoded.impersonatedBy) req.user = decoded;
     }
   } catch (error) {
     // Token invalid or expired, but we don't fail - just continue without user
@@ -1,7 +1,12 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { requireRole } = require("../middleware/auth");
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
+const visitLedger = require("../services/visitLedger");
+const sessionService = require("../services/sessionService");
+const { isEmailVerified } = require("../services/accountTokens");
+const logger = require("../utils/logger");
 const router = express.Router();
 
 // Get logged-in user's basic info and subscription details
@@ -12,6 +17,9 @@ router.get("/", requireRole(), async (req, res) => {
 
     // Get user's subscription
     const subscription = await Subscription.findOne({ user: user._id });
+    const availableVisits = subscription
+      ? await visitLedger.getAvailableVisits(subscription)
+      : null;
 
     res.json({
       id: user._id,
@@ -20,6 +28,8 @@ router.get("/", requireRole(), async (req, res) => {
       lastName: user.lastName,
       dob: user.dob,
       role: user.role,
+      emailVerified: isEmailVerified(user),
+      twoFactorEnabled: !!user.twoFactor?.enabled,
       cashBalance: user.cashBalance,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
@@ -29,7 +39,7 @@ router.get("/", requireRole(), async (req, res) => {
             status: subscription.status,
             visitsUsed: subscription.visitsUsed,
             visitsIncluded: subscription.visitsIncluded,
-            availableVisits: subscription.visitsIncluded - subscription.visitsUsed,
+            availableVisits,
             campaignLimit: subscription.campaignLimit,
             currentPeriodStart: subscription.currentPeriodStart,
             currentPeriodEnd: subscription.currentPeriodEnd,
@@ -41,11 +51,123 @@ router.get("/", requireRole(), async (req, res) => {
   }
 });
 
-// Logout endpoint (stateless JWT)
-router.post("/logout", requireRole(), (req, res) => {
-  // For JWT, logout is handled on the client by deleting the token.
-  // Optionally, you can implement token blacklisting for advanced security.
-  res.json({ message: "Logged out. Please delete your token on the client." });
+// Get logged-in user's visit ledger (every change to their visit balance)
+router.get("/ledger", requireRole(), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    // Opens the ledger for subscriptions that predate it, before listing
+    const subscription = await Subscription.findOne({ user: req.user.id });
+    const balance = subscription
+      ? await visitLedger.getAvailableVisits(subscription)
+      : await visitLedger.getBalance(req.user.id);
+
+    const { entries, pagination } = await visitLedger.getEntries(req.user.id, {
+      page,
+      limit,
+      reason: req.query.reason,
+      campaign: req.query.campaignId,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.json({
+      balance,
+      entries: entries.map((e) => ({
+        id: e._id,
+        amount: e.amount,
+        reason: e.reason,
+        balanceAfter: e.balanceAfter,
+        description: e.description,
+        campaign: e.campaign
+          ? { id: e.campaign._id, title: e.campaign.title }
+          : null,
+        createdAt: e.createdAt,
+      })),
+      pagination,
+    });
+  } catch (err) {
+    logger.error("Failed to fetch visit ledger", {
+      userId: req.user.id,
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Log out the current session
+router.post("/logout", requireRole(), async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await sessionService.revokeSession(req.user.id, req.user.sid, "logout");
+    }
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Log out every session, including the current one
+router.post("/logout-all", requireRole(), async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id);
+    res.json({ message: "Logged out everywhere", revoked });
+  } catch (err) {
+    logger.error("Failed to log out everywhere", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List active sessions (devices) of the logged-in user
+router.get("/sessions", requireRole(), async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+    res.json({
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        current: String(s._id) === String(req.user.sid),
+        ip: s.ip,
+        lastUsedIp: s.lastUsedIp,
+        userAgent: s.userAgent,
+        twoFactorVerified: !!s.twoFactorVerified,
+        // Read-only support session opened by an admin
+        supportAccess: !!s.impersonatedBy,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke one session
+router.delete("/sessions/:sessionId", requireRole(), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const revoked = await sessionService.revokeSession(
+      req.user.id,
+      req.params.sessionId
+    );
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    logger.info("Session revoked", {
+      userId: req.user.id,
+      sessionId: req.params.sessionId,
+    });
+    res.json({ ok: true, message: "Session revoked" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 module.exports = router;
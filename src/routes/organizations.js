@@ -0,0 +1,481 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole, requirePermission } = require("../middleware/auth");
+const Organization = require("../models/Organization");
+const OrganizationInvite = require("../models/OrganizationInvite");
+const User = require("../models/User");
+const organizationService = require("../services/organizationService");
+const reportBranding = require("../services/reportBranding");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Roles that can be given to members; the owner role comes with the organization
+const ASSIGNABLE_ROLES = ["manager", "analyst", "billing"];
+
+function formatOrganization(organization, role) {
+  return {
+    id: organization._id,
+    name: organization.name,
+    owner: organization.owner,
+    role,
+    permissions: Organization.ROLE_PERMISSIONS[role] || [],
+    memberCount: organization.members.length,
+    createdAt: organization.createdAt,
+  };
+}
+
+function formatInvite(invite) {
+  return {
+    id: invite._id,
+    email: invite.email,
+    role: invite.role,
+    invitedBy: invite.invitedBy,
+    expiresAt: invite.expiresAt,
+    status: invite.acceptedAt
+      ? "accepted"
+      : invite.revokedAt
+      ? "revoked"
+      : invite.isPending()
+      ? "pending"
+      : "expired",
+    createdAt: invite.createdAt,
+  };
+}
+
+/**
+ * List organizations the user belongs to, their own first.
+ * Send an organization's id as the X-Organization-Id header to act in it.
+ * GET /api/organizations
+ */
+router.get("/", requireRole(), async (req, res) => {
+  try {
+    const memberships = await organizationService.listMemberships(req.user.id);
+    res.json({
+      organizations: memberships.map(({ organization, role }) =>
+        formatOrganization(organization, role)
+      ),
+      roles: Organization.ROLE_PERMISSIONS,
+    });
+  } catch (err) {
+    logger.error("Failed to list organizations", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Accept an invitation from the invite email
+ * POST /api/organizations/invites/accept
+ * Body: { token }
+ */
+router.post("/invites/accept", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("email");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const result = await organizationService.acceptInvite(req.body.token, user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      organization: formatOrganization(result.organization, result.role),
+    });
+  } catch (err) {
+    logger.error("Failed to accept organization invite", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get one organization
+ * GET /api/organizations/:organizationId
+ */
+router.get("/:organizationId", requireRole(), requirePermission(null), (req, res) => {
+  res.json({ organization: formatOrganization(req.organization, req.organizationRole) });
+});
+
+/**
+ * Rename an organization
+ * PUT /api/organizations/:organizationId
+ * Body: { name }
+ */
+router.put(
+  "/:organizationId",
+  requireRole(),
+  requirePermission("organization:manage"),
+  async (req, res) => {
+    try {
+      const { name } = req.body;
+      if (!name || typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({ error: "name is required" });
+      }
+      req.organization.name = name.trim();
+      await req.organization.save();
+      res.json({
+        organization: formatOrganization(req.organization, req.organizationRole),
+      });
+    } catch (err) {
+      logger.error("Failed to update organization", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * List members
+ * GET /api/organizations/:organizationId/members
+ */
+router.get(
+  "/:organizationId/members",
+  requireRole(),
+  requirePermission(null),
+  async (req, res) => {
+    try {
+      await req.organization.populate("members.user", "email firstName lastName");
+      res.json({
+        members: req.organization.members.map((m) => ({
+          userId: m.user?._id || m.user,
+          email: m.user?.email || null,
+          firstName: m.user?.firstName || null,
+          lastName: m.user?.lastName || null,
+          role: m.role,
+          joinedAt: m.joinedAt,
+        })),
+      });
+    } catch (err) {
+      logger.error("Failed to list organization members", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Change a member's role
+ * PUT /api/organizations/:organizationId/members/:userId
+ * Body: { role }
+ */
+router.put(
+  "/:organizationId/members/:userId",
+  requireRole(),
+  requirePermission("members:manage"),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `role must be one of ${ASSIGNABLE_ROLES.join(", ")}` });
+      }
+      if (String(req.organization.owner) === req.params.userId) {
+        return res.status(400).json({ error: "The owner's role cannot be changed" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      const result = await Organization.updateOne(
+        { _id: req.organization._id, "members.user": req.params.userId },
+        { $set: { "members.$.role": role } }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      logger.info("Organization member role changed", {
+        userId: req.user.id,
+        organizationId: req.organization._id,
+        memberId: req.params.userId,
+        role,
+      });
+      res.json({ success: true, userId: req.params.userId, role });
+    } catch (err) {
+      logger.error("Failed to change member role", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Remove a member
+ * DELETE /api/organizations/:organizationId/members/:userId
+ */
+router.delete(
+  "/:organizationId/members/:userId",
+  requireRole(),
+  requirePermission("members:manage"),
+  async (req, res) => {
+    try {
+      if (String(req.organization.owner) === req.params.userId) {
+        return res.status(400).json({ error: "The owner cannot be removed" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      const result = await Organization.updateOne(
+        { _id: req.organization._id },
+        { $pull: { members: { user: req.params.userId } } }
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      logger.info("Organization member removed", {
+        userId: req.user.id,
+        organizationId: req.organization._id,
+        memberId: req.params.userId,
+      });
+      res.json({ success: true, message: "Member removed" });
+    } catch (err) {
+      logger.error("Failed to remove organization member", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Leave an organization
+ * POST /api/organizations/:organizationId/leave
+ */
+router.post(
+  "/:organizationId/leave",
+  requireRole(),
+  requirePermission(null),
+  async (req, res) => {
+    try {
+      if (req.organizationRole === "owner") {
+        return res
+          .status(400)
+          .json({ error: "Owners cannot leave their own organization" });
+      }
+      await Organization.updateOne(
+        { _id: req.organization._id },
+        { $pull: { members: { user: req.user.id } } }
+      );
+      logger.info("Member left organization", {
+        userId: req.user.id,
+        organizationId: req.organization._id,
+      });
+      res.json({ success: true, message: "You left the organization" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * List invitations, pending first
+ * GET /api/organizations/:organizationId/invites
+ */
+router.get(
+  "/:organizationId/invites",
+  requireRole(),
+  requirePermission("members:manage"),
+  async (req, res) => {
+    try {
+      const invites = await OrganizationInvite.find({
+        organization: req.organization._id,
+      })
+        .sort({ createdAt: -1 })
+        .limit(200);
+      const formatted = invites.map(formatInvite);
+      formatted.sort((a, b) => (b.status === "pending") - (a.status === "pending"));
+      res.json({ invites: formatted });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Invite someone by email
+ * POST /api/organizations/:organizationId/invites
+ * Body: { email, role }
+ */
+router.post(
+  "/:organizationId/invites",
+  requireRole(),
+  requirePermission("members:manage"),
+  async (req, res) => {
+    try {
+      const inviter = await User.findById(req.user.id).select("email firstName lastName");
+      if (!inviter) return res.status(404).json({ error: "User not found" });
+
+      const result = await organizationService.createInvite(
+        req.organization,
+        inviter,
+        req.body
+      );
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(201).json({ invite: formatInvite(result.invite) });
+    } catch (err) {
+      logger.error("Failed to create organization invite", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Revoke a pending invitation
+ * DELETE /api/organizations/:organizationId/invites/:inviteId
+ */
+router.delete(
+  "/:organizationId/invites/:inviteId",
+  requireRole(),
+  requirePermission("members:manage"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.inviteId)) {
+        return res.status(404).json({ error: "Invite not found" });
+      }
+      const invite = await OrganizationInvite.findOneAndUpdate(
+        {
+          _id: req.params.inviteId,
+          organization: req.organization._id,
+          acceptedAt: null,
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+      if (!invite) {
+        return res.status(404).json({ error: "Invite not found" });
+      }
+      res.json({ success: true, invite: formatInvite(invite) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Get the white-label branding used for reports
+ * GET /api/organizations/:organizationId/report-branding
+ */
+router.get(
+  "/:organizationId/report-branding",
+  requireRole(),
+  requirePermission("stats:read"),
+  async (req, res) => {
+    try {
+      res.json({ branding: await reportBranding.formatBranding(req.organization) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Update report branding; null or "" resets a field
+ * PUT /api/organizations/:organizationId/report-branding
+ * Body: { companyName, primaryColor, accentColor, footerText, hideTrafficBox }
+ */
+router.put(
+  "/:organizationId/report-branding",
+  requireRole(),
+  requirePermission("organization:manage"),
+  async (req, res) => {
+    try {
+      const input = reportBranding.parseBrandingInput(req.body);
+      if (!input.valid) return res.status(400).json({ error: input.error });
+
+      Object.entries(input.fields).forEach(([key, value]) =>
+        req.organization.set(`reportBranding.${key}`, value)
+      );
+      input.unset.forEach((key) => req.organization.set(`reportBranding.${key}`, undefined));
+      await req.organization.save();
+
+      res.json({ branding: await reportBranding.formatBranding(req.organization) });
+    } catch (err) {
+      logger.error("Failed to update report branding", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Upload the report logo. Send the image itself as the body with its
+ * Content-Type (image/png, image/jpeg or image/webp), at most 512 KB.
+ * PUT /api/organizations/:organizationId/report-branding/logo
+ */
+router.put(
+  "/:organizationId/report-branding/logo",
+  requireRole(),
+  requirePermission("organization:manage"),
+  express.raw({
+    type: Object.keys(reportBranding.LOGO_TYPES),
+    limit: reportBranding.MAX_LOGO_BYTES,
+  }),
+  async (req, res) => {
+    try {
+      const contentType = (req.headers["content-type"] || "").split(";")[0].trim();
+      const result = await reportBranding.uploadLogo(req.organization, req.body, contentType);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ branding: await reportBranding.formatBranding(req.organization) });
+    } catch (err) {
+      logger.error("Failed to upload report logo", {
+        userId: req.user.id,
+        organizationId: req.params.organizationId,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Remove the report logo
+ * DELETE /api/organizations/:organizationId/report-branding/logo
+ */
+router.delete(
+  "/:organizationId/report-branding/logo",
+  requireRole(),
+  requirePermission("organization:manage"),
+  async (req, res) => {
+    try {
+      await reportBranding.removeLogo(req.organization);
+      res.json({ branding: await reportBranding.formatBranding(req.organization) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
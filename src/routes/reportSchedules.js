@@ -0,0 +1,289 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireScope } = require("../middleware/auth");
+const Campaign = require("../models/Campaign");
+const ReportSchedule = require("../models/ReportSchedule");
+const reportSchedules = require("../services/reportSchedules");
+const reportBranding = require("../services/reportBranding");
+const organizationService = require("../services/organizationService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_SCHEDULES = 20;
+
+function formatSchedule(schedule) {
+  return {
+    id: schedule._id,
+    name: schedule.name,
+    scope: schedule.scope,
+    campaign: schedule.campaign || null,
+    frequency: schedule.frequency,
+    dayOfWeek: schedule.frequency === "weekly" ? schedule.dayOfWeek : null,
+    dayOfMonth: schedule.frequency === "monthly" ? schedule.dayOfMonth : null,
+    hour: schedule.hour,
+    timezone: schedule.timezone,
+    recipients: schedule.recipients,
+    unconfirmedRecipients: (schedule.pendingRecipients || []).map((p) => p.email),
+    format: schedule.format,
+    delivery: schedule.delivery,
+    enabled: schedule.enabled,
+    nextRunAt: schedule.enabled ? schedule.nextRunAt : null,
+    lastRunAt: schedule.lastRunAt || null,
+    lastStatus: schedule.lastStatus || null,
+    lastError: schedule.lastError || null,
+    sendCount: schedule.sendCount,
+    createdBy: schedule.createdBy || null,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+  };
+}
+
+async function findSchedule(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.scheduleId)) return null;
+  return ReportSchedule.findOne({
+    _id: req.params.scheduleId,
+    ...organizationService.organizationFilter(req),
+  });
+}
+
+// Resolve the campaign a campaign-scoped schedule reports on
+async function resolveCampaign(req, campaignId) {
+  if (!campaignId || !mongoose.Types.ObjectId.isValid(campaignId)) {
+    return { status: 400, error: "campaignId is required for campaign reports" };
+  }
+  const campaign = await Campaign.findById(campaignId).select("user organization is_archived");
+  if (!campaign || campaign.is_archived) {
+    return { status: 404, error: "Campaign not found" };
+  }
+  if (!organizationService.canAccess(req, campaign)) {
+    return { status: 403, error: "Forbidden" };
+  }
+  return { campaign };
+}
+
+/**
+ * List report schedules, with the organization's report branding they are sent with
+ * GET /api/report-schedules
+ */
+router.get("/", requireScope("stats:read"), async (req, res) => {
+  try {
+    const schedules = await ReportSchedule.find(
+      organizationService.organizationFilter(req)
+    ).sort({ createdAt: -1 });
+    res.json({
+      ok: true,
+      schedules: schedules.map(formatSchedule),
+      frequencies: ReportSchedule.FREQUENCIES,
+      formats: ReportSchedule.FORMATS,
+      deliveries: ReportSchedule.DELIVERIES,
+      branding: await reportBranding.formatBranding(req.organization),
+    });
+  } catch (err) {
+    logger.error("Failed to list report schedules", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Schedule a recurring email report
+ * POST /api/report-schedules
+ * Body: { name, scope: "campaign"|"account", campaignId, frequency: "daily"|"weekly"|"monthly",
+ *         dayOfWeek, dayOfMonth, hour, timezone, recipients: [], format: "pdf"|"csv"|"xlsx",
+ *         delivery: "attachment"|"link" }
+ */
+router.post("/", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const input = reportSchedules.parseScheduleInput(req.body);
+    if (!input.valid) return res.status(400).json({ error: input.error });
+
+    let campaign = null;
+    if (input.fields.scope === "campaign") {
+      const resolved = await resolveCampaign(req, req.body.campaignId);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      campaign = resolved.campaign;
+    }
+
+    const count = await ReportSchedule.countDocuments(
+      organizationService.organizationFilter(req)
+    );
+    if (count >= MAX_SCHEDULES) {
+      return res
+        .status(400)
+        .json({ error: `You can have at most ${MAX_SCHEDULES} report schedules` });
+    }
+
+    const schedule = new ReportSchedule({
+      ...input.fields,
+      user: req.organization.owner,
+      organization: req.organization._id,
+      createdBy: req.user.id,
+      campaign: campaign ? campaign._id : undefined,
+    });
+    schedule.nextRunAt = reportSchedules.computeNextRun(schedule);
+    await schedule.save();
+    await reportSchedules.requestRecipientConfirmations(schedule);
+
+    logger.info("Report schedule created", {
+      userId: req.user.id,
+      scheduleId: schedule._id,
+      scope: schedule.scope,
+      frequency: schedule.frequency,
+    });
+
+    res.status(201).json({ ok: true, schedule: formatSchedule(schedule) });
+  } catch (err) {
+    logger.error("Failed to create report schedule", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Confirm a recipient address from the link in its confirmation email. No login needed.
+ * POST /api/report-schedules/recipients/confirm
+ * Body: { token }
+ */
+router.post("/recipients/confirm", async (req, res) => {
+  try {
+    const result = await reportSchedules.confirmRecipient(req.body.token);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({
+      ok: true,
+      message: `You will receive "${result.schedule.name}" reports at ${result.email}`,
+    });
+  } catch (err) {
+    logger.error("Report recipient confirmation failed", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get one report schedule
+ * GET /api/report-schedules/:scheduleId
+ */
+router.get("/:scheduleId", requireScope("stats:read"), async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Report schedule not found" });
+    res.json({ ok: true, schedule: formatSchedule(schedule) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Update a report schedule; timing changes recompute the next run
+ * PUT /api/report-schedules/:scheduleId
+ */
+router.put("/:scheduleId", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Report schedule not found" });
+
+    const input = reportSchedules.parseScheduleInput(req.body, { partial: true });
+    if (!input.valid) return res.status(400).json({ error: input.error });
+
+    const scope = input.fields.scope || schedule.scope;
+    if (scope === "campaign" && (req.body.campaignId !== undefined || !schedule.campaign)) {
+      const resolved = await resolveCampaign(req, req.body.campaignId);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      schedule.campaign = resolved.campaign._id;
+    }
+    if (scope === "account") schedule.campaign = undefined;
+
+    schedule.set(input.fields);
+    if (
+      ["frequency", "dayOfWeek", "dayOfMonth", "hour", "timezone", "enabled"].some((key) =>
+        schedule.isModified(key)
+      )
+    ) {
+      schedule.nextRunAt = reportSchedules.computeNextRun(schedule);
+    }
+    const recipientsChanged = schedule.isModified("recipients");
+    await schedule.save();
+    if (recipientsChanged) await reportSchedules.requestRecipientConfirmations(schedule);
+
+    res.json({ ok: true, schedule: formatSchedule(schedule) });
+  } catch (err) {
+    logger.error("Failed to update report schedule", {
+      userId: req.user.id,
+      scheduleId: req.params.scheduleId,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Delete a report schedule
+ * DELETE /api/report-schedules/:scheduleId
+ */
+router.delete("/:scheduleId", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Report schedule not found" });
+    await schedule.deleteOne();
+    res.json({ ok: true, message: "Report schedule deleted" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Send the latest report now without changing the schedule. Goes only to
+ * members and confirmed recipients, at most once per schedule every few minutes.
+ * POST /api/report-schedules/:scheduleId/send
+ */
+router.post("/:scheduleId/send", requireScope("campaigns:write"), async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Report schedule not found" });
+
+    const recipients = await reportSchedules.deliverableRecipients(schedule);
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        error: "No recipient has confirmed their address yet",
+        unconfirmedRecipients: schedule.pendingRecipients.map((p) => p.email),
+      });
+    }
+
+    const claim = await reportSchedules.claimManualSend(schedule);
+    if (!claim.ok) {
+      res.set("Retry-After", String(claim.retryAfter));
+      return res.status(429).json({
+        error: "This report was sent recently. Please try again later.",
+        retryAfter: claim.retryAfter,
+      });
+    }
+
+    const result = await reportSchedules.deliverSchedule(schedule);
+    if (!result.ok) {
+      return res.status(502).json({ error: result.error, period: result.period });
+    }
+    res.json({
+      ok: true,
+      period: result.period,
+      recipients: result.recipients,
+      unconfirmedRecipients: schedule.recipients.filter((r) => !result.recipients.includes(r)),
+    });
+  } catch (err) {
+    logger.error("Failed to send report", {
+      userId: req.user.id,
+      scheduleId: req.params.scheduleId,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
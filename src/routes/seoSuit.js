@@ -1,4 +1,5 @@
 const express = require("express");
+const mongoose = require("mongoose");
 
 const { runIndexChecker } = require("../seo-tools/index-checker");
 const { runBulkSubmit } = require("../seo-tools/bulk-submit");
@@ -12,17 +13,189 @@ const { runSslChecker } = require("../seo-tools/ssl-checker");
 const { runDomainChecker } = require("../seo-tools/domain-checker");
 const { runDnsChecker } = require("../seo-tools/dns-checker");
 const { runSchemaGenerator } = require("../seo-tools/schema-generator");
-const { requireRole } = require("../middleware/auth");
+const { requireScope } = require("../middleware/auth");
+const SiteAudit = require("../models/SiteAudit");
+const SiteAuditPage = require("../models/SiteAuditPage");
+const siteAudits = require("../services/siteAudits");
+const organizationService = require("../services/organizationService");
+const logger = require("../utils/logger");
 
 const router = express.Router();
 
+async function findAudit(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.auditId)) return null;
+  return SiteAudit.findOne({
+    _id: req.params.auditId,
+    ...organizationService.organizationFilter(req),
+  });
+}
+
+/**
+ * Start a full-site audit in the background
+ * POST /seo-suit/audits
+ * Body: { url | websiteId, max_pages, max_depth }
+ */
+router.post("/audits", requireScope("seo:run"), async (req, res) => {
+  try {
+    const result = await siteAudits.createAudit(req.organization, req.user.id, req.body || {});
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    // Runs in the background; the sync worker picks it up if this instance stops
+    siteAudits.processAudit(result.audit._id).catch((err) => {
+      logger.error("Site audit failed", {
+        userId: req.user.id,
+        auditId: result.audit._id,
+        error: err.message,
+      });
+    });
+
+    res.status(202).json({ ok: true, audit: siteAudits.formatAudit(result.audit) });
+  } catch (err) {
+    logger.error("Site audit creation failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Recent audits of the organization, optionally of one website
+ * GET /seo-suit/audits?websiteId=
+ */
+router.get("/audits", requireScope("seo:read"), async (req, res) => {
+  try {
+    const { websiteId } = req.query;
+    if (websiteId && !mongoose.Types.ObjectId.isValid(websiteId)) {
+      return res.status(400).json({ error: "Invalid websiteId" });
+    }
+    const audits = await siteAudits.listAudits(organizationService.organizationFilter(req), {
+      websiteId,
+    });
+    res.json({ ok: true, audits: audits.map((audit) => siteAudits.formatAudit(audit)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Audit status and summary with site-wide findings
+ * GET /seo-suit/audits/:auditId
+ */
+router.get("/audits/:auditId", requireScope("seo:read"), async (req, res) => {
+  try {
+    const audit = await findAudit(req);
+    if (!audit) return res.status(404).json({ error: "Site audit not found" });
+    res.json({ ok: true, audit: siteAudits.formatAudit(audit, { includeSite: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Audited pages with their issues, pages with the most severe issues first
+ * GET /seo-suit/audits/:auditId/pages?page=&limit=&severity=&category=&code=
+ */
+router.get("/audits/:auditId/pages", requireScope("seo:read"), async (req, res) => {
+  try {
+    const audit = await findAudit(req);
+    if (!audit) return res.status(404).json({ error: "Site audit not found" });
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const { severity, category, code } = req.query;
+    if (severity && !SiteAudit.SEVERITIES.includes(severity)) {
+      return res
+        .status(400)
+        .json({ error: `severity must be one of ${SiteAudit.SEVERITIES.join(", ")}` });
+    }
+
+    const issueMatch = {
+      ...(severity && { severity }),
+      ...(category && { category: String(category) }),
+      ...(code && { code: String(code) }),
+    };
+    const query = {
+      audit: audit._id,
+      ...(Object.keys(issueMatch).length > 0 && { issues: { $elemMatch: issueMatch } }),
+    };
+
+    const total = await SiteAuditPage.countDocuments(query);
+    const pages = await SiteAuditPage.find(query)
+      .select("-audit -__v")
+      .sort({ critical: -1, warning: -1, url: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    res.json({
+      ok: true,
+      pages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Issues grouped by type with the number of pages they appear on, plus the
+ * site-wide issues
+ * GET /seo-suit/audits/:auditId/issues
+ */
+router.get("/audits/:auditId/issues", requireScope("seo:read"), async (req, res) => {
+  try {
+    const audit = await findAudit(req);
+    if (!audit) return res.status(404).json({ error: "Site audit not found" });
+    res.json({
+      ok: true,
+      summary: audit.summary?.score !== undefined ? audit.summary : null,
+      siteIssues: audit.siteIssues,
+      issues: await siteAudits.aggregateIssues(audit),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Cancel a queued or running audit
+ * POST /seo-suit/audits/:auditId/cancel
+ */
+router.post("/audits/:auditId/cancel", requireScope("seo:run"), async (req, res) => {
+  try {
+    const audit = await findAudit(req);
+    if (!audit) return res.status(404).json({ error: "Site audit not found" });
+    const result = await siteAudits.cancelAudit(audit);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, audit: siteAudits.formatAudit(result.audit) });
+  } catch (err) {
+    logger.error("Site audit cancellation failed", {
+      userId: req.user.id,
+      auditId: req.params.auditId,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * POST /seo-suit/:toolName
  *
  * Tools are currently non-functional stubs (static responses)
  * so the frontend can integrate and we can iterate later.
  */
-router.post("/:toolName", requireRole(), async (req, res) => {
+router.post("/:toolName", requireScope("seo:run"), async (req, res) => {
   const { toolName } = req.params;
 
   // toolName is expected to match frontend tab ids, e.g. "index-checker".
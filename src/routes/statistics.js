@@ -1,145 +1,90 @@
 const express = require("express");
-const axios = require("axios");
-const { requireRole } = require("../middleware/auth");
+const { requireScope } = require("../middleware/auth");
+const { loadSubscription, checkFeatureAccess } = require("../middleware/subscription");
 const Campaign = require("../models/Campaign");
 const Subscription = require("../models/Subscription");
+const organizationService = require("../services/organizationService");
+const visitLedger = require("../services/visitLedger");
+const exportService = require("../services/exportService");
+const dailyStatsService = require("../services/dailyStats");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
-const SPARKTRAFFIC_API_KEY = () => process.env.SPARKTRAFFIC_API_KEY?.trim();
-
-// Fetch stats for a single SparkTraffic campaign within a date range
-async function fetchCampaignStats(campaign, fromDate, toDate) {
-  try {
-    const resp = await axios.post(
-      "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-      null,
-      {
-        headers: { "Content-Type": "application/json", API_KEY: SPARKTRAFFIC_API_KEY() },
-        params: { unique_id: campaign.spark_traffic_project_id, from: fromDate, to: toDate },
-        timeout: 15000,
-      }
-    );
-
-    const data = resp.data || {};
-    let totalHits = 0;
-    let totalVisits = 0;
-
-    if (Array.isArray(data.hits)) {
-      data.hits.forEach((d) => Object.values(d).forEach((v) => { totalHits += parseInt(v) || 0; }));
-    }
-    if (Array.isArray(data.visits)) {
-      data.visits.forEach((d) => Object.values(d).forEach((v) => { totalVisits += parseInt(v) || 0; }));
-    }
-
-    return { totalHits, totalVisits, dailyHits: data.hits || [], dailyVisits: data.visits || [] };
-  } catch (err) {
-    logger.warn("Failed to fetch stats for campaign in statistics", {
-      campaignId: campaign._id,
-      error: err.message,
-    });
-    return null;
-  }
+// Aggregate daily hits and visits and country estimates across the account's
+// active campaigns for the last `days` days, from the daily stats rollup
+async function aggregateStatistics(req, days) {
+  const now = new Date();
+  const fromDate = new Date(now);
+  fromDate.setDate(now.getDate() - days + 1);
+
+  const toDateStr = now.toISOString().split("T")[0];
+  const fromDateStr = fromDate.toISOString().split("T")[0];
+
+  // Fetch user's active, non-archived SparkTraffic campaigns
+  const campaigns = await Campaign.find({
+    ...organizationService.organizationFilter(req),
+    spark_traffic_project_id: { $exists: true, $ne: null },
+    $or: [{ is_archived: { $exists: false } }, { is_archived: false }],
+  })
+    .select("_id title state spark_traffic_project_id countries createdAt")
+    .lean();
+
+  const activeCampaigns = campaigns.filter(
+    (c) => c.state !== "archived" && c.state !== "deleted"
+  );
+
+  // Daily series and country estimates from the rollup store
+  const campaignIds = activeCampaigns.map((c) => c._id);
+  const range = { from: fromDateStr, to: toDateStr };
+  const series = await dailyStatsService.getDailySeries(campaignIds, range);
+  const totalHits = series.reduce((sum, d) => sum + d.hits, 0);
+  const totalVisits = series.reduce((sum, d) => sum + d.visits, 0);
+
+  // Newest first to match campaign endpoint format
+  const dailyStats = [...series].reverse();
+
+  const breakdown = await dailyStatsService.getCountryBreakdown(activeCampaigns, range);
+  const topCountries = breakdown.countries
+    .slice(0, 10)
+    .map(({ country, hits }) => ({ country, hits }));
+
+  return {
+    dateRange: { from: fromDateStr, to: toDateStr, days },
+    activeCampaigns,
+    totalHits,
+    totalVisits,
+    dailyStats,
+    topCountries,
+    topCountriesEstimated: breakdown.estimated,
+  };
 }
 
 // GET /api/statistics?days=30
-router.get("/", requireRole(), async (req, res) => {
+router.get("/", requireScope("stats:read"), async (req, res) => {
   try {
-    const userId = req.user.id;
     const days = Math.min(parseInt(req.query.days) || 30, 365);
-
-    const now = new Date();
-    const fromDate = new Date(now);
-    fromDate.setDate(now.getDate() - days + 1);
-
-    const toDateStr = now.toISOString().split("T")[0];
-    const fromDateStr = fromDate.toISOString().split("T")[0];
-
-    // Fetch user's active, non-archived SparkTraffic campaigns
-    const campaigns = await Campaign.find({
-      user: userId,
-      spark_traffic_project_id: { $exists: true, $ne: null },
-      $or: [{ is_archived: { $exists: false } }, { is_archived: false }],
-    })
-      .select("_id title state spark_traffic_project_id countries createdAt")
-      .lean();
-
-    const activeCampaigns = campaigns.filter(
-      (c) => c.state !== "archived" && c.state !== "deleted"
-    );
-
-    // Fetch stats for all campaigns in parallel
-    const statsResults = await Promise.allSettled(
-      activeCampaigns.map((c) => fetchCampaignStats(c, fromDateStr, toDateStr))
-    );
-
-    // Aggregate daily hits and visits by date
-    const dailyHitsMap = {};
-    const dailyVisitsMap = {};
-    let totalHits = 0;
-    let totalVisits = 0;
-
-    statsResults.forEach((result) => {
-      if (result.status !== "fulfilled" || !result.value) return;
-      const { totalHits: h, totalVisits: v, dailyHits, dailyVisits } = result.value;
-
-      totalHits += h;
-      totalVisits += v;
-
-      dailyHits.forEach((entry) => {
-        const [date, count] = Object.entries(entry)[0];
-        dailyHitsMap[date] = (dailyHitsMap[date] || 0) + (parseInt(count) || 0);
-      });
-
-      dailyVisits.forEach((entry) => {
-        const [date, count] = Object.entries(entry)[0];
-        dailyVisitsMap[date] = (dailyVisitsMap[date] || 0) + (parseInt(count) || 0);
-      });
-    });
-
-    // Build sorted daily stats array (newest first to match campaign endpoint format)
-    const allDates = new Set([...Object.keys(dailyHitsMap), ...Object.keys(dailyVisitsMap)]);
-    const dailyStats = Array.from(allDates)
-      .sort((a, b) => new Date(b) - new Date(a))
-      .map((date) => ({
-        date,
-        hits: dailyHitsMap[date] || 0,
-        visits: dailyVisitsMap[date] || 0,
-      }));
-
-    // Aggregate country distribution from campaign geo settings
-    const countryTotalsMap = {};
-    activeCampaigns.forEach((c, idx) => {
-      if (!Array.isArray(c.countries) || c.countries.length === 0) return;
-      const campaignResult = statsResults[idx];
-      const campaignHits =
-        campaignResult.status === "fulfilled" && campaignResult.value
-          ? campaignResult.value.totalHits
-          : 0;
-
-      c.countries.forEach((geo) => {
-        if (!geo.country) return;
-        const contribution = Math.round(campaignHits * (geo.percent || 0));
-        countryTotalsMap[geo.country] =
-          (countryTotalsMap[geo.country] || 0) + contribution;
-      });
-    });
-
-    const topCountries = Object.entries(countryTotalsMap)
-      .map(([country, hits]) => ({ country, hits }))
-      .sort((a, b) => b.hits - a.hits)
-      .slice(0, 10);
+    const {
+      dateRange,
+      activeCampaigns,
+      totalHits,
+      totalVisits,
+      dailyStats,
+      topCountries,
+      topCountriesEstimated,
+    } = await aggregateStatistics(req, days);
 
     // Get subscription info for available credits/visits
-    const subscription = await Subscription.findOne({ user: userId });
+    const subscription = await Subscription.findOne({
+      user: organizationService.billingUserId(req),
+    });
     const availableVisits = subscription
-      ? subscription.visitsIncluded - subscription.visitsUsed
+      ? await visitLedger.getAvailableVisits(subscription)
       : 0;
 
     res.json({
       ok: true,
-      dateRange: { from: fromDateStr, to: toDateStr, days },
+      dateRange,
       summary: {
         availableVisits,
         activeCampaigns: activeCampaigns.filter(
@@ -153,6 +98,8 @@ router.get("/", requireRole(), async (req, res) => {
       },
       dailyStats,
       topCountries,
+      // Split by each campaign's geo targeting when vendors report no countries
+      topCountriesEstimated,
       subscription: subscription
         ? {
             planName: subscription.planName,
@@ -173,4 +120,48 @@ router.get("/", requireRole(), async (req, res) => {
   }
 });
 
+// Export the account-wide daily series
+// GET /api/statistics/export?days=30&format=csv|xlsx|json
+router.get(
+  "/export",
+  requireScope("stats:read"),
+  loadSubscription,
+  checkFeatureAccess("analytics", exportService.ANALYTICS_LEVELS),
+  async (req, res) => {
+    try {
+      const format = exportService.parseFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${exportService.FORMATS.join(", ")}`,
+        });
+      }
+
+      const days = Math.min(parseInt(req.query.days) || 30, 365);
+      const { dateRange, activeCampaigns, totalHits, totalVisits, dailyStats } =
+        await aggregateStatistics(req, days);
+
+      exportService.send(res, format, {
+        filename: `statistics-${dateRange.from}-${dateRange.to}`,
+        sheetName: "Statistics",
+        columns: exportService.DAILY_COLUMNS,
+        rows: [...dailyStats].reverse(), // oldest first
+        meta: {
+          dateRange,
+          summary: {
+            totalCampaigns: activeCampaigns.length,
+            totalHits,
+            totalVisits,
+          },
+        },
+      });
+    } catch (err) {
+      logger.error("Statistics export failed", {
+        userId: req.user.id,
+        error: err.message,
+      });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 module.exports = router;
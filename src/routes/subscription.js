@@ -1,5 +1,6 @@
 const express = require("express");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requirePermission } = require("../middleware/auth");
+const { loadSubscription, checkFeatureAccess } = require("../middleware/subscription");
 const {
   createCheckoutSession,
   cancelSubscription,
@@ -15,6 +16,10 @@ const {
 } = require("../services/stripeService");
 const Subscription = require("../models/Subscription");
 const User = require("../models/User");
+const visitLedger = require("../services/visitLedger");
+const webhookService = require("../services/webhookService");
+const exportService = require("../services/exportService");
+const { billingUserId } = require("../services/organizationService");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const logger = require("../utils/logger");
 const {
@@ -34,11 +39,11 @@ const router = express.Router();
 /**
  * Get current user's subscription details
  */
-router.get("/subscription", requireRole(), async (req, res) => {
+router.get("/subscription", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const SEOAnalysis = require("../models/SEOAnalysis");
 
-    const subscription = await getSubscriptionDetails(req.user.id);
+    const subscription = await getSubscriptionDetails(billingUserId(req));
     const planConfig = Subscription.getPlanConfig(subscription.planName);
     const seoLimit = planConfig.seoAnalysisLimit ?? 2;
 
@@ -52,7 +57,7 @@ router.get("/subscription", requireRole(), async (req, res) => {
     const countFrom = new Date(Math.max(periodStart.getTime(), cutoffDate.getTime()));
 
     const seoAnalysesUsed = await SEOAnalysis.countDocuments({
-      user: req.user.id,
+      organization: req.organization._id,
       createdAt: { $gte: countFrom },
     });
 
@@ -121,7 +126,7 @@ router.get("/plans", async (req, res) => {
 /**
  * Create a checkout session for upgrading plan
  */
-router.post("/checkout", requireRole(), async (req, res) => {
+router.post("/checkout", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { planName, successUrl, cancelUrl } = req.body;
 
@@ -154,7 +159,7 @@ router.post("/checkout", requireRole(), async (req, res) => {
     }
 
     const session = await createCheckoutSession(
-      req.user.id,
+      billingUserId(req),
       planName,
       successUrl || `${process.env.FRONTEND_URL}/subscription/success`,
       cancelUrl || `${process.env.FRONTEND_URL}/subscription/cancel`
@@ -187,7 +192,7 @@ router.post("/checkout", requireRole(), async (req, res) => {
 /**
  * Create a checkout session for a hits top-up ($1 = 1,000 hits)
  */
-router.post("/topup/checkout", requireRole(), async (req, res) => {
+router.post("/topup/checkout", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { dollars, successUrl, cancelUrl } = req.body;
 
@@ -202,8 +207,8 @@ router.post("/topup/checkout", requireRole(), async (req, res) => {
     const hitsToAdd = amount * 1000;
     const amountCents = amount * 100;
 
-    const user = await User.findById(req.user.id);
-    let subscription = await Subscription.findOne({ user: req.user.id });
+    const user = await User.findById(billingUserId(req));
+    let subscription = await Subscription.findOne({ user: billingUserId(req) });
 
     // Ensure a Stripe customer exists first (needed before creating subscription)
     let customerId = subscription?.stripeCustomerId;
@@ -273,7 +278,7 @@ router.post("/topup/checkout", requireRole(), async (req, res) => {
 /**
  * Upgrade subscription plan
  */
-router.post("/upgrade", requireRole(), async (req, res) => {
+router.post("/upgrade", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { planName, paymentMethodId } = req.body;
 
@@ -300,7 +305,7 @@ router.post("/upgrade", requireRole(), async (req, res) => {
     }
 
     const updatedSubscription = await updateSubscriptionPlan(
-      req.user.id,
+      billingUserId(req),
       planName,
       paymentMethodId
     );
@@ -336,7 +341,7 @@ router.post("/upgrade", requireRole(), async (req, res) => {
 /**
  * Downgrade subscription plan
  */
-router.post("/downgrade", requireRole(), async (req, res) => {
+router.post("/downgrade", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { planName } = req.body;
 
@@ -355,7 +360,7 @@ router.post("/downgrade", requireRole(), async (req, res) => {
     }
 
     const updatedSubscription = await updateSubscriptionPlan(
-      req.user.id,
+      billingUserId(req),
       planName
     );
 
@@ -390,19 +395,19 @@ router.post("/downgrade", requireRole(), async (req, res) => {
 /**
  * Cancel subscription
  */
-router.post("/cancel", requireRole(), async (req, res) => {
+router.post("/cancel", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { cancelAtPeriodEnd = true } = req.body;
 
     const subscription = await cancelSubscription(
-      req.user.id,
+      billingUserId(req),
       cancelAtPeriodEnd
     );
 
     // Create payment record for manual cancellation
     const Payment = require("../models/Payment");
     try {
-      await Payment.createLifecycleEvent('canceled', subscription, req.user.id, {
+      await Payment.createLifecycleEvent('canceled', subscription, billingUserId(req), {
         cancelAtPeriodEnd,
         canceledBy: 'user',
         canceledAt: new Date(),
@@ -422,8 +427,13 @@ router.post("/cancel", requireRole(), async (req, res) => {
       userId: req.user.id,
       cancelAtPeriodEnd,
     });
+    webhookService.emit(
+      billingUserId(req),
+      "subscription.changed",
+      webhookService.subscriptionEventData(subscription, { source: "user_cancel" })
+    );
 
-    User.findById(req.user.id).select("email firstName").then((cancelUser) => {
+    User.findById(billingUserId(req)).select("email firstName").then((cancelUser) => {
       if (cancelUser) {
         sendSubscriptionCancelledEmail(cancelUser, {
           planName: subscription.planName,
@@ -459,9 +469,9 @@ router.post("/cancel", requireRole(), async (req, res) => {
 /**
  * Immediately cancel subscription and reset user to free tier
  */
-router.post("/reset-to-free", requireRole(), async (req, res) => {
+router.post("/reset-to-free", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    const subscription = await Subscription.findOne({ user: billingUserId(req) });
 
     if (!subscription) {
       return res.status(404).json({ error: "No subscription found" });
@@ -504,8 +514,16 @@ router.post("/reset-to-free", requireRole(), async (req, res) => {
     subscription.stripeSubscriptionId = null;
     subscription.stripePriceId = null;
     subscription.stripeProductId = null;
-    subscription.visitsIncluded = freeConfig.visitsIncluded;
-    subscription.visitsUsed = 0;
+    await visitLedger.resetUsage(subscription, {
+      reason: "plan_change",
+      createdBy: req.user.id,
+      description: `Usage cleared on cancellation of ${previousPlan} plan`,
+    });
+    await visitLedger.setAllowance(subscription, freeConfig.visitsIncluded, {
+      createdBy: req.user.id,
+      description: `Downgraded from ${previousPlan} to free plan`,
+      metadata: { previousPlan, planName: "free" },
+    });
     subscription.campaignLimit = freeConfig.campaignLimit;
     subscription.features = freeConfig.features;
     subscription.cancelAtPeriodEnd = false;
@@ -519,7 +537,7 @@ router.post("/reset-to-free", requireRole(), async (req, res) => {
     // Log a payment record for the forced cancellation
     const Payment = require("../models/Payment");
     try {
-      await Payment.createLifecycleEvent("canceled", subscription, req.user.id, {
+      await Payment.createLifecycleEvent("canceled", subscription, billingUserId(req), {
         cancelAtPeriodEnd: false,
         canceledBy: "user_reset_to_free",
         previousPlan,
@@ -536,8 +554,16 @@ router.post("/reset-to-free", requireRole(), async (req, res) => {
       userId: req.user.id,
       previousPlan,
     });
+    webhookService.emit(
+      billingUserId(req),
+      "subscription.changed",
+      webhookService.subscriptionEventData(subscription, {
+        source: "user_reset_to_free",
+        previous: { planName: previousPlan },
+      })
+    );
 
-    User.findById(req.user.id).select("email firstName").then((resetUser) => {
+    User.findById(billingUserId(req)).select("email firstName").then((resetUser) => {
       if (resetUser) {
         sendSubscriptionCancelledEmail(resetUser, {
           planName: previousPlan,
@@ -571,14 +597,14 @@ router.post("/reset-to-free", requireRole(), async (req, res) => {
 /**
  * Reactivate canceled subscription
  */
-router.post("/reactivate", requireRole(), async (req, res) => {
+router.post("/reactivate", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
-    const subscription = await cancelSubscription(req.user.id, false);
+    const subscription = await cancelSubscription(billingUserId(req), false);
 
     // Create payment record for reactivation
     const Payment = require("../models/Payment");
     try {
-      await Payment.createLifecycleEvent('reactivated', subscription, req.user.id, {
+      await Payment.createLifecycleEvent('reactivated', subscription, billingUserId(req), {
         reactivatedBy: 'user',
         reactivatedAt: new Date(),
       });
@@ -832,9 +858,12 @@ router.post(
               }).save();
             }
 
-            topUpSubscription.topUpCredits = (topUpSubscription.topUpCredits || 0) + hitsToAdd;
-            topUpSubscription.visitsIncluded = (topUpSubscription.visitsIncluded || 0) + hitsToAdd;
-            await topUpSubscription.save();
+            await visitLedger.addVisits(topUpSubscription, hitsToAdd, {
+              reason: "top_up",
+              reference: `stripe:${session.id}`,
+              description: `Hits top-up: +${hitsToAdd.toLocaleString()} hits ($${amountDollars})`,
+              metadata: { amountDollars, paymentIntent: session.payment_intent },
+            });
 
             // Record payment
             const Payment = require("../models/Payment");
@@ -923,7 +952,12 @@ router.post(
                 dbSubscription.stripeCustomerId = stripeCustomerId;
                 dbSubscription.planName = "custom";
                 dbSubscription.status = "active";
-                dbSubscription.visitsIncluded = visitsIncluded;
+                await visitLedger.setAllowance(dbSubscription, visitsIncluded, {
+                  createdBy: adminAssignedBy || undefined,
+                  reference: `stripe:${session.id}`,
+                  description: "Custom plan payment completed",
+                  metadata: { planName: "custom", price, durationDays },
+                });
                 dbSubscription.campaignLimit = campaignLimit;
                 dbSubscription.features = features;
                 dbSubscription.currentPeriodStart = new Date();
@@ -975,6 +1009,13 @@ router.post(
                   userId,
                 });
               }
+              webhookService.emit(
+                userId,
+                "subscription.changed",
+                webhookService.subscriptionEventData(dbSubscription, {
+                  source: "custom_plan_payment",
+                })
+              );
 
               // Update pending payment record to succeeded and link to subscription
               const Payment = require("../models/Payment");
@@ -1205,6 +1246,20 @@ Start creating campaigns now!`,
               customerId: invoice.customer,
               userId: dbSubscription.user,
             });
+            webhookService.emit(dbSubscription.user, "payment.failed", {
+              invoice: {
+                id: invoice.id,
+                amountDue: invoice.amount_due,
+                currency: invoice.currency,
+                attemptCount: invoice.attempt_count,
+                nextPaymentAttempt: invoice.next_payment_attempt
+                  ? new Date(invoice.next_payment_attempt * 1000).toISOString()
+                  : null,
+                hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+              },
+              failureReason: invoice.last_finalization_error?.message || "Payment failed",
+              ...webhookService.subscriptionEventData(dbSubscription),
+            });
           }
           break;
         }
@@ -1324,10 +1379,54 @@ Start creating campaigns now!`,
   }
 );
 
+const MAX_PAYMENT_EXPORT_ROWS = 10000;
+
+// Shape a Payment record for the payment history
+function formatPayment(payment) {
+  return {
+    id: payment._id,
+    stripeId: payment.stripeInvoiceId || payment.stripePaymentIntentId,
+    type: payment.type,
+    amount: payment.amount / 100, // Convert from cents
+    currency: payment.currency.toUpperCase(),
+    status: payment.status,
+    created: payment.createdAt,
+    description: payment.description,
+    receiptUrl: payment.receiptUrl,
+    invoiceUrl: payment.invoiceUrl,
+    planName: payment.planName,
+    periodStart: payment.periodStart,
+    periodEnd: payment.periodEnd,
+  };
+}
+
+// Payment history derived from the subscription, for accounts without Payment records
+function subscriptionPayments(subscription) {
+  if (subscription.planName === 'free' || subscription.status !== 'active') return [];
+  const planConfig = Subscription.getPlanConfig(subscription.planName);
+  return [
+    {
+      id: subscription._id,
+      stripeId: subscription.stripeSubscriptionId,
+      type: 'subscription',
+      amount: planConfig.price,
+      currency: 'USD',
+      status: 'succeeded',
+      created: subscription.currentPeriodStart || subscription.createdAt,
+      description: `${subscription.planName.charAt(0).toUpperCase() + subscription.planName.slice(1)} Plan Subscription`,
+      receiptUrl: null,
+      invoiceUrl: null,
+      planName: subscription.planName,
+      periodStart: subscription.currentPeriodStart,
+      periodEnd: subscription.currentPeriodEnd,
+    },
+  ];
+}
+
 /**
  * Get payment history for the authenticated user
  */
-router.get("/payments", requireRole(), async (req, res) => {
+router.get("/payments", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { limit = 50, page = 1 } = req.query;
     const limitNum = Math.min(parseInt(limit), 100);
@@ -1335,7 +1434,7 @@ router.get("/payments", requireRole(), async (req, res) => {
     
     // Try to get payments from Payment model first
     const Payment = require("../models/Payment");
-    const payments = await Payment.find({ user: req.user.id })
+    const payments = await Payment.find({ user: billingUserId(req) })
       .sort({ createdAt: -1 })
       .limit(limitNum)
       .skip(skip)
@@ -1343,23 +1442,9 @@ router.get("/payments", requireRole(), async (req, res) => {
 
     if (payments.length > 0) {
       // Format payment data
-      const formattedPayments = payments.map(payment => ({
-        id: payment._id,
-        stripeId: payment.stripeInvoiceId || payment.stripePaymentIntentId,
-        type: payment.type,
-        amount: payment.amount / 100, // Convert from cents
-        currency: payment.currency.toUpperCase(),
-        status: payment.status,
-        created: payment.createdAt,
-        description: payment.description,
-        receiptUrl: payment.receiptUrl,
-        invoiceUrl: payment.invoiceUrl,
-        planName: payment.planName,
-        periodStart: payment.periodStart,
-        periodEnd: payment.periodEnd,
-      }));
-
-      const totalPayments = await Payment.countDocuments({ user: req.user.id });
+      const formattedPayments = payments.map(formatPayment);
+
+      const totalPayments = await Payment.countDocuments({ user: billingUserId(req) });
 
       return res.json({
         ok: true,
@@ -1371,7 +1456,7 @@ router.get("/payments", requireRole(), async (req, res) => {
     }
 
     // Fallback: Create payment history from subscription data
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    const subscription = await Subscription.findOne({ user: billingUserId(req) });
     
     if (!subscription) {
       return res.json({
@@ -1383,26 +1468,7 @@ router.get("/payments", requireRole(), async (req, res) => {
     }
 
     // Create a synthetic payment record based on current subscription
-    const syntheticPayments = [];
-    
-    if (subscription.planName !== 'free' && subscription.status === 'active') {
-      const planConfig = Subscription.getPlanConfig(subscription.planName);
-      syntheticPayments.push({
-        id: subscription._id,
-        stripeId: subscription.stripeSubscriptionId,
-        type: 'subscription',
-        amount: planConfig.price,
-        currency: 'USD',
-        status: 'succeeded',
-        created: subscription.currentPeriodStart || subscription.createdAt,
-        description: `${subscription.planName.charAt(0).toUpperCase() + subscription.planName.slice(1)} Plan Subscription`,
-        receiptUrl: null,
-        invoiceUrl: null,
-        planName: subscription.planName,
-        periodStart: subscription.currentPeriodStart,
-        periodEnd: subscription.currentPeriodEnd,
-      });
-    }
+    const syntheticPayments = subscriptionPayments(subscription);
 
     logger.info("Payment history retrieved from subscription data", {
       userId: req.user.id,
@@ -1430,13 +1496,67 @@ router.get("/payments", requireRole(), async (req, res) => {
   }
 });
 
+/**
+ * Export the full payment history as CSV, XLSX or JSON
+ * GET /api/subscription/payments/export?format=csv|xlsx|json
+ */
+router.get(
+  "/payments/export",
+  requireRole(),
+  requirePermission("billing:manage"),
+  loadSubscription,
+  checkFeatureAccess("analytics", exportService.ANALYTICS_LEVELS),
+  async (req, res) => {
+    try {
+      const format = exportService.parseFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${exportService.FORMATS.join(", ")}`,
+        });
+      }
+
+      const Payment = require("../models/Payment");
+      const payments = await Payment.find({ user: billingUserId(req) })
+        .sort({ createdAt: -1 })
+        .limit(MAX_PAYMENT_EXPORT_ROWS)
+        .lean();
+      const rows = payments.length
+        ? payments.map(formatPayment)
+        : subscriptionPayments(req.subscription);
+
+      logger.info("Payment history exported", {
+        userId: req.user.id,
+        format,
+        rows: rows.length,
+      });
+
+      exportService.send(res, format, {
+        filename: `payments-${new Date().toISOString().slice(0, 10)}`,
+        sheetName: "Payments",
+        columns: exportService.PAYMENT_COLUMNS,
+        rows,
+        meta: { payments: rows.length },
+      });
+    } catch (error) {
+      logger.error("Payment history export failed", {
+        userId: req.user.id,
+        error: error.message,
+      });
+      res.status(500).json({
+        error: "Failed to export payment history",
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * Get payment summary for the authenticated user
  */
-router.get("/payment-summary", requireRole(), async (req, res) => {
+router.get("/payment-summary", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     // Get user's subscription
-    const subscription = await Subscription.findOne({ user: req.user.id });
+    const subscription = await Subscription.findOne({ user: billingUserId(req) });
     
     if (!subscription) {
       return res.json({
@@ -1455,7 +1575,7 @@ router.get("/payment-summary", requireRole(), async (req, res) => {
     // Try to get payment data from Payment model
     const Payment = require("../models/Payment");
     const payments = await Payment.find({ 
-      user: req.user.id, 
+      user: billingUserId(req), 
       status: 'succeeded' 
     }).sort({ createdAt: -1 });
 
@@ -1525,9 +1645,9 @@ router.get("/payment-summary", requireRole(), async (req, res) => {
 /**
  * Get user's saved payment methods
  */
-router.get("/payment-methods", requireRole(), async (req, res) => {
+router.get("/payment-methods", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
-    const paymentData = await getPaymentMethods(req.user.id);
+    const paymentData = await getPaymentMethods(billingUserId(req));
 
     res.json({
       ok: true,
@@ -1548,12 +1668,12 @@ router.get("/payment-methods", requireRole(), async (req, res) => {
 /**
  * Create setup session for adding new payment method
  */
-router.post("/add-payment-method", requireRole(), async (req, res) => {
+router.post("/add-payment-method", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { successUrl, cancelUrl } = req.body;
 
     const session = await createSetupSession(
-      req.user.id,
+      billingUserId(req),
       successUrl || `${process.env.FRONTEND_URL}/billing/success`,
       cancelUrl || `${process.env.FRONTEND_URL}/billing/cancel`
     );
@@ -1584,7 +1704,7 @@ router.post("/add-payment-method", requireRole(), async (req, res) => {
 /**
  * Set default payment method
  */
-router.post("/set-default-payment-method", requireRole(), async (req, res) => {
+router.post("/set-default-payment-method", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { paymentMethodId } = req.body;
 
@@ -1594,7 +1714,7 @@ router.post("/set-default-payment-method", requireRole(), async (req, res) => {
       });
     }
 
-    await setDefaultPaymentMethod(req.user.id, paymentMethodId);
+    await setDefaultPaymentMethod(billingUserId(req), paymentMethodId);
 
     logger.info("Default payment method set", {
       userId: req.user.id,
@@ -1620,11 +1740,11 @@ router.post("/set-default-payment-method", requireRole(), async (req, res) => {
 /**
  * Remove payment method
  */
-router.delete("/payment-methods/:paymentMethodId", requireRole(), async (req, res) => {
+router.delete("/payment-methods/:paymentMethodId", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { paymentMethodId } = req.params;
 
-    await removePaymentMethod(req.user.id, paymentMethodId);
+    await removePaymentMethod(billingUserId(req), paymentMethodId);
 
     logger.info("Payment method removed", {
       userId: req.user.id,
@@ -1650,12 +1770,12 @@ router.delete("/payment-methods/:paymentMethodId", requireRole(), async (req, re
 /**
  * Create customer portal session (Stripe-hosted billing management)
  */
-router.post("/customer-portal", requireRole(), async (req, res) => {
+router.post("/customer-portal", requireRole(), requirePermission("billing:manage"), async (req, res) => {
   try {
     const { returnUrl } = req.body;
 
     const session = await createCustomerPortalSession(
-      req.user.id,
+      billingUserId(req),
       returnUrl || `${process.env.FRONTEND_URL}/billing`
     );
 
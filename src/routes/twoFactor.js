@@ -0,0 +1,210 @@
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+const User = require("../models/User");
+const twoFactor = require("../services/twoFactor");
+const sessionService = require("../services/sessionService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+
+// Count a wrong password or code, with the same lockout as the login challenge
+async function rejectAttempt(user, req) {
+  if (twoFactor.recordFailedAttempt(user)) {
+    logger.warn("Two-factor verification locked", { userId: user._id, ip: req.ip });
+  }
+  await user.save();
+}
+
+/**
+ * Two-factor status of the logged-in user
+ * GET /api/auth/2fa
+ */
+router.get("/", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      required: user.role === "admin",
+      currentSessionVerified: !!req.user.mfa,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Start enrollment: returns a new secret and its otpauth:// URI for a QR code.
+ * Nothing changes until the first code is confirmed with /enable.
+ * POST /api/auth/2fa/setup
+ */
+router.post("/setup", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = twoFactor.generateSecret();
+    user.set("twoFactor.pendingSecret", secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: twoFactor.provisioningUri(user.email, secret),
+    });
+  } catch (err) {
+    logger.error("Two-factor setup failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Confirm enrollment with a code from the authenticator app. Returns recovery
+ * codes (shown once) and a new two-factor-verified session; every other
+ * session is signed out.
+ * POST /api/auth/2fa/enable
+ * Body: { code }
+ */
+router.post("/enable", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({ error: "Start with POST /api/auth/2fa/setup" });
+    }
+
+    const step = twoFactor.verifyCode(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    user.set("twoFactor", {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+    });
+    await user.save();
+
+    const tokens = await sessionService.createSession(user, req, {
+      twoFactorVerified: true,
+    });
+    await sessionService.revokeAllSessions(user._id, {
+      exceptSessionId: tokens.sessionId,
+      reason: "revoked",
+    });
+
+    logger.info("Two-factor authentication enabled", { userId: user._id });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes: codes,
+      ...tokens,
+    });
+  } catch (err) {
+    logger.error("Two-factor enable failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Turn two-factor authentication off. Not available to admins.
+ * POST /api/auth/2fa/disable
+ * Body: { password, code | recoveryCode }
+ */
+router.post("/disable", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.role === "admin") {
+      return res.status(403).json({ error: "Two-factor authentication is mandatory for admins" });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (twoFactor.isLocked(user)) {
+      return res.status(429).json({ error: "Too many invalid attempts. Please try again later." });
+    }
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      await rejectAttempt(user, req);
+      return res.status(401).json({ error: "Invalid password" });
+    }
+    if (!twoFactor.verifyUserCode(user, req.body)) {
+      await rejectAttempt(user, req);
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    user.set("twoFactor", { enabled: false });
+    await user.save();
+
+    logger.info("Two-factor authentication disabled", { userId: user._id });
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    logger.error("Two-factor disable failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Replace all recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code }
+ */
+router.post("/recovery-codes", requireRole(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (twoFactor.isLocked(user)) {
+      return res.status(429).json({ error: "Too many invalid codes. Please try again later." });
+    }
+    if (twoFactor.verifyUserCode(user, { code: req.body.code }) !== "totp") {
+      await rejectAttempt(user, req);
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    twoFactor.clearFailedAttempts(user);
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    user.set("twoFactor.recoveryCodes", hashes);
+    await user.save();
+
+    logger.info("Two-factor recovery codes regenerated", { userId: user._id });
+
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (err) {
+    logger.error("Recovery code regeneration failed", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
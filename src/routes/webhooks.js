@@ -0,0 +1,446 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const webhookService = require("../services/webhookService");
+const { assertSafeHost } = require("../utils/safeFetch");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_ENDPOINTS_PER_USER = 10;
+
+// Validate a webhook URL; returns an error message or null
+async function validateUrl(url) {
+  if (typeof url !== "string" || !url.trim()) {
+    return "url is required";
+  }
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (err) {
+    return "url must be a valid URL";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "url must use http or https";
+  }
+  // Deliveries are checked again when sent, since DNS can change
+  try {
+    await assertSafeHost(parsed.hostname);
+  } catch (err) {
+    if (err.code === "ERR_UNSAFE_URL") return "url must not point to a private or reserved address";
+  }
+  return null;
+}
+
+// Validate an events list; returns an error message or null
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "events must be a non-empty array";
+  }
+  const unknown = events.filter(
+    (e) => e !== "*" && !WebhookEndpoint.EVENT_TYPES.includes(e)
+  );
+  if (unknown.length > 0) {
+    return `Unknown event type(s): ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+function formatEndpoint(endpoint) {
+  return {
+    id: endpoint._id,
+    url: endpoint.url,
+    description: endpoint.description || null,
+    events: endpoint.events,
+    isActive: endpoint.isActive,
+    consecutiveFailures: endpoint.consecutiveFailures,
+    lastDeliveryAt: endpoint.lastDeliveryAt || null,
+    lastDeliveryStatus: endpoint.lastDeliveryStatus || null,
+    disabledAt: endpoint.disabledAt || null,
+    disabledReason: endpoint.disabledReason || null,
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt,
+  };
+}
+
+function formatDelivery(delivery, { includePayload = false } = {}) {
+  return {
+    id: delivery._id,
+    endpointId: delivery.endpoint,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: ["pending", "retrying"].includes(delivery.status)
+      ? delivery.nextAttemptAt
+      : null,
+    lastAttemptAt: delivery.lastAttemptAt || null,
+    deliveredAt: delivery.deliveredAt || null,
+    responseStatus: delivery.responseStatus ?? null,
+    error: delivery.error || null,
+    durationMs: delivery.durationMs ?? null,
+    replayOf: delivery.replayOf || null,
+    createdAt: delivery.createdAt,
+    ...(includePayload
+      ? { payload: delivery.payload, responseBody: delivery.responseBody || null }
+      : {}),
+  };
+}
+
+async function findOwnEndpoint(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: "Webhook endpoint not found" });
+    return null;
+  }
+  const endpoint = await WebhookEndpoint.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+  if (!endpoint) {
+    res.status(404).json({ error: "Webhook endpoint not found" });
+    return null;
+  }
+  return endpoint;
+}
+
+async function findOwnDelivery(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+    res.status(404).json({ error: "Webhook delivery not found" });
+    return null;
+  }
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    user: req.user.id,
+  });
+  if (!delivery) {
+    res.status(404).json({ error: "Webhook delivery not found" });
+    return null;
+  }
+  return delivery;
+}
+
+/**
+ * List event types that can be subscribed to
+ * GET /api/webhooks/events
+ */
+router.get("/events", requireRole(), (req, res) => {
+  res.json({ events: webhookService.EVENT_TYPES });
+});
+
+/**
+ * List the user's webhook endpoints
+ * GET /api/webhooks
+ */
+router.get("/", requireRole(), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ user: req.user.id }).sort({
+      createdAt: -1,
+    });
+    res.json({ endpoints: endpoints.map(formatEndpoint) });
+  } catch (err) {
+    logger.error("Failed to list webhook endpoints", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Register a webhook endpoint. The signing secret is only returned here and
+ * when it is rotated.
+ * POST /api/webhooks
+ * Body: { url, events: ["campaign.paused", ...] | ["*"], description }
+ */
+router.post("/", requireRole(), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const urlError = await validateUrl(url);
+    if (urlError) return res.status(400).json({ error: urlError });
+    const eventsError = validateEvents(events);
+    if (eventsError) return res.status(400).json({ error: eventsError });
+
+    const count = await WebhookEndpoint.countDocuments({ user: req.user.id });
+    if (count >= MAX_ENDPOINTS_PER_USER) {
+      return res.status(400).json({
+        error: `You can register up to ${MAX_ENDPOINTS_PER_USER} webhook endpoints`,
+      });
+    }
+
+    const secret = webhookService.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      user: req.user.id,
+      url: url.trim(),
+      events: [...new Set(events)],
+      description,
+      secret,
+    });
+
+    logger.info("Webhook endpoint created", {
+      userId: req.user.id,
+      endpointId: endpoint._id,
+      events: endpoint.events,
+    });
+
+    res.status(201).json({ endpoint: { ...formatEndpoint(endpoint), secret } });
+  } catch (err) {
+    logger.error("Failed to create webhook endpoint", {
+      userId: req.user.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a webhook endpoint
+ * GET /api/webhooks/:id
+ */
+router.get("/:id", requireRole(), async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+    res.json({ endpoint: formatEndpoint(endpoint) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Update a webhook endpoint. Re-enabling an endpoint clears its failure count.
+ * PUT /api/webhooks/:id
+ * Body: { url, events, description, isActive }
+ */
+router.put("/:id", requireRole(), async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { url, events, description, isActive } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await validateUrl(url);
+      if (urlError) return res.status(400).json({ error: urlError });
+      endpoint.url = url.trim();
+    }
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) return res.status(400).json({ error: eventsError });
+      endpoint.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+      endpoint.description = description;
+    }
+    if (isActive !== undefined) {
+      const enable = !!isActive;
+      if (enable && !endpoint.isActive) {
+        endpoint.consecutiveFailures = 0;
+        endpoint.disabledAt = null;
+        endpoint.disabledReason = null;
+      }
+      if (!enable && endpoint.isActive) {
+        endpoint.disabledAt = new Date();
+        endpoint.disabledReason = "Disabled by user";
+      }
+      endpoint.isActive = enable;
+    }
+
+    await endpoint.save();
+    res.json({ endpoint: formatEndpoint(endpoint) });
+  } catch (err) {
+    logger.error("Failed to update webhook endpoint", {
+      userId: req.user.id,
+      endpointId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * DELETE /api/webhooks/:id
+ */
+router.delete("/:id", requireRole(), async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+    await endpoint.deleteOne();
+
+    logger.info("Webhook endpoint deleted", {
+      userId: req.user.id,
+      endpointId: endpoint._id,
+    });
+
+    res.json({ ok: true, message: "Webhook endpoint deleted" });
+  } catch (err) {
+    logger.error("Failed to delete webhook endpoint", {
+      userId: req.user.id,
+      endpointId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Replace the signing secret of an endpoint
+ * POST /api/webhooks/:id/rotate-secret
+ */
+router.post("/:id/rotate-secret", requireRole(), async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const secret = webhookService.generateSecret();
+    endpoint.secret = secret;
+    await endpoint.save();
+
+    logger.info("Webhook secret rotated", {
+      userId: req.user.id,
+      endpointId: endpoint._id,
+    });
+
+    res.json({ endpoint: { ...formatEndpoint(endpoint), secret } });
+  } catch (err) {
+    logger.error("Failed to rotate webhook secret", {
+      userId: req.user.id,
+      endpointId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Send a test event to an endpoint
+ * POST /api/webhooks/:id/test
+ */
+router.post("/:id/test", requireRole(), async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+    if (!endpoint.isActive) {
+      return res.status(400).json({ error: "Webhook endpoint is disabled" });
+    }
+
+    const [delivery] = await webhookService.emit(
+      req.user.id,
+      "webhook.test",
+      { message: "This is a test event from TrafficBox" },
+      { endpointId: endpoint._id }
+    );
+    if (!delivery) {
+      return res.status(500).json({ error: "Failed to queue test delivery" });
+    }
+
+    res.status(202).json({ delivery: formatDelivery(delivery) });
+  } catch (err) {
+    logger.error("Failed to send webhook test", {
+      userId: req.user.id,
+      endpointId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Delivery log of an endpoint
+ * GET /api/webhooks/:id/deliveries?page=1&limit=20&status=failed&eventType=campaign.paused
+ */
+router.get("/:id/deliveries", requireRole(), async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { endpoint: endpoint._id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.eventType) query.eventType = req.query.eventType;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    res.json({
+      deliveries: deliveries.map((d) => formatDelivery(d)),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    logger.error("Failed to list webhook deliveries", {
+      userId: req.user.id,
+      endpointId: req.params.id,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a delivery with its payload and last response
+ * GET /api/webhooks/deliveries/:deliveryId
+ */
+router.get("/deliveries/:deliveryId", requireRole(), async (req, res) => {
+  try {
+    const delivery = await findOwnDelivery(req, res);
+    if (!delivery) return;
+    res.json({ delivery: formatDelivery(delivery, { includePayload: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Send a delivery's payload again. Creates a new delivery linked by replayOf.
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ */
+router.post("/deliveries/:deliveryId/replay", requireRole(), async (req, res) => {
+  try {
+    const original = await findOwnDelivery(req, res);
+    if (!original) return;
+
+    const endpoint = await WebhookEndpoint.findById(original.endpoint);
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook endpoint no longer exists" });
+    }
+    if (!endpoint.isActive) {
+      return res.status(400).json({ error: "Webhook endpoint is disabled" });
+    }
+
+    const delivery = await webhookService.replayDelivery(original);
+
+    logger.info("Webhook delivery replayed", {
+      userId: req.user.id,
+      originalDeliveryId: original._id,
+      deliveryId: delivery._id,
+      status: delivery.status,
+    });
+
+    res.json({ delivery: formatDelivery(delivery) });
+  } catch (err) {
+    logger.error("Failed to replay webhook delivery", {
+      userId: req.user.id,
+      deliveryId: req.params.deliveryId,
+      error: err.message,
+    });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,44 @@
 const express = require("express");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requirePermission } = require("../middleware/auth");
+const mongoose = require("mongoose");
 const Website = require("../models/Website");
+const WebsiteCheck = require("../models/WebsiteCheck");
+const siteAudits = require("../services/siteAudits");
+const websiteMonitoring = require("../services/websiteMonitoring");
+const organizationService = require("../services/organizationService");
+const logger = require("../utils/logger");
 const router = express.Router();
 
-// Add a new website for the logged-in user
-router.post("/", requireRole(), async (req, res) => {
+// Website of the current organization named in the URL, or null
+function findWebsite(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.websiteId)) return null;
+  return Website.findOne({
+    _id: req.params.websiteId,
+    ...organizationService.organizationFilter(req),
+  });
+}
+
+function formatMonitoring(website) {
+  const monitoring = website.monitoring || {};
+  return {
+    enabled: monitoring.enabled,
+    checks: monitoring.checks,
+    frequency: monitoring.frequency,
+    nextRunAt: monitoring.enabled ? monitoring.nextRunAt : null,
+    lastRunAt: monitoring.lastRunAt,
+    lastStatus: monitoring.lastStatus,
+    lastError: monitoring.lastError,
+  };
+}
+
+// Add a new website to the current organization
+router.post("/", requireRole(), requirePermission("websites:write"), async (req, res) => {
   try {
     const { url, title, description, metadata } = req.body;
     if (!url) return res.status(400).json({ error: "url is required" });
     const website = new Website({
-      user: req.user.id,
+      user: organizationService.billingUserId(req),
+      organization: req.organization._id,
       url,
       title,
       description,
@@ -22,14 +51,138 @@ router.post("/", requireRole(), async (req, res) => {
   }
 });
 
-// Get all websites for the logged-in user
-router.get("/", requireRole(), async (req, res) => {
+// Get all websites of the current organization
+router.get("/", requireRole(), requirePermission("websites:read"), async (req, res) => {
   try {
-    const websites = await Website.find({ user: req.user.id });
+    const websites = await Website.find(organizationService.organizationFilter(req));
     res.json({ websites });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Site audit history of one website, newest first
+router.get("/:websiteId/audits", requireRole(), requirePermission("websites:read"), async (req, res) => {
+  try {
+    const website = await findWebsite(req);
+    if (!website) return res.status(404).json({ error: "Website not found" });
+
+    const audits = await siteAudits.listAudits(organizationService.organizationFilter(req), {
+      websiteId: website._id,
+      limit: 50,
+    });
+    res.json({ ok: true, audits: audits.map((audit) => siteAudits.formatAudit(audit)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Monitoring settings and the latest run
+router.get("/:websiteId/monitoring", requireRole(), requirePermission("websites:read"), async (req, res) => {
+  try {
+    const website = await findWebsite(req);
+    if (!website) return res.status(404).json({ error: "Website not found" });
+
+    const latest = await WebsiteCheck.findOne({ website: website._id }).sort({ createdAt: -1 });
+    res.json({
+      ok: true,
+      monitoring: formatMonitoring(website),
+      availableChecks: Website.MONITOR_CHECKS,
+      latestRun: latest ? websiteMonitoring.formatRun(latest) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Enable, disable or change monitoring. Enabling (or changing the frequency)
+// schedules the next run right away; its first run is the baseline.
+router.put("/:websiteId/monitoring", requireRole(), requirePermission("websites:write"), async (req, res) => {
+  try {
+    const website = await findWebsite(req);
+    if (!website) return res.status(404).json({ error: "Website not found" });
+
+    const parsed = websiteMonitoring.parseMonitoringInput(req.body, website.monitoring);
+    if (!parsed.valid) return res.status(400).json({ error: parsed.error });
+
+    const wasEnabled = website.monitoring.enabled;
+    const previousFrequency = website.monitoring.frequency;
+    Object.assign(website.monitoring, parsed.fields);
+    if (
+      website.monitoring.enabled &&
+      (!wasEnabled || website.monitoring.frequency !== previousFrequency || !website.monitoring.nextRunAt)
+    ) {
+      website.monitoring.nextRunAt = new Date();
+    }
+    await website.save();
+    res.json({ ok: true, monitoring: formatMonitoring(website) });
+  } catch (err) {
+    logger.error("Error updating website monitoring", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Monitoring run history, newest first
+router.get("/:websiteId/monitoring/runs", requireRole(), requirePermission("websites:read"), async (req, res) => {
+  try {
+    const website = await findWebsite(req);
+    if (!website) return res.status(404).json({ error: "Website not found" });
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { website: website._id };
+    if (req.query.changed === "true") query["changes.0"] = { $exists: true };
+
+    const [runs, total] = await Promise.all([
+      WebsiteCheck.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebsiteCheck.countDocuments(query),
+    ]);
+    res.json({
+      ok: true,
+      runs: runs.map((run) => websiteMonitoring.formatRun(run)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run the enabled checks now (monitoring need not be enabled). The index
+// check is left to scheduled runs.
+router.post("/:websiteId/monitoring/run", requireRole(), requirePermission("websites:write"), async (req, res) => {
+  try {
+    const website = await findWebsite(req);
+    if (!website) return res.status(404).json({ error: "Website not found" });
+    if (websiteMonitoring.manualChecks(website).length === 0) {
+      return res.status(400).json({ error: "The index check only runs on the monitoring schedule" });
+    }
+
+    const claim = await websiteMonitoring.claimManualRun(website);
+    if (!claim.ok) {
+      res.set("Retry-After", String(claim.retryAfter));
+      return res.status(429).json({
+        error: "This website was checked recently. Please try again later.",
+        retryAfter: claim.retryAfter,
+      });
+    }
+
+    const run = await websiteMonitoring.runMonitor(website, { trigger: "manual" });
+    if (!run) return res.status(400).json({ error: "Website URL is not a valid http(s) URL" });
+    res.json({ ok: true, run: websiteMonitoring.formatRun(run) });
+  } catch (err) {
+    logger.error("Error running website monitoring", { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
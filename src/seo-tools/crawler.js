@@ -0,0 +1,582 @@
+const { safeFetch } = require("../utils/safeFetch");
+
+/**
+ * Site crawler shared by the SEO tools
+ *
+ * Breadth-first crawl of one site from a start URL: pages on the same host
+ * (with or without "www.") are fetched up to a depth, page count and time
+ * budget, a few at a time. robots.txt is honored, including Crawl-delay.
+ * Requests go through safeFetch, which records every redirect hop and keeps
+ * the crawl off private addresses. URLs are normalized so tracking parameters,
+ * fragments, trailing slashes and pages declaring another page as canonical
+ * are not crawled twice.
+ *
+ * Page HTML is handed to the `onPage` callback and not kept, so tools extract
+ * what they need while the crawl runs.
+ */
+
+const USER_AGENT = "TrafficBoxes SEO Crawler/1.0";
+const ROBOTS_AGENT = "trafficboxes";
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_CRAWL_DELAY_MS = 5000;
+// Link text is read from at most this many characters after the <a> tag
+const MAX_ANCHOR_CHARS = 2000;
+
+const LIMITS = {
+  maxPages: { default: 50, max: 500 },
+  maxDepth: { default: 3, max: 10 },
+  concurrency: { default: 4, max: 8 },
+};
+
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga|ref)$/i;
+
+const SKIP_EXTENSIONS = [
+  ".pdf", ".jpg", ".jpeg", ".png", ".gif", ".webp", ".svg", ".css", ".js",
+  ".ico", ".xml", ".zip", ".mp4", ".mp3", ".woff", ".woff2", ".ttf", ".json",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function toAbsoluteUrl(url) {
+  const raw = String(url || "").trim();
+  if (!raw) return null;
+  if (/^https?:\/\//i.test(raw)) return raw;
+  return `https://${raw}`;
+}
+
+/**
+ * Clamp a numeric option to its allowed range
+ * @param {String} name - Key of LIMITS
+ * @param {*} value - Requested value
+ * @returns {Number}
+ */
+function clampOption(name, value) {
+  const { default: fallback, max } = LIMITS[name];
+  const parsed = parseInt(value ?? fallback, 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(1, Math.min(parsed, max));
+}
+
+/**
+ * Normalize a URL for deduplication: no fragment, no tracking parameters,
+ * sorted query, no trailing slash except at the root
+ * @param {String} input - URL, absolute or relative to base
+ * @param {String} base - Base URL for relative input
+ * @returns {String|null} Normalized URL, or null if not http(s)
+ */
+function normalizeUrl(input, base) {
+  let u;
+  try {
+    u = new URL(input, base);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(u.protocol)) return null;
+  u.hash = "";
+  const params = [...u.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  u.search = new URLSearchParams(params).toString();
+  if (u.pathname.length > 1 && u.pathname.endsWith("/")) {
+    u.pathname = u.pathname.replace(/\/+$/, "") || "/";
+  }
+  return u.toString();
+}
+
+const siteHost = (url) => new URL(url).host.toLowerCase().replace(/^www\./, "");
+
+function shouldSkipUrl(url) {
+  const pathname = new URL(url).pathname.toLowerCase();
+  return SKIP_EXTENSIONS.some((ext) => pathname.endsWith(ext));
+}
+
+// &amp; is decoded last so "&amp;lt;" stays "&lt;"
+function decodeHtmlEntities(str) {
+  return String(str || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Attributes of a tag, quoted or not, keyed by lowercase name
+function parseAttributes(fragment) {
+  const attrs = {};
+  const attrRegex = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let m;
+  while ((m = attrRegex.exec(fragment)) !== null) {
+    attrs[String(m[1]).toLowerCase()] = decodeHtmlEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+// Page parsing below is a single pass over the HTML: tags are matched up to the
+// next "<" and closing tags are searched for in bounded slices, so unclosed
+// markup cannot make a page take quadratic time and stall the crawl
+
+// HTML without comments; an unclosed comment runs to the end of the page
+function stripComments(html) {
+  const parts = [];
+  let pos = 0;
+  for (;;) {
+    const start = html.indexOf("<!--", pos);
+    if (start === -1) break;
+    parts.push(html.slice(pos, start));
+    const end = html.indexOf("-->", start + 4);
+    if (end === -1) return parts.join("");
+    pos = end + 3;
+  }
+  parts.push(html.slice(pos));
+  return parts.join("");
+}
+
+// Content of the <head> element, or "" without one
+function headContent(html) {
+  const open = /<head(?=[\s/>])[^<>]*>/i.exec(html);
+  if (!open) return "";
+  const start = open.index + open[0].length;
+  const close = /<\/head\s*>/gi;
+  close.lastIndex = start;
+  const end = close.exec(html);
+  return html.slice(start, end ? end.index : html.length);
+}
+
+/**
+ * Every followable <a href> of a page, resolved against the page URL
+ * @param {String} html - Page HTML
+ * @param {String} pageUrl - URL the page was served from
+ * @returns {Array} [{ url, text, nofollow }]
+ */
+function extractLinks(html, pageUrl) {
+  const source = stripComments(String(html || ""));
+  const baseMatch = /<base\s([^<>]*)>/i.exec(source);
+  const base = (baseMatch && parseAttributes(baseMatch[1]).href) || pageUrl;
+
+  const anchors = [...source.matchAll(/<a(?=[\s>])([^<>]*)>/gi)];
+  const links = [];
+  anchors.forEach((match, i) => {
+    const attrs = parseAttributes(match[1]);
+    const href = String(attrs.href || "").trim();
+    if (!href || /^(#|javascript:|mailto:|tel:|data:)/i.test(href)) return;
+
+    let url;
+    try {
+      url = new URL(href, new URL(base, pageUrl)).toString();
+    } catch {
+      return; // Ignore invalid href values
+    }
+    if (!/^https?:/i.test(url)) return;
+
+    // The text ends at </a>, or at the next <a> when the tag is unclosed
+    const textStart = match.index + match[0].length;
+    const nextAnchor = i + 1 < anchors.length ? anchors[i + 1].index : source.length;
+    const slice = source.slice(textStart, Math.min(nextAnchor, textStart + MAX_ANCHOR_CHARS));
+    const close = slice.search(/<\/a\s*>/i);
+
+    const inner = close === -1 ? slice : slice.slice(0, close);
+
+    links.push({
+      url,
+      text: decodeHtmlEntities(inner.replace(/<[^<>]*>/g, " "))
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 100),
+      nofollow: String(attrs.rel || "").toLowerCase().split(/\s+/).includes("nofollow"),
+    });
+  });
+  return links;
+}
+
+// <link rel="canonical"> and <meta name="robots"> of a page
+function extractPageDirectives(html, pageUrl) {
+  const head = headContent(String(html || ""));
+  let canonical = null;
+  let robots = "";
+
+  const tagRegex = /<(link|meta)\s([^<>]*)>/gi;
+  let m;
+  while ((m = tagRegex.exec(head)) !== null) {
+    const attrs = parseAttributes(m[2]);
+    if (
+      m[1].toLowerCase() === "link" &&
+      !canonical &&
+      String(attrs.rel || "").toLowerCase().split(/\s+/).includes("canonical")
+    ) {
+      canonical = normalizeUrl(attrs.href || "", pageUrl);
+    }
+    if (m[1].toLowerCase() === "meta" && String(attrs.name || "").toLowerCase() === "robots") {
+      robots = String(attrs.content || "").toLowerCase();
+    }
+  }
+  return { canonical, noindex: robots.includes("noindex"), nofollow: robots.includes("nofollow") };
+}
+
+/**
+ * Parse robots.txt into user-agent groups
+ * @param {String} text - robots.txt content
+ * @returns {Object} { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const sep = line.indexOf(":");
+      if (sep === -1) return;
+      const key = line.slice(0, sep).trim().toLowerCase();
+      const value = line.slice(sep + 1).trim();
+
+      if (key === "user-agent") {
+        if (!lastWasAgent || !group) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+      lastWasAgent = false;
+
+      if (key === "sitemap") {
+        if (value) sitemaps.push(value);
+      } else if (!group) {
+        // Rules before any User-agent line are ignored
+      } else if (key === "allow" || key === "disallow") {
+        if (value) group.rules.push({ allow: key === "allow", path: value });
+      } else if (key === "crawl-delay") {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay >= 0) group.crawlDelay = delay;
+      }
+    });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * The robots.txt group that applies to a crawler: its own token, else "*"
+ * @param {Object} robots - From parseRobots()
+ * @param {String} agent - Crawler token
+ * @returns {Object} { rules, crawlDelay }
+ */
+function robotsGroupFor(robots, agent = ROBOTS_AGENT) {
+  const own = robots.groups.filter((g) => g.agents.some((a) => a !== "*" && agent.includes(a)));
+  const matched = own.length > 0 ? own : robots.groups.filter((g) => g.agents.includes("*"));
+  return {
+    rules: matched.flatMap((g) => g.rules),
+    crawlDelay: matched.map((g) => g.crawlDelay).find((d) => d !== null) ?? null,
+  };
+}
+
+// Whether a robots.txt path (with "*" wildcards and an optional "$" end anchor)
+// matches a URL path. Literal segments are found left to right with indexOf,
+// which takes linear time whatever the site puts in its robots.txt
+function matchesRobotsPath(path, target) {
+  const anchored = path.endsWith("$");
+  const parts = (anchored ? path.slice(0, -1) : path).split("*");
+  if (!target.startsWith(parts[0])) return false;
+  if (parts.length === 1) return !anchored || target.length === parts[0].length;
+
+  let pos = parts[0].length;
+  for (let i = 1; i < parts.length - 1; i++) {
+    const found = target.indexOf(parts[i], pos);
+    if (found === -1) return false;
+    pos = found + parts[i].length;
+  }
+  const last = parts[parts.length - 1];
+  if (!anchored) return target.indexOf(last, pos) !== -1;
+  return target.length - last.length >= pos && target.endsWith(last);
+}
+
+/**
+ * Whether rules allow a URL: the longest matching rule wins, Allow on ties
+ * @param {Array} rules - [{ allow, path }]
+ * @param {String} url - URL to test
+ * @returns {Boolean}
+ */
+function isAllowedByRobots(rules, url) {
+  const u = new URL(url);
+  const target = `${u.pathname}${u.search}`;
+  let best = null;
+  for (const rule of rules) {
+    if (!matchesRobotsPath(rule.path, target)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Fetch a URL, following redirects
+ * @param {String} url - Absolute URL
+ * @param {Object} options - { method, timeoutMs, userAgent }
+ * @returns {Object} { url, final_url, status, redirect_chain, content_type,
+ *   response_time_ms, headers, body, error }
+ */
+async function fetchUrl(url, { method = "get", timeoutMs = 10000, userAgent = USER_AGENT } = {}) {
+  const started = Date.now();
+  try {
+    const response = await safeFetch(url, {
+      method,
+      timeoutMs,
+      maxBytes: MAX_BODY_BYTES,
+      maxRedirects: MAX_REDIRECTS,
+      headers: { "User-Agent": userAgent },
+    });
+    return {
+      url,
+      final_url: response.final_url,
+      status: response.status,
+      redirect_chain: response.redirect_chain,
+      content_type: String(response.headers["content-type"] || "").split(";")[0].trim() || null,
+      response_time_ms: response.response_time_ms,
+      headers: response.headers,
+      body: response.data,
+      error: null,
+    };
+  } catch (error) {
+    return {
+      url,
+      final_url: url,
+      status: null,
+      redirect_chain: [],
+      content_type: null,
+      response_time_ms: Date.now() - started,
+      headers: {},
+      body: "",
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Check a link without keeping its body: HEAD, then GET for servers that
+ * reject HEAD
+ * @param {String} url - Absolute URL
+ * @param {Object} options - { timeoutMs }
+ * @returns {Object} fetchUrl() result without body and headers
+ */
+async function checkUrl(url, { timeoutMs = 5000 } = {}) {
+  let result = await fetchUrl(url, { method: "head", timeoutMs });
+  if ([403, 405, 501].includes(result.status) || (result.error && result.error !== "timeout")) {
+    result = await fetchUrl(url, { method: "get", timeoutMs });
+  }
+  const { body, headers, ...rest } = result;
+  return rest;
+}
+
+// robots.txt of the site's origin; a missing or unreadable file allows everything
+async function loadRobots(origin, timeoutMs) {
+  const result = await fetchUrl(`${origin}/robots.txt`, { timeoutMs });
+  if (result.status !== 200 || result.error) {
+    return { found: false, groups: [], sitemaps: [] };
+  }
+  return { found: true, ...parseRobots(result.body) };
+}
+
+/**
+ * Crawl options from a tool's request body (max_pages, max_depth)
+ * @param {Object} body - Request body
+ * @param {Object} defaults - { maxPages, maxDepth } for the tool
+ * @returns {Object} { maxPages, maxDepth }
+ */
+function crawlOptionsFromBody(body = {}, defaults = {}) {
+  return {
+    maxPages: clampOption("maxPages", body.max_pages ?? defaults.maxPages),
+    maxDepth: clampOption("maxDepth", body.max_depth ?? defaults.maxDepth),
+  };
+}
+
+const isHtml = (contentType) =>
+  !contentType || /text\/html|application\/xhtml\+xml/i.test(contentType);
+
+/**
+ * Crawl a site
+ * @param {String} startUrl - Page to start from
+ * @param {Object} options - { maxPages, maxDepth, concurrency, timeoutMs,
+ *   timeBudgetMs, respectRobots, onPage(page, html, links, headers), shouldStop() }
+ *   shouldStop is checked before each page; returning true ends the crawl early
+ * @returns {Object} { start_url, robots, pages, blocked, stats }
+ */
+async function crawlSite(startUrl, options = {}) {
+  const maxPages = clampOption("maxPages", options.maxPages);
+  const maxDepth = clampOption("maxDepth", options.maxDepth);
+  let concurrency = clampOption("concurrency", options.concurrency);
+  const timeoutMs = options.timeoutMs || 7000;
+  const timeBudgetMs = options.timeBudgetMs || 120000;
+  const respectRobots = options.respectRobots !== false;
+
+  const start = normalizeUrl(toAbsoluteUrl(startUrl));
+  if (!start) throw new Error("Invalid url provided");
+
+  const started = Date.now();
+  const origin = new URL(start).origin;
+  const robots = respectRobots
+    ? await loadRobots(origin, timeoutMs)
+    : { found: false, groups: [], sitemaps: [] };
+  const group = robotsGroupFor(robots);
+  const crawlDelayMs =
+    group.crawlDelay !== null ? Math.min(group.crawlDelay * 1000, MAX_CRAWL_DELAY_MS) : 0;
+  if (crawlDelayMs > 0) concurrency = 1;
+
+  let host = siteHost(start);
+  const seen = new Set([start]); // Queued or crawled, by normalized URL
+  const crawled = new Map(); // Normalized final URL -> page URL
+  const pages = [];
+  const blocked = [];
+  let queue = [{ url: start, depth: 0, foundOn: null }];
+  let claimed = 0; // Pages taken off the queue, including ones still being fetched
+  let truncated = false;
+
+  const enqueue = (url, depth, foundOn) => {
+    if (!url || seen.has(url) || depth > maxDepth) return;
+    if (siteHost(url) !== host || shouldSkipUrl(url)) return;
+    seen.add(url);
+    if (!isAllowedByRobots(group.rules, url)) {
+      blocked.push(url);
+      return;
+    }
+    queue.push({ url, depth, foundOn });
+  };
+
+  const crawlOne = async ({ url, depth, foundOn }) => {
+    const result = await fetchUrl(url, { timeoutMs });
+    const finalUrl = normalizeUrl(result.final_url) || url;
+    if (depth === 0 && result.redirect_chain.length > 0) {
+      host = siteHost(finalUrl); // The site lives on the host the start URL redirects to
+    }
+
+    const page = {
+      url,
+      final_url: finalUrl,
+      depth,
+      found_on: foundOn,
+      status: result.status,
+      redirect_chain: result.redirect_chain,
+      content_type: result.content_type,
+      response_time_ms: result.response_time_ms,
+      canonical: null,
+      duplicate_of: null,
+      noindex: false,
+      internal_links: 0,
+      external_links: 0,
+      error: result.error,
+    };
+    pages.push(page);
+
+    if (crawled.has(finalUrl)) {
+      page.duplicate_of = crawled.get(finalUrl);
+      return;
+    }
+    crawled.set(finalUrl, url);
+    if (result.status !== 200 || !isHtml(result.content_type)) return;
+
+    const directives = extractPageDirectives(result.body, finalUrl);
+    page.canonical = directives.canonical;
+    page.noindex = directives.noindex;
+    if (directives.canonical && directives.canonical !== finalUrl) {
+      if (crawled.has(directives.canonical)) {
+        page.duplicate_of = crawled.get(directives.canonical);
+      } else if (siteHost(directives.canonical) === host) {
+        enqueue(directives.canonical, depth, url);
+      }
+    }
+
+    const links = extractLinks(result.body, finalUrl);
+    links.forEach((link) => {
+      if (siteHost(link.url) === host) page.internal_links++;
+      else page.external_links++;
+    });
+
+    if (!page.duplicate_of && options.onPage) {
+      await options.onPage(page, result.body, links, result.headers);
+    }
+    if (!directives.nofollow) {
+      links
+        .filter((link) => !link.nofollow)
+        .forEach((link) => enqueue(normalizeUrl(link.url), depth + 1, url));
+    }
+  };
+
+  // Breadth-first: one depth level at a time, `concurrency` pages in flight
+  while (queue.length > 0) {
+    const level = queue;
+    queue = [];
+    let next = 0;
+    const worker = async () => {
+      while (next < level.length) {
+        if (
+          claimed >= maxPages ||
+          Date.now() - started > timeBudgetMs ||
+          (options.shouldStop && options.shouldStop())
+        ) {
+          truncated = true;
+          return;
+        }
+        claimed++;
+        const item = level[next++];
+        await crawlOne(item);
+        if (crawlDelayMs > 0) await sleep(crawlDelayMs);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, level.length) }, worker));
+    if (truncated) break;
+  }
+
+  // Pages whose canonical was crawled after them
+  pages.forEach((page) => {
+    if (!page.duplicate_of && page.canonical && page.canonical !== page.final_url) {
+      page.duplicate_of = crawled.get(page.canonical) || null;
+    }
+  });
+
+  return {
+    start_url: start,
+    robots: {
+      found: robots.found,
+      crawl_delay: group.crawlDelay,
+      sitemaps: robots.sitemaps,
+    },
+    pages,
+    blocked,
+    stats: {
+      pages_crawled: pages.length,
+      html_pages: pages.filter((p) => p.status === 200 && isHtml(p.content_type) && !p.duplicate_of).length,
+      duplicates: pages.filter((p) => p.duplicate_of).length,
+      errors: pages.filter((p) => p.error || (p.status && p.status >= 400)).length,
+      blocked_by_robots: blocked.length,
+      max_pages: maxPages,
+      max_depth: maxDepth,
+      truncated: truncated || queue.length > 0,
+      elapsed_ms: Date.now() - started,
+    },
+  };
+}
+
+module.exports = {
+  USER_AGENT,
+  toAbsoluteUrl,
+  decodeHtmlEntities,
+  parseAttributes,
+  normalizeUrl,
+  extractLinks,
+  parseRobots,
+  robotsGroupFor,
+  isAllowedByRobots,
+  fetchUrl,
+  checkUrl,
+  isHtml,
+  crawlOptionsFromBody,
+  crawlSite,
+};
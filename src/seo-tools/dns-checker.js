@@ -42,6 +42,22 @@ async function resolveSafe(domain, type) {
   }
 }
 
+/**
+ * Every record type the checker reports for a domain
+ * @param {String} domain - Domain without www.
+ * @returns {Object} { A: [...], AAAA: [...], MX, NS, TXT, CNAME, SOA }
+ */
+async function lookupDns(domain) {
+  const types = ["A", "AAAA", "MX", "NS", "TXT", "CNAME", "SOA"];
+  const records = {};
+
+  for (const type of types) {
+    // Sequential keeps resolver pressure low and easy to debug.
+    records[type] = await resolveSafe(domain, type);
+  }
+  return records;
+}
+
 async function runDnsChecker(req, res) {
   if (!req.user || !req.user.id) {
     return res.status(401).json({ error: "Authentication required" });
@@ -54,13 +70,7 @@ async function runDnsChecker(req, res) {
   }
 
   try {
-    const types = ["A", "AAAA", "MX", "NS", "TXT", "CNAME", "SOA"];
-    const records = {};
-
-    for (const type of types) {
-      // Sequential keeps resolver pressure low and easy to debug.
-      records[type] = await resolveSafe(domain, type);
-    }
+    const records = await lookupDns(domain);
 
     return res.json({
       domain,
@@ -74,5 +84,5 @@ async function runDnsChecker(req, res) {
   }
 }
 
-module.exports = { runDnsChecker };
+module.exports = { runDnsChecker, lookupDns, normalizeDomain };
 
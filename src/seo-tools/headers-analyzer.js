@@ -1,4 +1,4 @@
-const axios = require("axios");
+const { safeFetch } = require("../utils/safeFetch");
 
 function toAbsoluteUrl(url) {
   const raw = String(url || "").trim();
@@ -27,6 +27,34 @@ function getHeaderCaseInsensitive(headers, headerName) {
   return null;
 }
 
+/**
+ * Which security headers a response sets, and the share of recommended ones present
+ * @param {Object} headers - Response headers
+ * @returns {Object} { security_headers, score }
+ */
+function analyzeSecurityHeaders(headers) {
+  const security_headers = {};
+  for (const [headerName, cfg] of Object.entries(SECURITY_HEADERS)) {
+    const value = getHeaderCaseInsensitive(headers, headerName);
+    security_headers[headerName] = {
+      present: Boolean(value),
+      value: value || null,
+      recommended: cfg.recommended,
+    };
+  }
+
+  const totalRecommended = Object.values(security_headers).filter((h) => h.recommended).length;
+  const presentRecommended = Object.values(security_headers).filter(
+    (h) => h.recommended && h.present
+  ).length;
+  const score =
+    totalRecommended === 0
+      ? 0
+      : Math.round((presentRecommended / totalRecommended) * 100);
+
+  return { security_headers, score };
+}
+
 async function runHeadersAnalyzer(req, res) {
   if (!req.user || !req.user.id) {
     return res.status(401).json({ error: "Authentication required" });
@@ -46,10 +74,9 @@ async function runHeadersAnalyzer(req, res) {
   }
 
   try {
-    const response = await axios.get(parsed.toString(), {
-      timeout: 10000,
+    const response = await safeFetch(parsed.toString(), {
+      timeoutMs: 10000,
       maxRedirects: 5,
-      validateStatus: () => true,
       headers: {
         "User-Agent": "TrafficBoxes SEO Suite/1.0",
       },
@@ -57,25 +84,7 @@ async function runHeadersAnalyzer(req, res) {
 
     const statusCode = response.status;
     const allHeaders = response.headers || {};
-
-    const security_headers = {};
-    for (const [headerName, cfg] of Object.entries(SECURITY_HEADERS)) {
-      const value = getHeaderCaseInsensitive(allHeaders, headerName);
-      security_headers[headerName] = {
-        present: Boolean(value),
-        value: value || null,
-        recommended: cfg.recommended,
-      };
-    }
-
-    const totalRecommended = Object.values(security_headers).filter((h) => h.recommended).length;
-    const presentRecommended = Object.values(security_headers).filter(
-      (h) => h.recommended && h.present
-    ).length;
-    const score =
-      totalRecommended === 0
-        ? 0
-        : Math.round((presentRecommended / totalRecommended) * 100);
+    const { security_headers, score } = analyzeSecurityHeaders(allHeaders);
 
     return res.json({
       url: parsed.toString(),
@@ -85,11 +94,11 @@ async function runHeadersAnalyzer(req, res) {
       all_headers: allHeaders,
     });
   } catch (error) {
-    return res.status(500).json({
+    return res.status(error?.code === "ERR_UNSAFE_URL" ? 400 : 500).json({
       detail: error?.message || "Failed to analyze headers",
     });
   }
 }
 
-module.exports = { runHeadersAnalyzer };
+module.exports = { runHeadersAnalyzer, analyzeSecurityHeaders };
 
@@ -82,6 +82,31 @@ function detectGoogleIndexStatus(html, targetUrl, domain) {
   return "Unknown";
 }
 
+/**
+ * Whether Google shows a URL as indexed
+ * @param {String} url - URL as entered
+ * @param {String} domain - Domain of the URL
+ * @returns {Object} { status: "Indexed"|"Not Indexed"|"Unknown", check_url, error }
+ */
+async function checkGoogleIndex(url, domain) {
+  const normalizedTargetUrl = toAbsoluteUrl(url);
+  const googleCheckUrl = getGoogleSearchUrl(normalizedTargetUrl);
+  try {
+    const googleHtml = await fetchGoogleResultHtml(googleCheckUrl);
+    return {
+      status: detectGoogleIndexStatus(googleHtml, normalizedTargetUrl, domain),
+      check_url: googleCheckUrl,
+      error: null,
+    };
+  } catch (error) {
+    return {
+      status: "Unknown",
+      check_url: googleCheckUrl,
+      error: error?.message || "Google check failed",
+    };
+  }
+}
+
 /**
  * Returns the response shape expected by the frontend
  * `SearchEngineIndexChecker` component.
@@ -111,18 +136,11 @@ async function runIndexChecker(req, res) {
 
   const siteQuery = `site:${domain}`;
   const encodedSiteQuery = encodeURIComponent(siteQuery);
-  const normalizedTargetUrl = toAbsoluteUrl(url);
-  const googleCheckUrl = getGoogleSearchUrl(normalizedTargetUrl);
-
-  let googleStatus = "Unknown";
-  let googleError = null;
-  try {
-    const googleHtml = await fetchGoogleResultHtml(googleCheckUrl);
-    googleStatus = detectGoogleIndexStatus(googleHtml, normalizedTargetUrl, domain);
-  } catch (error) {
-    googleStatus = "Unknown";
-    googleError = error?.message || "Google check failed";
-  }
+  const {
+    status: googleStatus,
+    check_url: googleCheckUrl,
+    error: googleError,
+  } = await checkGoogleIndex(url, domain);
 
   return res.json({
     domain,
@@ -196,5 +214,5 @@ async function runIndexChecker(req, res) {
   });
 }
 
-module.exports = { runIndexChecker };
+module.exports = { runIndexChecker, checkGoogleIndex };
 
@@ -1,77 +1,92 @@
-const axios = require("axios");
-
-function toAbsoluteUrl(url) {
-  const raw = String(url || "").trim();
-  if (!raw) return null;
-  if (/^https?:\/\//i.test(raw)) return raw;
-  return `https://${raw}`;
-}
-
-function extractAnchors(html, baseUrl, limit = 50) {
-  const anchors = [];
-  const regex = /<a\s+[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
-  let match;
-  while ((match = regex.exec(String(html || ""))) !== null && anchors.length < limit) {
-    const href = String(match[1] || "").trim();
-    const text = String(match[2] || "")
-      .replace(/<[^>]*>/g, " ")
-      .replace(/\s+/g, " ")
-      .trim()
-      .slice(0, 50);
-
-    if (!href) continue;
-    if (
-      href.startsWith("#") ||
-      href.startsWith("javascript:") ||
-      href.startsWith("mailto:") ||
-      href.startsWith("tel:")
-    ) {
-      continue;
-    }
-
-    try {
-      const fullUrl = new URL(href, baseUrl).toString();
-      anchors.push({ url: fullUrl, text });
-    } catch {
-      // Ignore invalid href values
-    }
+const crawler = require("./crawler");
+
+const LINK_CHECK_CONCURRENCY = 5;
+const MAX_FOUND_ON = 5;
+
+// Status of one link as the checker reports it: the first response (so a 301
+// shows as a redirect) and where it ends up
+function linkResult(link, result) {
+  const firstStatus = result.redirect_chain.length > 0 ? result.redirect_chain[0].status : result.status;
+  const linkData = {
+    url: link.url,
+    text: link.text,
+    status: firstStatus ?? (result.error === "timeout" ? "timeout" : "error"),
+    final_status: result.status,
+    response_time_ms: result.response_time_ms,
+    internal: link.internal,
+    found_on: link.foundOn,
+  };
+  if (result.redirect_chain.length > 0) {
+    linkData.redirect_to = result.final_url;
+    linkData.redirect_chain = result.redirect_chain;
   }
-  return anchors;
+  if (result.error) linkData.error = result.error;
+  return linkData;
 }
 
-async function checkSingleLink(link) {
-  const config = {
-    timeout: 5000,
-    maxRedirects: 0,
-    validateStatus: () => true,
-    headers: { "User-Agent": "TrafficBoxes SEO Link Checker/1.0" },
-  };
-
-  try {
-    // HEAD first for speed.
-    let response = await axios.head(link.url, config);
-    // Some servers do not support HEAD properly.
-    if (response.status === 405 || response.status === 501 || response.status === 403) {
-      response = await axios.get(link.url, { ...config, responseType: "text" });
-    }
-
-    const linkData = {
+const isBroken = (linkData) =>
+  linkData.final_status !== undefined &&
+  (linkData.final_status === null || linkData.final_status >= 400);
+
+/**
+ * Record a crawled page's links in a Map of distinct targets, with the pages
+ * each one appears on
+ * @param {Map} links - Normalized URL -> { url, text, internal, foundOn }
+ * @param {Object} page - crawlSite() page
+ * @param {Array} pageLinks - Links extracted from the page
+ */
+function addPageLinks(links, page, pageLinks) {
+  const pageHost = new URL(page.final_url).host.replace(/^www\./, "");
+  pageLinks.forEach((link) => {
+    const key = crawler.normalizeUrl(link.url);
+    const entry = links.get(key) || {
       url: link.url,
       text: link.text,
-      status: response.status,
+      internal: new URL(key).host.replace(/^www\./, "") === pageHost,
+      foundOn: [],
     };
+    if (entry.foundOn.length < MAX_FOUND_ON && !entry.foundOn.includes(page.url)) {
+      entry.foundOn.push(page.url);
+    }
+    links.set(key, entry);
+  });
+}
 
-    if ([301, 302, 303, 307, 308].includes(response.status)) {
-      linkData.redirect_to = response.headers?.location || null;
+/**
+ * Check the first `maxLinks` collected links. Links to crawled pages already
+ * have a result; the rest are fetched, except pages robots.txt keeps us out of
+ * @param {Map} links - From addPageLinks()
+ * @param {Object} crawl - crawlSite() result
+ * @param {Number} maxLinks - Links to check
+ * @returns {Array} Link results in collection order
+ */
+async function checkLinks(links, crawl, maxLinks) {
+  const crawled = new Map(crawl.pages.map((page) => [page.url, page]));
+  const blocked = new Set(crawl.blocked);
+  const entries = [...links.entries()].slice(0, maxLinks);
+  const checked = new Array(entries.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      const [key, link] = entries[index];
+      if (blocked.has(key)) {
+        checked[index] = {
+          url: link.url,
+          text: link.text,
+          status: "blocked_by_robots",
+          internal: link.internal,
+          found_on: link.foundOn,
+        };
+        continue;
+      }
+      const page = crawled.get(key);
+      const result = page && !page.error ? page : await crawler.checkUrl(link.url);
+      checked[index] = linkResult(link, result);
     }
-    return linkData;
-  } catch {
-    return {
-      url: link.url,
-      text: link.text,
-      status: "timeout",
-    };
-  }
+  };
+  await Promise.all(Array.from({ length: LINK_CHECK_CONCURRENCY }, worker));
+  return checked;
 }
 
 async function runLinksChecker(req, res) {
@@ -79,62 +94,54 @@ async function runLinksChecker(req, res) {
     return res.status(401).json({ error: "Authentication required" });
   }
 
-  const { url } = req.body || {};
-  const absoluteUrl = toAbsoluteUrl(url);
+  const body = req.body || {};
+  const absoluteUrl = crawler.toAbsoluteUrl(body.url);
   if (!absoluteUrl) {
     return res.status(400).json({ detail: "Missing required field: url" });
   }
-
-  let parsed;
-  try {
-    parsed = new URL(absoluteUrl);
-  } catch {
+  if (!crawler.normalizeUrl(absoluteUrl)) {
     return res.status(400).json({ detail: "Invalid url provided" });
   }
 
+  const requestedMaxLinks = parseInt(body.max_links ?? 200, 10);
+  const maxLinks = Number.isNaN(requestedMaxLinks) ? 200 : Math.max(1, Math.min(requestedMaxLinks, 500));
+
   try {
-    const pageResponse = await axios.get(parsed.toString(), {
-      timeout: 10000,
-      maxRedirects: 5,
-      validateStatus: () => true,
-      headers: { "User-Agent": "TrafficBoxes SEO Suite/1.0" },
+    // Every distinct link target on the site, with the pages it appears on
+    const links = new Map();
+    const crawl = await crawler.crawlSite(absoluteUrl, {
+      ...crawler.crawlOptionsFromBody(body, { maxPages: 20, maxDepth: 3 }),
+      onPage: (page, html, pageLinks) => addPageLinks(links, page, pageLinks),
     });
 
-    if (pageResponse.status !== 200) {
-      return res
-        .status(400)
-        .json({ detail: `Failed to fetch URL (HTTP ${pageResponse.status})` });
+    const start = crawl.pages[0];
+    if (!start || start.status !== 200) {
+      return res.status(400).json({
+        detail: start?.status
+          ? `Failed to fetch URL (HTTP ${start.status})`
+          : `Failed to fetch URL (${start?.error || "no response"})`,
+      });
     }
 
-    const anchors = extractAnchors(pageResponse.data, parsed.toString(), 50);
-    const checked = [];
-    const broken = [];
-    const redirects = [];
+    const checked = await checkLinks(links, crawl, maxLinks);
 
-    for (const anchor of anchors) {
-      const linkData = await checkSingleLink(anchor);
-      checked.push(linkData);
-      if (
-        linkData.status === "timeout" ||
-        (typeof linkData.status === "number" && linkData.status >= 400)
-      ) {
-        broken.push(linkData);
-      } else if (
-        typeof linkData.status === "number" &&
-        [301, 302, 303, 307, 308].includes(linkData.status)
-      ) {
-        redirects.push(linkData);
-      }
-    }
+    const broken = checked.filter(isBroken);
+    const redirects = checked.filter(
+      (linkData) => !isBroken(linkData) && linkData.redirect_to
+    );
 
     return res.json({
-      url: parsed.toString(),
+      url: crawl.start_url,
+      pages_crawled: crawl.stats.html_pages,
       total_links: checked.length,
+      links_found: links.size,
+      truncated: links.size > checked.length,
       broken_count: broken.length,
       redirect_count: redirects.length,
       broken_links: broken,
       redirects,
       all_links: checked,
+      crawl: crawl.stats,
     });
   } catch (error) {
     return res
@@ -143,5 +150,4 @@ async function runLinksChecker(req, res) {
   }
 }
 
-module.exports = { runLinksChecker };
-
+module.exports = { runLinksChecker, addPageLinks, checkLinks, isBroken };
@@ -1,39 +1,31 @@
-const axios = require("axios");
+const crawler = require("./crawler");
 
-function toAbsoluteUrl(url) {
-  const raw = String(url || "").trim();
-  if (!raw) return null;
-  if (/^https?:\/\//i.test(raw)) return raw;
-  return `https://${raw}`;
-}
+const { decodeHtmlEntities, parseAttributes } = crawler;
 
-function decodeHtmlEntities(str) {
-  return String(str || "")
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
-}
+// Pages are read up to this many characters; tags are matched up to the next
+// "<", so neither a huge nor an unclosed page can stall the analysis
+const MAX_PARSE_CHARS = 1024 * 1024;
 
 function stripTags(value) {
   return String(value || "")
-    .replace(/<[^>]*>/g, " ")
+    .replace(/<[^<>]*>/g, " ")
     .replace(/\s+/g, " ")
     .trim();
 }
 
-function parseAttributes(fragment) {
-  const attrs = {};
-  const attrRegex = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*["']([^"']*)["']/g;
-  let m;
-  while ((m = attrRegex.exec(fragment)) !== null) {
-    attrs[String(m[1]).toLowerCase()] = decodeHtmlEntities(m[2]);
-  }
-  return attrs;
+// Text of the first <title>, up to its closing tag or the end of the page
+function titleText(html) {
+  const open = /<title(?=[\s/>])[^<>]*>/i.exec(html);
+  if (!open) return null;
+  const start = open.index + open[0].length;
+  const close = /<\/title\s*>/gi;
+  close.lastIndex = start;
+  const end = close.exec(html);
+  return html.slice(start, end ? end.index : html.length);
 }
 
 function extractMetaTags(html) {
+  const source = String(html || "").slice(0, MAX_PARSE_CHARS);
   const metaTags = {
     title: null,
     description: null,
@@ -45,14 +37,14 @@ function extractMetaTags(html) {
     other: [],
   };
 
-  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
-  if (titleMatch) {
-    metaTags.title = stripTags(decodeHtmlEntities(titleMatch[1]));
+  const title = titleText(source);
+  if (title !== null) {
+    metaTags.title = stripTags(decodeHtmlEntities(title));
   }
 
-  const metaRegex = /<meta\s+([^>]*?)\/?>/gi;
+  const metaRegex = /<meta\s([^<>]*?)\/?>/gi;
   let metaMatch;
-  while ((metaMatch = metaRegex.exec(html)) !== null) {
+  while ((metaMatch = metaRegex.exec(source)) !== null) {
     const attrs = parseAttributes(metaMatch[1]);
     const name = String(attrs.name || "").toLowerCase();
     const propertyAttr = String(attrs.property || "").toLowerCase();
@@ -70,9 +62,9 @@ function extractMetaTags(html) {
     }
   }
 
-  const linkCanonicalRegex = /<link\s+([^>]*?)\/?>/gi;
+  const linkCanonicalRegex = /<link\s([^<>]*?)\/?>/gi;
   let linkMatch;
-  while ((linkMatch = linkCanonicalRegex.exec(html)) !== null) {
+  while ((linkMatch = linkCanonicalRegex.exec(source)) !== null) {
     const attrs = parseAttributes(linkMatch[1]);
     const rel = String(attrs.rel || "").toLowerCase();
     if (rel.split(/\s+/).includes("canonical")) {
@@ -84,123 +76,145 @@ function extractMetaTags(html) {
   return metaTags;
 }
 
+function analyzeMetaTags(meta_tags) {
+  const issues = [];
+  let score = 100;
+
+  // Python parity: title analysis
+  if (!meta_tags.title) {
+    issues.push({ type: "critical", field: "title", message: "Missing title tag" });
+    score -= 20;
+  } else if (meta_tags.title.length < 30) {
+    issues.push({
+      type: "warning",
+      field: "title",
+      message: "Title too short (< 30 chars)",
+    });
+    score -= 5;
+  } else if (meta_tags.title.length > 60) {
+    issues.push({
+      type: "warning",
+      field: "title",
+      message: "Title too long (> 60 chars)",
+    });
+    score -= 5;
+  }
+
+  // Python parity: description analysis
+  if (!meta_tags.description) {
+    issues.push({
+      type: "critical",
+      field: "description",
+      message: "Missing meta description",
+    });
+    score -= 15;
+  } else if (meta_tags.description.length < 120) {
+    issues.push({
+      type: "warning",
+      field: "description",
+      message: "Description too short (< 120 chars)",
+    });
+    score -= 5;
+  } else if (meta_tags.description.length > 160) {
+    issues.push({
+      type: "warning",
+      field: "description",
+      message: "Description too long (> 160 chars)",
+    });
+    score -= 5;
+  }
+
+  // Python parity: OG tags
+  if (!meta_tags.og["og:title"]) {
+    issues.push({
+      type: "warning",
+      field: "og:title",
+      message: "Missing Open Graph title",
+    });
+    score -= 5;
+  }
+  if (!meta_tags.og["og:description"]) {
+    issues.push({
+      type: "warning",
+      field: "og:description",
+      message: "Missing Open Graph description",
+    });
+    score -= 5;
+  }
+  if (!meta_tags.og["og:image"]) {
+    issues.push({
+      type: "warning",
+      field: "og:image",
+      message: "Missing Open Graph image",
+    });
+    score -= 5;
+  }
+
+  // Python parity: canonical
+  if (!meta_tags.canonical) {
+    issues.push({
+      type: "info",
+      field: "canonical",
+      message: "No canonical URL specified",
+    });
+    score -= 3;
+  }
+
+  return { issues, score: Math.max(0, score) };
+}
+
+// Pages sharing the same value of a tag, most repeated first
+function findDuplicates(pages, field) {
+  const byValue = new Map();
+  pages.forEach((page) => {
+    const value = page.meta_tags[field];
+    if (!value) return;
+    const key = value.trim().toLowerCase();
+    byValue.set(key, [...(byValue.get(key) || []), page]);
+  });
+  return [...byValue.values()]
+    .filter((group) => group.length > 1)
+    .sort((x, y) => y.length - x.length)
+    .map((group) => ({ value: group[0].meta_tags[field], urls: group.map((p) => p.url) }));
+}
+
 async function runMetaAnalyzer(req, res) {
   if (!req.user || !req.user.id) {
     return res.status(401).json({ error: "Authentication required" });
   }
 
-  const { url } = req.body || {};
-  const absoluteUrl = toAbsoluteUrl(url);
+  const body = req.body || {};
+  const absoluteUrl = crawler.toAbsoluteUrl(body.url);
   if (!absoluteUrl) {
     return res.status(400).json({ detail: "Missing required field: url" });
   }
-
-  let parsed;
-  try {
-    parsed = new URL(absoluteUrl);
-  } catch {
+  if (!crawler.normalizeUrl(absoluteUrl)) {
     return res.status(400).json({ detail: "Invalid url provided" });
   }
 
   try {
-    const response = await axios.get(absoluteUrl, {
-      timeout: 10000,
-      maxRedirects: 5,
-      validateStatus: () => true,
-      headers: { "User-Agent": "TrafficBoxes SEO Suite/1.0" },
+    const pages = [];
+    const crawl = await crawler.crawlSite(absoluteUrl, {
+      ...crawler.crawlOptionsFromBody(body, { maxPages: 20, maxDepth: 3 }),
+      onPage: (page, html) => {
+        const meta_tags = extractMetaTags(html);
+        pages.push({ url: page.final_url, meta_tags, ...analyzeMetaTags(meta_tags) });
+      },
     });
 
-    if (response.status !== 200) {
-      return res
-        .status(400)
-        .json({ detail: `Failed to fetch URL (HTTP ${response.status})` });
-    }
-
-    const html = String(response.data || "");
-    const meta_tags = extractMetaTags(html);
-
-    const issues = [];
-    let score = 100;
-
-    // Python parity: title analysis
-    if (!meta_tags.title) {
-      issues.push({ type: "critical", field: "title", message: "Missing title tag" });
-      score -= 20;
-    } else if (meta_tags.title.length < 30) {
-      issues.push({
-        type: "warning",
-        field: "title",
-        message: "Title too short (< 30 chars)",
-      });
-      score -= 5;
-    } else if (meta_tags.title.length > 60) {
-      issues.push({
-        type: "warning",
-        field: "title",
-        message: "Title too long (> 60 chars)",
+    const start = crawl.pages[0];
+    if (!start || start.status !== 200 || pages.length === 0) {
+      return res.status(400).json({
+        detail: start?.status
+          ? `Failed to fetch URL (HTTP ${start.status})`
+          : `Failed to fetch URL (${start?.error || "no response"})`,
       });
-      score -= 5;
     }
 
-    // Python parity: description analysis
-    if (!meta_tags.description) {
-      issues.push({
-        type: "critical",
-        field: "description",
-        message: "Missing meta description",
-      });
-      score -= 15;
-    } else if (meta_tags.description.length < 120) {
-      issues.push({
-        type: "warning",
-        field: "description",
-        message: "Description too short (< 120 chars)",
-      });
-      score -= 5;
-    } else if (meta_tags.description.length > 160) {
-      issues.push({
-        type: "warning",
-        field: "description",
-        message: "Description too long (> 160 chars)",
-      });
-      score -= 5;
-    }
-
-    // Python parity: OG tags
-    if (!meta_tags.og["og:title"]) {
-      issues.push({
-        type: "warning",
-        field: "og:title",
-        message: "Missing Open Graph title",
-      });
-      score -= 5;
-    }
-    if (!meta_tags.og["og:description"]) {
-      issues.push({
-        type: "warning",
-        field: "og:description",
-        message: "Missing Open Graph description",
-      });
-      score -= 5;
-    }
-    if (!meta_tags.og["og:image"]) {
-      issues.push({
-        type: "warning",
-        field: "og:image",
-        message: "Missing Open Graph image",
-      });
-      score -= 5;
-    }
-
-    // Python parity: canonical
-    if (!meta_tags.canonical) {
-      issues.push({
-        type: "info",
-        field: "canonical",
-        message: "No canonical URL specified",
-      });
-      score -= 3;
-    }
+    // The start page is reported at the top level, every crawled page under `pages`
+    const { meta_tags, issues, score } = pages[0];
+    const duplicate_titles = findDuplicates(pages, "title");
+    const duplicate_descriptions = findDuplicates(pages, "description");
 
     return res.json({
       url: absoluteUrl,
@@ -208,7 +222,24 @@ async function runMetaAnalyzer(req, res) {
       title_length: meta_tags.title ? meta_tags.title.length : 0,
       description_length: meta_tags.description ? meta_tags.description.length : 0,
       issues,
-      score: Math.max(0, score),
+      score,
+      site: {
+        pages_analyzed: pages.length,
+        average_score: Math.round(pages.reduce((sum, p) => sum + p.score, 0) / pages.length),
+        pages_missing_title: pages.filter((p) => !p.meta_tags.title).length,
+        pages_missing_description: pages.filter((p) => !p.meta_tags.description).length,
+        duplicate_titles,
+        duplicate_descriptions,
+      },
+      pages: pages.map((p) => ({
+        url: p.url,
+        title: p.meta_tags.title,
+        description: p.meta_tags.description,
+        canonical: p.meta_tags.canonical,
+        issues: p.issues,
+        score: p.score,
+      })),
+      crawl: crawl.stats,
     });
   } catch (error) {
     return res.status(500).json({
@@ -217,5 +248,4 @@ async function runMetaAnalyzer(req, res) {
   }
 }
 
-module.exports = { runMetaAnalyzer };
-
+module.exports = { runMetaAnalyzer, extractMetaTags, analyzeMetaTags };
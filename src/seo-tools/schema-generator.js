@@ -1,3 +1,5 @@
+const { parseAttributes } = require("./crawler");
+
 function buildSchema(schemaType, data) {
   const d = data || {};
 
@@ -82,6 +84,102 @@ function buildSchema(schemaType, data) {
   return templates[schemaType] || null;
 }
 
+// Properties search engines need for rich results, per schema type. An array
+// entry means any one of those properties is enough.
+const REQUIRED_PROPERTIES = {
+  Article: ["headline", "author", "datePublished"],
+  NewsArticle: ["headline", "author", "datePublished"],
+  BlogPosting: ["headline", "author", "datePublished"],
+  Product: ["name", ["offers", "review", "aggregateRating"]],
+  FAQPage: ["mainEntity"],
+  LocalBusiness: ["name", "address"],
+  Organization: ["name"],
+  BreadcrumbList: ["itemListElement"],
+  WebSite: ["name", "url"],
+};
+
+// Only the start of a page is searched for JSON-LD, so a huge page cannot hold
+// up a site audit
+const MAX_PARSE_CHARS = 1024 * 1024;
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * JSON-LD blocks of a page, flattened (arrays and @graph)
+ * @param {String} html - Page HTML
+ * @returns {Object} { items: [Object], errors: [String] }
+ */
+function extractStructuredData(html) {
+  const items = [];
+  const errors = [];
+  const source = String(html || "").slice(0, MAX_PARSE_CHARS);
+  // Each script is skipped to its closing tag, so the page is read once; an
+  // unclosed script runs to the end of the page, as in browsers
+  const open = /<script(?=[\s/>])([^<>]*)>/gi;
+  const close = /<\/script\s*>/gi;
+  let match;
+  while ((match = open.exec(source)) !== null) {
+    close.lastIndex = open.lastIndex;
+    const end = close.exec(source);
+    if (!end) break;
+    open.lastIndex = close.lastIndex;
+    const type = String(parseAttributes(match[1]).type || "").trim().toLowerCase();
+    if (type !== "application/ld+json") continue;
+
+    let data;
+    try {
+      data = JSON.parse(source.slice(match.index + match[0].length, end.index).trim());
+    } catch (err) {
+      errors.push(`Invalid JSON-LD: ${err.message}`);
+      continue;
+    }
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== "object") continue;
+      if (Array.isArray(item["@graph"])) queue.push(...item["@graph"]);
+      if (item["@type"]) items.push(item);
+    }
+  }
+  return { items, errors };
+}
+
+/**
+ * Check a page's JSON-LD against the properties its types need
+ * @param {String} html - Page HTML
+ * @returns {Object} { types: [String], issues: [{ severity, type, message }] }
+ */
+function validateStructuredData(html) {
+  const { items, errors } = extractStructuredData(html);
+  const issues = errors.map((message) => ({ severity: "critical", type: null, message }));
+  const types = [];
+
+  items.forEach((item) => {
+    const itemTypes = [].concat(item["@type"]).map(String);
+    types.push(...itemTypes);
+    itemTypes.forEach((type) => {
+      const required = REQUIRED_PROPERTIES[type === "FAQ" ? "FAQPage" : type];
+      if (!required) return;
+      required.forEach((property) => {
+        const options = [].concat(property);
+        if (options.every((key) => isEmpty(item[key]))) {
+          issues.push({
+            severity: "warning",
+            type,
+            message: `${type} is missing ${options.join(" or ")}`,
+          });
+        }
+      });
+    });
+  });
+
+  return { types: [...new Set(types)], issues };
+}
+
 async function runSchemaGenerator(req, res) {
   if (!req.user || !req.user.id) {
     return res.status(401).json({ error: "Authentication required" });
@@ -116,5 +214,5 @@ async function runSchemaGenerator(req, res) {
   });
 }
 
-module.exports = { runSchemaGenerator };
+module.exports = { runSchemaGenerator, extractStructuredData, validateStructuredData };
 
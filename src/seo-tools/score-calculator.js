@@ -1,9 +1,5 @@
-function toAbsoluteUrl(url) {
-  const raw = String(url || "").trim();
-  if (!raw) return null;
-  if (/^https?:\/\//i.test(raw)) return raw;
-  return `https://${raw}`;
-}
+const { safeFetch } = require("../utils/safeFetch");
+const { toAbsoluteUrl, decodeHtmlEntities, parseAttributes } = require("./crawler");
 
 function computeGrade(score) {
   if (score >= 90) return "A+";
@@ -14,6 +10,341 @@ function computeGrade(score) {
   return "F";
 }
 
+// Only the start of very large pages is parsed, to bound the time spent on one page
+const MAX_PARSE_CHARS = 1024 * 1024;
+
+// Points each category is worth; they add up to 100
+const CATEGORY_POINTS = {
+  title: 15,
+  meta_description: 15,
+  heading_structure: 15,
+  content_length: 15,
+  internal_links: 10,
+  image_alt: 10,
+  canonical: 10,
+  viewport: 10,
+};
+
+function stripTags(value) {
+  return String(value || "")
+    .replace(/<[^<>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function findTags(html, tagName) {
+  const regex = new RegExp(`<${tagName}(?=[\\s/>])([^<>]*)>`, "gi");
+  const tags = [];
+  let m;
+  while ((m = regex.exec(html)) !== null) tags.push(parseAttributes(m[1]));
+  return tags;
+}
+
+// The helpers below read the page in a single pass, so unclosed tags cannot
+// make parsing quadratic. A closing tag is only looked for up to the next
+// opening tag of the same kind.
+
+const closingTags = new Map();
+function closingTag(name) {
+  const key = name.toLowerCase();
+  if (!closingTags.has(key)) closingTags.set(key, new RegExp(`</${key}\\s*>`, "gi"));
+  return closingTags.get(key);
+}
+
+// Remove comments and the named elements; an unclosed one runs to the end of
+// the page, as in browsers
+function removeBlocks(html, names, separator) {
+  const open = new RegExp(
+    names.length > 0 ? `<!--|<(${names.join("|")})(?=[\\s/>])` : "<!--",
+    "gi"
+  );
+  const parts = [];
+  let pos = 0;
+  let m;
+  while ((m = open.exec(html)) !== null) {
+    parts.push(html.slice(pos, m.index));
+    let end = -1;
+    if (m[1]) {
+      const close = closingTag(m[1]);
+      close.lastIndex = m.index;
+      const c = close.exec(html);
+      if (c) end = c.index + c[0].length;
+    } else {
+      const c = html.indexOf("-->", m.index + 4);
+      if (c !== -1) end = c + 3;
+    }
+    if (end === -1) {
+      pos = html.length;
+      break;
+    }
+    pos = end;
+    open.lastIndex = end;
+  }
+  parts.push(html.slice(pos));
+  return parts.join(separator);
+}
+
+// Content of the first element named `name`, or the whole page without one
+function elementContent(html, name) {
+  const open = new RegExp(`<${name}(?=[\\s/>])[^<>]*>`, "i").exec(html);
+  if (!open) return html;
+  const start = open.index + open[0].length;
+  const close = closingTag(name);
+  close.lastIndex = start;
+  const c = close.exec(html);
+  return html.slice(start, c ? c.index : html.length);
+}
+
+// Elements whose name matches `pattern`, in document order, with their text
+function findElements(html, pattern) {
+  const opens = [...html.matchAll(new RegExp(`<(${pattern})(?=[\\s/>])`, "gi"))];
+  return opens.flatMap((m, i) => {
+    const segment = html.slice(m.index, i + 1 < opens.length ? opens[i + 1].index : html.length);
+    const tagEnd = segment.indexOf(">");
+    if (tagEnd === -1) return [];
+    const close = closingTag(m[1]);
+    close.lastIndex = tagEnd;
+    const c = close.exec(segment);
+    return [
+      {
+        name: m[1].toLowerCase(),
+        text: stripTags(decodeHtmlEntities(segment.slice(tagEnd + 1, c ? c.index : segment.length))),
+      },
+    ];
+  });
+}
+
+/**
+ * Extract the on-page signals the score is based on
+ * @param {String} html - Page HTML
+ * @param {String} pageUrl - Final URL of the page (after redirects)
+ * @returns {Object} signals
+ */
+function extractSignals(html, pageUrl) {
+  const source = removeBlocks(String(html || "").slice(0, MAX_PARSE_CHARS), [], "");
+  const head = elementContent(source, "head");
+  const body = elementContent(source, "body");
+
+  const titles = findElements(head, "title").map((e) => e.text);
+
+  const metas = findTags(head, "meta");
+  const descriptions = metas
+    .filter((a) => String(a.name || "").toLowerCase() === "description")
+    .map((a) => String(a.content || "").trim());
+  const viewport = metas.find((a) => String(a.name || "").toLowerCase() === "viewport");
+
+  const canonicals = findTags(source, "link")
+    .filter((a) => String(a.rel || "").toLowerCase().split(/\s+/).includes("canonical"))
+    .map((a) => a.href || "");
+
+  // Headings in document order, ignoring markup inside scripts
+  const scriptless = removeBlocks(body, ["script", "style"], " ");
+  const headings = findElements(scriptless, "h[1-6]").map((e) => ({
+    level: Number(e.name[1]),
+    text: e.text.slice(0, 120),
+  }));
+
+  const text = stripTags(
+    decodeHtmlEntities(removeBlocks(body, ["script", "style", "noscript", "template", "svg"], " "))
+  );
+  const wordCount = text ? text.split(/\s+/).filter((w) => /[\p{L}\p{N}]/u.test(w)).length : 0;
+
+  const host = new URL(pageUrl).hostname.replace(/^www\./, "");
+  let internalLinks = 0;
+  let externalLinks = 0;
+  findTags(body, "a").forEach((a) => {
+    const href = String(a.href || "").trim();
+    if (!href || /^(#|javascript:|mailto:|tel:)/i.test(href)) return;
+    try {
+      const target = new URL(href, pageUrl);
+      if (!/^https?:$/.test(target.protocol)) return;
+      if (target.hostname.replace(/^www\./, "") === host) internalLinks++;
+      else externalLinks++;
+    } catch {
+      // Ignore invalid href values
+    }
+  });
+
+  const images = findTags(body, "img");
+  const imagesMissingAlt = images.filter((a) => a.alt === undefined).length;
+  const imagesEmptyAlt = images.filter((a) => a.alt !== undefined && !a.alt.trim()).length;
+
+  return {
+    title: titles[0] || null,
+    title_count: titles.length,
+    description: descriptions[0] || null,
+    description_count: descriptions.length,
+    headings,
+    h1_count: headings.filter((h) => h.level === 1).length,
+    word_count: wordCount,
+    internal_links: internalLinks,
+    external_links: externalLinks,
+    images: images.length,
+    images_missing_alt: imagesMissingAlt,
+    images_empty_alt: imagesEmptyAlt,
+    canonical: canonicals[0] || null,
+    canonical_count: canonicals.length,
+    viewport: viewport ? String(viewport.content || "") : null,
+  };
+}
+
+/**
+ * Score a page's signals. Every lost point is a deduction with the reason and
+ * how to fix it.
+ * @param {Object} signals - From extractSignals()
+ * @param {String} pageUrl - Final URL of the page
+ * @returns {Object} { score, grade, breakdown, deductions }
+ */
+function scoreSignals(signals, pageUrl) {
+  const breakdown = { ...CATEGORY_POINTS };
+  const deductions = [];
+  const deduct = (category, points, severity, reason, fix) => {
+    const lost = Math.min(points, breakdown[category]);
+    if (lost <= 0) return;
+    breakdown[category] -= lost;
+    deductions.push({ category, points: lost, severity, reason, fix });
+  };
+
+  // Title
+  if (!signals.title) {
+    deduct("title", 15, "critical", "The page has no <title> tag.",
+      "Add a unique, descriptive title of 30-60 characters with the page's main keyword.");
+  } else {
+    if (signals.title.length < 30) {
+      deduct("title", 5, "warning", `The title is only ${signals.title.length} characters long.`,
+        "Expand the title to 30-60 characters so it describes the page and its keyword.");
+    } else if (signals.title.length > 60) {
+      deduct("title", 5, "warning", `The title is ${signals.title.length} characters long and will be truncated in results.`,
+        "Shorten the title to at most 60 characters, keeping the keyword near the start.");
+    }
+    if (signals.title_count > 1) {
+      deduct("title", 3, "warning", `The page has ${signals.title_count} <title> tags.`,
+        "Keep a single <title> tag in the <head>.");
+    }
+  }
+
+  // Meta description
+  if (!signals.description) {
+    deduct("meta_description", 15, "critical", "The page has no meta description.",
+      "Add a meta description of 120-160 characters that summarizes the page and invites the click.");
+  } else {
+    if (signals.description.length < 120) {
+      deduct("meta_description", 5, "warning", `The meta description is only ${signals.description.length} characters long.`,
+        "Expand the meta description to 120-160 characters.");
+    } else if (signals.description.length > 160) {
+      deduct("meta_description", 5, "warning", `The meta description is ${signals.description.length} characters long and will be truncated.`,
+        "Shorten the meta description to at most 160 characters.");
+    }
+    if (signals.description_count > 1) {
+      deduct("meta_description", 3, "warning", `The page has ${signals.description_count} meta descriptions.`,
+        "Keep a single meta description tag.");
+    }
+  }
+
+  // Heading hierarchy
+  if (signals.h1_count === 0) {
+    deduct("heading_structure", 8, "critical", "The page has no <h1> heading.",
+      "Add one <h1> that states the page's main topic.");
+  } else if (signals.h1_count > 1) {
+    deduct("heading_structure", 4, "warning", `The page has ${signals.h1_count} <h1> headings.`,
+      "Use a single <h1> and mark up sub-sections with <h2>-<h6>.");
+  }
+  const skips = [];
+  signals.headings.forEach((heading, i) => {
+    const previous = i > 0 ? signals.headings[i - 1].level : 0;
+    if (previous > 0 && heading.level > previous + 1) {
+      skips.push(`h${previous} → h${heading.level}`);
+    }
+  });
+  if (skips.length > 0) {
+    deduct("heading_structure", Math.min(6, skips.length * 2), "warning",
+      `Heading levels are skipped (${[...new Set(skips)].slice(0, 3).join(", ")}).`,
+      "Nest headings in order: <h2> under <h1>, <h3> under <h2>, without skipping levels.");
+  }
+  if (signals.headings.filter((h) => h.level === 2).length === 0 && signals.word_count >= 300) {
+    deduct("heading_structure", 3, "info", "The content has no <h2> sub-headings.",
+      "Break longer content into sections with <h2> headings.");
+  }
+
+  // Content length
+  if (signals.word_count < 100) {
+    deduct("content_length", 15, "critical", `The page has only ${signals.word_count} words of text.`,
+      "Add substantial, original content (300+ words) that answers the visitor's query.");
+  } else if (signals.word_count < 300) {
+    deduct("content_length", 10, "warning", `The page has ${signals.word_count} words, which is considered thin content.`,
+      "Expand the content to at least 300 words.");
+  } else if (signals.word_count < 600) {
+    deduct("content_length", 4, "info", `The page has ${signals.word_count} words.`,
+      "Pages that rank for competitive terms usually have 600+ words; consider covering the topic in more depth.");
+  }
+
+  // Internal links
+  if (signals.internal_links === 0) {
+    deduct("internal_links", 10, "critical", "The page has no links to other pages on the site.",
+      "Link to related pages on your site with descriptive anchor text.");
+  } else if (signals.internal_links < 3) {
+    deduct("internal_links", 5, "warning", `The page has only ${signals.internal_links} internal link(s).`,
+      "Add links to at least 3 related pages on your site.");
+  } else if (signals.internal_links + signals.external_links > 300) {
+    deduct("internal_links", 3, "info", `The page has ${signals.internal_links + signals.external_links} links.`,
+      "Reduce the number of links so each one passes more value and the page stays readable.");
+  }
+
+  // Image alt coverage (alt="" marks a decorative image and counts as covered)
+  if (signals.images > 0) {
+    const withoutAlt = signals.images_missing_alt;
+    const coverage = 1 - withoutAlt / signals.images;
+    if (withoutAlt > 0) {
+      deduct("image_alt", Math.ceil(10 * (1 - coverage)), withoutAlt === signals.images ? "critical" : "warning",
+        `${withoutAlt} of ${signals.images} images have no alt attribute (${Math.round(coverage * 100)}% coverage).`,
+        "Describe each meaningful image in its alt attribute; use alt=\"\" only for decorative images.");
+    }
+  }
+
+  // Canonical
+  if (!signals.canonical) {
+    deduct("canonical", 6, "warning", "The page has no canonical link.",
+      "Add <link rel=\"canonical\" href=\"...\"> pointing to the preferred URL of this page.");
+  } else {
+    let canonicalUrl = null;
+    try {
+      canonicalUrl = new URL(signals.canonical, pageUrl);
+    } catch {
+      // Invalid canonical, handled below
+    }
+    if (!canonicalUrl || !/^https?:$/.test(canonicalUrl.protocol)) {
+      deduct("canonical", 6, "critical", `The canonical link "${signals.canonical}" is not a valid URL.`,
+        "Set the canonical href to the absolute URL of the preferred page.");
+    } else if (canonicalUrl.hostname !== new URL(pageUrl).hostname) {
+      deduct("canonical", 4, "warning", `The canonical link points to another host (${canonicalUrl.hostname}).`,
+        "Make sure the canonical points to this site unless the content is intentionally syndicated.");
+    }
+    if (signals.canonical_count > 1) {
+      deduct("canonical", 4, "warning", `The page has ${signals.canonical_count} canonical links.`,
+        "Keep a single canonical link; search engines ignore conflicting ones.");
+    }
+  }
+
+  // Viewport
+  if (signals.viewport === null) {
+    deduct("viewport", 10, "critical", "The page has no viewport meta tag, so it is not mobile friendly.",
+      "Add <meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">.");
+  } else {
+    const viewport = signals.viewport.toLowerCase().replace(/\s+/g, "");
+    if (!viewport.includes("width=device-width")) {
+      deduct("viewport", 5, "warning", "The viewport does not set width=device-width.",
+        "Use content=\"width=device-width, initial-scale=1\" so the page adapts to the screen.");
+    }
+    if (viewport.includes("user-scalable=no") || /maximum-scale=1(\.0)?(,|$)/.test(viewport)) {
+      deduct("viewport", 2, "info", "The viewport prevents users from zooming.",
+        "Remove user-scalable=no and maximum-scale=1 from the viewport.");
+    }
+  }
+
+  const score = Math.max(0, Math.min(100, Object.values(breakdown).reduce((a, b) => a + b, 0)));
+  return { score, grade: computeGrade(score), breakdown, deductions };
+}
+
 async function runScoreCalculator(req, res) {
   if (!req.user || !req.user.id) {
     return res.status(401).json({ error: "Authentication required" });
@@ -25,68 +356,59 @@ async function runScoreCalculator(req, res) {
     return res.status(400).json({ detail: "Missing required field: url" });
   }
 
-  let parsed;
   try {
-    parsed = new URL(absoluteUrl);
+    new URL(absoluteUrl);
   } catch {
     return res.status(400).json({ detail: "Invalid url provided" });
   }
 
-  const hostname = parsed.hostname;
-  const hasHttps = parsed.protocol === "https:";
-  const pathDepth = parsed.pathname.split("/").filter(Boolean).length;
-
-  // Placeholder scoring logic for initial non-functional SEO Suite release.
-  const breakdown = {
-    title: 16,
-    meta_description: 15,
-    heading_structure: 14,
-    content_quality: 13,
-    internal_links: 12,
-    image_optimization: 10,
-    mobile_friendly: 12,
-    performance: 11,
-  };
+  try {
+    const response = await safeFetch(absoluteUrl, {
+      timeoutMs: 10000,
+      maxRedirects: 5,
+      maxBytes: 5 * 1024 * 1024,
+      headers: { "User-Agent": "TrafficBoxes SEO Suite/1.0" },
+    });
 
-  if (!hasHttps) breakdown.performance = Math.max(0, breakdown.performance - 4);
-  if (pathDepth > 3) breakdown.internal_links = Math.max(0, breakdown.internal_links - 2);
+    if (response.status !== 200) {
+      return res
+        .status(400)
+        .json({ detail: `Failed to fetch URL (HTTP ${response.status})` });
+    }
+    const contentType = String(response.headers?.["content-type"] || "");
+    if (contentType && !/html/i.test(contentType)) {
+      return res
+        .status(400)
+        .json({ detail: `URL is not an HTML page (${contentType.split(";")[0]})` });
+    }
 
-  const score = Math.max(
-    0,
-    Math.min(
-      100,
-      Math.round((Object.values(breakdown).reduce((a, b) => a + b, 0) / 160) * 100)
-    )
-  );
-  const grade = computeGrade(score);
+    const finalUrl = response.final_url;
+    const signals = extractSignals(response.data, finalUrl);
+    const { score, grade, breakdown, deductions } = scoreSignals(signals, finalUrl);
 
-  const issues = [];
-  const recommendations = [];
+    const issues = deductions.map((d) => d.reason);
+    const recommendations = [...new Set(deductions.map((d) => d.fix))];
+    if (deductions.length === 0) {
+      recommendations.push("Maintain consistent publishing and internal linking cadence.");
+    }
 
-  if (!hasHttps) {
-    issues.push("Website is not using HTTPS.");
-    recommendations.push("Enable HTTPS and force redirect from HTTP.");
-  }
-  if (pathDepth > 3) {
-    issues.push("URL structure appears deep for the tested path.");
-    recommendations.push("Keep important pages within 2-3 clicks from homepage.");
-  }
-  if (hostname.startsWith("www.")) {
-    recommendations.push("Ensure canonical tags consistently point to preferred domain.");
+    return res.json({
+      url: absoluteUrl,
+      final_url: finalUrl,
+      score,
+      grade,
+      breakdown,
+      max_breakdown: CATEGORY_POINTS,
+      deductions,
+      issues,
+      recommendations,
+      signals: { ...signals, headings: signals.headings.slice(0, 50) },
+    });
+  } catch (error) {
+    return res.status(error?.code === "ERR_UNSAFE_URL" ? 400 : 500).json({
+      detail: error?.message || "Failed to score URL",
+    });
   }
-  if (issues.length === 0) {
-    recommendations.push("Maintain consistent publishing and internal linking cadence.");
-  }
-
-  return res.json({
-    url: absoluteUrl,
-    score,
-    grade,
-    breakdown,
-    issues,
-    recommendations,
-  });
 }
 
-module.exports = { runScoreCalculator };
-
+module.exports = { runScoreCalculator, extractSignals, scoreSignals, computeGrade };
@@ -1,66 +1,4 @@
-const axios = require("axios");
-
-function toAbsoluteUrl(url) {
-  const raw = String(url || "").trim();
-  if (!raw) return null;
-  if (/^https?:\/\//i.test(raw)) return raw;
-  return `https://${raw}`;
-}
-
-function normalizePageUrl(inputUrl) {
-  const u = new URL(inputUrl);
-  u.hash = "";
-  u.search = "";
-  // Keep root slash, trim trailing slash on non-root paths.
-  if (u.pathname.length > 1 && u.pathname.endsWith("/")) {
-    u.pathname = u.pathname.slice(0, -1);
-  }
-  return u.toString();
-}
-
-function isHtmlLike(headers) {
-  const contentType = String(headers?.["content-type"] || headers?.["Content-Type"] || "").toLowerCase();
-  return contentType.includes("text/html") || contentType.includes("application/xhtml+xml") || !contentType;
-}
-
-function extractLinksFromHtml(html, currentUrl) {
-  const links = [];
-  const anchorHrefRegex = /<a\s+[^>]*href\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  let match;
-  while ((match = anchorHrefRegex.exec(String(html || ""))) !== null) {
-    const href = String(match[1] || "").trim();
-    if (!href) continue;
-    if (href.startsWith("#") || href.startsWith("mailto:") || href.startsWith("javascript:") || href.startsWith("tel:")) {
-      continue;
-    }
-    try {
-      const absolute = new URL(href, currentUrl).toString();
-      links.push(absolute);
-    } catch {
-      // Ignore invalid urls
-    }
-  }
-  return links;
-}
-
-function shouldSkipUrl(url) {
-  const lower = url.toLowerCase();
-  const skipExtensions = [
-    ".pdf",
-    ".jpg",
-    ".jpeg",
-    ".png",
-    ".gif",
-    ".webp",
-    ".svg",
-    ".css",
-    ".js",
-    ".ico",
-    ".xml",
-    ".zip",
-  ];
-  return skipExtensions.some((ext) => lower.includes(ext));
-}
+const crawler = require("./crawler");
 
 function escapeXml(value) {
   return String(value || "")
@@ -92,75 +30,45 @@ async function runSitemapGenerator(req, res) {
   }
 
   const body = req.body || {};
-  const absolute = toAbsoluteUrl(body.url);
+  const absolute = crawler.toAbsoluteUrl(body.url);
   if (!absolute) {
     return res.status(400).json({ detail: "Missing required field: url" });
   }
-
-  let startUrl;
-  let startParsed;
-  try {
-    startUrl = normalizePageUrl(absolute);
-    startParsed = new URL(startUrl);
-  } catch {
+  if (!crawler.normalizeUrl(absolute)) {
     return res.status(400).json({ detail: "Invalid url provided" });
   }
 
-  const requestedMaxPages = parseInt(body.max_pages ?? 100, 10);
-  const maxPages = Number.isNaN(requestedMaxPages) ? 100 : Math.max(1, Math.min(requestedMaxPages, 500));
-
-  const visited = new Set();
-  const queued = new Set([startUrl]);
-  const toVisit = [startUrl];
-  const urlsData = [];
-  const today = new Date().toISOString().slice(0, 10);
-
-  while (toVisit.length > 0 && visited.size < maxPages) {
-    const currentUrl = toVisit.shift();
-    queued.delete(currentUrl);
-    if (visited.has(currentUrl)) continue;
-    visited.add(currentUrl);
-
-    try {
-      const response = await axios.get(currentUrl, {
-        timeout: 7000,
-        maxRedirects: 5,
-        validateStatus: () => true,
-        headers: { "User-Agent": "TrafficBoxes SEO Crawler/1.0" },
-      });
+  const crawl = await crawler.crawlSite(
+    absolute,
+    crawler.crawlOptionsFromBody(body, { maxPages: 100, maxDepth: 5 })
+  );
 
-      if (response.status !== 200 || !isHtmlLike(response.headers)) {
-        continue;
-      }
-
-      urlsData.push({
-        loc: currentUrl,
-        lastmod: today,
-        changefreq: "weekly",
-        priority: currentUrl === startUrl ? "1.0" : "0.8",
-      });
-
-      const links = extractLinksFromHtml(response.data, currentUrl);
-      for (const link of links) {
-        let normalized;
-        try {
-          normalized = normalizePageUrl(link);
-        } catch {
-          continue;
-        }
-        const parsed = new URL(normalized);
-        if (parsed.host !== startParsed.host) continue;
-        if (shouldSkipUrl(normalized)) continue;
-        if (visited.has(normalized) || queued.has(normalized)) continue;
-        if (visited.size + toVisit.length >= maxPages * 3) continue;
-        toVisit.push(normalized);
-        queued.add(normalized);
-      }
-    } catch {
-      // Ignore broken pages and continue crawling.
-    }
+  const start = crawl.pages[0];
+  if (!start || start.error) {
+    return res.status(400).json({
+      detail: `Failed to fetch URL (${start?.error || "no response"})`,
+    });
   }
 
+  // Indexable HTML pages, listed under their canonical URL
+  const today = new Date().toISOString().slice(0, 10);
+  const listed = new Set();
+  const urlsData = [];
+  crawl.pages.forEach((page) => {
+    if (page.status !== 200 || !crawler.isHtml(page.content_type)) return;
+    if (page.duplicate_of || page.noindex) return;
+    const loc = page.canonical || page.final_url;
+    if (new URL(loc).host !== new URL(page.final_url).host) return; // Canonical on another site
+    if (listed.has(loc)) return;
+    listed.add(loc);
+    urlsData.push({
+      loc,
+      lastmod: today,
+      changefreq: "weekly",
+      priority: page.depth === 0 ? "1.0" : page.depth === 1 ? "0.8" : "0.6",
+    });
+  });
+
   const sitemapXml = buildSitemapXml(urlsData);
 
   return res.json({
@@ -168,6 +76,9 @@ async function runSitemapGenerator(req, res) {
     urls_found: urlsData.length,
     sitemap_xml: sitemapXml,
     urls: urlsData,
+    crawl: crawl.stats,
+    robots: crawl.robots,
+    blocked_by_robots: crawl.blocked.slice(0, 100),
   });
 }
 
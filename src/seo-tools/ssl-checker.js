@@ -1,4 +1,5 @@
 const tls = require("tls");
+const { assertSafeUrl, safeLookup } = require("../utils/safeFetch");
 
 function toAbsoluteUrl(url) {
   const raw = String(url || "").trim();
@@ -29,6 +30,7 @@ async function getPeerCertificate(hostname) {
         servername: hostname,
         rejectUnauthorized: true,
         timeout: 10000,
+        lookup: safeLookup, // Refuses private and reserved addresses
       },
       () => {
         try {
@@ -75,7 +77,17 @@ async function runSslChecker(req, res) {
     return res.status(400).json({ detail: "Invalid hostname" });
   }
 
+  return res.json(await checkCertificate(hostname));
+}
+
+/**
+ * Connect to a host on port 443 and report its certificate
+ * @param {String} hostname - Host to check
+ * @returns {Object} { valid, hostname, issuer, not_after, days_until_expiry, ... } or { valid: false, error }
+ */
+async function checkCertificate(hostname) {
   try {
+    assertSafeUrl(`https://${hostname}/`); // IP hosts skip the lookup
     const cert = await getPeerCertificate(hostname);
     const notBefore = cert.valid_from ? new Date(cert.valid_from) : null;
     const notAfter = cert.valid_to ? new Date(cert.valid_to) : null;
@@ -86,7 +98,7 @@ async function runSslChecker(req, res) {
         ? Math.floor((notAfter.getTime() - now.getTime()) / (1000 * 60 * 60 * 24))
         : null;
 
-    return res.json({
+    return {
       valid: true,
       hostname,
       issuer: normalizeCertDnObject(cert.issuer),
@@ -99,15 +111,14 @@ async function runSslChecker(req, res) {
         typeof daysUntilExpiry === "number" ? daysUntilExpiry > 0 && daysUntilExpiry < 30 : null,
       version: cert.version || null,
       serial_number: cert.serialNumber || null,
-    });
+    };
   } catch (error) {
-    return res.json({
+    return {
       valid: false,
       hostname,
       error: error?.message || "SSL check failed",
-    });
+    };
   }
 }
 
-module.exports = { runSslChecker };
-
+module.exports = { runSslChecker, checkCertificate };
@@ -29,6 +29,15 @@ app.use((req, res, next) => {
   } else if (req.path.includes("/ai/")) {
     req.setTimeout(180000); // 3 minutes for other AI endpoints
     res.setTimeout(180000);
+  } else if (req.path.endsWith("/campaigns/import")) {
+    req.setTimeout(300000); // 5 minutes; each imported row creates a vendor project
+    res.setTimeout(300000);
+  } else if (/\/seo-suit\/(sitemap|links|meta)$/.test(req.path)) {
+    req.setTimeout(180000); // 3 minutes; these tools crawl the whole site
+    res.setTimeout(180000);
+  } else if (req.path.startsWith("/api/report-schedules/") && req.path.endsWith("/send")) {
+    req.setTimeout(180000); // 3 minutes; renders the report PDF
+    res.setTimeout(180000);
   } else {
     req.setTimeout(30000); // 30 seconds for regular endpoints
     res.setTimeout(30000);
@@ -61,6 +70,7 @@ app.get("/", (req, res) => {
     status: "running",
     endpoints: {
       auth: "/api/auth",
+      twoFactor: "/api/auth/2fa", // TOTP two-factor enrollment
       campaigns: "/api/campaigns",
       alpha: "/api/alpha", // SparkTraffic Alpha routes
       alphaTraffic: "/api/alpha-traffic", // Alpha traffic tracking routes
@@ -74,6 +84,11 @@ app.get("/", (req, res) => {
       subscription: "/api/subscription", // Stripe subscription management
       forms: "/api/forms", // Contact forms and custom plan requests
       notifications: "/api/notifications", // User notifications
+      webhooks: "/api/webhooks", // Outbound webhook endpoints and deliveries
+      apiKeys: "/api/api-keys", // Personal API keys
+      organizations: "/api/organizations", // Team workspaces and members
+      campaignTemplates: "/api/campaign-templates", // Saved Alpha campaign settings
+      reportSchedules: "/api/report-schedules", // Scheduled email reports
     },
     documentation: "/api-docs",
   });
@@ -94,7 +109,11 @@ app.use(
   })
 );
 
+// Requests made while an admin views the app as a user go to the audit log
+app.use(require("./middleware/audit").auditImpersonatedRequests);
+
 // API Routes
+app.use("/api/auth/2fa", require("./routes/twoFactor")); // TOTP enrollment and recovery codes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/campaigns", require("./routes/campaigns"));
 app.use("/api/alpha", require("./routes/alpha")); // SparkTraffic Alpha routes
@@ -110,6 +129,11 @@ app.use("/api/subscription", require("./routes/subscription")); // Stripe subscr
 app.use("/api/forms", require("./routes/forms")); // Contact forms and custom plan requests
 app.use("/api/notifications", require("./routes/notifications")); // User notifications
 app.use("/api/statistics", require("./routes/statistics")); // Aggregated statistics
+app.use("/api/webhooks", require("./routes/webhooks")); // Outbound webhooks
+app.use("/api/api-keys", require("./routes/apiKeys")); // Personal API keys
+app.use("/api/organizations", require("./routes/organizations")); // Team workspaces and members
+app.use("/api/campaign-templates", require("./routes/campaignTemplates")); // Saved Alpha campaign settings
+app.use("/api/report-schedules", require("./routes/reportSchedules")); // Scheduled email reports
 
 // SEO suite (free, non-AI stubs for now)
 const seoSuitRoutes = require("./routes/seoSuit");
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { sendPasswordResetEmail, sendVerifyEmailEmail } = require("./emailService");
+const logger = require("../utils/logger");
+
+/**
+ * Single-use email tokens for password reset and email verification.
+ * The raw token only goes out in the email; the user document stores its hash
+ * and expiry, and both are cleared when the token is used.
+ */
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+const TOKEN_FIELDS = {
+  passwordReset: {
+    token: "passwordResetToken",
+    expiry: "passwordResetTokenExpiry",
+  },
+  emailVerification: {
+    token: "emailVerificationToken",
+    expiry: "emailVerificationTokenExpiry",
+  },
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+function issueToken(user, type, ttlMs) {
+  const fields = TOKEN_FIELDS[type];
+  const token = crypto.randomBytes(32).toString("hex");
+  user[fields.token] = hashToken(token);
+  user[fields.expiry] = new Date(Date.now() + ttlMs);
+  return token;
+}
+
+/**
+ * Find the user a token belongs to and clear the token so it cannot be reused
+ * @param {String} type - "passwordReset" | "emailVerification"
+ * @param {String} token - Raw token from the email link
+ * @returns {Object|null} User document (not yet saved) or null if invalid/expired
+ */
+async function consumeToken(type, token) {
+  if (typeof token !== "string" || !token) return null;
+  const fields = TOKEN_FIELDS[type];
+
+  // Clear atomically so two requests cannot both use the same token
+  const user = await User.findOneAndUpdate(
+    {
+      [fields.token]: hashToken(token),
+      [fields.expiry]: { $gt: new Date() },
+    },
+    { $unset: { [fields.token]: 1, [fields.expiry]: 1 } },
+    { new: true }
+  );
+  return user;
+}
+
+/**
+ * Create a verification token for a user and email it
+ * @param {Object} user - User document; saved by this function
+ */
+async function sendEmailVerification(user) {
+  const token = issueToken(
+    user,
+    "emailVerification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  user.emailVerified = false;
+  await user.save();
+
+  sendVerifyEmailEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS).catch(() => {});
+  logger.info("Email verification sent", { userId: user._id });
+}
+
+/**
+ * Create a password reset token for a user and email it
+ * @param {Object} user - User document; saved by this function
+ */
+async function sendPasswordReset(user) {
+  const token = issueToken(
+    user,
+    "passwordReset",
+    PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+  await user.save();
+
+  sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES).catch(() => {});
+  logger.info("Password reset email sent", { userId: user._id });
+}
+
+/**
+ * When the current verification email was sent, derived from its expiry
+ * @param {Object} user - User document
+ * @returns {Date|null}
+ */
+function verificationSentAt(user) {
+  if (!user.emailVerificationTokenExpiry) return null;
+  return new Date(
+    user.emailVerificationTokenExpiry.getTime() -
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+}
+
+// Accounts created before verification existed have no emailVerified value
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+module.exports = {
+  consumeToken,
+  sendEmailVerification,
+  sendPasswordReset,
+  verificationSentAt,
+  isEmailVerified,
+};
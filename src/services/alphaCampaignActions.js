@@ -0,0 +1,909 @@
+const Campaign = require("../models/Campaign");
+const CampaignTemplate = require("../models/CampaignTemplate");
+const Subscription = require("../models/Subscription");
+const User = require("../models/User");
+const vendors = require("./vendors");
+const visitLedger = require("./visitLedger");
+const alphaTrafficTrackingService = require("./alphaTrafficTrackingService");
+const campaignScheduler = require("./campaignScheduler");
+const campaignBudget = require("./campaignBudget");
+const campaignTemplates = require("./campaignTemplates");
+const webhookService = require("./webhookService");
+const logger = require("../utils/logger");
+
+/**
+ * Alpha (SparkTraffic) campaign actions
+ *
+ * Create, pause, resume, modify and archive for one campaign, shared by the
+ * single campaign routes, imports and bulk jobs. Callers load the campaign and check access;
+ * each action returns { error, status } when it cannot be applied.
+ */
+
+// Helper function to validate geo format
+function validateGeoFormat(geo) {
+  if (!Array.isArray(geo)) {
+    return { valid: false, error: "geo must be an array" };
+  }
+
+  if (geo.length === 0) {
+    return { valid: true }; // Empty array is valid
+  }
+
+  let totalPercent = 0;
+  for (const item of geo) {
+    // Check if it's the new format (objects with country and percent)
+    if (typeof item === "object" && item !== null) {
+      if (!item.country || typeof item.country !== "string") {
+        return {
+          valid: false,
+          error: "Each geo item must have a 'country' string field",
+        };
+      }
+      if (
+        typeof item.percent !== "number" ||
+        item.percent < 0 ||
+        item.percent > 1
+      ) {
+        return {
+          valid: false,
+          error:
+            "Each geo item must have a 'percent' number field between 0 and 1",
+        };
+      }
+      totalPercent += item.percent;
+    } else {
+      // Old format (strings) is not allowed for new campaigns
+      return {
+        valid: false,
+        error:
+          "geo items must be objects with 'country' and 'percent' fields. Old string format is no longer supported for new campaigns.",
+      };
+    }
+  }
+
+  // Allow some tolerance for floating point precision
+  if (Math.abs(totalPercent - 1) > 0.01) {
+    return { valid: false, error: "Total percentage must equal 1.0 (100%)" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate an Alpha create payload: url, geo, schedule and budget
+ * @param {Object} body - Create payload
+ * @returns {Object} { valid: false, error } or { valid: true, scheduleFields, budget }
+ */
+function validateCreateInput(body) {
+  if (!body.url || typeof body.url !== "string" || !body.url.trim()) {
+    return { valid: false, error: "url required" };
+  }
+
+  // Validate geo format if provided
+  if (body.geo) {
+    const geoValidation = validateGeoFormat(body.geo);
+    if (!geoValidation.valid) return geoValidation;
+  }
+
+  // Validate start/end dates and hourly schedule
+  const scheduleInput = campaignScheduler.parseScheduleInput(body);
+  if (!scheduleInput.valid) return scheduleInput;
+
+  // Validate per-campaign visit budgets
+  let budget;
+  if (body.budget !== undefined) {
+    const budgetInput = campaignBudget.parseBudgetInput(body.budget);
+    if (!budgetInput.valid) return budgetInput;
+    budget = budgetInput.budget;
+  }
+
+  return { valid: true, scheduleFields: scheduleInput.fields, budget };
+}
+
+/**
+ * Create an Alpha campaign: check the owner's subscription, create the
+ * SparkTraffic project and save the campaign
+ * @param {Object} input - Create payload
+ * @param {Object} options - { organizationId, ownerId (billed user), createdBy, templateId, clonedFrom }
+ * @returns {Object} { campaign, subscription, speed } or { error, status, details }
+ */
+async function createCampaign(input, { organizationId, ownerId, createdBy, templateId, clonedFrom }) {
+  const userId = ownerId;
+  const body = { ...input };
+
+  const validation = validateCreateInput(body);
+  if (!validation.valid) {
+    logger.error("Invalid Alpha campaign payload", {
+      userId,
+      url: body.url,
+      error: validation.error,
+    });
+    return { status: 400, error: validation.error };
+  }
+
+  // Check subscription before creating campaign
+  const user = await User.findById(userId);
+  if (!user) {
+    logger.error("User not found", { userId });
+    return { status: 404, error: "User not found" };
+  }
+
+  // Get user's subscription
+  const subscription = await Subscription.findOne({ user: userId });
+  if (!subscription) {
+    logger.error("No subscription found for user", { userId, userEmail: user.email });
+    return {
+      status: 404,
+      error: "No subscription found. Please subscribe to create campaigns.",
+    };
+  }
+
+  // Check if subscription is active
+  if (subscription.status !== "active" && subscription.status !== "trialing") {
+    logger.warn("Inactive subscription for Alpha campaign", {
+      userId,
+      userEmail: user.email,
+      subscriptionStatus: subscription.status,
+    });
+    return {
+      status: 400,
+      error: "Subscription is not active",
+      details: {
+        status: subscription.status,
+        message: "Please activate your subscription to create campaigns.",
+      },
+    };
+  }
+
+  // Check if user has available visits in their subscription
+  const availableVisits = await visitLedger.getAvailableVisits(subscription);
+  const requiredHits = body.maxHits || 5;
+
+  if (availableVisits < requiredHits) {
+    logger.warn("Insufficient subscription visits for Alpha campaign", {
+      userId,
+      userEmail: user.email,
+      requiredVisits: requiredHits,
+      availableVisits,
+      visitsUsed: subscription.visitsUsed,
+      visitsIncluded: subscription.visitsIncluded,
+    });
+    return {
+      status: 400,
+      error: "Insufficient visits in subscription",
+      details: {
+        required: requiredHits,
+        available: availableVisits,
+        visitsUsed: subscription.visitsUsed,
+        visitsIncluded: subscription.visitsIncluded,
+        message: "Your subscription does not have enough visits remaining. Please upgrade your plan.",
+      },
+    };
+  }
+
+  // Ensure required fields have default values
+  if (body.is_adult === undefined) body.is_adult = false;
+  if (body.is_coin_mining === undefined) body.is_coin_mining = false;
+
+  // Default payload for campaign creation
+  const defaultPayload = {
+    title: "Alpha Campaign",
+    urls: [],
+    duration: [5, 15],
+    referrers: { mode: "basic", urls: [] },
+    platform: { usage: { system: 100, fixed: 0, custom: 0 } },
+    macros: "",
+    popupMacros: "",
+    connectionTypes: ["system"],
+    geo: { rule: "any", by: "country", codes: [] },
+    capping: { type: "own", value: 3600 },
+    maxHits: 5,
+    maxPopups: 0,
+    allowProxy: true,
+    allowIPv6: true,
+    bypassCf: false,
+    similarWebEnabled: false,
+    fingerprintSpoof: false,
+    userState: "running",
+  };
+
+  // Merge user input with defaults (user input takes precedence)
+  const merged = { ...defaultPayload, ...body };
+
+  // SparkTraffic integration (always use SparkTraffic for Alpha)
+  const vendor = vendors.getVendor("sparkTraffic");
+
+  // Build SparkTraffic payload following exact API documentation
+  const sparkPayload = {
+    unique_id: merged.unique_id || undefined,
+    created_at: merged.created_at || Date.now(),
+    expires_at: merged.expires_at || 0,
+    title: merged.title,
+    size: merged.size || "eco", // Use provided size or default to eco
+    multiplier: merged.multiplier || 0,
+    speed: merged.speed || 200,
+    traffic_type: merged.traffic_type || "direct",
+    keywords: merged.keywords || "",
+    referrers:
+      merged.referrers && merged.referrers.urls
+        ? merged.referrers.urls.join(",")
+        : "",
+    social_links: merged.social_links || "",
+    languages: merged.languages || "",
+    bounce_rate: merged.bounce_rate || 0,
+    return_rate: merged.return_rate || 0,
+    click_outbound_events: merged.click_outbound_events || 0,
+    form_submit_events: merged.form_submit_events || 0,
+    scroll_events: merged.scroll_events || 0,
+    time_on_page: merged.time_on_page || "5sec",
+    desktop_rate: merged.desktop_rate || 0,
+    auto_renew: merged.auto_renew || "true",
+    geo_type: merged.geo_type || "global",
+    geo: merged.geo ? JSON.stringify(merged.geo) : "",
+    shortener: merged.shortener || "",
+    rss_feed: merged.rss_feed || "",
+    ga_id: merged.ga_id || "",
+  };
+
+  // Handle URLs in SparkTraffic format (urls-1, urls-2, etc.)
+  // Take single URL and populate urls-1, urls-2, urls-3 with the same URL
+  const sparkTrafficUrls = {};
+
+  if (merged.url) {
+    // Use the same URL for urls-1, urls-2, and urls-3
+    sparkPayload["urls-1"] = merged.url;
+    sparkPayload["urls-2"] = merged.url;
+    sparkPayload["urls-3"] = merged.url;
+
+    sparkTrafficUrls["urls-1"] = merged.url;
+    sparkTrafficUrls["urls-2"] = merged.url;
+    sparkTrafficUrls["urls-3"] = merged.url;
+  }
+
+  // If user provides individual URL fields, respect those
+  for (let i = 1; i <= 11; i++) {
+    const urlField = `urls-${i}`;
+    if (merged[urlField]) {
+      sparkPayload[urlField] = merged[urlField];
+      sparkTrafficUrls[urlField] = merged[urlField];
+    }
+  }
+
+  // Handle legacy urls array format (but prioritize single URL approach)
+  if (merged.urls && Array.isArray(merged.urls) && !merged.url) {
+    merged.urls.forEach((url, index) => {
+      if (index < 11 && url && url.trim()) {
+        const urlKey = `urls-${index + 1}`;
+        sparkPayload[urlKey] = url.trim();
+        sparkTrafficUrls[urlKey] = url.trim();
+      }
+    });
+  }
+
+  try {
+    const vendorResp = await vendor.createProject(sparkPayload);
+    logger.campaign("Alpha SparkTraffic campaign created", {
+      userId,
+      projectId: vendorResp.id,
+      title: sparkPayload.title,
+    });
+
+    // Save to DB with proper geo format handling
+    const projectId = vendorResp.id;
+
+    // Handle countries/geo data properly for both old and new formats
+    let countriesData = [];
+    if (merged.geo) {
+      if (Array.isArray(merged.geo)) {
+        // New format: array of objects with country and percent
+        countriesData = merged.geo;
+      } else if (merged.geo.codes && Array.isArray(merged.geo.codes)) {
+        // Old format: geo object with codes array
+        countriesData = merged.geo.codes;
+      }
+    } else if (merged.countries) {
+      // Direct countries field
+      countriesData = merged.countries;
+    }
+
+    const camp = new Campaign({
+      user: userId,
+      organization: organizationId,
+      createdBy,
+      title: sparkPayload.title,
+      urls: merged.urls || [], // Keep for backward compatibility
+      duration_min: merged.duration[0],
+      duration_max: merged.duration[1],
+      countries: countriesData,
+      rule: merged.rule || "any",
+      macros: merged.macros,
+      is_adult: merged.is_adult,
+      is_coin_mining: merged.is_coin_mining,
+      spark_traffic_project_id: projectId,
+      state: "created",
+      settings: campaignTemplates.pickSettings(merged),
+      metadata: {
+        ...body.metadata,
+        ...(templateId && { templateId }),
+        ...(clonedFrom && { clonedFrom }),
+        vendor: "sparkTraffic",
+        route: "alpha",
+        sparkTrafficUrls: sparkTrafficUrls, // Store the URL mapping
+        currentSpeed: sparkPayload.speed || 200, // Store the current speed
+      },
+      spark_traffic_data: vendorResp,
+      ...validation.scheduleFields,
+      ...(validation.budget && { budget: validation.budget }),
+    });
+
+    await camp.save();
+
+    if (templateId) {
+      await CampaignTemplate.updateOne(
+        { _id: templateId },
+        { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+      );
+    }
+
+    // Hold delivery right away if the campaign starts later or is outside its hours
+    try {
+      await campaignScheduler.applySchedule(camp);
+    } catch (scheduleErr) {
+      logger.error("Failed to apply schedule to new Alpha campaign", {
+        userId,
+        campaignId: camp._id,
+        error: scheduleErr.message,
+      });
+    }
+
+    logger.campaign("Alpha campaign saved with metadata", {
+      userId,
+      campaignId: camp._id,
+      storedSpeed: camp.metadata?.currentSpeed,
+      sparkPayloadSpeed: sparkPayload.speed,
+      mergedSpeed: merged.speed,
+      requestBodySpeed: body.speed,
+    });
+
+    // Note: No immediate deduction - visits will be deducted by creditDeduction service as traffic is delivered
+
+    // Initialize Alpha traffic tracking for the new campaign
+    try {
+      await alphaTrafficTrackingService.initializeAlphaTrafficTracking(
+        camp._id.toString(),
+        projectId
+      );
+      logger.campaign("Alpha traffic tracking initialized", {
+        userId,
+        campaignId: camp._id,
+        sparkTrafficProjectId: projectId,
+      });
+    } catch (trackingErr) {
+      logger.error("Failed to initialize Alpha traffic tracking", {
+        userId,
+        campaignId: camp._id,
+        sparkTrafficProjectId: projectId,
+        error: trackingErr.message,
+      });
+      // Don't fail the campaign creation if tracking initialization fails
+    }
+
+    logger.campaign("Alpha campaign created successfully", {
+      userId,
+      campaignId: camp._id,
+      sparkTrafficProjectId: projectId,
+      subscriptionPlan: subscription.planName,
+      visitsRemaining: subscription.visitsIncluded - subscription.visitsUsed,
+    });
+
+    return { campaign: camp, subscription, speed: sparkPayload.speed };
+  } catch (err) {
+    logger.error("Alpha SparkTraffic campaign creation failed", {
+      userId,
+      error: err.message,
+      stack: err.stack,
+    });
+    return { status: 500, error: err.message };
+  }
+}
+
+/**
+ * Pause delivery; a user pause overrides the scheduler and budgets
+ * @param {Object} c - Campaign document
+ * @param {Object} options - { userId } acting user, for logs
+ * @returns {Object} { campaign, vendorResp }
+ */
+async function pauseCampaign(c, { userId } = {}) {
+  let vendorResp = null;
+  try {
+    vendorResp = await vendors
+      .getVendor("sparkTraffic")
+      .pauseProject(c.spark_traffic_project_id);
+    logger.campaign("Alpha campaign paused", {
+      userId,
+      campaignId: c._id,
+      vendor: "sparkTraffic",
+    });
+  } catch (err) {
+    logger.error("Alpha SparkTraffic pause failed", {
+      userId,
+      campaignId: c._id,
+      sparkTrafficProjectId: c.spark_traffic_project_id,
+      error: err.message,
+    });
+    vendorResp = { error: err.message };
+  }
+
+  c.state = "paused";
+  c.schedule_paused = false; // User pause wins over the scheduler and budgets
+  c.budget_paused = null;
+  // Update stored speed in metadata
+  if (c.metadata) {
+    c.metadata.currentSpeed = 0;
+  } else {
+    c.metadata = { currentSpeed: 0 };
+  }
+  await c.save();
+  webhookService.emit(
+    c.user._id || c.user,
+    "campaign.paused",
+    webhookService.campaignEventData(c, { reason: "user" })
+  );
+
+  return { campaign: c, vendorResp };
+}
+
+/**
+ * Resume delivery at the campaign's configured speed, after checking the
+ * owner's subscription and that the SparkTraffic project still exists
+ * @param {Object} c - Campaign document
+ * @param {Object} options - { userId } acting user, for logs
+ * @returns {Object} { campaign, vendorResp } or { error, status, details }
+ */
+async function resumeCampaign(c, { userId } = {}) {
+  const ownerId = c.user._id || c.user;
+
+  // Check if user has sufficient subscription visits before resuming
+  const subscription = await Subscription.findOne({ user: ownerId });
+  if (!subscription) {
+    logger.warn("Cannot resume Alpha campaign - no subscription found", {
+      userId,
+      campaignId: c._id,
+    });
+    return {
+      status: 400,
+      error: "Cannot resume campaign - no subscription found",
+    };
+  }
+
+  // Check if subscription is active
+  if (subscription.status !== "active" && subscription.status !== "trialing") {
+    logger.warn("Cannot resume Alpha campaign - subscription not active", {
+      userId,
+      campaignId: c._id,
+      subscriptionStatus: subscription.status,
+    });
+    return {
+      status: 400,
+      error: "Cannot resume campaign - subscription is not active",
+      details: { status: subscription.status },
+    };
+  }
+
+  // Check if user has available visits
+  const availableVisits = await visitLedger.getAvailableVisits(subscription);
+  if (availableVisits <= 0) {
+    logger.warn("Cannot resume Alpha campaign - insufficient visits", {
+      userId,
+      campaignId: c._id,
+      visitsUsed: subscription.visitsUsed,
+      visitsIncluded: subscription.visitsIncluded,
+    });
+    return {
+      status: 400,
+      error: "Cannot resume campaign - insufficient visits in subscription",
+      details: {
+        visitsUsed: subscription.visitsUsed,
+        visitsIncluded: subscription.visitsIncluded,
+        message: "Please upgrade your subscription plan to resume this campaign.",
+      },
+    };
+  }
+
+  // Check the campaign's own budgets; a used-up budget would pause it again
+  const budgetStatus = await campaignBudget.getBudgetStatus(c);
+  if (budgetStatus.hasBudget && budgetStatus.remaining <= 0) {
+    const period = budgetStatus.limitingPeriod;
+    logger.warn("Cannot resume Alpha campaign - budget exhausted", {
+      userId,
+      campaignId: c._id,
+      period,
+      limit: budgetStatus.limits[period],
+      used: budgetStatus.usage[period],
+    });
+    return {
+      status: 400,
+      error: `Cannot resume campaign - its ${period} budget is used up`,
+      details: {
+        period,
+        limit: budgetStatus.limits[period],
+        used: budgetStatus.usage[period],
+        resumesAt: budgetStatus.resumesAt,
+        message:
+          period === "lifetime"
+            ? "Raise the lifetime budget to resume this campaign."
+            : `Raise the ${period} budget or wait until ${budgetStatus.resumesAt.toISOString()}.`,
+      },
+    };
+  }
+
+  const vendor = vendors.getVendor("sparkTraffic");
+
+  // Step 1: Fetch all non-deleted project IDs and verify this one still exists
+  try {
+    const activeIds = await vendor.listProjects();
+    logger.info("SparkTraffic active project IDs fetched", {
+      campaignId: c._id,
+      sparkProjectId: c.spark_traffic_project_id,
+      totalActive: activeIds.length,
+      projectFound: activeIds.includes(c.spark_traffic_project_id),
+    });
+
+    if (!activeIds.includes(c.spark_traffic_project_id)) {
+      logger.error("Alpha campaign not found in SparkTraffic active projects", {
+        userId,
+        campaignId: c._id,
+        sparkProjectId: c.spark_traffic_project_id,
+      });
+      c.state = "archived";
+      c.userState = "archived";
+      c.is_archived = true;
+      c.archived_at = new Date();
+      await c.save();
+      return {
+        status: 400,
+        error: "This campaign no longer exists and has been archived.",
+      };
+    }
+  } catch (checkErr) {
+    logger.error("SparkTraffic project list fetch failed", {
+      userId,
+      campaignId: c._id,
+      error: checkErr.message,
+    });
+    return {
+      status: 502,
+      error: "Could not verify campaign status. Please try again.",
+    };
+  }
+
+  // Step 2: Project confirmed — resume at the campaign's configured speed
+  const resumeSpeed = c.metadata?.currentSpeed || c.spark_traffic_data?.speed || 200;
+  let vendorResp = null;
+  try {
+    vendorResp = await vendor.resumeProject(c.spark_traffic_project_id, {
+      speed: resumeSpeed,
+    });
+  } catch (err) {
+    logger.error("Alpha SparkTraffic resume (set speed) failed", {
+      userId,
+      campaignId: c._id,
+      error: err.message,
+    });
+    return {
+      status: 502,
+      error: "Failed to resume campaign. Please try again.",
+    };
+  }
+
+  // Step 3: Both confirmed — update local state
+  c.state = "ok";
+  c.userState = "running";
+  c.credit_deduction_enabled = true;
+  c.budget_paused = null;
+  c.budget_paused_at = null;
+  if (c.metadata) {
+    c.metadata.currentSpeed = resumeSpeed;
+  } else {
+    c.metadata = { currentSpeed: resumeSpeed };
+  }
+  await c.save();
+
+  logger.campaign("Alpha campaign resumed", {
+    userId,
+    campaignId: c._id,
+    vendor: "sparkTraffic",
+    speed: resumeSpeed,
+  });
+  webhookService.emit(
+    ownerId,
+    "campaign.resumed",
+    webhookService.campaignEventData(c, { reason: "user" })
+  );
+
+  return { campaign: c, vendorResp: vendorResp || null };
+}
+
+/**
+ * Update local fields and the SparkTraffic project. Vendor errors are
+ * returned as vendorResp.error; the local update is still saved.
+ * @param {Object} c - Campaign document
+ * @param {Object} input - Modify payload (same fields as create)
+ * @param {Object} options - { userId } acting user, for logs
+ * @returns {Object} { campaign, vendorResp } or { error, status }
+ */
+async function modifyCampaign(c, input, { userId } = {}) {
+  const body = { ...input };
+
+  // Update fields locally
+  const updatable = [
+    "title",
+    "urls",
+    "duration_min",
+    "duration_max",
+    "countries",
+    "rule",
+    "macros",
+    "is_adult",
+    "is_coin_mining",
+    "metadata",
+  ];
+
+  // Handle geo mapping to countries for MongoDB storage
+  if (body.geo) {
+    // Map geo to countries for MongoDB storage
+    body.countries = body.geo;
+
+    // Validate geo format
+    const geoValidation = validateGeoFormat(body.geo);
+    if (!geoValidation.valid) {
+      logger.error("Invalid geo format in Alpha modify", {
+        userId,
+        campaignId: c._id,
+        geo: body.geo,
+        error: geoValidation.error,
+      });
+      return { status: 400, error: geoValidation.error };
+    }
+  }
+
+  // Validate geo format if countries is provided directly
+  if (body.countries) {
+    const geoValidation = validateGeoFormat(body.countries);
+    if (!geoValidation.valid) {
+      logger.error("Invalid geo format in Alpha modify", {
+        userId,
+        campaignId: c._id,
+        geo: body.countries,
+        error: geoValidation.error,
+      });
+      return { status: 400, error: geoValidation.error };
+    }
+  }
+
+  // Validate start/end dates and hourly schedule
+  const scheduleInput = campaignScheduler.parseScheduleInput(body);
+  if (!scheduleInput.valid) {
+    logger.error("Invalid campaign schedule in Alpha modify", {
+      userId,
+      campaignId: c._id,
+      error: scheduleInput.error,
+    });
+    return { status: 400, error: scheduleInput.error };
+  }
+
+  updatable.forEach((f) => {
+    if (body[f] !== undefined) c[f] = body[f];
+  });
+  Object.assign(c, scheduleInput.fields);
+  // Keep the stored settings current for clones and templates
+  c.settings = { ...c.settings, ...campaignTemplates.pickSettings(body) };
+
+  // Update per-campaign visit budgets; a raised budget is picked up by the budget resume job
+  if (body.budget !== undefined) {
+    const budgetInput = campaignBudget.parseBudgetInput(body.budget);
+    if (!budgetInput.valid) {
+      return { status: 400, error: budgetInput.error };
+    }
+    Object.entries(budgetInput.budget).forEach(([period, value]) => {
+      c.set(`budget.${period}`, value);
+    });
+  }
+  if (c.start_date && c.until_date && c.until_date <= c.start_date) {
+    return { status: 400, error: "endDate must be after startDate" };
+  }
+
+  // Update metadata to maintain Alpha route info and store current speed
+  c.metadata = {
+    ...c.metadata,
+    ...body.metadata,
+    route: "alpha",
+    ...(body.speed !== undefined && { currentSpeed: body.speed }),
+  };
+
+  // Update on SparkTraffic
+  let vendorResp = null;
+  try {
+    // Build SparkTraffic modify payload
+    const modifyPayload = {};
+
+    // Map fields exactly as per SparkTraffic documentation
+    if (body.created_at !== undefined)
+      modifyPayload.created_at = body.created_at;
+    if (body.expires_at !== undefined)
+      modifyPayload.expires_at = body.expires_at;
+    if (body.title) modifyPayload.title = body.title;
+    if (body.size) modifyPayload.size = body.size;
+    if (body.multiplier !== undefined)
+      modifyPayload.multiplier = body.multiplier;
+    if (body.speed !== undefined) modifyPayload.speed = body.speed;
+    if (body.traffic_type)
+      modifyPayload.traffic_type = body.traffic_type;
+    if (body.keywords) modifyPayload.keywords = body.keywords;
+    if (body.referrers) {
+      if (typeof body.referrers === "object" && body.referrers.urls) {
+        modifyPayload.referrers = body.referrers.urls.join(",");
+      } else if (typeof body.referrers === "string") {
+        modifyPayload.referrers = body.referrers;
+      }
+    }
+    if (body.social_links)
+      modifyPayload.social_links = body.social_links;
+    if (body.languages) modifyPayload.languages = body.languages;
+    if (body.bounce_rate !== undefined)
+      modifyPayload.bounce_rate = body.bounce_rate;
+    if (body.return_rate !== undefined)
+      modifyPayload.return_rate = body.return_rate;
+    if (body.click_outbound_events !== undefined)
+      modifyPayload.click_outbound_events = body.click_outbound_events;
+    if (body.form_submit_events !== undefined)
+      modifyPayload.form_submit_events = body.form_submit_events;
+    if (body.scroll_events !== undefined)
+      modifyPayload.scroll_events = body.scroll_events;
+    if (body.time_on_page)
+      modifyPayload.time_on_page = body.time_on_page;
+    if (body.desktop_rate !== undefined)
+      modifyPayload.desktop_rate = body.desktop_rate;
+    if (body.auto_renew) modifyPayload.auto_renew = body.auto_renew;
+    if (body.geo_type) modifyPayload.geo_type = body.geo_type;
+    if (body.shortener) modifyPayload.shortener = body.shortener;
+    if (body.rss_feed) modifyPayload.rss_feed = body.rss_feed;
+    if (body.ga_id) modifyPayload.ga_id = body.ga_id;
+
+    // Handle URLs in SparkTraffic format (urls-1, urls-2, etc.)
+    // Take single URL and populate urls-1, urls-2, urls-3 with the same URL
+    if (body.url) {
+      modifyPayload["urls-1"] = body.url;
+      modifyPayload["urls-2"] = body.url;
+      modifyPayload["urls-3"] = body.url;
+    }
+
+    // If user provides individual URL fields, respect those
+    for (let i = 1; i <= 11; i++) {
+      const urlField = `urls-${i}`;
+      if (body[urlField]) {
+        modifyPayload[urlField] = body[urlField];
+      }
+    }
+
+    // Handle legacy urls array format (but prioritize single URL approach)
+    if (body.urls && Array.isArray(body.urls) && !body.url) {
+      body.urls.forEach((url, index) => {
+        if (index < 11 && url && url.trim()) {
+          modifyPayload[`urls-${index + 1}`] = url.trim();
+        }
+      });
+    }
+
+    // Handle geo format
+    if (body.geo) {
+      modifyPayload.geo = Array.isArray(body.geo)
+        ? JSON.stringify(body.geo)
+        : body.geo;
+    }
+
+    // Call SparkTraffic modify endpoint
+    vendorResp = await vendors
+      .getVendor("sparkTraffic")
+      .modifyProject(c.spark_traffic_project_id, modifyPayload);
+
+    logger.campaign("Alpha SparkTraffic campaign modified successfully", {
+      userId,
+      campaignId: c._id,
+      sparkTrafficProjectId: c.spark_traffic_project_id,
+    });
+  } catch (err) {
+    logger.error("Alpha SparkTraffic modify API call failed", {
+      userId,
+      campaignId: c._id,
+      error: err.message,
+    });
+    vendorResp = { error: err.message };
+  }
+
+  await c.save();
+
+  // Apply a changed schedule now instead of waiting for the next scheduler run
+  if (Object.keys(scheduleInput.fields).length > 0) {
+    try {
+      await campaignScheduler.applySchedule(c);
+    } catch (scheduleErr) {
+      logger.error("Failed to apply schedule to modified Alpha campaign", {
+        userId,
+        campaignId: c._id,
+        error: scheduleErr.message,
+      });
+    }
+  }
+
+  logger.campaign("Alpha campaign modified", {
+    userId,
+    campaignId: c._id,
+  });
+
+  return { campaign: c, vendorResp };
+}
+
+/**
+ * Archive a campaign (stopping its SparkTraffic project), or delete it for
+ * good when it is already archived and past the restore window
+ * @param {Object} c - Campaign document
+ * @param {Object} options - { userId } acting user, for logs
+ * @returns {Object} { action: "archived", campaign, vendorResp } or { action: "permanent_delete" }
+ */
+async function archiveCampaign(c, { userId } = {}) {
+  // If already archived, check if eligible for permanent deletion
+  if (c.is_archived && c.delete_eligible) {
+    await c.deleteOne();
+    logger.campaign("Alpha campaign permanently deleted", {
+      userId,
+      campaignId: c._id,
+    });
+    return { action: "permanent_delete" };
+  }
+
+  // Stop traffic on SparkTraffic (the project is kept for restore)
+  let vendorResp = null;
+  try {
+    vendorResp = await vendors
+      .getVendor("sparkTraffic")
+      .deleteProject(c.spark_traffic_project_id);
+    logger.campaign("Alpha campaign archived on SparkTraffic", {
+      userId,
+      campaignId: c._id,
+    });
+  } catch (err) {
+    logger.error("Alpha SparkTraffic archive failed", {
+      userId,
+      campaignId: c._id,
+      error: err.message,
+    });
+    vendorResp = { error: err.message };
+  }
+
+  // Archive the campaign — stop credit deduction immediately
+  c.is_archived = true;
+  c.archived_at = new Date();
+  c.state = "archived";
+  c.userState = "archived";
+  c.credit_deduction_enabled = false;
+  if (c.metadata) { c.metadata.currentSpeed = 0; } else { c.metadata = { currentSpeed: 0 }; }
+  await c.save();
+
+  logger.campaign("Alpha campaign archived", {
+    userId,
+    campaignId: c._id,
+  });
+
+  return { action: "archived", campaign: c, vendorResp };
+}
+
+module.exports = {
+  validateGeoFormat,
+  validateCreateInput,
+  createCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  modifyCampaign,
+  archiveCampaign,
+};
@@ -1,6 +1,7 @@
-const axios = require("axios");
 const Campaign = require("../models/Campaign");
+const vendors = require("./vendors");
 const alphaTrafficTrackingService = require("./alphaTrafficTrackingService");
+const jobLock = require("./jobLock");
 const logger = require("../utils/logger");
 
 class AlphaTrafficDataCollector {
@@ -27,18 +28,14 @@ class AlphaTrafficDataCollector {
     this.collectionIntervalMs = intervalMs;
     this.isRunning = true;
 
-    // Important: never let errors from the interval task bubble up and
-    // crash the whole server (Mongo may be temporarily unavailable).
-    this.intervalId = setInterval(() => {
-      this.collectAllAlphaCampaignData().catch((error) => {
-        logger.error(
-          "Alpha traffic data collector interval failed (non-fatal)",
-          {
-            error: error?.message || "Unknown error",
-          }
-        );
-      });
-    }, this.collectionIntervalMs);
+    // Only one instance collects per interval. Errors are logged by the job
+    // runner and never bubble up to crash the server (Mongo may be down).
+    this.intervalId = jobLock.every(
+      "alpha-traffic-collector",
+      this.collectionIntervalMs,
+      () => this.collectAllAlphaCampaignData(),
+      { ttlMs: Math.max(this.collectionIntervalMs * 2, 120000) }
+    );
 
     logger.info("Alpha traffic data collector started", {
       intervalMs: this.collectionIntervalMs,
@@ -193,10 +190,7 @@ class AlphaTrafficDataCollector {
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-        if (!API_KEY) {
-          throw new Error("SparkTraffic API key not configured");
-        }
+        const { vendor, projectId } = vendors.forCampaign(campaign);
 
         // Get date range for API call
         const today = timestamp.toISOString().split("T")[0];
@@ -204,25 +198,13 @@ class AlphaTrafficDataCollector {
           ? campaign.createdAt.toISOString().split("T")[0]
           : today;
 
-        // Call SparkTraffic stats API
-        const statsResponse = await axios.post(
-          "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-          null,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-            params: {
-              unique_id: campaign.spark_traffic_project_id,
-              from: createdDate,
-              to: today,
-            },
-            timeout: 15000, // 15 second timeout
-          }
-        );
+        // Call vendor stats API
+        const statsData = await vendor.getProjectStats(projectId, {
+          from: createdDate,
+          to: today,
+        });
 
-        if (!statsResponse.data) {
+        if (!statsData) {
           logger.warn("No data received from SparkTraffic", {
             campaignId: campaign._id,
             sparkTrafficProjectId: campaign.spark_traffic_project_id,
@@ -233,22 +215,19 @@ class AlphaTrafficDataCollector {
 
         // Parse the response data
         const parsedData = await this.parseSparkTrafficResponse(
-          statsResponse.data,
+          statsData,
           campaign,
           today
         );
 
         // Get current project status and speed
-        const projectStatus = await this.getProjectStatus(
-          campaign.spark_traffic_project_id,
-          API_KEY
-        );
+        const projectStatus = await this.getProjectStatus(vendor, projectId);
 
         return {
           ...parsedData,
           projectStatus: projectStatus.status,
           speed: projectStatus.speed,
-          rawSparkTrafficData: statsResponse.data,
+          rawSparkTrafficData: statsData,
           collectionSource: "auto",
         };
       } catch (error) {
@@ -379,29 +358,17 @@ class AlphaTrafficDataCollector {
   }
 
   /**
-   * Get current project status and speed from SparkTraffic
-   * @param {String} projectId - SparkTraffic project ID
-   * @param {String} apiKey - API key
+   * Get current project status and speed from the vendor
+   * @param {Object} vendor - Vendor adapter
+   * @param {String} projectId - Vendor project ID
    * @returns {Object} - Project status and speed
    */
-  async getProjectStatus(projectId, apiKey) {
+  async getProjectStatus(vendor, projectId) {
     try {
-      const projectResponse = await axios.post(
-        "https://v2.sparktraffic.com/modify-website-traffic-project",
-        {
-          unique_id: projectId,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            API_KEY: apiKey,
-          },
-          timeout: 10000,
-        }
-      );
+      const project = await vendor.getProject(projectId);
 
-      if (projectResponse.data && projectResponse.data.speed !== undefined) {
-        const speed = parseInt(projectResponse.data.speed) || 0;
+      if (project && project.speed !== undefined) {
+        const speed = parseInt(project.speed) || 0;
         return {
           speed,
           status: speed > 0 ? "active" : "paused",
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const Subscription = require("../models/Subscription");
+const logger = require("../utils/logger");
+
+/**
+ * Personal API keys
+ *
+ * Keys look like "tbk_<prefix>_<secret>" and are looked up by SHA-256 hash.
+ * Programmatic access is a plan feature: the business plan's "dedicated-api"
+ * campaign renewal level and the levels above it. A key stops working as soon
+ * as its owner's plan no longer includes the feature.
+ */
+
+const KEY_PREFIX = "tbk_";
+const API_ACCESS_LEVELS = ["dedicated-api", "fully-automated"];
+const ACTIVE_STATUSES = ["active", "trialing"];
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (rawKey) =>
+  crypto.createHash("sha256").update(rawKey).digest("hex");
+
+const looksLikeApiKey = (value) =>
+  typeof value === "string" && value.startsWith(KEY_PREFIX);
+
+/**
+ * Create a new random key
+ * @returns {{ key: String, prefix: String, keyHash: String }}
+ */
+function generateKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${KEY_PREFIX}${prefix}_${secret}`;
+  return { key, prefix: `${KEY_PREFIX}${prefix}`, keyHash: hashKey(key) };
+}
+
+/**
+ * Whether a subscription includes programmatic API access
+ * @param {Object|null} subscription - Subscription document
+ * @returns {Boolean}
+ */
+function hasApiAccess(subscription) {
+  return (
+    !!subscription &&
+    ACTIVE_STATUSES.includes(subscription.status) &&
+    API_ACCESS_LEVELS.includes(subscription.features?.campaignRenewal)
+  );
+}
+
+/**
+ * Resolve a raw key to its owner
+ * @param {String} rawKey - Key from the request
+ * @param {Object} context - { ip }
+ * @returns {{ apiKey?: Object, user?: Object, error?: String, status?: Number }}
+ */
+async function authenticateKey(rawKey, { ip } = {}) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) });
+  if (!apiKey || !apiKey.isUsable()) {
+    return { error: "Invalid or revoked API key", status: 401 };
+  }
+
+  const [user, subscription] = await Promise.all([
+    User.findById(apiKey.user).select("role"),
+    Subscription.findOne({ user: apiKey.user }).select("status features planName"),
+  ]);
+  if (!user) {
+    return { error: "Invalid or revoked API key", status: 401 };
+  }
+  if (!hasApiAccess(subscription)) {
+    return {
+      error: "API access is not included in your current plan",
+      status: 403,
+    };
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: now, lastUsedIp: ip || null } }
+    ).catch((err) => {
+      logger.error("Failed to record API key usage", {
+        apiKeyId: apiKey._id,
+        error: err.message,
+      });
+    });
+  }
+
+  return { apiKey, user };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  SCOPES: ApiKey.SCOPES,
+  generateKey,
+  hashKey,
+  looksLikeApiKey,
+  hasApiAccess,
+  authenticateKey,
+};
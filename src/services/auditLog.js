@@ -0,0 +1,349 @@
+const AuditEvent = require("../models/AuditEvent");
+const Campaign = require("../models/Campaign");
+const Subscription = require("../models/Subscription");
+const User = require("../models/User");
+const CustomPlanRequest = require("../models/CustomPlanRequest");
+const ContactUsMessage = require("../models/ContactUsMessage");
+const Blog = require("../models/Blog");
+const csv = require("../utils/csv");
+const logger = require("../utils/logger");
+
+/**
+ * Admin audit log
+ *
+ * The audit middleware resolves which record a privileged request targets,
+ * snapshots it before the handler runs and again after the response, and
+ * stores the field-level difference as an AuditEvent.
+ */
+
+const OBJECT_ID = "[a-f0-9]{24}";
+
+// Fields never copied into the audit log
+const SECRET_FIELD = /password|token|secret|hash|apikey|recoverycodes/i;
+// Large or noisy fields left out of snapshots
+const IGNORED_FIELDS = new Set([
+  "__v",
+  "updatedAt",
+  "spark_traffic_data",
+  "nine_hits_data",
+  "content",
+]);
+const MAX_VALUE_LENGTH = 2000;
+const MAX_CHANGES = 200;
+const MAX_DEPTH = 4;
+
+const findSubscriptionByUser = (userId) => Subscription.findOne({ user: userId }).lean();
+
+// Which record a request path targets. `from` builds the target from the path
+// match and request; `load` returns the record or null.
+const TARGETS = [
+  {
+    pattern: new RegExp(`^/api/admin/campaigns/(${OBJECT_ID})`),
+    type: "campaign",
+    load: (id) => Campaign.findById(id).lean(),
+  },
+  {
+    pattern: new RegExp(`^/api/(?:campaigns|alpha/campaigns)/(${OBJECT_ID})`),
+    type: "campaign",
+    load: (id) => Campaign.findById(id).lean(),
+  },
+  {
+    pattern: new RegExp(`^/api/admin/subscriptions/users/(${OBJECT_ID})`),
+    type: "subscription",
+    load: findSubscriptionByUser,
+  },
+  {
+    // add-hits and refund-visits name the user by email in the body
+    pattern: /^\/api\/admin\/subscriptions\/(?:add-hits|refund-visits)$/,
+    type: "subscription",
+    from: async (match, req) => {
+      if (typeof req.body?.email !== "string") return null;
+      const user = await User.findOne({ email: req.body.email }).select("_id");
+      return user ? String(user._id) : null;
+    },
+    load: findSubscriptionByUser,
+  },
+  {
+    pattern: new RegExp(`^/api/admin/mailbox/custom-plan-requests/(${OBJECT_ID})`),
+    type: "custom_plan_request",
+    load: (id) => CustomPlanRequest.findById(id).lean(),
+  },
+  {
+    pattern: new RegExp(`^/api/admin/mailbox/contact-us-messages/(${OBJECT_ID})`),
+    type: "contact_message",
+    load: (id) => ContactUsMessage.findById(id).lean(),
+  },
+  {
+    pattern: new RegExp(`^/api/admin/users/(${OBJECT_ID})`),
+    type: "user",
+    load: (id) => User.findById(id).lean(),
+  },
+  {
+    pattern: new RegExp(`^/api/blogs/(${OBJECT_ID})`),
+    type: "blog",
+    load: (id) => Blog.findById(id).lean(),
+  },
+];
+
+const requestPath = (req) => req.originalUrl.split("?")[0];
+
+/**
+ * Work out which record a request targets
+ * @param {Object} req - Express request
+ * @returns {Object|null} { type, id, load }
+ */
+async function resolveTarget(req) {
+  const path = requestPath(req);
+  for (const target of TARGETS) {
+    const match = path.match(target.pattern);
+    if (!match) continue;
+    const id = target.from ? await target.from(match, req) : match[1];
+    return id ? { type: target.type, id, load: target.load } : null;
+  }
+  return null;
+}
+
+// Copy a value with secrets removed; ObjectIds and dates become strings
+function sanitize(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  const plain = depth === 0 ? JSON.parse(JSON.stringify(value)) : value;
+  if (Array.isArray(plain)) {
+    return plain.map((item) => sanitize(item, depth + 1));
+  }
+  if (typeof plain === "object") {
+    const out = {};
+    for (const [key, val] of Object.entries(plain)) {
+      if (SECRET_FIELD.test(key) || IGNORED_FIELDS.has(key)) continue;
+      out[key] = sanitize(val, depth + 1);
+    }
+    return out;
+  }
+  return plain;
+}
+
+/**
+ * Current state of a target, ready for diffing
+ * @param {Object} target - From resolveTarget
+ * @returns {Object|null}
+ */
+async function snapshot(target) {
+  const doc = await target.load(target.id);
+  return doc ? sanitize(doc) : null;
+}
+
+function flatten(value, prefix, out, depth) {
+  const isObject = value && typeof value === "object" && !Array.isArray(value);
+  if (isObject && depth < MAX_DEPTH && Object.keys(value).length > 0) {
+    for (const [key, val] of Object.entries(value)) {
+      flatten(val, prefix ? `${prefix}.${key}` : key, out, depth + 1);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function truncate(value) {
+  if (value === undefined) return null;
+  const json = JSON.stringify(value);
+  if (json && json.length > MAX_VALUE_LENGTH) {
+    return `${json.slice(0, MAX_VALUE_LENGTH)}… [truncated]`;
+  }
+  return value;
+}
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array} [{ field, before, after }]
+ */
+function diff(before, after) {
+  const a = flatten(before || {}, "", {}, 0);
+  const b = flatten(after || {}, "", {}, 0);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+    changes.push({ field, before: truncate(a[field]), after: truncate(b[field]) });
+    if (changes.length >= MAX_CHANGES) break;
+  }
+  return changes;
+}
+
+// "POST /api/admin/campaigns/:id/transfer"
+const actionName = (req) =>
+  `${req.method} ${requestPath(req).replace(new RegExp(OBJECT_ID, "g"), ":id")}`;
+
+/**
+ * Store the audit event for a finished request. Never throws.
+ * @param {Object} req - Express request (req.user set by auth)
+ * @param {Object} res - Express response, already sent
+ * @param {Object|null} target - From resolveTarget
+ * @param {Object|null} before - Snapshot taken before the handler ran
+ */
+async function recordRequest(req, res, target, before) {
+  try {
+    const after = target ? await snapshot(target) : null;
+    const actor = await User.findById(req.user.id).select("email");
+    const reason =
+      req.get("x-audit-reason") ||
+      (typeof req.body?.reason === "string" && req.body.reason) ||
+      (typeof req.body?.note === "string" && req.body.note) ||
+      undefined;
+
+    await AuditEvent.create({
+      actor: { user: req.user.id, email: actor?.email, role: req.user.role },
+      action: actionName(req),
+      method: req.method,
+      path: requestPath(req),
+      target: { type: target?.type || null, id: target?.id || null },
+      changes: target ? diff(before, after) : [],
+      reason,
+      request: {
+        query: sanitize(req.query),
+        body: sanitize(req.body),
+      },
+      ip: req.ip,
+      userAgent: req.headers["user-agent"]?.slice(0, 500),
+      statusCode: res.statusCode,
+      outcome: res.statusCode < 400 ? "success" : "failure",
+    });
+  } catch (err) {
+    logger.error("Failed to write audit event", {
+      userId: req.user?.id,
+      path: req.originalUrl,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Store the audit event for a request made with an impersonation token. The
+ * actor is the admin; the target is the user being viewed. Never throws.
+ * @param {Object} req - Express request (req.user.impersonatedBy set)
+ * @param {Object} res - Express response, already sent
+ */
+async function recordImpersonatedRequest(req, res) {
+  try {
+    const actor = await User.findById(req.user.impersonatedBy).select("email role");
+    await AuditEvent.create({
+      actor: {
+        user: req.user.impersonatedBy,
+        email: actor?.email,
+        role: actor?.role,
+      },
+      action: actionName(req),
+      method: req.method,
+      path: requestPath(req),
+      target: { type: "user", id: String(req.user.id) },
+      impersonation: { user: req.user.id, session: req.user.sid },
+      request: { query: sanitize(req.query) },
+      ip: req.ip,
+      userAgent: req.headers["user-agent"]?.slice(0, 500),
+      statusCode: res.statusCode,
+      outcome: res.statusCode < 400 ? "success" : "failure",
+    });
+  } catch (err) {
+    logger.error("Failed to write impersonation audit event", {
+      userId: req.user?.impersonatedBy,
+      path: req.originalUrl,
+      error: err.message,
+    });
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Mongo filter from list/export query parameters
+ * @param {Object} query - { q, actorId, actorEmail, action, method, targetType, targetId, outcome, impersonationSessionId, from, to }
+ * @returns {Object}
+ */
+function buildFilter(query = {}) {
+  const filter = {};
+  if (query.actorId) filter["actor.user"] = query.actorId;
+  if (query.actorEmail) filter["actor.email"] = String(query.actorEmail).toLowerCase();
+  if (query.action) filter.action = query.action;
+  if (query.method) filter.method = String(query.method).toUpperCase();
+  if (query.targetType) filter["target.type"] = query.targetType;
+  if (query.targetId) filter["target.id"] = String(query.targetId);
+  if (query.outcome) filter.outcome = query.outcome;
+  if (query.impersonationSessionId) {
+    filter["impersonation.session"] = query.impersonationSessionId;
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q)), "i");
+    filter.$or = [
+      { action: pattern },
+      { path: pattern },
+      { reason: pattern },
+      { "actor.email": pattern },
+      { "target.id": pattern },
+      { "changes.field": pattern },
+    ];
+  }
+  return filter;
+}
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "actorId",
+  "actorEmail",
+  "method",
+  "action",
+  "path",
+  "targetType",
+  "targetId",
+  "outcome",
+  "statusCode",
+  "reason",
+  "ip",
+  "changes",
+];
+
+const csvHeader = () => CSV_COLUMNS.join(",") + "\n";
+
+/**
+ * One CSV line for an audit event
+ * @param {Object} event - AuditEvent (lean)
+ * @returns {String}
+ */
+function csvRow(event) {
+  return (
+    [
+      event.createdAt,
+      event.actor?.user,
+      event.actor?.email,
+      event.method,
+      event.action,
+      event.path,
+      event.target?.type,
+      event.target?.id,
+      event.outcome,
+      event.statusCode,
+      event.reason,
+      event.ip,
+      event.changes?.length ? JSON.stringify(event.changes) : "",
+    ]
+      .map(csv.cell)
+      .join(",") + "\n"
+  );
+}
+
+module.exports = {
+  resolveTarget,
+  snapshot,
+  diff,
+  recordRequest,
+  recordImpersonatedRequest,
+  buildFilter,
+  csvHeader,
+  csvRow,
+};
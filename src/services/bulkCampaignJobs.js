@@ -0,0 +1,340 @@
+const mongoose = require("mongoose");
+const BulkCampaignJob = require("../models/BulkCampaignJob");
+const Campaign = require("../models/Campaign");
+const alphaCampaignActions = require("./alphaCampaignActions");
+const { INSTANCE_ID } = require("./jobLock");
+const logger = require("../utils/logger");
+
+/**
+ * Bulk Alpha campaign operations
+ *
+ * A job lists its campaigns up front and records a result per campaign. The
+ * creating instance starts it right away; the bulk-campaign-jobs cron picks up
+ * jobs whose lease expired (crashed or restarted instance) and continues with
+ * the campaigns still pending.
+ */
+
+const MAX_CAMPAIGNS = 500;
+const CONCURRENCY = parseInt(process.env.BULK_CAMPAIGN_CONCURRENCY || "5", 10);
+const LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Alpha campaigns of an organization matching a bulk filter
+ * @param {Object} organization - Organization document
+ * @param {Object} filter - { state, q, archived }
+ * @returns {Object} { campaigns } or { error }
+ */
+async function findCampaignsByFilter(organization, filter) {
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    return { error: "filter must be an object" };
+  }
+  const query = {
+    // Legacy campaigns without an organization belong to the owner's
+    $or: [
+      { organization: organization._id },
+      { organization: null, user: organization.owner },
+    ],
+    spark_traffic_project_id: { $exists: true, $ne: null },
+    is_archived: filter.archived === true,
+  };
+  if (filter.state !== undefined) {
+    const states = Array.isArray(filter.state) ? filter.state : [filter.state];
+    if (!states.every((s) => typeof s === "string")) {
+      return { error: "filter.state must be a string or an array of strings" };
+    }
+    query.state = { $in: states };
+  }
+  if (filter.q !== undefined) {
+    if (typeof filter.q !== "string" || !filter.q.trim()) {
+      return { error: "filter.q must be a non-empty string" };
+    }
+    const escaped = filter.q.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.title = new RegExp(escaped, "i");
+  }
+
+  const campaigns = await Campaign.find(query)
+    .select("_id title")
+    .sort({ createdAt: -1 })
+    .limit(MAX_CAMPAIGNS + 1);
+  return { campaigns };
+}
+
+/**
+ * Alpha campaigns of an organization by ID; unknown or foreign IDs are an error
+ * @param {Object} organization - Organization document
+ * @param {Array} campaignIds - Campaign IDs
+ * @returns {Object} { campaigns } or { error, missing }
+ */
+async function findCampaignsByIds(organization, campaignIds) {
+  if (!Array.isArray(campaignIds) || campaignIds.length === 0) {
+    return { error: "campaignIds must be a non-empty array" };
+  }
+  const ids = [...new Set(campaignIds.map(String))];
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    return { error: "campaignIds contains invalid IDs", missing: invalid };
+  }
+  if (ids.length > MAX_CAMPAIGNS) return { campaigns: ids };
+
+  const campaigns = await Campaign.find({
+    _id: { $in: ids },
+    $or: [
+      { organization: organization._id },
+      { organization: null, user: organization.owner },
+    ],
+    spark_traffic_project_id: { $exists: true, $ne: null },
+  }).select("_id title");
+  const found = new Set(campaigns.map((c) => String(c._id)));
+  const missing = ids.filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    return { error: "Some Alpha campaigns were not found", missing };
+  }
+  return { campaigns };
+}
+
+/**
+ * Validate a bulk request and store the job
+ * @param {Object} organization - Organization the caller acts in
+ * @param {String} userId - Caller
+ * @param {Object} input - { action, campaignIds | filter, payload }
+ * @returns {Object} { job } or { error, status, ... }
+ */
+async function createJob(organization, userId, input = {}) {
+  const { action, campaignIds, filter, payload } = input;
+  if (!BulkCampaignJob.ACTIONS.includes(action)) {
+    return {
+      status: 400,
+      error: `action must be one of ${BulkCampaignJob.ACTIONS.join(", ")}`,
+    };
+  }
+  if ((campaignIds === undefined) === (filter === undefined)) {
+    return { status: 400, error: "Send either campaignIds or filter" };
+  }
+  const hasPayload =
+    payload && typeof payload === "object" && !Array.isArray(payload) && Object.keys(payload).length > 0;
+  if (action === "modify" && !hasPayload) {
+    return { status: 400, error: "payload with the fields to modify is required" };
+  }
+
+  const selection =
+    campaignIds !== undefined
+      ? await findCampaignsByIds(organization, campaignIds)
+      : await findCampaignsByFilter(organization, filter);
+  if (selection.error) {
+    return { status: 400, error: selection.error, missing: selection.missing };
+  }
+  if (selection.campaigns.length === 0) {
+    return { status: 400, error: "No campaigns match" };
+  }
+  if (selection.campaigns.length > MAX_CAMPAIGNS) {
+    return {
+      status: 400,
+      error: `A bulk job can include at most ${MAX_CAMPAIGNS} campaigns`,
+    };
+  }
+
+  const active = await BulkCampaignJob.exists({
+    organization: organization._id,
+    status: { $in: ["queued", "running"] },
+  });
+  if (active) {
+    return {
+      status: 409,
+      error: "Another bulk job is still running for this organization",
+      jobId: active._id,
+    };
+  }
+
+  const job = await BulkCampaignJob.create({
+    user: organization.owner,
+    organization: organization._id,
+    createdBy: userId,
+    action,
+    payload: action === "modify" ? payload : undefined,
+    filter,
+    total: selection.campaigns.length,
+    results: selection.campaigns.map((c) => ({ campaign: c._id, title: c.title })),
+  });
+
+  logger.campaign("Bulk campaign job created", {
+    userId,
+    jobId: job._id,
+    action,
+    total: job.total,
+  });
+
+  return { job };
+}
+
+// Take or extend the job's lease; false if another live instance holds it
+async function claim(jobId) {
+  const now = new Date();
+  const job = await BulkCampaignJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: { $in: ["queued", "running"] },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } },
+        { lockedBy: INSTANCE_ID },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+      },
+    },
+    { new: true }
+  );
+  if (job && !job.startedAt) {
+    await BulkCampaignJob.updateOne(
+      { _id: job._id, startedAt: null },
+      { $set: { startedAt: now } }
+    );
+  }
+  return job;
+}
+
+// Apply the job's action to one campaign; returns { statusCode, error }
+async function runItem(job, campaignId) {
+  const c = await Campaign.findById(campaignId);
+  if (!c || !c.spark_traffic_project_id) {
+    return { statusCode: 404, error: "Alpha campaign not found" };
+  }
+  // The campaign may have been transferred since the job was created
+  const inOrganization = c.organization
+    ? String(c.organization) === String(job.organization)
+    : String(c.user) === String(job.user);
+  if (!inOrganization) {
+    return { statusCode: 403, error: "Forbidden" };
+  }
+
+  const options = { userId: String(job.createdBy) };
+  let result;
+  if (job.action === "pause") result = await alphaCampaignActions.pauseCampaign(c, options);
+  if (job.action === "resume") result = await alphaCampaignActions.resumeCampaign(c, options);
+  if (job.action === "modify") {
+    result = await alphaCampaignActions.modifyCampaign(c, job.payload, options);
+  }
+  if (job.action === "archive") result = await alphaCampaignActions.archiveCampaign(c, options);
+
+  if (result.error) return { statusCode: result.status, error: result.error };
+  if (result.vendorResp?.error) {
+    // Local state was updated but SparkTraffic did not accept the change
+    return { statusCode: 502, error: `SparkTraffic: ${result.vendorResp.error}` };
+  }
+  return { statusCode: 200 };
+}
+
+async function recordItem(jobId, campaignId, { statusCode, error }) {
+  const succeeded = !error;
+  await BulkCampaignJob.updateOne(
+    { _id: jobId, results: { $elemMatch: { campaign: campaignId, status: "pending" } } },
+    {
+      $set: {
+        "results.$.status": succeeded ? "succeeded" : "failed",
+        "results.$.statusCode": statusCode,
+        "results.$.error": error,
+        "results.$.finishedAt": new Date(),
+      },
+      $inc: succeeded ? { succeeded: 1 } : { failed: 1 },
+    }
+  );
+}
+
+/**
+ * Work through a job's pending campaigns, CONCURRENCY at a time. Returns
+ * without doing anything if another instance holds the job.
+ * @param {String} jobId - BulkCampaignJob ID
+ */
+async function processJob(jobId) {
+  const job = await claim(jobId);
+  if (!job) return;
+
+  const heartbeat = setInterval(() => {
+    BulkCampaignJob.updateOne(
+      { _id: jobId, lockedBy: INSTANCE_ID },
+      { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } }
+    ).catch((error) => {
+      logger.error("Bulk job lease renewal failed", { jobId, error: error.message });
+    });
+  }, LEASE_MS / 3);
+
+  try {
+    const pending = job.results
+      .filter((r) => r.status === "pending")
+      .map((r) => r.campaign);
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const campaignId = pending.shift();
+        let outcome;
+        try {
+          outcome = await runItem(job, campaignId);
+        } catch (error) {
+          outcome = { statusCode: 500, error: error.message };
+        }
+        await recordItem(job._id, campaignId, outcome);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.max(1, CONCURRENCY) }, () => worker())
+    );
+
+    const done = await BulkCampaignJob.findOneAndUpdate(
+      { _id: jobId, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          status: "completed",
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedUntil: null,
+        },
+      },
+      { new: true }
+    );
+    logger.campaign("Bulk campaign job completed", {
+      userId: job.createdBy,
+      jobId,
+      action: job.action,
+      succeeded: done?.succeeded,
+      failed: done?.failed,
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Continue queued jobs and jobs whose lease expired. Run from the sync worker.
+ * @returns {Number} Jobs picked up
+ */
+async function resumeStaleJobs() {
+  const jobs = await BulkCampaignJob.find({
+    status: { $in: ["queued", "running"] },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  })
+    .select("_id")
+    .limit(10);
+
+  for (const job of jobs) {
+    try {
+      await processJob(job._id);
+    } catch (error) {
+      logger.error("Bulk campaign job failed", {
+        jobId: job._id,
+        error: error.message,
+      });
+    }
+  }
+  return jobs.length;
+}
+
+module.exports = {
+  MAX_CAMPAIGNS,
+  createJob,
+  processJob,
+  resumeStaleJobs,
+};
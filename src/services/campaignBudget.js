@@ -0,0 +1,382 @@
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const Subscription = require("../models/Subscription");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const VisitLedgerEntry = require("../models/VisitLedgerEntry");
+const vendors = require("./vendors");
+const visitLedger = require("./visitLedger");
+const { evaluateSchedule } = require("./campaignScheduler");
+const { sendCampaignPausedEmail } = require("./emailService");
+const webhookService = require("./webhookService");
+const logger = require("../utils/logger");
+
+/**
+ * Per-campaign visit budgets
+ *
+ * Usage is derived from the campaign's vendor_hits ledger entries. Daily and
+ * weekly periods start at midnight (Monday for weekly) in the campaign's
+ * timezone. A campaign paused by a budget is resumed once a new period starts
+ * or the budget is raised.
+ */
+
+const PERIODS = ["daily", "weekly", "lifetime"];
+
+// Offset of a timezone from UTC at a moment, in milliseconds
+function timezoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of local midnight `dayOffset` days from the local date of `date`
+function localMidnight(date, timeZone, dayOffset = 0) {
+  const local = new Date(date.getTime() + timezoneOffsetMs(date, timeZone));
+  const guess = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + dayOffset);
+  // Re-check the offset at the target instant in case a DST change falls in between
+  const offset = timezoneOffsetMs(new Date(guess - timezoneOffsetMs(new Date(guess), timeZone)), timeZone);
+  return new Date(guess - offset);
+}
+
+/**
+ * Start and end of the budget period containing `now`
+ * @param {String} period - "daily" | "weekly" | "lifetime"
+ * @param {Date} now - Current time
+ * @param {String} timeZone - IANA timezone
+ * @returns {{ start: Date|null, end: Date|null }} Null bounds for lifetime
+ */
+function getPeriodBounds(period, now = new Date(), timeZone = "UTC") {
+  if (period === "daily") {
+    return {
+      start: localMidnight(now, timeZone),
+      end: localMidnight(now, timeZone, 1),
+    };
+  }
+  if (period === "weekly") {
+    const local = new Date(now.getTime() + timezoneOffsetMs(now, timeZone));
+    const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+    return {
+      start: localMidnight(now, timeZone, -daysSinceMonday),
+      end: localMidnight(now, timeZone, 7 - daysSinceMonday),
+    };
+  }
+  return { start: null, end: null };
+}
+
+const hasBudget = (campaign) =>
+  !!campaign.budget &&
+  PERIODS.some((p) => typeof campaign.budget[p] === "number" && campaign.budget[p] >= 0);
+
+/**
+ * Visits charged to a campaign in each budget period
+ * @param {Object} campaign - Campaign document
+ * @param {Date} now - Current time
+ * @returns {{ daily: Number, weekly: Number, lifetime: Number }}
+ */
+async function getUsage(campaign, now = new Date()) {
+  const timeZone = campaign.timezone || "UTC";
+  const day = getPeriodBounds("daily", now, timeZone);
+  const week = getPeriodBounds("weekly", now, timeZone);
+
+  const [row] = await VisitLedgerEntry.aggregate([
+    {
+      $match: {
+        campaign: new mongoose.Types.ObjectId(String(campaign._id)),
+        reason: { $in: ["vendor_hits", "refund"] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        lifetime: { $sum: { $multiply: ["$amount", -1] } },
+        weekly: {
+          $sum: {
+            $cond: [{ $gte: ["$createdAt", week.start] }, { $multiply: ["$amount", -1] }, 0],
+          },
+        },
+        daily: {
+          $sum: {
+            $cond: [{ $gte: ["$createdAt", day.start] }, { $multiply: ["$amount", -1] }, 0],
+          },
+        },
+      },
+    },
+  ]);
+
+  return {
+    daily: Math.max(0, row?.daily || 0),
+    weekly: Math.max(0, row?.weekly || 0),
+    lifetime: Math.max(0, row?.lifetime || 0),
+  };
+}
+
+/**
+ * Remaining budget for a campaign
+ * @param {Object} campaign - Campaign document
+ * @param {Date} now - Current time
+ * @returns {Object} { hasBudget, usage, limits, remaining, limitingPeriod, resumesAt }
+ *   remaining is Infinity when no budget is set; limitingPeriod is the period with the least left
+ */
+async function getBudgetStatus(campaign, now = new Date()) {
+  const limits = {
+    daily: campaign.budget?.daily ?? null,
+    weekly: campaign.budget?.weekly ?? null,
+    lifetime: campaign.budget?.lifetime ?? null,
+  };
+
+  if (!hasBudget(campaign)) {
+    return { hasBudget: false, usage: null, limits, remaining: Infinity, limitingPeriod: null, resumesAt: null };
+  }
+
+  const usage = await getUsage(campaign, now);
+  let remaining = Infinity;
+  let limitingPeriod = null;
+  PERIODS.forEach((period) => {
+    if (typeof limits[period] !== "number") return;
+    const left = limits[period] - usage[period];
+    if (left < remaining) {
+      remaining = left;
+      limitingPeriod = period;
+    }
+  });
+
+  const resumesAt =
+    limitingPeriod && limitingPeriod !== "lifetime"
+      ? getPeriodBounds(limitingPeriod, now, campaign.timezone || "UTC").end
+      : null;
+
+  return {
+    hasBudget: true,
+    usage,
+    limits,
+    remaining: Math.max(0, remaining),
+    limitingPeriod,
+    resumesAt,
+  };
+}
+
+/**
+ * Validate budget input from a request body
+ * @param {Object} input - { daily, weekly, lifetime }; null clears a budget
+ * @returns {{ valid: Boolean, error?: String, budget?: Object }}
+ */
+function parseBudgetInput(input) {
+  if (input === null) {
+    return { valid: true, budget: { daily: null, weekly: null, lifetime: null } };
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { valid: false, error: "budget must be an object with daily, weekly and/or lifetime visits" };
+  }
+
+  const unknown = Object.keys(input).filter((k) => !PERIODS.includes(k));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown budget period(s): ${unknown.join(", ")}` };
+  }
+
+  const budget = {};
+  for (const period of PERIODS) {
+    if (input[period] === undefined) continue;
+    if (input[period] === null) {
+      budget[period] = null;
+      continue;
+    }
+    const value = Number(input[period]);
+    if (!Number.isInteger(value) || value < 1) {
+      return { valid: false, error: `budget.${period} must be a positive integer` };
+    }
+    budget[period] = value;
+  }
+  return { valid: true, budget };
+}
+
+/**
+ * Pause a campaign that reached a budget and notify its owner. The campaign is
+ * only marked paused once the vendor has stopped its traffic; otherwise it is
+ * left running so the next deduction run tries again.
+ * @param {Object} campaign - Campaign document (user populated or ObjectId)
+ * @param {Object} status - Result of getBudgetStatus
+ * @returns {Boolean} Whether the campaign was paused
+ */
+async function pauseForBudget(campaign, status) {
+  const resolved = vendors.forCampaign(campaign);
+  const userId = campaign.user._id || campaign.user;
+
+  try {
+    if (resolved && resolved.vendor) {
+      await resolved.vendor.pauseProject(resolved.projectId);
+    }
+  } catch (apiError) {
+    logger.error("Failed to pause vendor campaign for budget", {
+      campaignId: campaign._id,
+      vendor: resolved?.vendor?.name,
+      projectId: resolved?.projectId,
+      error: apiError.message,
+    });
+    if (campaign.isModified()) await campaign.save();
+    return false;
+  }
+
+  campaign.state = "paused";
+  campaign.schedule_paused = false;
+  campaign.budget_paused = status.limitingPeriod;
+  campaign.budget_paused_at = new Date();
+  await campaign.save();
+
+  logger.campaign("Campaign paused by budget", {
+    campaignId: campaign._id,
+    userId,
+    period: status.limitingPeriod,
+    limit: status.limits[status.limitingPeriod],
+    used: status.usage?.[status.limitingPeriod],
+    resumesAt: status.resumesAt,
+  });
+
+  const budget = {
+    period: status.limitingPeriod,
+    limit: status.limits[status.limitingPeriod],
+    used: status.usage?.[status.limitingPeriod] || 0,
+    resumesAt: status.resumesAt,
+  };
+
+  webhookService.emit(
+    userId,
+    "campaign.paused",
+    webhookService.campaignEventData(campaign, { reason: "budget_reached", budget })
+  );
+
+  // Notify the user via notification + email (fire-and-forget)
+  try {
+    const pausedUser = await User.findById(userId).select("email firstName");
+    if (pausedUser) {
+      await new Notification({
+        user: userId,
+        type: "campaign",
+        title: `Campaign paused — ${budget.period} budget reached`,
+        message: budget.resumesAt
+          ? `Your campaign "${campaign.title || "Untitled"}" reached its ${budget.period} budget of ${budget.limit.toLocaleString()} visits and will resume automatically on ${budget.resumesAt.toUTCString()}.`
+          : `Your campaign "${campaign.title || "Untitled"}" reached its lifetime budget of ${budget.limit.toLocaleString()} visits. Raise the budget to resume it.`,
+        relatedId: campaign._id,
+        relatedModel: "Campaign",
+        metadata: budget,
+      }).save();
+
+      sendCampaignPausedEmail(pausedUser, campaign, null, budget).catch(() => {});
+    }
+  } catch (notifyErr) {
+    logger.error("Failed to send budget-paused notification", {
+      campaignId: campaign._id,
+      error: notifyErr.message,
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Resume campaigns whose budget period rolled over or whose budget was raised
+ * @returns {Object} Counts of campaigns checked, resumed and failed
+ */
+async function resumeBudgetPausedCampaigns() {
+  const now = new Date();
+  const campaigns = await Campaign.find({
+    is_archived: { $ne: true },
+    state: "paused",
+    budget_paused: { $ne: null },
+  });
+
+  let resumed = 0;
+  let errors = 0;
+
+  for (const campaign of campaigns) {
+    try {
+      const status = await getBudgetStatus(campaign, now);
+      if (status.hasBudget && status.remaining <= 0) continue;
+
+      const subscription = await Subscription.findOne({ user: campaign.user });
+      const availableVisits = subscription
+        ? await visitLedger.getAvailableVisits(subscription)
+        : 0;
+      if (!subscription || availableVisits <= 0) continue;
+
+      // Outside the campaign's schedule: hand it to the scheduler instead
+      if (!evaluateSchedule(campaign, now).active) {
+        campaign.budget_paused = null;
+        campaign.budget_paused_at = null;
+        campaign.schedule_paused = true;
+        await campaign.save();
+        continue;
+      }
+
+      const resolved = vendors.forCampaign(campaign);
+      const speed =
+        campaign.metadata?.currentSpeed || campaign.spark_traffic_data?.speed || 200;
+      if (resolved && resolved.vendor) {
+        await resolved.vendor.resumeProject(resolved.projectId, { speed });
+      }
+
+      const period = campaign.budget_paused;
+      campaign.state = "ok";
+      campaign.credit_deduction_enabled = true;
+      campaign.budget_paused = null;
+      campaign.budget_paused_at = null;
+      await campaign.save();
+      resumed++;
+
+      logger.campaign("Campaign resumed after budget reset", {
+        campaignId: campaign._id,
+        period,
+        remaining: status.remaining,
+      });
+      webhookService.emit(
+        campaign.user,
+        "campaign.resumed",
+        webhookService.campaignEventData(campaign, { reason: "budget_reset", period })
+      );
+
+      await new Notification({
+        user: campaign.user,
+        type: "campaign",
+        title: "Campaign resumed",
+        message: `Your campaign "${campaign.title || "Untitled"}" has resumed: its ${period} budget has room again.`,
+        relatedId: campaign._id,
+        relatedModel: "Campaign",
+      }).save();
+    } catch (err) {
+      errors++;
+      logger.error("Failed to resume budget-paused campaign", {
+        campaignId: campaign._id,
+        error: err.message,
+      });
+    }
+  }
+
+  if (resumed > 0 || errors > 0) {
+    logger.info("Budget resume run completed", {
+      checked: campaigns.length,
+      resumed,
+      errors,
+    });
+  }
+
+  return { checked: campaigns.length, resumed, errors };
+}
+
+module.exports = {
+  PERIODS,
+  getPeriodBounds,
+  getUsage,
+  getBudgetStatus,
+  parseBudgetInput,
+  pauseForBudget,
+  resumeBudgetPausedCampaigns,
+};
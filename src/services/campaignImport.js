@@ -0,0 +1,278 @@
+const csv = require("../utils/csv");
+const { isValidISOCode } = require("../utils/validate");
+const alphaCampaignActions = require("./alphaCampaignActions");
+const visitLedger = require("./visitLedger");
+const logger = require("../utils/logger");
+
+/**
+ * Campaign import
+ *
+ * Turns spreadsheet rows (CSV with a header row, or JSON objects) into Alpha
+ * create payloads, checks each with the create rules and the subscription's
+ * campaign and visit limits, and creates the valid ones unless it is a dry run.
+ *
+ * Columns (case-insensitive): url (required), title, countries ("US:60;GB:40",
+ * "US;GB" for an even split, or a JSON geo array), duration ("5-15") or
+ * duration_min/duration_max, speed, maxhits, size, traffic_type, bounce_rate,
+ * return_rate, desktop_rate, time_on_page, keywords, languages, referrers
+ * ("a.com;b.com"), timezone, startdate, enddate, budget_daily, budget_weekly,
+ * budget_lifetime.
+ */
+
+const MAX_ROWS = 100;
+
+const NUMBER_FIELDS = {
+  speed: "speed",
+  maxhits: "maxHits",
+  max_hits: "maxHits",
+  multiplier: "multiplier",
+  bounce_rate: "bounce_rate",
+  return_rate: "return_rate",
+  desktop_rate: "desktop_rate",
+  click_outbound_events: "click_outbound_events",
+  form_submit_events: "form_submit_events",
+  scroll_events: "scroll_events",
+};
+
+const STRING_FIELDS = {
+  title: "title",
+  url: "url",
+  size: "size",
+  traffic_type: "traffic_type",
+  time_on_page: "time_on_page",
+  keywords: "keywords",
+  languages: "languages",
+  social_links: "social_links",
+  geo_type: "geo_type",
+  ga_id: "ga_id",
+  timezone: "timezone",
+  startdate: "startDate",
+  start_date: "startDate",
+  enddate: "endDate",
+  end_date: "endDate",
+};
+
+const BUDGET_FIELDS = {
+  budget_daily: "daily",
+  budget_weekly: "weekly",
+  budget_lifetime: "lifetime",
+};
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const splitList = (value) =>
+  String(value)
+    .split(/[;|\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "US:60;GB:40", "US:0.6;GB:0.4", "US;GB" (even split) or a geo array
+function parseCountries(value) {
+  if (Array.isArray(value)) return { geo: value };
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return { geo: JSON.parse(text) };
+    } catch (err) {
+      return { error: "countries is not valid JSON" };
+    }
+  }
+
+  const entries = splitList(text).map((entry) => {
+    const [code, share] = entry.split(":").map((part) => part.trim());
+    return { country: code.toUpperCase(), share };
+  });
+  const invalid = entries.find((e) => !isValidISOCode(e.country));
+  if (invalid) {
+    return { error: `Unknown country code: ${invalid.country}` };
+  }
+
+  if (entries.every((e) => isBlank(e.share))) {
+    const percent = Math.round((1 / entries.length) * 10000) / 10000;
+    return { geo: entries.map((e) => ({ country: e.country, percent })) };
+  }
+  if (entries.some((e) => isBlank(e.share) || isNaN(Number(e.share)))) {
+    return { error: "Give every country a share, or none for an even split" };
+  }
+  // Shares above 1 are percentages
+  const asPercent = entries.some((e) => Number(e.share) > 1);
+  return {
+    geo: entries.map((e) => ({
+      country: e.country,
+      percent: asPercent ? Number(e.share) / 100 : Number(e.share),
+    })),
+  };
+}
+
+function parseDuration(row) {
+  if (Array.isArray(row.duration)) return { duration: row.duration };
+  if (!isBlank(row.duration)) {
+    const match = String(row.duration).match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+    if (!match) return { error: "duration must look like 5-15 (seconds)" };
+    return { duration: [Number(match[1]), Number(match[2])] };
+  }
+  if (!isBlank(row.duration_min) || !isBlank(row.duration_max)) {
+    const min = Number(row.duration_min);
+    const max = Number(row.duration_max);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      return { error: "duration_min and duration_max must both be numbers" };
+    }
+    return { duration: [min, max] };
+  }
+  return {};
+}
+
+/**
+ * Build an Alpha create payload from one row
+ * @param {Object} input - CSV or JSON row
+ * @returns {Object} { payload } or { error }
+ */
+function rowToPayload(input) {
+  // JSON rows may use any case; CSV headers are lower-cased already
+  const row = {};
+  for (const [key, value] of Object.entries(input)) row[key.toLowerCase()] = value;
+
+  const payload = {};
+  for (const [column, field] of Object.entries(STRING_FIELDS)) {
+    if (!isBlank(row[column])) payload[field] = String(row[column]).trim();
+  }
+  for (const [column, field] of Object.entries(NUMBER_FIELDS)) {
+    if (isBlank(row[column])) continue;
+    const number = Number(row[column]);
+    if (!Number.isFinite(number)) return { error: `${column} must be a number` };
+    payload[field] = number;
+  }
+
+  const countries = row.geo ?? row.countries;
+  if (!isBlank(countries)) {
+    const parsed = parseCountries(countries);
+    if (parsed.error) return { error: parsed.error };
+    payload.geo = parsed.geo;
+  }
+
+  const duration = parseDuration(row);
+  if (duration.error) return { error: duration.error };
+  if (duration.duration) payload.duration = duration.duration;
+
+  if (!isBlank(row.referrers)) {
+    payload.referrers =
+      typeof row.referrers === "object"
+        ? row.referrers
+        : { mode: "basic", urls: splitList(row.referrers) };
+  }
+
+  if (row.budget && typeof row.budget === "object") {
+    payload.budget = row.budget;
+  } else {
+    for (const [column, period] of Object.entries(BUDGET_FIELDS)) {
+      if (isBlank(row[column])) continue;
+      payload.budget = payload.budget || {};
+      payload.budget[period] = Number(row[column]);
+    }
+  }
+
+  if (payload.url && !/^https?:\/\//i.test(payload.url)) {
+    return { error: "url must start with http:// or https://" };
+  }
+  return { payload };
+}
+
+/**
+ * Rows from a request: CSV text or a JSON array of objects
+ * @param {Object|String} body - { csv } or { rows }, or raw CSV text
+ * @returns {Object} { rows } or { error }
+ */
+function parseRows(body) {
+  let rows;
+  if (typeof body === "string") rows = csv.parseObjects(body);
+  else if (typeof body?.csv === "string") rows = csv.parseObjects(body.csv);
+  else if (Array.isArray(body?.rows)) rows = body.rows;
+  else return { error: "Send CSV text (text/csv), { csv } or { rows: [...] }" };
+
+  if (rows.length === 0) return { error: "No rows to import" };
+  if (rows.length > MAX_ROWS) {
+    return { error: `At most ${MAX_ROWS} rows can be imported at once` };
+  }
+  if (!rows.every((r) => r && typeof r === "object" && !Array.isArray(r))) {
+    return { error: "Each row must be an object" };
+  }
+  return { rows };
+}
+
+/**
+ * Validate rows and, unless dryRun, create the valid ones
+ * @param {Array} rows - From parseRows
+ * @param {Object} subscription - Owner's subscription (req.subscription)
+ * @param {Object} options - { dryRun, organizationId, ownerId, createdBy }
+ * @returns {Object} { summary, rows }
+ */
+async function importRows(rows, subscription, { dryRun, organizationId, ownerId, createdBy }) {
+  const slots = Math.max(0, subscription.campaignLimit - (subscription.currentCampaigns || 0));
+  const availableVisits = await visitLedger.getAvailableVisits(subscription);
+  let accepted = 0;
+
+  const report = rows.map((row, index) => {
+    const entry = { row: index + 1, url: row.url || row.URL || null };
+    const { payload, error } = rowToPayload(row);
+    if (error) return { ...entry, status: "invalid", error };
+
+    const validation = alphaCampaignActions.validateCreateInput(payload);
+    if (!validation.valid) return { ...entry, status: "invalid", error: validation.error };
+
+    const requiredHits = payload.maxHits || 5;
+    if (availableVisits < requiredHits) {
+      return { ...entry, status: "invalid", error: "Insufficient visits in subscription" };
+    }
+    if (accepted >= slots) {
+      return {
+        ...entry,
+        status: "invalid",
+        error: `Campaign limit reached for ${subscription.planName} plan`,
+      };
+    }
+    accepted++;
+    return { ...entry, status: "valid", payload };
+  });
+
+  if (!dryRun) {
+    // One at a time: each row is a SparkTraffic project
+    for (const entry of report) {
+      if (entry.status !== "valid") continue;
+      const result = await alphaCampaignActions.createCampaign(entry.payload, {
+        organizationId,
+        ownerId,
+        createdBy,
+      });
+      if (result.error) {
+        entry.status = "failed";
+        entry.error = result.error;
+      } else {
+        entry.status = "created";
+        entry.campaignId = result.campaign._id;
+      }
+    }
+    logger.campaign("Alpha campaigns imported", {
+      userId: createdBy,
+      rows: report.length,
+      created: report.filter((e) => e.status === "created").length,
+    });
+  }
+
+  const count = (status) => report.filter((e) => e.status === status).length;
+  return {
+    summary: {
+      total: report.length,
+      valid: count("valid") + count("created") + count("failed"),
+      invalid: count("invalid"),
+      ...(!dryRun && { created: count("created"), failed: count("failed") }),
+    },
+    rows: report,
+  };
+}
+
+module.exports = {
+  MAX_ROWS,
+  rowToPayload,
+  parseRows,
+  importRows,
+};
@@ -0,0 +1,388 @@
+const Campaign = require("../models/Campaign");
+const Subscription = require("../models/Subscription");
+const vendors = require("./vendors");
+const visitLedger = require("./visitLedger");
+const webhookService = require("./webhookService");
+const logger = require("../utils/logger");
+
+/**
+ * Campaign scheduler
+ * Pauses and resumes vendor projects at a campaign's start date, end date and
+ * weekly hourly schedule boundaries. Only campaigns the scheduler paused itself
+ * are resumed; a campaign the user paused stays paused.
+ */
+
+const ACTIVE_STATES = ["created", "ok", "running"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_LOG_ENTRIES = 200;
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Day of week (0 = Sunday) and hour (0-23) of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {String} timeZone - IANA timezone
+ * @returns {{ day: Number, hour: Number }}
+ */
+function localDayAndHour(date, timeZone = "UTC") {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    hour: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const weekday = parts.find((p) => p.type === "weekday").value.toLowerCase();
+  const hour = parseInt(parts.find((p) => p.type === "hour").value, 10) % 24;
+  return { day: DAY_NAMES.indexOf(weekday.slice(0, 3)), hour };
+}
+
+/**
+ * Normalize an hourly schedule from the API into 7 arrays of active hours.
+ * Accepts an array indexed by day (0 = Sunday) or an object keyed by day name
+ * ({ mon: [9, 10, 11], ... }). Days that are missing have no active hours.
+ * @param {Array|Object} input - Schedule from the request body
+ * @returns {{ valid: Boolean, error?: String, schedule?: Array }}
+ */
+function normalizeHourlySchedule(input) {
+  let days;
+  if (Array.isArray(input)) {
+    if (input.length !== 7) {
+      return { valid: false, error: "hourlySchedule must have 7 entries (Sunday first)" };
+    }
+    days = input;
+  } else if (input && typeof input === "object") {
+    const unknown = Object.keys(input).filter(
+      (k) => !DAY_NAMES.includes(k.toLowerCase().slice(0, 3))
+    );
+    if (unknown.length > 0) {
+      return { valid: false, error: `Unknown day(s) in hourlySchedule: ${unknown.join(", ")}` };
+    }
+    days = DAY_NAMES.map((name) => {
+      const key = Object.keys(input).find(
+        (k) => k.toLowerCase().slice(0, 3) === name
+      );
+      return key ? input[key] : [];
+    });
+  } else {
+    return { valid: false, error: "hourlySchedule must be an array or an object keyed by day" };
+  }
+
+  const schedule = [];
+  for (let i = 0; i < 7; i++) {
+    const hours = days[i] || [];
+    if (!Array.isArray(hours)) {
+      return { valid: false, error: `hourlySchedule entry for ${DAY_NAMES[i]} must be an array of hours` };
+    }
+    if (!hours.every((h) => Number.isInteger(h) && h >= 0 && h <= 23)) {
+      return { valid: false, error: `hourlySchedule hours for ${DAY_NAMES[i]} must be integers 0-23` };
+    }
+    schedule.push([...new Set(hours)].sort((a, b) => a - b));
+  }
+
+  if (schedule.every((hours) => hours.length === 0)) {
+    return { valid: false, error: "hourlySchedule must have at least one active hour" };
+  }
+
+  return { valid: true, schedule };
+}
+
+/**
+ * Validate schedule fields from a request body and map them to campaign fields
+ * @param {Object} body - { startDate, endDate | untilDate, timezone, hourlySchedule }
+ * @returns {{ valid: Boolean, error?: String, fields?: Object }}
+ */
+function parseScheduleInput(body = {}) {
+  const fields = {};
+
+  if (body.startDate !== undefined) {
+    const start = body.startDate === null ? null : new Date(body.startDate);
+    if (start && isNaN(start.getTime())) {
+      return { valid: false, error: "startDate must be a valid date" };
+    }
+    fields.start_date = start;
+  }
+
+  const endInput = body.endDate !== undefined ? body.endDate : body.untilDate;
+  if (endInput !== undefined) {
+    const end = endInput === null ? null : new Date(endInput);
+    if (end && isNaN(end.getTime())) {
+      return { valid: false, error: "endDate must be a valid date" };
+    }
+    fields.until_date = end;
+  }
+
+  if (fields.start_date && fields.until_date && fields.until_date <= fields.start_date) {
+    return { valid: false, error: "endDate must be after startDate" };
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== "string" || !isValidTimezone(body.timezone)) {
+      return { valid: false, error: `Invalid timezone: ${body.timezone}` };
+    }
+    fields.timezone = body.timezone;
+  }
+
+  if (body.hourlySchedule !== undefined) {
+    if (body.hourlySchedule === null) {
+      fields.hourly_schedule = undefined;
+    } else {
+      const result = normalizeHourlySchedule(body.hourlySchedule);
+      if (!result.valid) return result;
+      fields.hourly_schedule = result.schedule;
+    }
+  }
+
+  return { valid: true, fields };
+}
+
+/**
+ * Whether a campaign should be delivering traffic right now
+ * @param {Object} campaign - Campaign document
+ * @param {Date} now - Current time
+ * @returns {{ active: Boolean, reason: String }}
+ */
+function evaluateSchedule(campaign, now = new Date()) {
+  if (campaign.until_date && now >= campaign.until_date) {
+    return { active: false, reason: "ended" };
+  }
+  if (campaign.start_date && now < campaign.start_date) {
+    return { active: false, reason: "not_started" };
+  }
+  const schedule = campaign.hourly_schedule;
+  if (Array.isArray(schedule) && schedule.length === 7) {
+    const { day, hour } = localDayAndHour(now, campaign.timezone || "UTC");
+    if (!(schedule[day] || []).includes(hour)) {
+      return { active: false, reason: "off_hours" };
+    }
+  }
+  return { active: true, reason: "in_window" };
+}
+
+function logTransition(campaign, entry) {
+  campaign.schedule_log.push({ at: new Date(), ...entry });
+  if (campaign.schedule_log.length > MAX_LOG_ENTRIES) {
+    campaign.schedule_log.splice(0, campaign.schedule_log.length - MAX_LOG_ENTRIES);
+  }
+}
+
+async function pauseForSchedule(campaign, reason) {
+  const resolved = vendors.forCampaign(campaign);
+  const fromState = campaign.state;
+  let vendorError = null;
+
+  if (resolved && resolved.vendor) {
+    try {
+      await resolved.vendor.pauseProject(resolved.projectId);
+    } catch (err) {
+      vendorError = err.message;
+    }
+  }
+
+  if (vendorError) {
+    // Keep the local state active so the next tick retries the pause
+    logTransition(campaign, {
+      action: "skipped",
+      reason,
+      from_state: fromState,
+      to_state: fromState,
+      error: vendorError,
+    });
+    await campaign.save();
+    logger.error("Scheduler failed to pause vendor project", {
+      campaignId: campaign._id,
+      reason,
+      error: vendorError,
+    });
+    return false;
+  }
+
+  campaign.schedule_resume_speed =
+    campaign.metadata?.currentSpeed || campaign.spark_traffic_data?.speed || 200;
+  campaign.state = "paused";
+  campaign.schedule_paused = true;
+  logTransition(campaign, {
+    action: "paused",
+    reason,
+    from_state: fromState,
+    to_state: "paused",
+  });
+  await campaign.save();
+
+  logger.campaign("Campaign paused by scheduler", {
+    campaignId: campaign._id,
+    reason,
+    vendor: resolved?.vendor?.name,
+  });
+  webhookService.emit(
+    campaign.user,
+    "campaign.paused",
+    webhookService.campaignEventData(campaign, { reason: `schedule_${reason}` })
+  );
+  return true;
+}
+
+async function resumeForSchedule(campaign) {
+  const fromState = campaign.state;
+
+  // Do not resume into an empty balance; credit deduction would pause it again
+  const subscription = await Subscription.findOne({ user: campaign.user });
+  const availableVisits = subscription
+    ? await visitLedger.getAvailableVisits(subscription)
+    : 0;
+  const subscriptionActive =
+    subscription && ["active", "trialing"].includes(subscription.status);
+
+  if (!subscriptionActive || availableVisits <= 0) {
+    const lastEntry = campaign.schedule_log[campaign.schedule_log.length - 1];
+    if (!lastEntry || lastEntry.reason !== "no_visits") {
+      logTransition(campaign, {
+        action: "skipped",
+        reason: "no_visits",
+        from_state: fromState,
+        to_state: fromState,
+      });
+      await campaign.save();
+    }
+    return false;
+  }
+
+  const resolved = vendors.forCampaign(campaign);
+  const speed = campaign.schedule_resume_speed || 200;
+  try {
+    if (resolved && resolved.vendor) {
+      await resolved.vendor.resumeProject(resolved.projectId, { speed });
+    }
+  } catch (err) {
+    logTransition(campaign, {
+      action: "skipped",
+      reason: "in_window",
+      from_state: fromState,
+      to_state: fromState,
+      error: err.message,
+    });
+    await campaign.save();
+    logger.error("Scheduler failed to resume vendor project", {
+      campaignId: campaign._id,
+      error: err.message,
+    });
+    return false;
+  }
+
+  campaign.state = "ok";
+  campaign.schedule_paused = false;
+  campaign.credit_deduction_enabled = true;
+  campaign.metadata = { ...campaign.metadata, currentSpeed: speed };
+  logTransition(campaign, {
+    action: "resumed",
+    reason: "in_window",
+    from_state: fromState,
+    to_state: "ok",
+  });
+  await campaign.save();
+
+  logger.campaign("Campaign resumed by scheduler", {
+    campaignId: campaign._id,
+    vendor: resolved?.vendor?.name,
+    speed,
+  });
+  webhookService.emit(
+    campaign.user,
+    "campaign.resumed",
+    webhookService.campaignEventData(campaign, { reason: "schedule_in_window" })
+  );
+  return true;
+}
+
+/**
+ * Bring one campaign in line with its schedule
+ * @param {Object} campaign - Campaign document
+ * @param {Date} now - Current time
+ * @returns {String|null} "paused", "resumed" or null if nothing changed
+ */
+async function applySchedule(campaign, now = new Date()) {
+  if (campaign.is_archived) return null;
+
+  const { active, reason } = evaluateSchedule(campaign, now);
+  const isRunning = ACTIVE_STATES.includes(campaign.state);
+
+  if (!active && isRunning) {
+    return (await pauseForSchedule(campaign, reason)) ? "paused" : null;
+  }
+  if (active && campaign.schedule_paused && campaign.state === "paused") {
+    return (await resumeForSchedule(campaign)) ? "resumed" : null;
+  }
+  return null;
+}
+
+/**
+ * Apply schedules to every campaign that has one
+ * @returns {Object} Counts of campaigns checked, paused, resumed and failed
+ */
+async function runScheduler() {
+  const now = new Date();
+  const campaigns = await Campaign.find({
+    is_archived: { $ne: true },
+    $and: [
+      {
+        $or: [
+          { start_date: { $ne: null } },
+          { until_date: { $ne: null } },
+          { "hourly_schedule.0": { $exists: true } },
+        ],
+      },
+      {
+        $or: [
+          { state: { $in: ACTIVE_STATES } },
+          { state: "paused", schedule_paused: true },
+        ],
+      },
+    ],
+  });
+
+  let paused = 0;
+  let resumed = 0;
+  let errors = 0;
+
+  for (const campaign of campaigns) {
+    try {
+      const result = await applySchedule(campaign, now);
+      if (result === "paused") paused++;
+      if (result === "resumed") resumed++;
+    } catch (err) {
+      errors++;
+      logger.error("Failed to apply campaign schedule", {
+        campaignId: campaign._id,
+        error: err.message,
+      });
+    }
+  }
+
+  if (paused > 0 || resumed > 0 || errors > 0) {
+    logger.info("Campaign scheduler run completed", {
+      checked: campaigns.length,
+      paused,
+      resumed,
+      errors,
+    });
+  }
+
+  return { checked: campaigns.length, paused, resumed, errors };
+}
+
+module.exports = {
+  isValidTimezone,
+  parseScheduleInput,
+  normalizeHourlySchedule,
+  evaluateSchedule,
+  localDayAndHour,
+  applySchedule,
+  runScheduler,
+};
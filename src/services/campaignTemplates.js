@@ -0,0 +1,167 @@
+/**
+ * Campaign templates and clones
+ *
+ * A template is the subset of the Alpha create payload that describes how
+ * traffic is delivered. Creating from a template or cloning a campaign merges
+ * those settings with the request's overrides and goes through the normal
+ * create path, so validation and subscription checks are the same.
+ */
+
+// Create payload fields that templates keep. Start and end dates are left out
+// on purpose: they belong to one run of a campaign.
+const SETTING_FIELDS = [
+  "title",
+  "url",
+  "urls",
+  "geo",
+  "rule",
+  "duration",
+  "referrers",
+  "macros",
+  "is_adult",
+  "is_coin_mining",
+  "maxHits",
+  "size",
+  "multiplier",
+  "speed",
+  "traffic_type",
+  "keywords",
+  "social_links",
+  "languages",
+  "bounce_rate",
+  "return_rate",
+  "click_outbound_events",
+  "form_submit_events",
+  "scroll_events",
+  "time_on_page",
+  "desktop_rate",
+  "auto_renew",
+  "geo_type",
+  "shortener",
+  "rss_feed",
+  "ga_id",
+  "timezone",
+  "hourlySchedule",
+  "budget",
+];
+
+for (let i = 1; i <= 11; i++) SETTING_FIELDS.push(`urls-${i}`);
+
+// Fields SparkTraffic returns in the same shape it accepts them
+const VENDOR_FIELDS = [
+  "size",
+  "multiplier",
+  "traffic_type",
+  "keywords",
+  "social_links",
+  "languages",
+  "bounce_rate",
+  "return_rate",
+  "click_outbound_events",
+  "form_submit_events",
+  "scroll_events",
+  "time_on_page",
+  "desktop_rate",
+  "auto_renew",
+  "geo_type",
+  "shortener",
+  "rss_feed",
+  "ga_id",
+];
+
+/**
+ * Keep only template fields of a create/modify payload
+ * @param {Object} input - Request body or merged payload
+ * @returns {Object}
+ */
+function pickSettings(input = {}) {
+  const settings = {};
+  for (const field of SETTING_FIELDS) {
+    if (input[field] !== undefined) settings[field] = input[field];
+  }
+  return settings;
+}
+
+/**
+ * Validate settings sent for a template
+ * @param {*} settings
+ * @returns {{ valid: Boolean, settings?: Object, error?: String }}
+ */
+function parseSettings(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return { valid: false, error: "settings must be an object" };
+  }
+  const picked = pickSettings(settings);
+  if (Object.keys(picked).length === 0) {
+    return {
+      valid: false,
+      error: `settings must include at least one of: ${SETTING_FIELDS.join(", ")}`,
+    };
+  }
+  if (picked.duration !== undefined) {
+    const d = picked.duration;
+    if (!Array.isArray(d) || d.length !== 2 || !d.every((n) => typeof n === "number")) {
+      return { valid: false, error: "duration must be [min, max] seconds" };
+    }
+  }
+  return { valid: true, settings: picked };
+}
+
+/**
+ * Settings of an existing Alpha campaign, in create payload shape. Fields the
+ * campaign document tracks (title, geo, schedule, budget, ...) come from the
+ * document; the rest from the settings stored at creation, or for older
+ * campaigns from the SparkTraffic project data.
+ * @param {Object} campaign - Campaign document
+ * @returns {Object}
+ */
+function settingsFromCampaign(campaign) {
+  const urlMap = campaign.metadata?.sparkTrafficUrls || {};
+  const vendorData = campaign.spark_traffic_data || {};
+  const settings = {};
+  for (const field of VENDOR_FIELDS) {
+    if (vendorData[field] !== undefined) settings[field] = vendorData[field];
+  }
+  if (typeof vendorData.referrers === "string" && vendorData.referrers) {
+    settings.referrers = { mode: "basic", urls: vendorData.referrers.split(",") };
+  }
+  Object.assign(settings, pickSettings(campaign.settings || {}), urlMap);
+
+  const tracked = {
+    title: campaign.title,
+    url: urlMap["urls-1"] || campaign.urls?.[0],
+    rule: campaign.rule,
+    macros: campaign.macros,
+    is_adult: campaign.is_adult,
+    is_coin_mining: campaign.is_coin_mining,
+    timezone: campaign.timezone,
+  };
+  // A paused campaign has speed 0; a copy should deliver
+  if (campaign.metadata?.currentSpeed) tracked.speed = campaign.metadata.currentSpeed;
+  if (Array.isArray(campaign.countries) && campaign.countries.length > 0) {
+    tracked.geo = campaign.countries;
+  }
+  if (campaign.duration_min != null && campaign.duration_max != null) {
+    tracked.duration = [campaign.duration_min, campaign.duration_max];
+  }
+  if (Array.isArray(campaign.hourly_schedule) && campaign.hourly_schedule.length === 7) {
+    tracked.hourlySchedule = campaign.hourly_schedule;
+  }
+  const budget = campaign.budget || {};
+  if (budget.daily != null || budget.weekly != null || budget.lifetime != null) {
+    tracked.budget = {
+      daily: budget.daily ?? null,
+      weekly: budget.weekly ?? null,
+      lifetime: budget.lifetime ?? null,
+    };
+  }
+
+  return pickSettings({ ...settings, ...tracked });
+}
+
+module.exports = {
+  SETTING_FIELDS,
+  pickSettings,
+  parseSettings,
+  settingsFromCampaign,
+};
@@ -1,63 +1,90 @@
-const axios = require("axios");
-const http = require("http");
-const https = require("https");
 const Campaign = require("../models/Campaign");
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
 const Notification = require("../models/Notification");
+const CreditDeductionWindow = require("../models/CreditDeductionWindow");
+const vendors = require("./vendors");
+const visitLedger = require("./visitLedger");
+const campaignBudget = require("./campaignBudget");
+const { INSTANCE_ID } = require("./jobLock");
 const logger = require("../utils/logger");
 const { sendCampaignPausedEmail } = require("./emailService");
+const webhookService = require("./webhookService");
 
-// Reusable axios instance with keep-alive to reduce socket churn
-const keepAliveHttpAgent = new http.Agent({ keepAlive: true, maxSockets: 50 });
-const keepAliveHttpsAgent = new https.Agent({ keepAlive: true, maxSockets: 50 });
-
-const axiosInstance = axios.create({
-  httpAgent: keepAliveHttpAgent,
-  httpsAgent: keepAliveHttpsAgent,
-  // default timeout; can be overridden per request
-  timeout: 20000,
-});
-
-async function postWithRetry(url, data, config = {}, retryCfg = {}) {
-  const {
-    retries = 3,
-    baseDelayMs = 2000,
-    retryOnStatuses = [429, 500, 502, 503, 504],
-  } = retryCfg;
-
-  let lastError;
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      return await axiosInstance.post(url, data, config);
-    } catch (error) {
-      lastError = error;
-      const status = error.response?.status;
-      const code = error.code;
-
-      const isRetryableStatus = retryOnStatuses.includes(status);
-      const isRetryableCode = [
-        "ECONNRESET",
-        "ECONNABORTED",
-        "ETIMEDOUT",
-        "EAI_AGAIN",
-        "ENOTFOUND",
-      ].includes(code);
-
-      // Only retry on network errors / transient server errors
-      if (!(isRetryableStatus || isRetryableCode)) {
-        break;
-      }
+// A claimed window that was never applied (worker crashed mid-charge) can be retried after this
+const STALE_WINDOW_CLAIM_MS = 10 * 60 * 1000;
 
-      // Backoff with jitter
-      if (attempt < retries) {
-        const delay = baseDelayMs * Math.pow(2, attempt - 1);
-        const jitter = Math.floor(Math.random() * 250);
-        await new Promise((r) => setTimeout(r, delay + jitter));
-      }
-    }
+/**
+ * Claim a stats window for charging. Windows are keyed by campaign and the
+ * cumulative hit count they start from, so re-running a window is a no-op.
+ * @param {Object} campaign - Campaign document
+ * @param {Object} window - { fromHits, toHits, statsFrom, statsTo, vendor, projectId }
+ * @returns {Object|null} Claimed window, or null if already charged or in progress
+ */
+async function claimDeductionWindow(campaign, window) {
+  const epoch = campaign.hits_counter_epoch || 0;
+  try {
+    return await CreditDeductionWindow.create({
+      campaign: campaign._id,
+      user: campaign.user._id,
+      epoch,
+      ...window,
+      projectId: String(window.projectId),
+      claimedBy: INSTANCE_ID,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
   }
-  throw lastError;
+
+  // Take over a stale claim; applied windows are never charged again
+  return CreditDeductionWindow.findOneAndUpdate(
+    {
+      campaign: campaign._id,
+      epoch,
+      fromHits: window.fromHits,
+      status: "claimed",
+      claimedAt: { $lte: new Date(Date.now() - STALE_WINDOW_CLAIM_MS) },
+    },
+    {
+      $set: {
+        toHits: window.toHits,
+        statsTo: window.statsTo,
+        claimedBy: INSTANCE_ID,
+        claimedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+}
+
+// Ledger reference of a window's charge. Epoch 0 keeps the original format so
+// charges recorded before epochs existed are still recognised.
+function deductionReference(campaign, fromHits) {
+  const epoch = campaign.hits_counter_epoch || 0;
+  return epoch
+    ? `deduction:${campaign._id}:e${epoch}:${fromHits}`
+    : `deduction:${campaign._id}:${fromHits}`;
+}
+
+// Give up a claim that charged nothing so the same window can be charged later
+async function releaseDeductionWindow(window) {
+  if (window && window.status === "claimed") {
+    await CreditDeductionWindow.deleteOne({ _id: window._id, status: "claimed" });
+  }
+}
+
+// Visits a deduction entry charged. A window taken over from a worker that
+// died after writing its entry gets that entry back, whose amount can differ
+// from what this run asked for, so counts follow the entry.
+const chargedVisits = (ledgerEntry) => (ledgerEntry ? -ledgerEntry.amount : 0);
+
+async function markWindowApplied(window, visitsDeducted, ledgerEntry) {
+  window.status = "applied";
+  window.toHits = window.fromHits + visitsDeducted;
+  window.appliedAt = new Date();
+  window.visitsDeducted = visitsDeducted;
+  window.ledgerEntry = ledgerEntry ? ledgerEntry._id : undefined;
+  await window.save();
 }
 
 /**
@@ -127,10 +154,11 @@ async function processAllCampaignCredits() {
  */
 async function processCampaignCredits(campaign) {
   try {
-    const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-    if (!API_KEY) {
-      throw new Error("SparkTraffic API key not configured");
+    const resolved = vendors.forCampaign(campaign);
+    if (!resolved || !resolved.vendor) {
+      throw new Error("No traffic vendor configured for campaign");
     }
+    const { vendor, projectId } = resolved;
 
     // Determine the date range for checking stats
     const now = new Date();
@@ -147,30 +175,18 @@ async function processCampaignCredits(campaign) {
       fromDate = campaign.last_stats_check.toISOString().split("T")[0];
     }
 
-    // Call SparkTraffic stats API
-    const statsResp = await postWithRetry(
-      "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-      null,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          API_KEY,
-        },
-        params: {
-          unique_id: campaign.spark_traffic_project_id,
-          from: fromDate,
-          to: currentDate,
-        },
-        timeout: 20000,
-      },
-      { retries: 3, baseDelayMs: 1500 }
-    );
+    // Fetch stats for the period since the last check
+    const periodStats = await vendor.getProjectStats(projectId, {
+      from: fromDate,
+      to: currentDate,
+    });
 
-    if (!statsResp.data || !statsResp.data.hits) {
-      logger.warn("No stats data received from SparkTraffic", {
+    if (!periodStats || !periodStats.hits) {
+      logger.warn("No stats data received from vendor", {
         campaignId: campaign._id,
-        sparkTrafficProjectId: campaign.spark_traffic_project_id,
-        response: statsResp.data,
+        vendor: vendor.name,
+        projectId,
+        response: periodStats,
       });
 
       // Update last check time even if no data received
@@ -180,79 +196,33 @@ async function processCampaignCredits(campaign) {
       return { success: true, creditsDeducted: 0, message: "No stats data" };
     }
 
-    // Calculate total hits from the response
-    let totalHitsInPeriod = 0;
-    let totalVisitsInPeriod = 0;
-
-    if (Array.isArray(statsResp.data.hits)) {
-      statsResp.data.hits.forEach((hitData) => {
-        Object.values(hitData).forEach((count) => {
-          totalHitsInPeriod += parseInt(count) || 0;
-        });
-      });
-    }
-
-    if (Array.isArray(statsResp.data.visits)) {
-      statsResp.data.visits.forEach((visitData) => {
-        Object.values(visitData).forEach((count) => {
-          totalVisitsInPeriod += parseInt(count) || 0;
-        });
-      });
-    }
+    // Totals for the period
+    const totalHitsInPeriod = periodStats.totalHits;
+    const totalVisitsInPeriod = periodStats.totalVisits;
 
     // Calculate new hits since last check
     const previousHitsCounted = campaign.total_hits_counted || 0;
 
     // For the first check, we need to get the total hits from a longer period to establish baseline
     let actualNewHits = 0;
+    let totalHitsEver = previousHitsCounted;
+    const createdDate = campaign.createdAt
+      ? campaign.createdAt.toISOString().split("T")[0]
+      : fromDate;
 
     if (!campaign.last_stats_check) {
       // First check: Get total hits from inception and set as baseline
-      // We'll call the API with a longer date range to get total hits
       try {
-        const createdDate = campaign.createdAt
-          ? campaign.createdAt.toISOString().split("T")[0]
-          : fromDate;
-        const totalStatsResp = await postWithRetry(
-          "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-          null,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-            params: {
-              unique_id: campaign.spark_traffic_project_id,
-              from: createdDate,
-              to: currentDate,
-            },
-            timeout: 20000,
-          },
-          { retries: 3, baseDelayMs: 1500 }
-        );
-
-        let totalHitsEver = 0;
-        let totalVisitsEver = 0;
-        if (totalStatsResp.data && Array.isArray(totalStatsResp.data.hits)) {
-          totalStatsResp.data.hits.forEach((hitData) => {
-            Object.values(hitData).forEach((count) => {
-              totalHitsEver += parseInt(count) || 0;
-            });
-          });
-        }
-        if (totalStatsResp.data && Array.isArray(totalStatsResp.data.visits)) {
-          totalStatsResp.data.visits.forEach((visitData) => {
-            Object.values(visitData).forEach((count) => {
-              totalVisitsEver += parseInt(count) || 0;
-            });
-          });
-        }
+        const lifetimeStats = await vendor.getProjectStats(projectId, {
+          from: createdDate,
+          to: currentDate,
+        });
 
         // For first check, don't charge for any historical hits
         // Just set the baseline for future comparisons
         actualNewHits = 0;
-        campaign.total_hits_counted = totalHitsEver;
-        campaign.total_visits_counted = totalVisitsEver;
+        campaign.total_hits_counted = lifetimeStats?.totalHits || 0;
+        campaign.total_visits_counted = lifetimeStats?.totalVisits || 0;
       } catch (err) {
         logger.error("Failed to get total hits for baseline", {
           campaignId: campaign._id,
@@ -266,50 +236,18 @@ async function processCampaignCredits(campaign) {
     } else {
       // Subsequent checks: Calculate new hits since last check
       // Get total hits from campaign creation to now
-      const createdDate = campaign.createdAt
-        ? campaign.createdAt.toISOString().split("T")[0]
-        : fromDate;
       try {
-        const totalStatsResp = await postWithRetry(
-          "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-          null,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-            params: {
-              unique_id: campaign.spark_traffic_project_id,
-              from: createdDate,
-              to: currentDate,
-            },
-            timeout: 20000,
-          },
-          { retries: 3, baseDelayMs: 1500 }
-        );
-
-        let totalHitsEver = 0;
-        let totalVisitsEver = 0;
-        if (totalStatsResp.data && Array.isArray(totalStatsResp.data.hits)) {
-          totalStatsResp.data.hits.forEach((hitData) => {
-            Object.values(hitData).forEach((count) => {
-              totalHitsEver += parseInt(count) || 0;
-            });
-          });
-        }
-        if (totalStatsResp.data && Array.isArray(totalStatsResp.data.visits)) {
-          totalStatsResp.data.visits.forEach((visitData) => {
-            Object.values(visitData).forEach((count) => {
-              totalVisitsEver += parseInt(count) || 0;
-            });
-          });
-        }
+        const lifetimeStats = await vendor.getProjectStats(projectId, {
+          from: createdDate,
+          to: currentDate,
+        });
+        totalHitsEver = lifetimeStats?.totalHits || 0;
 
         // Calculate new hits = total hits ever - previously counted hits
         actualNewHits = Math.max(0, totalHitsEver - previousHitsCounted);
 
         // Update the total visits counted to the current cumulative total
-        campaign.total_visits_counted = totalVisitsEver;
+        campaign.total_visits_counted = lifetimeStats?.totalVisits || 0;
       } catch (err) {
         logger.error("Failed to get total hits for comparison", {
           campaignId: campaign._id,
@@ -320,6 +258,63 @@ async function processCampaignCredits(campaign) {
       }
     }
 
+    // Enforce the campaign's own visit budgets. Hits over the budget are left
+    // uncounted and charged once the next budget period starts.
+    let budgetStatus = null;
+    if (actualNewHits > 0) {
+      budgetStatus = await campaignBudget.getBudgetStatus(campaign, now);
+      if (budgetStatus.remaining < actualNewHits) {
+        logger.info("Campaign budget limits this deduction", {
+          campaignId: campaign._id,
+          period: budgetStatus.limitingPeriod,
+          newHits: actualNewHits,
+          budgetRemaining: budgetStatus.remaining,
+        });
+        actualNewHits = budgetStatus.remaining;
+      }
+
+      if (actualNewHits === 0) {
+        campaign.last_stats_check = now;
+        const paused = await campaignBudget.pauseForBudget(campaign, budgetStatus);
+        return {
+          success: true,
+          creditsDeducted: 0,
+          newHits: 0,
+          message: paused
+            ? `Campaign ${budgetStatus.limitingPeriod} budget reached — campaign paused`
+            : `Campaign ${budgetStatus.limitingPeriod} budget reached — vendor pause failed, will retry`,
+        };
+      }
+    }
+
+    // Claim the window before charging; a window another worker (or an earlier
+    // run) already charged must not be charged again
+    let deductionWindow = null;
+    if (actualNewHits > 0) {
+      deductionWindow = await claimDeductionWindow(campaign, {
+        fromHits: previousHitsCounted,
+        toHits: previousHitsCounted + actualNewHits,
+        statsFrom: createdDate,
+        statsTo: currentDate,
+        vendor: vendor.name,
+        projectId,
+      });
+
+      if (!deductionWindow) {
+        logger.info("Deduction window already processed, skipping", {
+          campaignId: campaign._id,
+          fromHits: previousHitsCounted,
+          toHits: totalHitsEver,
+        });
+        return {
+          success: true,
+          creditsDeducted: 0,
+          newHits: 0,
+          message: "Deduction window already processed",
+        };
+      }
+    }
+
     if (actualNewHits > 0) {
       // Get user's subscription
       const subscription = await Subscription.findOne({ user: campaign.user._id });
@@ -334,6 +329,12 @@ async function processCampaignCredits(campaign) {
         campaign.state = "paused";
         campaign.credit_deduction_enabled = false;
         await campaign.save();
+        await releaseDeductionWindow(deductionWindow);
+        webhookService.emit(
+          campaign.user._id,
+          "campaign.paused",
+          webhookService.campaignEventData(campaign, { reason: "no_subscription" })
+        );
         
         return {
           success: true,
@@ -344,15 +345,25 @@ async function processCampaignCredits(campaign) {
       }
 
       // Check if user has enough visits in subscription
-      const availableVisits = subscription.visitsIncluded - subscription.visitsUsed;
+      const availableVisits = await visitLedger.getAvailableVisits(subscription);
       
       if (availableVisits < actualNewHits) {
         // Deduct whatever is left so visitsUsed reaches the cap exactly.
         // This prevents resume from succeeding (availableVisits would be 0)
         // and stops the resume → immediate-pause loop.
+        let remainderEntry = null;
         if (availableVisits > 0) {
-          subscription.visitsUsed += availableVisits;
-          await subscription.save();
+          remainderEntry = await visitLedger.deductVisits(subscription, availableVisits, {
+            campaign: campaign._id,
+            reference: deductionReference(campaign, previousHitsCounted),
+            description: `Vendor hits for "${campaign.title || "Untitled"}" (partial, balance exhausted)`,
+            metadata: {
+              vendor: vendor.name,
+              projectId,
+              newHits: actualNewHits,
+              uncharged: actualNewHits - availableVisits,
+            },
+          });
         }
 
         logger.warn("Insufficient subscription visits — deducting remainder and pausing", {
@@ -366,50 +377,48 @@ async function processCampaignCredits(campaign) {
           visitsIncluded: subscription.visitsIncluded,
         });
 
-        // Pause the campaign at SparkTraffic API level
-        if (campaign.spark_traffic_project_id) {
-          try {
-            const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-
-            await postWithRetry(
-              "https://v2.sparktraffic.com/modify-website-traffic-project",
-              {
-                unique_id: campaign.spark_traffic_project_id,
-                speed: 0,
-              },
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  API_KEY,
-                },
-                timeout: 15000,
-              },
-              { retries: 2, baseDelayMs: 1000 }
-            );
-
-            logger.info("Campaign paused due to insufficient subscription visits", {
+        // Pause the campaign at vendor level
+        try {
+          await vendor.pauseProject(projectId);
+
+          logger.info("Campaign paused due to insufficient subscription visits", {
+            campaignId: campaign._id,
+            userId: campaign.user._id,
+            vendor: vendor.name,
+            projectId,
+            visitsUsed: subscription.visitsUsed,
+            visitsIncluded: subscription.visitsIncluded,
+          });
+        } catch (apiError) {
+          logger.error(
+            "Failed to pause vendor campaign due to insufficient visits",
+            {
               campaignId: campaign._id,
-              userId: campaign.user._id,
-              sparkTrafficProjectId: campaign.spark_traffic_project_id,
-              visitsUsed: subscription.visitsUsed,
-              visitsIncluded: subscription.visitsIncluded,
-            });
-          } catch (apiError) {
-            logger.error(
-              "Failed to pause SparkTraffic campaign due to insufficient visits",
-              {
-                campaignId: campaign._id,
-                sparkTrafficProjectId: campaign.spark_traffic_project_id,
-                error: apiError.message,
-              }
-            );
-          }
+              vendor: vendor.name,
+              projectId,
+              error: apiError.message,
+            }
+          );
         }
 
-        // Pause the campaign locally
+        // Pause the campaign locally. Only the charged part of the window is
+        // counted; the rest is charged once the balance is topped up.
+        const remainderCharged = chargedVisits(remainderEntry);
         campaign.state = "paused";
         campaign.credit_deduction_enabled = false;
+        campaign.total_hits_counted = previousHitsCounted + remainderCharged;
+        campaign.last_stats_check = now;
         await campaign.save();
+        if (remainderCharged > 0) {
+          await markWindowApplied(deductionWindow, remainderCharged, remainderEntry);
+        } else {
+          await releaseDeductionWindow(deductionWindow);
+        }
+        webhookService.emit(
+          campaign.user._id,
+          "campaign.paused",
+          webhookService.campaignEventData(campaign, { reason: "visits_exhausted" })
+        );
 
         // Notify the user via notification + email (fire-and-forget)
         try {
@@ -439,20 +448,30 @@ async function processCampaignCredits(campaign) {
 
         return {
           success: true,
-          creditsDeducted: availableVisits,
+          creditsDeducted: remainderCharged,
           message: "Subscription visit limit reached — campaign paused",
           newHits: actualNewHits,
         };
       }
 
       // Deduct visits from subscription only (no user credit/hit deduction)
-      subscription.visitsUsed += actualNewHits;
-      await subscription.save();
+      const ledgerEntry = await visitLedger.deductVisits(subscription, actualNewHits, {
+        campaign: campaign._id,
+        reference: deductionReference(campaign, previousHitsCounted),
+        description: `Vendor hits for "${campaign.title || "Untitled"}"`,
+        metadata: {
+          vendor: vendor.name,
+          projectId,
+          previousHitsCounted,
+          totalHitsCounted: previousHitsCounted + actualNewHits,
+        },
+      });
 
+      const charged = chargedVisits(ledgerEntry);
       logger.info("Visits deducted from subscription", {
         campaignId: campaign._id,
         userId: campaign.user._id,
-        visitsDeducted: actualNewHits,
+        visitsDeducted: charged,
         totalVisitsUsed: subscription.visitsUsed,
         visitsIncluded: subscription.visitsIncluded,
         visitsRemaining: subscription.visitsIncluded - subscription.visitsUsed,
@@ -469,45 +488,35 @@ async function processCampaignCredits(campaign) {
           overage: subscription.visitsUsed - subscription.visitsIncluded,
         });
 
-        // Pause the campaign at SparkTraffic API level
-        if (campaign.spark_traffic_project_id) {
-          try {
-            const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-            await postWithRetry(
-              "https://v2.sparktraffic.com/modify-website-traffic-project",
-              {
-                unique_id: campaign.spark_traffic_project_id,
-                speed: 0, // Set speed to 0 to pause traffic
-              },
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  API_KEY,
-                },
-                timeout: 15000,
-              },
-              { retries: 2, baseDelayMs: 1000 }
-            );
-
-            logger.info("Campaign paused due to visit limit exceeded", {
-              campaignId: campaign._id,
-              sparkTrafficProjectId: campaign.spark_traffic_project_id,
-              visitsUsed: subscription.visitsUsed,
-              visitsIncluded: subscription.visitsIncluded,
-            });
-          } catch (apiError) {
-            logger.error("Failed to pause SparkTraffic campaign", {
-              campaignId: campaign._id,
-              sparkTrafficProjectId: campaign.spark_traffic_project_id,
-              error: apiError.message,
-            });
-          }
+        // Pause the campaign at vendor level
+        try {
+          await vendor.pauseProject(projectId);
+
+          logger.info("Campaign paused due to visit limit exceeded", {
+            campaignId: campaign._id,
+            vendor: vendor.name,
+            projectId,
+            visitsUsed: subscription.visitsUsed,
+            visitsIncluded: subscription.visitsIncluded,
+          });
+        } catch (apiError) {
+          logger.error("Failed to pause vendor campaign", {
+            campaignId: campaign._id,
+            vendor: vendor.name,
+            projectId,
+            error: apiError.message,
+          });
         }
 
         // Pause the campaign locally
         campaign.state = "paused";
         campaign.credit_deduction_enabled = false;
         await campaign.save();
+        webhookService.emit(
+          campaign.user._id,
+          "campaign.paused",
+          webhookService.campaignEventData(campaign, { reason: "visits_exhausted" })
+        );
 
         // Notify the user via notification + email (fire-and-forget)
         try {
@@ -534,24 +543,40 @@ async function processCampaignCredits(campaign) {
         }
       }
 
-      // Update campaign tracking - add the new hits to the total counted
-      const newTotalCounted =
-        (campaign.total_hits_counted || 0) + actualNewHits;
-      campaign.total_hits_counted = newTotalCounted;
+      // Update campaign tracking - add the charged hits to the total counted
+      campaign.total_hits_counted = previousHitsCounted + charged;
       // Don't add period visits repeatedly - this was causing the inflated count
       // The total_visits_counted should be set to the actual cumulative total from SparkTraffic
       // which is handled in the baseline establishment and subsequent checks above
       campaign.last_stats_check = now;
       await campaign.save();
+      await markWindowApplied(deductionWindow, charged, ledgerEntry);
+
+      // Pause once a budget is used up (the visit-limit pause above may already have run)
+      if (
+        budgetStatus &&
+        budgetStatus.hasBudget &&
+        charged >= budgetStatus.remaining &&
+        campaign.state !== "paused"
+      ) {
+        await campaignBudget.pauseForBudget(campaign, {
+          ...budgetStatus,
+          usage: {
+            ...budgetStatus.usage,
+            [budgetStatus.limitingPeriod]:
+              budgetStatus.usage[budgetStatus.limitingPeriod] + charged,
+          },
+        });
+      }
 
       return {
         success: true,
-        visitsDeducted: actualNewHits,
+        visitsDeducted: charged,
         newHits: actualNewHits,
         visitsUsed: subscription.visitsUsed,
         visitsIncluded: subscription.visitsIncluded,
         visitsRemaining: subscription.visitsIncluded - subscription.visitsUsed,
-        message: `Deducted ${actualNewHits} visits from subscription for ${actualNewHits} new traffic hits`,
+        message: `Deducted ${charged} visits from subscription for ${actualNewHits} new traffic hits`,
       };
     } else {
       // No new hits, just update the check time
@@ -0,0 +1,312 @@
+const Campaign = require("../models/Campaign");
+const CampaignDailyStat = require("../models/CampaignDailyStat");
+const vendors = require("./vendors");
+const logger = require("../utils/logger");
+
+/**
+ * Daily stats rollup
+ *
+ * Vendor stats are copied into CampaignDailyStat (one document per campaign and
+ * UTC day) so statistics, report and export endpoints read from Mongo instead
+ * of calling the vendor on every request. The intraday job refreshes today and
+ * yesterday, the nightly job re-reads the last week to pick up late vendor
+ * corrections, and both backfill the full history of campaigns not copied yet.
+ *
+ * Only SparkTraffic exposes a daily series; 9Hits reports lifetime totals.
+ * Vendors report no traffic by country, so none is stored; country figures are
+ * estimated when read, from each campaign's geo targeting, and are returned
+ * flagged as estimates (see getCountryBreakdown).
+ *
+ * The stats of a campaign for today are rolled up on read when the intraday
+ * job has not stored them yet (see getCampaignSeries).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTRADAY_DAYS = 2;
+const NIGHTLY_DAYS = 7;
+const BACKFILL_CHUNK_DAYS = 90;
+const BACKFILL_PER_RUN = 20;
+
+const dateString = (date) => date.toISOString().split("T")[0];
+const dayStart = (day) => new Date(`${day}T00:00:00.000Z`);
+
+// Campaigns with a vendor daily series
+const ROLLUP_FILTER = {
+  spark_traffic_project_id: { $exists: true, $ne: null },
+  is_archived: { $ne: true },
+};
+
+// Share of traffic per country from the campaign's geo settings
+function countryShares(campaign) {
+  const countries = Array.isArray(campaign.countries) ? campaign.countries : [];
+  if (countries.length === 0) return [];
+  if (typeof countries[0] === "string") {
+    // Old format: array of country codes - distribute equally
+    return countries.map((country) => ({ country, percent: 1 / countries.length }));
+  }
+  return countries
+    .filter((c) => c && c.country)
+    .map((c) => ({ country: c.country, percent: c.percent || 0 }));
+}
+
+// { date: count } from a vendor series of [{ "YYYY-MM-DD": n }]
+function seriesByDate(series) {
+  const byDate = {};
+  (Array.isArray(series) ? series : []).forEach((entry) => {
+    Object.entries(entry).forEach(([date, count]) => {
+      byDate[date] = (byDate[date] || 0) + (parseInt(count) || 0);
+    });
+  });
+  return byDate;
+}
+
+/**
+ * Copy one campaign's vendor stats for a date range into CampaignDailyStat
+ * @param {Object} campaign - Campaign document or lean object
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Object} { days } - Number of days written
+ */
+async function rollupCampaign(campaign, { from, to }) {
+  const resolved = vendors.forCampaign(campaign);
+  if (!resolved || !resolved.vendor) return { days: 0 };
+
+  const stats = await resolved.vendor.getProjectStats(resolved.projectId, { from, to });
+  if (!stats) return { days: 0 };
+
+  const hits = seriesByDate(stats.hits);
+  const visits = seriesByDate(stats.visits);
+  const days = [...new Set([...Object.keys(hits), ...Object.keys(visits)])].filter(
+    (day) => day >= from && day <= to
+  );
+  if (days.length === 0) return { days: 0 };
+
+  await CampaignDailyStat.bulkWrite(
+    days.map((day) => ({
+      updateOne: {
+        filter: { campaign: campaign._id, date: dayStart(day) },
+        update: {
+          $set: {
+            hits: hits[day] || 0,
+            visits: visits[day] || 0,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return { days: days.length };
+}
+
+// Roll up the last `days` days for a set of campaigns, one at a time to stay
+// within vendor rate limits
+async function rollupRecent(campaigns, days, now = new Date()) {
+  const to = dateString(now);
+  const from = dateString(new Date(now.getTime() - (days - 1) * DAY_MS));
+
+  let updated = 0;
+  let failed = 0;
+  for (const campaign of campaigns) {
+    try {
+      await rollupCampaign(campaign, { from, to });
+      updated++;
+    } catch (err) {
+      failed++;
+      logger.warn("Daily stats rollup failed for campaign", {
+        campaignId: campaign._id,
+        error: err.message,
+      });
+    }
+  }
+  return { campaigns: campaigns.length, updated, failed };
+}
+
+/**
+ * Copy the full history of campaigns that were never backfilled, in chunks of
+ * BACKFILL_CHUNK_DAYS. A campaign is marked done only when every chunk succeeded.
+ * @param {Number} limit - Campaigns per run
+ * @returns {Object} { backfilled, failed }
+ */
+async function backfillCampaigns(limit = BACKFILL_PER_RUN, now = new Date()) {
+  const campaigns = await Campaign.find({
+    ...ROLLUP_FILTER,
+    stats_backfilled_at: null,
+  })
+    .select("_id spark_traffic_project_id nine_hits_campaign_id createdAt")
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let backfilled = 0;
+  let failed = 0;
+  for (const campaign of campaigns) {
+    try {
+      const start = campaign.createdAt ? new Date(campaign.createdAt) : now;
+      for (let chunk = start; chunk <= now; chunk = new Date(chunk.getTime() + BACKFILL_CHUNK_DAYS * DAY_MS)) {
+        const chunkEnd = new Date(
+          Math.min(chunk.getTime() + (BACKFILL_CHUNK_DAYS - 1) * DAY_MS, now.getTime())
+        );
+        await rollupCampaign(campaign, { from: dateString(chunk), to: dateString(chunkEnd) });
+      }
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { stats_backfilled_at: now } });
+      backfilled++;
+    } catch (err) {
+      failed++;
+      logger.warn("Daily stats backfill failed for campaign", {
+        campaignId: campaign._id,
+        error: err.message,
+      });
+    }
+  }
+
+  if (campaigns.length > 0) {
+    logger.info("Daily stats backfill completed", { backfilled, failed });
+  }
+  return { backfilled, failed };
+}
+
+/**
+ * Intraday rollup: today and yesterday for running campaigns and campaigns
+ * changed in the last two days, then a batch of backfills
+ */
+async function runIntradayRollup(now = new Date()) {
+  const campaigns = await Campaign.find({
+    ...ROLLUP_FILTER,
+    $or: [
+      { state: { $ne: "paused" } },
+      { updatedAt: { $gte: new Date(now.getTime() - INTRADAY_DAYS * DAY_MS) } },
+    ],
+  })
+    .select("_id spark_traffic_project_id nine_hits_campaign_id")
+    .lean();
+
+  const result = await rollupRecent(campaigns, INTRADAY_DAYS, now);
+  const backfill = await backfillCampaigns(BACKFILL_PER_RUN, now);
+  return { ...result, ...backfill };
+}
+
+/**
+ * Nightly rollup: the last week for every campaign, then a batch of backfills
+ */
+async function runNightlyRollup(now = new Date()) {
+  const campaigns = await Campaign.find(ROLLUP_FILTER)
+    .select("_id spark_traffic_project_id nine_hits_campaign_id")
+    .lean();
+
+  const result = await rollupRecent(campaigns, NIGHTLY_DAYS, now);
+  logger.info("Nightly daily stats rollup completed", result);
+
+  const backfill = await backfillCampaigns(BACKFILL_PER_RUN, now);
+  return { ...result, ...backfill };
+}
+
+function rangeMatch(campaignIds, { from, to }) {
+  return {
+    campaign: { $in: campaignIds },
+    date: { $gte: dayStart(from), $lte: dayStart(to) },
+  };
+}
+
+/**
+ * Daily hits and visits summed over campaigns, oldest first
+ * @param {Array} campaignIds - Campaign IDs
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Array} [{ date, hits, visits }]
+ */
+async function getDailySeries(campaignIds, range) {
+  if (campaignIds.length === 0) return [];
+  const days = await CampaignDailyStat.aggregate([
+    { $match: rangeMatch(campaignIds, range) },
+    { $group: { _id: "$date", hits: { $sum: "$hits" }, visits: { $sum: "$visits" } } },
+    { $sort: { _id: 1 } },
+  ]);
+  return days.map((d) => ({ date: dateString(d._id), hits: d.hits, visits: d.visits }));
+}
+
+/**
+ * Daily series of one campaign, oldest first. A range that includes today reads
+ * today from the vendor when the rollup has not stored it yet.
+ * @param {Object} campaign - Campaign document or lean object
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Array} [{ date, hits, visits }]
+ */
+async function getCampaignSeries(campaign, range, now = new Date()) {
+  const today = dateString(now);
+  if (range.from <= today && range.to >= today) {
+    const stored = await CampaignDailyStat.exists({
+      campaign: campaign._id,
+      date: dayStart(today),
+    });
+    if (!stored) {
+      try {
+        await rollupCampaign(campaign, { from: today, to: today });
+      } catch (err) {
+        logger.warn("Live stats for today unavailable", {
+          campaignId: campaign._id,
+          error: err.message,
+        });
+      }
+    }
+  }
+  return getDailySeries([campaign._id], range);
+}
+
+/**
+ * Traffic per country for a set of campaigns, most hits first. Each campaign's
+ * traffic is split by its geo targeting percentages, so the result is flagged
+ * as an estimate; a vendor that reports countries would return measured
+ * figures here with estimated: false.
+ * @param {Array} campaigns - Campaigns with _id and countries
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Object} { countries: [{ country, hits, visits }], estimated }
+ */
+async function getCountryBreakdown(campaigns, range) {
+  const campaignIds = campaigns.map((c) => c._id);
+  if (campaignIds.length === 0) return { countries: [], estimated: false };
+
+  const totals = await CampaignDailyStat.aggregate([
+    { $match: rangeMatch(campaignIds, range) },
+    { $group: { _id: "$campaign", hits: { $sum: "$hits" }, visits: { $sum: "$visits" } } },
+  ]);
+  const byCampaign = new Map(totals.map((t) => [String(t._id), t]));
+
+  const byCountry = {};
+  campaigns.forEach((campaign) => {
+    const total = byCampaign.get(String(campaign._id));
+    countryShares(campaign).forEach(({ country, percent }) => {
+      const entry = byCountry[country] || (byCountry[country] = { country, hits: 0, visits: 0 });
+      entry.hits += Math.round((total ? total.hits : 0) * percent);
+      entry.visits += Math.round((total ? total.visits : 0) * percent);
+    });
+  });
+
+  return {
+    countries: Object.values(byCountry).sort((a, b) => b.hits - a.hits),
+    estimated: true,
+  };
+}
+
+/**
+ * A daily series in the vendor stats shape the campaign stats endpoints return
+ * @param {Array} days - [{ date, hits, visits }]
+ * @returns {Object} { hits: [{ date: n }], visits: [{ date: n }], totalHits, totalVisits }
+ */
+function toVendorShape(days) {
+  return {
+    hits: days.map((d) => ({ [d.date]: d.hits })),
+    visits: days.map((d) => ({ [d.date]: d.visits })),
+    totalHits: days.reduce((sum, d) => sum + d.hits, 0),
+    totalVisits: days.reduce((sum, d) => sum + d.visits, 0),
+  };
+}
+
+module.exports = {
+  rollupCampaign,
+  backfillCampaigns,
+  runIntradayRollup,
+  runNightlyRollup,
+  getDailySeries,
+  getCampaignSeries,
+  getCountryBreakdown,
+  toVendorShape,
+};
@@ -15,6 +15,11 @@ const TopUpEmail = require("../emails/TopUpEmail");
 const CampaignPausedEmail = require("../emails/CampaignPausedEmail");
 const ContactAckEmail = require("../emails/ContactAckEmail");
 const ContactReplyEmail = require("../emails/ContactReplyEmail");
+const PasswordResetEmail = require("../emails/PasswordResetEmail");
+const VerifyEmailEmail = require("../emails/VerifyEmailEmail");
+const OrganizationInviteEmail = require("../emails/OrganizationInviteEmail");
+const ScheduledReportEmail = require("../emails/ScheduledReportEmail");
+const ReportRecipientConfirmEmail = require("../emails/ReportRecipientConfirmEmail");
 
 let _resend = null;
 function getResend() {
@@ -26,10 +31,17 @@ function getResend() {
 
 const FROM = () => process.env.RESEND_FROM_EMAIL || "connect@trafficboxes.com";
 
-async function sendEmail(to, subject, EmailComponent, props) {
+// `attachments` is passed to Resend as is: [{ filename, content: Buffer }]
+async function sendEmail(to, subject, EmailComponent, props, { attachments } = {}) {
   try {
     const html = await render(React.createElement(EmailComponent, props));
-    const { data, error } = await getResend().emails.send({ from: FROM(), to, subject, html });
+    const { data, error } = await getResend().emails.send({
+      from: FROM(),
+      to,
+      subject,
+      html,
+      ...(attachments ? { attachments } : {}),
+    });
     if (error) {
       logger.error("Email send failed", { to, subject, error });
       return { ok: false, error };
@@ -166,16 +178,20 @@ async function sendTopUpEmail(user, { hitsAdded, amountPaid, newBalance }) {
   );
 }
 
-async function sendCampaignPausedEmail(user, campaign, subscription) {
+// Pass `budget` ({ period, limit, used, resumesAt }) when the campaign's own budget paused it
+async function sendCampaignPausedEmail(user, campaign, subscription, budget = null) {
   return sendEmail(
     user.email,
-    `Campaign paused: "${campaign.title || "Your Campaign"}" — top up to resume`,
+    budget
+      ? `Campaign paused: "${campaign.title || "Your Campaign"}" reached its ${budget.period} budget`
+      : `Campaign paused: "${campaign.title || "Your Campaign"}" — top up to resume`,
     CampaignPausedEmail,
     {
       firstName: user.firstName || "there",
       campaignTitle: campaign.title || "Your Campaign",
       visitsIncluded: subscription?.visitsIncluded,
       visitsUsed: subscription?.visitsUsed,
+      budget,
     }
   );
 }
@@ -203,6 +219,65 @@ async function sendContactReplyEmail(firstName, email, status, adminNotes = "")
   );
 }
 
+async function sendPasswordResetEmail(user, resetToken, expiresInMinutes) {
+  return sendEmail(
+    user.email,
+    "Reset your TrafficBoxes password",
+    PasswordResetEmail,
+    { firstName: user.firstName || "there", resetToken, expiresInMinutes }
+  );
+}
+
+async function sendVerifyEmailEmail(user, verificationToken, expiresInHours) {
+  return sendEmail(
+    user.email,
+    "Confirm your email address",
+    VerifyEmailEmail,
+    { firstName: user.firstName || "there", verificationToken, expiresInHours }
+  );
+}
+
+async function sendOrganizationInviteEmail(email, { inviterName, organizationName, role, inviteToken, expiresInDays }) {
+  return sendEmail(
+    email,
+    `You're invited to join ${organizationName} on TrafficBoxes`,
+    OrganizationInviteEmail,
+    { inviterName, organizationName, role, inviteToken, expiresInDays }
+  );
+}
+
+// `report` is { name, subjectTitle, frequency, from, to, summary, format, downloadUrl,
+// linkExpiresInDays, branding } with branding from reportBranding.resolveBranding()
+async function sendScheduledReportEmail(recipients, report, attachment = null) {
+  return sendEmail(
+    recipients,
+    `${report.name}: ${report.from === report.to ? report.from : `${report.from} to ${report.to}`}`,
+    ScheduledReportEmail,
+    {
+      reportName: report.name,
+      subjectTitle: report.subjectTitle,
+      frequency: report.frequency,
+      from: report.from,
+      to: report.to,
+      summary: report.summary,
+      format: report.format,
+      downloadUrl: report.downloadUrl,
+      linkExpiresInDays: report.linkExpiresInDays,
+      branding: report.branding,
+    },
+    attachment ? { attachments: [attachment] } : {}
+  );
+}
+
+async function sendReportRecipientConfirmEmail(email, { organizationName, reportName, frequency, confirmToken, expiresInDays }) {
+  return sendEmail(
+    email,
+    `Confirm to receive "${reportName}" reports from ${organizationName}`,
+    ReportRecipientConfirmEmail,
+    { organizationName, reportName, frequency, confirmToken, expiresInDays }
+  );
+}
+
 module.exports = {
   sendWelcomeEmail,
   sendLeadCaptureEmail,
@@ -216,4 +291,9 @@ module.exports = {
   sendCampaignPausedEmail,
   sendContactAckEmail,
   sendContactReplyEmail,
+  sendPasswordResetEmail,
+  sendVerifyEmailEmail,
+  sendOrganizationInviteEmail,
+  sendScheduledReportEmail,
+  sendReportRecipientConfirmEmail,
 };
@@ -0,0 +1,225 @@
+const AlphaTrafficSummary = require("../models/AlphaTrafficSummary");
+const dailyStatsService = require("./dailyStats");
+const csv = require("../utils/csv");
+const xlsx = require("../utils/xlsx");
+
+/**
+ * Raw data exports
+ *
+ * Tables of campaign and account numbers for analysts, sent as CSV, XLSX or
+ * JSON. Each export is one table: a list of { key, label } columns and rows of
+ * plain objects. Only plans whose analytics level includes exports may use them.
+ */
+
+const FORMATS = ["csv", "xlsx", "json"];
+const ANALYTICS_LEVELS = ["advanced-export", "realtime-api"];
+const CAMPAIGN_REPORTS = ["daily", "countries"];
+const MAX_RANGE_DAYS = 366;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const DAILY_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "hits", label: "Hits" },
+  { key: "visits", label: "Visits" },
+];
+
+const COUNTRY_COLUMNS = [
+  { key: "windowStart", label: "Window start" },
+  { key: "windowEnd", label: "Window end" },
+  { key: "country", label: "Country" },
+  { key: "hits", label: "Hits" },
+  { key: "visits", label: "Visits" },
+  { key: "views", label: "Views" },
+  { key: "percentage", label: "Share (%)" },
+];
+
+const PAYMENT_COLUMNS = [
+  { key: "created", label: "Date" },
+  { key: "type", label: "Type" },
+  { key: "description", label: "Description" },
+  { key: "planName", label: "Plan" },
+  { key: "amount", label: "Amount" },
+  { key: "currency", label: "Currency" },
+  { key: "status", label: "Status" },
+  { key: "periodStart", label: "Period start" },
+  { key: "periodEnd", label: "Period end" },
+  { key: "stripeId", label: "Stripe ID" },
+  { key: "receiptUrl", label: "Receipt URL" },
+  { key: "invoiceUrl", label: "Invoice URL" },
+];
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Requested export format, csv when none is given
+ * @param {String} value - ?format=
+ * @returns {String|null} null when the format is not supported
+ */
+function parseFormat(value) {
+  const format = String(value || "csv").toLowerCase();
+  return FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Validate ?from=&to= (YYYY-MM-DD), defaulting to the last 30 days
+ * @param {Object} query - req.query
+ * @returns {Object} { from, to } or { error }
+ */
+function parseDateRange(query) {
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  for (const key of ["from", "to"]) {
+    if (query[key] && !dateRegex.test(query[key])) {
+      return { error: `Invalid '${key}' date format. Use YYYY-MM-DD` };
+    }
+  }
+
+  const now = new Date();
+  const thirtyDaysAgo = new Date(now);
+  thirtyDaysAgo.setDate(now.getDate() - 30);
+  const from = query.from || toDateString(thirtyDaysAgo);
+  const to = query.to || toDateString(now);
+
+  const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+  if (days < 0) return { error: "'from' must be before 'to'" };
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+/**
+ * Build one campaign export
+ * @param {Object} campaign - Campaign document
+ * @param {Object} query - req.query: report (daily|countries), from, to, timeRange
+ * @returns {Object} { filename, sheetName, columns, rows, meta } or { error, status }
+ */
+async function campaignExport(campaign, query) {
+  const report = query.report || "daily";
+  if (!CAMPAIGN_REPORTS.includes(report)) {
+    return { status: 400, error: `report must be one of: ${CAMPAIGN_REPORTS.join(", ")}` };
+  }
+  if (!campaign.spark_traffic_project_id) {
+    return {
+      status: 400,
+      error: "Statistics are only available for SparkTraffic campaigns",
+    };
+  }
+
+  const range = parseDateRange(query);
+  if (range.error) return { status: 400, error: range.error };
+
+  const meta = {
+    campaign: { id: campaign._id, title: campaign.title },
+    report,
+    dateRange: { from: range.from, to: range.to },
+  };
+  const filename = `campaign-${campaign._id}-${report}-${range.from}-${range.to}`;
+
+  if (report === "daily") {
+    return {
+      filename,
+      sheetName: "Daily",
+      columns: DAILY_COLUMNS,
+      rows: await dailyStatsService.getDailySeries([campaign._id], range),
+      meta,
+    };
+  }
+
+  const timeRanges = Object.keys(AlphaTrafficSummary.getTimeRanges());
+  const timeRange = query.timeRange || "7d";
+  if (!timeRanges.includes(timeRange)) {
+    return { status: 400, error: `timeRange must be one of: ${timeRanges.join(", ")}` };
+  }
+
+  const summaries = await AlphaTrafficSummary.find({
+    campaign: campaign._id,
+    timeRange,
+    windowStart: {
+      $gte: new Date(`${range.from}T00:00:00.000Z`),
+      $lte: new Date(`${range.to}T23:59:59.999Z`),
+    },
+  })
+    .select("windowStart windowEnd countryBreakdown")
+    .sort({ windowStart: 1 })
+    .lean();
+
+  const rows = [];
+  summaries.forEach((summary) => {
+    (summary.countryBreakdown || []).forEach((entry) => {
+      rows.push({
+        windowStart: summary.windowStart,
+        windowEnd: summary.windowEnd,
+        country: entry.country,
+        hits: entry.hits || 0,
+        visits: entry.visits || 0,
+        views: entry.views || 0,
+        percentage: entry.percentage || 0,
+      });
+    });
+  });
+
+  return {
+    filename: `${filename}-${timeRange}`,
+    sheetName: "Countries",
+    columns: COUNTRY_COLUMNS,
+    rows,
+    meta: { ...meta, timeRange },
+  };
+}
+
+/**
+ * Render a table as a CSV or XLSX file
+ * @param {String} format - csv | xlsx
+ * @param {Object} table - { filename (no extension), sheetName, columns, rows }
+ * @returns {Object} { body, contentType, filename }
+ */
+function render(format, { filename, sheetName, columns, rows }) {
+  const header = columns.map((c) => c.label);
+  const values = rows.map((row) => columns.map((c) => row[c.key]));
+  return {
+    body:
+      format === "xlsx"
+        ? xlsx.build(sheetName, header, values)
+        : Buffer.from("\uFEFF" + csv.stringify(header, values)), // BOM so Excel reads UTF-8
+    contentType: CONTENT_TYPES[format],
+    filename: `${filename.replace(/[^\w.-]+/g, "_")}.${format}`,
+  };
+}
+
+/**
+ * Send a table in the requested format as a download (JSON is sent inline)
+ * @param {Object} res - Express response
+ * @param {String} format - csv | xlsx | json
+ * @param {Object} table - { filename (no extension), sheetName, columns, rows, meta }
+ */
+function send(res, format, table) {
+  if (format === "json") {
+    return res.json({
+      ok: true,
+      ...(table.meta || {}),
+      columns: table.columns.map((c) => c.key),
+      rows: table.rows,
+    });
+  }
+
+  const file = render(format, table);
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+  res.send(file.body);
+}
+
+module.exports = {
+  FORMATS,
+  ANALYTICS_LEVELS,
+  DAILY_COLUMNS,
+  PAYMENT_COLUMNS,
+  parseFormat,
+  parseDateRange,
+  campaignExport,
+  render,
+  send,
+};
@@ -0,0 +1,228 @@
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const JobLock = require("../models/JobLock");
+const logger = require("../utils/logger");
+
+/**
+ * Mongo-backed job leases
+ *
+ * Every process that boots server.js schedules the same jobs. Before a run, the
+ * process must take the job's lease; only one instance holds it at a time. The
+ * holder renews the lease while the job runs, and an expired lease (crashed
+ * holder) can be taken over by any instance.
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// Jobs currently running in this process (a slow run must not overlap the next tick)
+const runningJobs = new Set();
+
+/**
+ * Try to take the lease for a job
+ * @param {String} name - Job name
+ * @param {Number} ttlMs - Lease duration
+ * @returns {Boolean} True if this instance now holds the lease
+ */
+async function acquire(name, ttlMs = DEFAULT_TTL_MS) {
+  const now = new Date();
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } },
+          { owner: INSTANCE_ID },
+        ],
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          lockedAt: now,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return !!lock && lock.owner === INSTANCE_ID;
+  } catch (error) {
+    // Upsert raced with a live lease held by another instance
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extend a lease this instance holds
+ * @param {String} name - Job name
+ * @param {Number} ttlMs - New lease duration from now
+ * @returns {Boolean} False if the lease was lost
+ */
+async function renew(name, ttlMs = DEFAULT_TTL_MS) {
+  const result = await JobLock.updateOne(
+    { _id: name, owner: INSTANCE_ID },
+    { $set: { lockedUntil: new Date(Date.now() + ttlMs) } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Give up a lease and record the outcome of the run
+ * @param {String} name - Job name
+ * @param {Object} outcome - { startedAt, error }
+ */
+async function release(name, { startedAt, error } = {}) {
+  const now = new Date();
+  await JobLock.updateOne(
+    { _id: name, owner: INSTANCE_ID },
+    {
+      $set: {
+        owner: null,
+        lockedUntil: null,
+        lastOwner: INSTANCE_ID,
+        lastStartedAt: startedAt,
+        lastCompletedAt: now,
+        lastDurationMs: startedAt ? now - startedAt : null,
+        lastError: error ? error.message : null,
+      },
+      $inc: { runCount: 1 },
+    }
+  );
+}
+
+/**
+ * Run a function while holding the job's lease. Skips the run if another
+ * instance holds it.
+ * @param {String} name - Job name
+ * @param {Function} fn - Async job body
+ * @param {Object} options - { ttlMs }
+ * @returns {Object} { ran: Boolean, result }
+ */
+async function runExclusive(name, fn, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (runningJobs.has(name)) {
+    logger.debug("Job still running in this instance, skipping run", {
+      job: name,
+    });
+    return { ran: false };
+  }
+  runningJobs.add(name);
+
+  try {
+    return await runWithLease(name, fn, ttlMs);
+  } finally {
+    runningJobs.delete(name);
+  }
+}
+
+async function runWithLease(name, fn, ttlMs) {
+  if (!(await acquire(name, ttlMs))) {
+    logger.debug("Job lease held by another instance, skipping run", {
+      job: name,
+      instanceId: INSTANCE_ID,
+    });
+    return { ran: false };
+  }
+
+  const startedAt = new Date();
+  const heartbeat = setInterval(() => {
+    renew(name, ttlMs)
+      .then((held) => {
+        if (!held) {
+          logger.warn("Job lease lost while running", {
+            job: name,
+            instanceId: INSTANCE_ID,
+          });
+        }
+      })
+      .catch((error) => {
+        logger.error("Job lease renewal failed", {
+          job: name,
+          error: error.message,
+        });
+      });
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+  let runError = null;
+  try {
+    const result = await fn();
+    return { ran: true, result };
+  } catch (error) {
+    runError = error;
+    throw error;
+  } finally {
+    clearInterval(heartbeat);
+    try {
+      await release(name, { startedAt, error: runError });
+    } catch (releaseErr) {
+      logger.error("Job lease release failed", {
+        job: name,
+        error: releaseErr.message,
+      });
+    }
+  }
+}
+
+/**
+ * Schedule a cron job that runs on at most one instance per tick
+ * @param {String} name - Job name
+ * @param {String} expression - Cron expression
+ * @param {Function} fn - Async job body
+ * @param {Object} options - { ttlMs }
+ */
+function schedule(name, expression, fn, options = {}) {
+  return cron.schedule(expression, async () => {
+    try {
+      await runExclusive(name, fn, options);
+    } catch (error) {
+      logger.error("Scheduled job failed", {
+        job: name,
+        error: error.message,
+      });
+    }
+  });
+}
+
+/**
+ * Run a job on a fixed interval on at most one instance at a time
+ * @param {String} name - Job name
+ * @param {Number} intervalMs - Interval in milliseconds
+ * @param {Function} fn - Async job body
+ * @param {Object} options - { ttlMs }
+ * @returns {Object} Interval handle for clearInterval
+ */
+function every(name, intervalMs, fn, options = {}) {
+  return setInterval(() => {
+    runExclusive(name, fn, options).catch((error) => {
+      logger.error("Interval job failed", {
+        job: name,
+        error: error?.message || "Unknown error",
+      });
+    });
+  }, intervalMs);
+}
+
+/**
+ * Current lease state for all jobs
+ * @returns {Array} JobLock documents
+ */
+async function listJobs() {
+  return JobLock.find({}).sort({ _id: 1 }).lean();
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquire,
+  renew,
+  release,
+  runExclusive,
+  schedule,
+  every,
+  listJobs,
+};
@@ -1,9 +1,13 @@
 const axios = require("axios");
 
 const BASE = process.env.NINEHITS_BASE || "https://panel.9hits.com/api";
-const KEY = process.env.NINEHITS_API_KEY;
+// NINE_HITS_API_KEY is the name the beta routes used to read; still honored
+const KEY = process.env.NINEHITS_API_KEY || process.env.NINE_HITS_API_KEY;
 
 if (!KEY) console.warn("Warning: NINEHITS_API_KEY not set in env");
+else if (!process.env.NINEHITS_API_KEY) {
+  console.warn("Warning: NINE_HITS_API_KEY is deprecated, rename it to NINEHITS_API_KEY");
+}
 
 // Helper to get uuidv4 dynamically
 async function getUuidV4() {
@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Organization = require("../models/Organization");
+const OrganizationInvite = require("../models/OrganizationInvite");
+const User = require("../models/User");
+const Campaign = require("../models/Campaign");
+const Website = require("../models/Website");
+const SEOAnalysis = require("../models/SEOAnalysis");
+const Subscription = require("../models/Subscription");
+const { sendOrganizationInviteEmail } = require("./emailService");
+const logger = require("../utils/logger");
+
+/**
+ * Organizations (team workspaces)
+ *
+ * Every user owns one organization, created the first time they need it; all of
+ * their existing campaigns, websites, SEO analyses and their subscription are
+ * moved into it at that point. Other users join through emailed invites and get
+ * a role (see Organization.ROLE_PERMISSIONS). Requests act in the organization
+ * named by the X-Organization-Id header, or in the caller's own organization.
+ *
+ * Billing stays with the owner: campaigns keep `user` set to the organization
+ * owner, so credit deduction and the visit ledger charge the owner's plan.
+ */
+
+const INVITE_TTL_DAYS = 7;
+const MAX_MEMBERS = 50;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Documents created before organizations existed
+const OWNED_MODELS = [Campaign, Website, SEOAnalysis, Subscription];
+
+async function backfillOwnedDocuments(organization) {
+  for (const Model of OWNED_MODELS) {
+    const result = await Model.updateMany(
+      { user: organization.owner, organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+    if (result.modifiedCount) {
+      logger.info("Moved documents into organization", {
+        organizationId: organization._id,
+        model: Model.modelName,
+        count: result.modifiedCount,
+      });
+    }
+  }
+}
+
+/**
+ * The organization a user owns, created on first use
+ * @param {String} userId - User ID
+ * @returns {Object} Organization document
+ */
+async function ensureOwnOrganization(userId) {
+  const existing = await Organization.findOne({ owner: userId });
+  if (existing) return existing;
+
+  const user = await User.findById(userId).select("email firstName");
+  if (!user) throw new Error("User not found");
+
+  let organization;
+  try {
+    organization = await Organization.create({
+      name: user.firstName ? `${user.firstName}'s workspace` : user.email,
+      owner: user._id,
+      members: [{ user: user._id, role: "owner" }],
+    });
+  } catch (err) {
+    // Created by a concurrent request
+    if (err.code === 11000) return Organization.findOne({ owner: userId });
+    throw err;
+  }
+
+  logger.info("Organization created", {
+    userId,
+    organizationId: organization._id,
+  });
+  await backfillOwnedDocuments(organization);
+  return organization;
+}
+
+/**
+ * Organization and role a user acts with
+ * @param {String} userId - User ID
+ * @param {String} organizationId - Requested organization, or empty for the user's own
+ * @returns {Object|null} { organization, role }, or null if the user is not a member
+ */
+async function resolveMembership(userId, organizationId) {
+  if (!organizationId) {
+    const organization = await ensureOwnOrganization(userId);
+    return { organization, role: "owner" };
+  }
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) return null;
+
+  const organization = await Organization.findOne({
+    _id: organizationId,
+    "members.user": userId,
+  });
+  if (!organization) return null;
+  return { organization, role: organization.roleOf(userId) };
+}
+
+/**
+ * @param {String} role - Member role
+ * @param {String} permission - e.g. "campaigns:write"
+ * @returns {Boolean}
+ */
+const can = (role, permission) =>
+  (Organization.ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Query filter for documents of the request's organization
+ * @param {Object} req - Request that passed requireScope/requirePermission
+ * @returns {Object}
+ */
+const organizationFilter = (req) => ({ organization: req.organization._id });
+
+/**
+ * Whether a campaign, website or analysis belongs to the request's
+ * organization. Admins can access everything.
+ * @param {Object} req - Request that passed requireScope/requirePermission
+ * @param {Object} doc - Document with `organization` and `user`
+ * @returns {Boolean}
+ */
+function canAccess(req, doc) {
+  if (req.user.role === "admin") return true;
+  if (doc.organization) {
+    return String(doc.organization._id || doc.organization) === String(req.organization._id);
+  }
+  // Not backfilled yet: it belongs to the organization of its owner
+  return String(doc.user?._id || doc.user) === String(req.organization.owner);
+}
+
+/**
+ * User whose subscription pays for the request's organization
+ * @param {Object} req - Request that passed requireScope/requirePermission
+ * @returns {String}
+ */
+const billingUserId = (req) => String(req.organization.owner);
+
+/**
+ * Organizations a user belongs to, their own first
+ * @param {String} userId - User ID
+ * @returns {Array} [{ organization, role }]
+ */
+async function listMemberships(userId) {
+  await ensureOwnOrganization(userId);
+  const organizations = await Organization.find({ "members.user": userId }).sort({ createdAt: 1 });
+  return organizations
+    .map((organization) => ({ organization, role: organization.roleOf(userId) }))
+    .sort((a, b) => (b.role === "owner") - (a.role === "owner"));
+}
+
+/**
+ * Invite someone by email. A pending invite for the same email is replaced.
+ * @param {Object} organization - Organization document
+ * @param {Object} inviter - User document of the member sending the invite
+ * @param {Object} input - { email, role }
+ * @returns {Object} { invite } or { error, status }
+ */
+async function createInvite(organization, inviter, { email, role }) {
+  const normalizedEmail = typeof email === "string" ? email.trim().toLowerCase() : "";
+  if (!normalizedEmail || !normalizedEmail.includes("@")) {
+    return { error: "A valid email is required", status: 400 };
+  }
+  if (!OrganizationInvite.schema.path("role").enumValues.includes(role)) {
+    return { error: "role must be one of manager, analyst, billing", status: 400 };
+  }
+  if (organization.members.length >= MAX_MEMBERS) {
+    return { error: `Organizations can have at most ${MAX_MEMBERS} members`, status: 400 };
+  }
+
+  const existingUser = await User.findOne({ email: normalizedEmail }).select("_id");
+  if (existingUser && organization.roleOf(existingUser._id)) {
+    return { error: "This user is already a member", status: 409 };
+  }
+
+  await OrganizationInvite.updateMany(
+    { organization: organization._id, email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invite = await OrganizationInvite.create({
+    organization: organization._id,
+    email: normalizedEmail,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  const inviterName = [inviter.firstName, inviter.lastName].filter(Boolean).join(" ") || inviter.email;
+  sendOrganizationInviteEmail(normalizedEmail, {
+    inviterName,
+    organizationName: organization.name,
+    role,
+    inviteToken: token,
+    expiresInDays: INVITE_TTL_DAYS,
+  }).catch(() => {});
+
+  logger.info("Organization invite sent", {
+    organizationId: organization._id,
+    inviteId: invite._id,
+    invitedBy: inviter._id,
+    role,
+  });
+
+  return { invite };
+}
+
+/**
+ * Join an organization with an invite token. The invite must have been sent
+ * to the user's email address.
+ * @param {String} token - Raw token from the invite link
+ * @param {Object} user - User document accepting the invite
+ * @returns {Object} { organization, role } or { error, status }
+ */
+async function acceptInvite(token, user) {
+  if (typeof token !== "string" || !token) {
+    return { error: "Token is required", status: 400 };
+  }
+
+  const invite = await OrganizationInvite.findOne({ tokenHash: hashToken(token) });
+  if (!invite || !invite.isPending()) {
+    return { error: "Invitation is invalid or has expired", status: 400 };
+  }
+  if (invite.email !== user.email.toLowerCase()) {
+    return { error: "This invitation was sent to a different email address", status: 403 };
+  }
+
+  // Claim the invite atomically so it cannot be used twice
+  const claimed = await OrganizationInvite.findOneAndUpdate(
+    { _id: invite._id, acceptedAt: null, revokedAt: null },
+    { $set: { acceptedAt: new Date(), acceptedBy: user._id } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: "Invitation is invalid or has expired", status: 400 };
+  }
+
+  const organization = await Organization.findOneAndUpdate(
+    { _id: invite.organization, "members.user": { $ne: user._id } },
+    {
+      $push: {
+        members: { user: user._id, role: invite.role, invitedBy: invite.invitedBy },
+      },
+    },
+    { new: true }
+  );
+  if (!organization) {
+    const current = await Organization.findById(invite.organization);
+    if (!current) return { error: "Organization no longer exists", status: 404 };
+    return { organization: current, role: current.roleOf(user._id) };
+  }
+
+  logger.info("Organization invite accepted", {
+    organizationId: organization._id,
+    userId: user._id,
+    role: invite.role,
+  });
+
+  return { organization, role: invite.role };
+}
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  ensureOwnOrganization,
+  resolveMembership,
+  can,
+  organizationFilter,
+  canAccess,
+  billingUserId,
+  listMemberships,
+  createInvite,
+  acceptInvite,
+};
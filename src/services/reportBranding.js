@@ -0,0 +1,191 @@
+const Organization = require("../models/Organization");
+const s3Service = require("./s3Service");
+const logger = require("../utils/logger");
+
+/**
+ * Report branding
+ *
+ * Agencies resell traffic under their own name. An organization's
+ * reportBranding (company name, logo in S3, colors, footer text and whether to
+ * hide TrafficBox) is applied to its PDF reports and scheduled report emails.
+ * resolveBranding() merges it over the defaults and signs the logo URL.
+ */
+
+const DEFAULT_BRANDING = {
+  companyName: "TrafficBox",
+  primaryColor: "#06b6d4",
+  accentColor: "#8b5cf6",
+  footerText: null,
+  hideTrafficBox: false,
+};
+
+const LOGO_TYPES = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp" };
+const MAX_LOGO_BYTES = 512 * 1024;
+const LOGO_URL_EXPIRES_IN = 60 * 60; // Long enough to render and send a report
+
+const isColor = (value) => typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+
+/**
+ * Validate branding fields from the API. null or "" resets a field to its default.
+ * @param {Object} body - { companyName, primaryColor, accentColor, footerText, hideTrafficBox }
+ * @returns {Object} { valid, error } or { valid, fields, unset }
+ */
+function parseBrandingInput(body = {}) {
+  const fields = {};
+  const unset = [];
+  const cleared = (key) => body[key] === null || body[key] === "";
+
+  const strings = { companyName: 100, footerText: 300 };
+  for (const [key, maxLength] of Object.entries(strings)) {
+    if (body[key] === undefined) continue;
+    if (cleared(key)) {
+      unset.push(key);
+      continue;
+    }
+    if (typeof body[key] !== "string" || !body[key].trim()) {
+      return { valid: false, error: `${key} must be a non-empty string` };
+    }
+    if (body[key].trim().length > maxLength) {
+      return { valid: false, error: `${key} must be at most ${maxLength} characters` };
+    }
+    fields[key] = body[key].trim();
+  }
+
+  for (const key of ["primaryColor", "accentColor"]) {
+    if (body[key] === undefined) continue;
+    if (cleared(key)) {
+      unset.push(key);
+      continue;
+    }
+    if (!isColor(body[key])) {
+      return { valid: false, error: `${key} must be a hex color like #1a2b3c` };
+    }
+    fields[key] = body[key].toLowerCase();
+  }
+
+  if (body.hideTrafficBox !== undefined) {
+    fields.hideTrafficBox = Boolean(body.hideTrafficBox);
+  }
+
+  return { valid: true, fields, unset };
+}
+
+/**
+ * Stored branding as the API returns it, with a signed logo URL
+ * @param {Object} organization - Organization document
+ * @returns {Object}
+ */
+async function formatBranding(organization) {
+  const branding = organization.reportBranding || {};
+  return {
+    companyName: branding.companyName || null,
+    logoUrl: await logoUrl(branding.logoKey),
+    primaryColor: branding.primaryColor || null,
+    accentColor: branding.accentColor || null,
+    footerText: branding.footerText || null,
+    hideTrafficBox: !!branding.hideTrafficBox,
+    defaults: DEFAULT_BRANDING,
+  };
+}
+
+async function logoUrl(logoKey) {
+  if (!logoKey) return null;
+  try {
+    return await s3Service.getSignedUrl(logoKey, LOGO_URL_EXPIRES_IN);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Branding to render a report with: the organization's settings over the
+ * default colors. companyName stays null when unset so templates can fall back
+ * to TrafficBox unless it is hidden.
+ * @param {String} organizationId - Organization that owns the campaign or schedule
+ * @returns {Object} { companyName, logoUrl, primaryColor, accentColor, footerText, hideTrafficBox }
+ */
+async function resolveBranding(organizationId) {
+  const organization = organizationId
+    ? await Organization.findById(organizationId).select("reportBranding").lean()
+    : null;
+  const branding = organization?.reportBranding || {};
+
+  return {
+    companyName: branding.companyName || null,
+    logoUrl: await logoUrl(branding.logoKey),
+    primaryColor: branding.primaryColor || DEFAULT_BRANDING.primaryColor,
+    accentColor: branding.accentColor || DEFAULT_BRANDING.accentColor,
+    footerText: branding.footerText || DEFAULT_BRANDING.footerText,
+    hideTrafficBox: !!branding.hideTrafficBox,
+  };
+}
+
+/**
+ * Store a new logo in S3 and replace the previous one
+ * @param {Object} organization - Organization document
+ * @param {Buffer} image - Image bytes
+ * @param {String} contentType - image/png, image/jpeg or image/webp
+ * @returns {Object} { organization } or { error, status }
+ */
+async function uploadLogo(organization, image, contentType) {
+  const extension = LOGO_TYPES[contentType];
+  if (!extension) {
+    return {
+      status: 415,
+      error: `Logo must be one of: ${Object.keys(LOGO_TYPES).join(", ")}`,
+    };
+  }
+  if (!Buffer.isBuffer(image) || image.length === 0) {
+    return { status: 400, error: "Send the logo image as the request body" };
+  }
+  if (image.length > MAX_LOGO_BYTES) {
+    return { status: 413, error: `Logo must be at most ${MAX_LOGO_BYTES / 1024} KB` };
+  }
+  if (!s3Service.isS3Configured()) {
+    return { status: 503, error: "File storage is not configured" };
+  }
+
+  const upload = await s3Service.uploadToS3(
+    image,
+    `logo.${extension}`,
+    contentType,
+    `report-logos/${organization._id}`
+  );
+  const previousKey = organization.reportBranding?.logoKey;
+  organization.set("reportBranding.logoKey", upload.key);
+  await organization.save();
+
+  if (previousKey) await deleteLogoFile(previousKey);
+  return { organization };
+}
+
+/**
+ * Remove the organization's logo
+ * @param {Object} organization - Organization document
+ */
+async function removeLogo(organization) {
+  const previousKey = organization.reportBranding?.logoKey;
+  if (!previousKey) return;
+  organization.set("reportBranding.logoKey", undefined);
+  await organization.save();
+  await deleteLogoFile(previousKey);
+}
+
+async function deleteLogoFile(key) {
+  try {
+    await s3Service.deleteFromS3(key);
+  } catch (err) {
+    logger.warn("Failed to delete old report logo", { key, error: err.message });
+  }
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  MAX_LOGO_BYTES,
+  LOGO_TYPES,
+  parseBrandingInput,
+  formatBranding,
+  resolveBranding,
+  uploadLogo,
+  removeLogo,
+};
@@ -0,0 +1,514 @@
+const crypto = require("crypto");
+const Campaign = require("../models/Campaign");
+const Organization = require("../models/Organization");
+const ReportSchedule = require("../models/ReportSchedule");
+const User = require("../models/User");
+const reportService = require("./reportService");
+const exportService = require("./exportService");
+const reportBranding = require("./reportBranding");
+const s3Service = require("./s3Service");
+const {
+  sendScheduledReportEmail,
+  sendReportRecipientConfirmEmail,
+} = require("./emailService");
+const { isValidTimezone } = require("./campaignScheduler");
+const { isValidEmail } = require("../utils/validate");
+const logger = require("../utils/logger");
+
+/**
+ * Scheduled email reports
+ *
+ * A ReportSchedule sends a campaign or account report every day, week or
+ * month at a local hour in its timezone. The cron job claims due schedules by
+ * moving nextRunAt forward, renders the report (PDF through reportService,
+ * CSV/XLSX through exportService) with the organization's report branding and
+ * emails it with the file attached or as a signed S3 link.
+ *
+ * Reports only go to members of the organization and to outside addresses that
+ * confirmed through an emailed link, and "send now" is limited per schedule,
+ * so a schedule cannot be used to mail arbitrary addresses.
+ */
+
+const MAX_RECIPIENTS = 10;
+const MAX_RUNS_PER_TICK = 10;
+const LINK_EXPIRES_IN_DAYS = 7; // Longest a v4 signed URL can live
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const CONFIRM_TTL_DAYS = 7;
+const MANUAL_SEND_INTERVAL_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar date and hour of a moment in a timezone
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour") % 24 };
+}
+
+// UTC moment at which a timezone's wall clock shows year-month-day hour:00
+function zonedTime(year, month, day, hour, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const local = localParts(new Date(guess), timeZone);
+  const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour) - guess;
+  return new Date(guess - offset);
+}
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const dateString = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Next time a schedule is due after a moment
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth, hour, timezone }
+ * @param {Date} after - Moment to search from
+ * @returns {Date}
+ */
+function computeNextRun(schedule, after = new Date()) {
+  const timeZone = schedule.timezone || "UTC";
+  const today = localParts(after, timeZone);
+
+  for (let i = 0; i <= 366; i++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (schedule.frequency === "weekly" && day.getUTCDay() !== schedule.dayOfWeek) continue;
+    if (schedule.frequency === "monthly" && day.getUTCDate() !== schedule.dayOfMonth) continue;
+
+    const runAt = zonedTime(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      schedule.hour,
+      timeZone
+    );
+    if (runAt > after) return runAt;
+  }
+  return null;
+}
+
+/**
+ * Dates a run covers: the previous day, the previous 7 days, or the previous
+ * calendar month, in the schedule's timezone
+ * @param {Object} schedule - ReportSchedule
+ * @param {Date} runAt - When the report is sent
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+function reportPeriod(schedule, runAt = new Date()) {
+  const local = localParts(runAt, schedule.timezone || "UTC");
+  const today = Date.UTC(local.year, local.month - 1, local.day);
+
+  if (schedule.frequency === "monthly") {
+    return {
+      from: dateString(new Date(Date.UTC(local.year, local.month - 2, 1))),
+      to: dateString(new Date(Date.UTC(local.year, local.month - 1, 0))),
+    };
+  }
+  const to = new Date(today - DAY_MS);
+  const from = schedule.frequency === "weekly" ? new Date(today - 7 * DAY_MS) : to;
+  return { from: dateString(from), to: dateString(to) };
+}
+
+/**
+ * Validate schedule fields from the API
+ * @param {Object} body - Request body
+ * @param {Object} options - { partial } for updates
+ * @returns {Object} { valid, error } or { valid, fields }
+ */
+function parseScheduleInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has("name") || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { valid: false, error: "name is required" };
+    }
+    if (body.name.trim().length > 100) {
+      return { valid: false, error: "name must be at most 100 characters" };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (has("scope") || !partial) {
+    if (!["campaign", "account"].includes(body.scope)) {
+      return { valid: false, error: "scope must be campaign or account" };
+    }
+    fields.scope = body.scope;
+  }
+
+  if (has("frequency") || !partial) {
+    if (!ReportSchedule.FREQUENCIES.includes(body.frequency)) {
+      return {
+        valid: false,
+        error: `frequency must be one of: ${ReportSchedule.FREQUENCIES.join(", ")}`,
+      };
+    }
+    fields.frequency = body.frequency;
+  }
+
+  const integers = { dayOfWeek: [0, 6], dayOfMonth: [1, 28], hour: [0, 23] };
+  for (const [key, [min, max]] of Object.entries(integers)) {
+    if (!has(key)) continue;
+    const value = Number(body[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `${key} must be an integer from ${min} to ${max}` };
+    }
+    fields[key] = value;
+  }
+
+  if (has("timezone")) {
+    if (typeof body.timezone !== "string" || !isValidTimezone(body.timezone)) {
+      return { valid: false, error: `Invalid timezone: ${body.timezone}` };
+    }
+    fields.timezone = body.timezone;
+  }
+
+  if (has("recipients") || !partial) {
+    const recipients = Array.isArray(body.recipients)
+      ? [...new Set(body.recipients.map((r) => String(r).trim().toLowerCase()))]
+      : [];
+    if (recipients.length === 0) {
+      return { valid: false, error: "recipients must be a non-empty array of emails" };
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+      return { valid: false, error: `At most ${MAX_RECIPIENTS} recipients are allowed` };
+    }
+    const invalid = recipients.find((r) => !isValidEmail(r));
+    if (invalid) return { valid: false, error: `Invalid recipient email: ${invalid}` };
+    fields.recipients = recipients;
+  }
+
+  if (has("format")) {
+    if (!ReportSchedule.FORMATS.includes(body.format)) {
+      return {
+        valid: false,
+        error: `format must be one of: ${ReportSchedule.FORMATS.join(", ")}`,
+      };
+    }
+    fields.format = body.format;
+  }
+
+  if (has("delivery")) {
+    if (!ReportSchedule.DELIVERIES.includes(body.delivery)) {
+      return {
+        valid: false,
+        error: `delivery must be one of: ${ReportSchedule.DELIVERIES.join(", ")}`,
+      };
+    }
+    fields.delivery = body.delivery;
+  }
+
+  if (has("enabled")) fields.enabled = Boolean(body.enabled);
+
+  return { valid: true, fields };
+}
+
+// Lowercased emails of the organization's owner and members
+async function memberEmails(organizationId) {
+  const organization = await Organization.findById(organizationId).select("owner members.user");
+  if (!organization) return new Set();
+  const users = await User.find({
+    _id: { $in: [organization.owner, ...organization.members.map((m) => m.user)] },
+  }).select("email");
+  return new Set(users.map((u) => u.email.toLowerCase()));
+}
+
+/**
+ * Ask recipients outside the organization to confirm their address. Call after
+ * the recipients are saved; confirmations for removed recipients are dropped
+ * and expired links are sent again.
+ * @param {Object} schedule - ReportSchedule document; saved by this function
+ * @returns {String[]} Recipients waiting for confirmation
+ */
+async function requestRecipientConfirmations(schedule) {
+  const now = new Date();
+  const members = await memberEmails(schedule.organization);
+  const recipients = new Set(schedule.recipients);
+
+  schedule.confirmedRecipients = schedule.confirmedRecipients.filter((email) =>
+    recipients.has(email)
+  );
+  schedule.pendingRecipients = schedule.pendingRecipients.filter(
+    (p) => recipients.has(p.email) && p.expiresAt > now && !members.has(p.email)
+  );
+
+  const waiting = new Set(schedule.pendingRecipients.map((p) => p.email));
+  const toConfirm = schedule.recipients.filter(
+    (email) =>
+      !members.has(email) && !schedule.confirmedRecipients.includes(email) && !waiting.has(email)
+  );
+  const tokens = toConfirm.map((email) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    schedule.pendingRecipients.push({
+      email,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + CONFIRM_TTL_DAYS * DAY_MS),
+    });
+    return { email, token };
+  });
+  await schedule.save();
+
+  if (tokens.length > 0) {
+    const organization = await Organization.findById(schedule.organization).select("name");
+    tokens.forEach(({ email, token }) => {
+      sendReportRecipientConfirmEmail(email, {
+        organizationName: organization ? organization.name : "A TrafficBoxes workspace",
+        reportName: schedule.name,
+        frequency: schedule.frequency,
+        confirmToken: token,
+        expiresInDays: CONFIRM_TTL_DAYS,
+      }).catch(() => {});
+    });
+    logger.info("Report recipient confirmations sent", {
+      scheduleId: schedule._id,
+      count: tokens.length,
+    });
+  }
+
+  return schedule.pendingRecipients.map((p) => p.email);
+}
+
+/**
+ * Confirm a recipient address with the token from its confirmation email
+ * @param {String} token - Raw token from the link
+ * @returns {Object} { schedule, email } or { error, status }
+ */
+async function confirmRecipient(token) {
+  if (typeof token !== "string" || !token) {
+    return { error: "Token is required", status: 400 };
+  }
+
+  // Remove the pending entry atomically so a link works only once
+  const tokenHash = hashToken(token);
+  const schedule = await ReportSchedule.findOneAndUpdate(
+    { pendingRecipients: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } } },
+    { $pull: { pendingRecipients: { tokenHash } } }
+  );
+  if (!schedule) {
+    return { error: "Confirmation link is invalid or has expired", status: 400 };
+  }
+
+  const { email } = schedule.pendingRecipients.find((p) => p.tokenHash === tokenHash);
+  const updated = await ReportSchedule.findOneAndUpdate(
+    { _id: schedule._id, recipients: email },
+    { $addToSet: { confirmedRecipients: email } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: "This address is no longer a recipient of the report", status: 404 };
+  }
+
+  logger.info("Report recipient confirmed", { scheduleId: schedule._id });
+  return { schedule: updated, email };
+}
+
+/**
+ * Recipients a schedule may send to now: organization members and confirmed addresses
+ * @param {Object} schedule - ReportSchedule document
+ * @returns {String[]}
+ */
+async function deliverableRecipients(schedule) {
+  const members = await memberEmails(schedule.organization);
+  const confirmed = new Set(schedule.confirmedRecipients || []);
+  return schedule.recipients.filter((email) => members.has(email) || confirmed.has(email));
+}
+
+/**
+ * Claim a manual "send now" for a schedule, at most once per interval
+ * @param {Object} schedule - ReportSchedule document
+ * @returns {Object} { ok: true } or { ok: false, retryAfter } in seconds
+ */
+async function claimManualSend(schedule, now = new Date()) {
+  const intervalMs = MANUAL_SEND_INTERVAL_MINUTES * 60 * 1000;
+  const claimed = await ReportSchedule.findOneAndUpdate(
+    {
+      _id: schedule._id,
+      $or: [
+        { lastManualSendAt: null },
+        { lastManualSendAt: { $lte: new Date(now.getTime() - intervalMs) } },
+      ],
+    },
+    { $set: { lastManualSendAt: now } }
+  );
+  if (claimed) return { ok: true };
+
+  const current = await ReportSchedule.findById(schedule._id).select("lastManualSendAt");
+  const last = current?.lastManualSendAt?.getTime() || now.getTime();
+  return { ok: false, retryAfter: Math.max(1, Math.ceil((last + intervalMs - now.getTime()) / 1000)) };
+}
+
+// Render the report file and its summary for a period
+async function buildReport(schedule, period) {
+  let stats;
+  let subjectTitle;
+  if (schedule.scope === "campaign") {
+    const campaign = await Campaign.findById(schedule.campaign).select("title is_archived");
+    if (!campaign || campaign.is_archived) {
+      throw new Error("Campaign no longer exists or is archived");
+    }
+    stats = await reportService.getCampaignStatsForReport(campaign._id, period);
+    subjectTitle = `"${stats.campaign.title}"`;
+  } else {
+    stats = await reportService.getAccountStatsForReport(
+      { organization: schedule.organization },
+      period
+    );
+    subjectTitle = `all ${stats.campaign.count} campaigns`;
+  }
+
+  const branding = await reportBranding.resolveBranding(schedule.organization);
+  const basename = `${schedule.name}-${period.from}-${period.to}`;
+  let file;
+  if (schedule.format === "pdf") {
+    file = {
+      body: await reportService.renderReportPDF(stats, branding),
+      contentType: "application/pdf",
+      filename: `${basename.replace(/[^\w.-]+/g, "_")}.pdf`,
+    };
+  } else {
+    file = exportService.render(schedule.format, {
+      filename: basename,
+      sheetName: "Daily",
+      columns: exportService.DAILY_COLUMNS,
+      rows: stats.dailyStats,
+    });
+  }
+
+  return { file, summary: stats.summary, subjectTitle, branding };
+}
+
+/**
+ * Render a schedule's report for its latest period and email it
+ * @param {Object} schedule - ReportSchedule document
+ * @param {Date} runAt - Moment the run is for
+ * @returns {Object} { ok, error, period, recipients } with the addresses it went to
+ */
+async function deliverSchedule(schedule, runAt = new Date()) {
+  const period = reportPeriod(schedule, runAt);
+  let result;
+  let recipients = [];
+  try {
+    recipients = await deliverableRecipients(schedule);
+    if (recipients.length === 0) {
+      throw new Error("No recipient is an organization member or has confirmed their address");
+    }
+
+    const { file, summary, subjectTitle, branding } = await buildReport(schedule, period);
+
+    const useLink =
+      s3Service.isS3Configured() &&
+      (schedule.delivery === "link" || file.body.length > MAX_ATTACHMENT_BYTES);
+    let downloadUrl = null;
+    if (useLink) {
+      const upload = await s3Service.uploadToS3(
+        file.body,
+        file.filename,
+        file.contentType,
+        "scheduled-reports"
+      );
+      downloadUrl = await s3Service.getSignedUrl(
+        upload.key,
+        LINK_EXPIRES_IN_DAYS * 24 * 60 * 60
+      );
+    }
+
+    const sent = await sendScheduledReportEmail(
+      recipients,
+      {
+        name: schedule.name,
+        subjectTitle,
+        frequency: schedule.frequency,
+        from: period.from,
+        to: period.to,
+        summary,
+        format: schedule.format,
+        downloadUrl,
+        linkExpiresInDays: downloadUrl ? LINK_EXPIRES_IN_DAYS : null,
+        branding,
+      },
+      downloadUrl ? null : { filename: file.filename, content: file.body }
+    );
+    result = sent.ok
+      ? { ok: true }
+      : { ok: false, error: typeof sent.error === "string" ? sent.error : sent.error?.message || "Email send failed" };
+  } catch (err) {
+    result = { ok: false, error: err.message };
+  }
+
+  await ReportSchedule.updateOne(
+    { _id: schedule._id },
+    {
+      $set: {
+        lastRunAt: new Date(),
+        lastStatus: result.ok ? "sent" : "failed",
+        lastError: result.ok ? null : result.error,
+      },
+      ...(result.ok ? { $inc: { sendCount: 1 } } : {}),
+    }
+  );
+
+  if (result.ok) {
+    logger.info("Scheduled report sent", {
+      scheduleId: schedule._id,
+      recipients: recipients.length,
+      unconfirmed: schedule.recipients.length - recipients.length,
+      period,
+    });
+  } else {
+    logger.error("Scheduled report failed", {
+      scheduleId: schedule._id,
+      period,
+      error: result.error,
+    });
+  }
+  return { ...result, period, recipients };
+}
+
+/**
+ * Send every report that is due. Each schedule is claimed by moving nextRunAt
+ * forward first, so overlapping runs never send the same report twice.
+ * @returns {Object} { due, sent, failed }
+ */
+async function runDueSchedules(now = new Date()) {
+  const due = await ReportSchedule.find({ enabled: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(MAX_RUNS_PER_TICK);
+
+  let sent = 0;
+  let failed = 0;
+  for (const schedule of due) {
+    const claimed = await ReportSchedule.findOneAndUpdate(
+      { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: computeNextRun(schedule, now) } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const result = await deliverSchedule(claimed, schedule.nextRunAt);
+    if (result.ok) sent++;
+    else failed++;
+  }
+
+  if (due.length > 0) {
+    logger.info("Scheduled reports run completed", { due: due.length, sent, failed });
+  }
+  return { due: due.length, sent, failed };
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  computeNextRun,
+  reportPeriod,
+  parseScheduleInput,
+  requestRecipientConfirmations,
+  confirmRecipient,
+  deliverableRecipients,
+  claimManualSend,
+  deliverSchedule,
+  runDueSchedules,
+};
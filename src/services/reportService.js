@@ -1,7 +1,7 @@
 const Campaign = require("../models/Campaign");
 const CampaignDailyStat = require("../models/CampaignDailyStat");
 const puppeteer = require("puppeteer");
-const axios = require("axios");
+const dailyStatsService = require("./dailyStats");
 
 /**
  * Fetches and processes campaign statistics for report generation
@@ -18,112 +18,22 @@ async function getCampaignStatsForReport(campaignId, { from, to }) {
     ? new Date(from + "T00:00:00.000Z")
     : new Date(toDate.getTime() - 29 * 24 * 60 * 60 * 1000);
 
-  // Get SparkTraffic stats if available
-  let sparkTrafficStats = null;
-  if (campaign.spark_traffic_project_id) {
-    try {
-      const API_KEY = process.env.SPARKTRAFFIC_API_KEY?.trim();
-      if (API_KEY) {
-        const statsResp = await axios.post(
-          "https://v2.sparktraffic.com/get-website-traffic-project-stats",
-          null,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              API_KEY,
-            },
-            params: {
-              unique_id: campaign.spark_traffic_project_id,
-              from: from || fromDate.toISOString().split("T")[0],
-              to: to || toDate.toISOString().split("T")[0],
-            },
-          }
-        );
-        sparkTrafficStats = statsResp.data;
-      }
-    } catch (error) {
-      console.warn("Failed to fetch SparkTraffic stats:", error.message);
-    }
-  }
+  const range = {
+    from: from || fromDate.toISOString().split("T")[0],
+    to: to || toDate.toISOString().split("T")[0],
+  };
 
-  // Process daily statistics
-  const dailyStats = [];
-  let totalHits = 0;
-  let totalVisits = 0;
-  const countryTotals = new Map();
-
-  if (sparkTrafficStats) {
-    // Process hits data
-    if (Array.isArray(sparkTrafficStats.hits)) {
-      sparkTrafficStats.hits.forEach((dayData) => {
-        Object.entries(dayData).forEach(([date, hits]) => {
-          const hitCount = parseInt(hits) || 0;
-          totalHits += hitCount;
-
-          const existingDay = dailyStats.find((d) => d.date === date);
-          if (existingDay) {
-            existingDay.hits += hitCount;
-          } else {
-            dailyStats.push({
-              date,
-              hits: hitCount,
-              visits: 0,
-            });
-          }
-        });
-      });
-    }
-
-    // Process visits data
-    if (Array.isArray(sparkTrafficStats.visits)) {
-      sparkTrafficStats.visits.forEach((dayData) => {
-        Object.entries(dayData).forEach(([date, visits]) => {
-          const visitCount = parseInt(visits) || 0;
-          totalVisits += visitCount;
-
-          const existingDay = dailyStats.find((d) => d.date === date);
-          if (existingDay) {
-            existingDay.visits += visitCount;
-          } else {
-            dailyStats.push({
-              date,
-              hits: 0,
-              visits: visitCount,
-            });
-          }
-        });
-      });
-    }
-  }
+  // Daily stats from the rollup store (oldest first)
+  const dailyStats = await dailyStatsService.getDailySeries([campaign._id], range);
+  const totalHits = dailyStats.reduce((sum, d) => sum + d.hits, 0);
+  const totalVisits = dailyStats.reduce((sum, d) => sum + d.visits, 0);
 
-  // Sort daily stats by date
-  dailyStats.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  // Get country breakdown from campaign configuration
-  let countryBreakdown = [];
-  if (Array.isArray(campaign.countries) && campaign.countries.length > 0) {
-    if (
-      typeof campaign.countries[0] === "object" &&
-      campaign.countries[0].country
-    ) {
-      // New format: array of {country, percent}
-      countryBreakdown = campaign.countries.map((c) => ({
-        country: c.country,
-        percent: c.percent || 0,
-        hits: Math.round(totalHits * (c.percent || 0)),
-        visits: Math.round(totalVisits * (c.percent || 0)),
-      }));
-    } else if (typeof campaign.countries[0] === "string") {
-      // Old format: array of country codes - distribute equally
-      const equalPercent = 1 / campaign.countries.length;
-      countryBreakdown = campaign.countries.map((country) => ({
-        country,
-        percent: equalPercent,
-        hits: Math.round(totalHits * equalPercent),
-        visits: Math.round(totalVisits * equalPercent),
-      }));
-    }
-  }
+  // Vendor country figures, or estimates from the campaign's geo targeting
+  const breakdown = await dailyStatsService.getCountryBreakdown([campaign], range);
+  const countryBreakdown = breakdown.countries.map((c) => ({
+    ...c,
+    percent: totalHits > 0 ? c.hits / totalHits : 0,
+  }));
 
   return {
     campaign: {
@@ -133,10 +43,7 @@ async function getCampaignStatsForReport(campaignId, { from, to }) {
       createdAt: campaign.createdAt,
       state: campaign.state,
     },
-    dateRange: {
-      from: from || fromDate.toISOString().split("T")[0],
-      to: to || toDate.toISOString().split("T")[0],
-    },
+    dateRange: range,
     summary: {
       totalHits,
       totalVisits,
@@ -150,36 +57,158 @@ async function getCampaignStatsForReport(campaignId, { from, to }) {
     },
     dailyStats,
     countryBreakdown,
+    countryBreakdownEstimated: breakdown.estimated,
   };
 }
 
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatNumber = (value) => escapeHtml(Number(value || 0).toLocaleString());
+
+// Charts are drawn here as inline SVG because the PDF page runs no JavaScript
+
+function lineChartSvg(labels, series, { width = 560, height = 280 } = {}) {
+  const pad = { top: 36, right: 16, bottom: 34, left: 56 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const max = Math.max(1, ...series.flatMap((s) => s.values));
+  const x = (i) => pad.left + (labels.length > 1 ? (i / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => pad.top + plotHeight - (value / max) * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1]
+    .map((f) => {
+      const gy = (pad.top + plotHeight - f * plotHeight).toFixed(1);
+      return `<line x1="${pad.left}" y1="${gy}" x2="${width - pad.right}" y2="${gy}" stroke="rgba(71,85,105,0.3)"/>
+        <text x="${pad.left - 8}" y="${gy}" dy="4" text-anchor="end" font-size="10" fill="#94a3b8">${formatNumber(Math.round(max * f))}</text>`;
+    })
+    .join("");
+
+  const labelEvery = Math.max(1, Math.ceil(labels.length / 6));
+  const xLabels = labels
+    .map((label, i) =>
+      i % labelEvery === 0
+        ? `<text x="${x(i).toFixed(1)}" y="${height - 12}" text-anchor="middle" font-size="10" fill="#94a3b8">${escapeHtml(label)}</text>`
+        : ""
+    )
+    .join("");
+
+  const lines = series
+    .map(({ values, color }) => {
+      if (values.length === 0) return "";
+      const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+      const base = (pad.top + plotHeight).toFixed(1);
+      return `<polygon points="${x(0).toFixed(1)},${base} ${points.join(" ")} ${x(values.length - 1).toFixed(1)},${base}" fill="${color}1a"/>
+        <polyline points="${points.join(" ")}" fill="none" stroke="${color}" stroke-width="2.5" stroke-linejoin="round"/>
+        ${values.map((v, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3" fill="${color}" stroke="#0f172a" stroke-width="1.5"/>`).join("")}`;
+    })
+    .join("");
+
+  const legend = series
+    .map(
+      ({ label, color }, i) =>
+        `<circle cx="${pad.left + i * 90 + 6}" cy="14" r="5" fill="${color}"/>
+        <text x="${pad.left + i * 90 + 16}" y="18" font-size="12" font-weight="600" fill="#e2e8f0">${escapeHtml(label)}</text>`
+    )
+    .join("");
+
+  return `<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">${grid}${xLabels}${lines}${legend}</svg>`;
+}
+
+function donutChartSvg(items, colors, { size = 200 } = {}) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const cx = size / 2;
+  const cy = size / 2;
+  const outer = size / 2 - 4;
+  const inner = Math.round(outer * 0.6);
+  const legendHeight = items.length * 18;
+
+  if (total <= 0) {
+    return `<svg viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
+      <text x="${cx}" y="${cy}" text-anchor="middle" font-size="12" fill="#94a3b8">No country data</text></svg>`;
+  }
+
+  let angle = -Math.PI / 2;
+  const point = (r, a) => `${(cx + r * Math.cos(a)).toFixed(2)},${(cy + r * Math.sin(a)).toFixed(2)}`;
+  const slices = items
+    .map((item, i) => {
+      const color = colors[i % colors.length];
+      const sweep = (item.value / total) * 2 * Math.PI;
+      if (sweep >= 2 * Math.PI - 1e-6) {
+        return `<circle cx="${cx}" cy="${cy}" r="${(outer + inner) / 2}" fill="none" stroke="${color}" stroke-width="${outer - inner}"/>`;
+      }
+      const start = angle;
+      angle += sweep;
+      const large = sweep > Math.PI ? 1 : 0;
+      return `<path d="M${point(outer, start)} A${outer},${outer} 0 ${large} 1 ${point(outer, angle)} L${point(inner, angle)} A${inner},${inner} 0 ${large} 0 ${point(inner, start)} Z" fill="${color}" stroke="#0f172a" stroke-width="2"/>`;
+    })
+    .join("");
+
+  const legend = items
+    .map(
+      (item, i) =>
+        `<circle cx="10" cy="${size + 16 + i * 18}" r="5" fill="${colors[i % colors.length]}"/>
+        <text x="22" y="${size + 20 + i * 18}" font-size="11" font-weight="600" fill="#e2e8f0">${escapeHtml(item.label)}: ${escapeHtml(item.value)}%</text>`
+    )
+    .join("");
+
+  return `<svg viewBox="0 0 ${size} ${size + legendHeight + 12}" xmlns="http://www.w3.org/2000/svg">${slices}${legend}</svg>`;
+}
+
 /**
- * Generates HTML template for the PDF report
+ * Generates HTML template for the PDF report. `branding` comes from
+ * reportBranding.resolveBranding(); without it the report is TrafficBox-branded.
  */
-function generateHTMLTemplate(data) {
+function generateHTMLTemplate(data, branding = {}) {
   const { campaign, dateRange, summary, dailyStats, countryBreakdown } = data;
+  const est = data.countryBreakdownEstimated ? "Est. " : "";
+  const isAccount = data.scope === "account";
+  const companyName = branding.companyName ? escapeHtml(branding.companyName) : "";
+  const brandLabel =
+    companyName || (branding.logoUrl || branding.hideTrafficBox ? "" : "TrafficBox");
+  const generatedBy = companyName
+    ? ` and generated by ${companyName}`
+    : branding.hideTrafficBox
+    ? ""
+    : " and generated by TrafficBox Analytics Platform";
+  const isColor = (value) => typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+  const primaryColor = isColor(branding.primaryColor) ? branding.primaryColor : "#06b6d4";
+  const accentColor = isColor(branding.accentColor) ? branding.accentColor : "#8b5cf6";
+  const poweredBy = branding.hideTrafficBox ? "" : " • ⚡ Powered by SparkTraffic";
 
-  // Prepare chart data
-  const chartDates = dailyStats.map((d) => d.date);
-  const chartHits = dailyStats.map((d) => d.hits);
-  const chartVisits = dailyStats.map((d) => d.visits);
-
-  const countryLabels = countryBreakdown.map((c) => c.country);
-  const countryPercentages = countryBreakdown.map((c) =>
-    (c.percent * 100).toFixed(1)
-  );
+  // Values from campaigns and vendors are escaped wherever they are interpolated
+  const title = escapeHtml(campaign.title || "Untitled");
   const countryColors = [
-    "#6366f1",
+    "#06b6d4",
     "#8b5cf6",
     "#ec4899",
     "#f59e0b",
     "#10b981",
-    "#0ea5e9",
+    "#3b82f6",
     "#ef4444",
     "#14b8a6",
     "#f43f5e",
     "#22c55e",
   ];
+  const lineChart = lineChartSvg(
+    dailyStats.map((d) => d.date),
+    [
+      { label: "Hits", values: dailyStats.map((d) => Number(d.hits) || 0), color: primaryColor },
+      { label: "Visits", values: dailyStats.map((d) => Number(d.visits) || 0), color: accentColor },
+    ]
+  );
+  const pieChart = donutChartSvg(
+    countryBreakdown.map((c) => ({
+      label: c.country,
+      value: Number(((Number(c.percent) || 0) * 100).toFixed(1)),
+    })),
+    countryColors
+  );
 
   return `
 <!DOCTYPE html>
@@ -187,10 +216,7 @@ function generateHTMLTemplate(data) {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Campaign Report - ${campaign.title}</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <title>${companyName ? `${companyName} ` : ""}${isAccount ? "Account" : "Campaign"} Report - ${title}</title>
     <style>
         * {
             margin: 0;
@@ -199,7 +225,7 @@ function generateHTMLTemplate(data) {
         }
         
         body {
-            font-family: 'Inter', sans-serif;
+            font-family: 'Inter', -apple-system, 'Segoe UI', Roboto, sans-serif;
             color: #e2e8f0;
             background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
             line-height: 1.6;
@@ -382,6 +408,18 @@ function generateHTMLTemplate(data) {
             background: linear-gradient(90deg, #06b6d4, #8b5cf6);
         }
         
+        .chart-container svg {
+            display: block;
+            width: 100%;
+            height: auto;
+        }
+        
+        .section-note {
+            font-size: 12px;
+            color: #94a3b8;
+            margin: -8px 0 14px;
+        }
+        
         .chart-title {
             font-size: 16px;
             font-weight: 700;
@@ -562,40 +600,66 @@ function generateHTMLTemplate(data) {
                 color-adjust: exact !important;
             }
         }
+
+        .header {
+            background: linear-gradient(135deg, ${accentColor} 0%, ${primaryColor} 100%);
+        }
+
+        .brand {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 16px;
+            position: relative;
+            z-index: 1;
+            font-size: 14px;
+            font-weight: 600;
+            letter-spacing: 0.5px;
+            text-transform: uppercase;
+        }
+
+        .brand img {
+            max-height: 48px;
+            max-width: 200px;
+        }
     </style>
 </head>
 <body>
     <div class="container">
         <!-- Page 1: Header and KPIs -->
         <div class="header no-break">
-            <h1>📊 Campaign Performance Report</h1>
-            <div class="subtitle">${campaign.title}</div>
+            <div class="brand">
+                ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${companyName}">` : ""}
+                ${brandLabel ? `<span>${brandLabel}</span>` : ""}
+            </div>
+            <h1>📊 ${isAccount ? "Account" : "Campaign"} Performance Report</h1>
+            <div class="subtitle">${title}</div>
             <div class="meta">
-                📅 Period: ${dateRange.from} to ${dateRange.to} • 
+                📅 Period: ${escapeHtml(dateRange.from)} to ${escapeHtml(dateRange.to)} • 
                 🗓️ Generated: ${new Date().toLocaleDateString()} • 
-                🆔 Campaign ID: ${campaign.id}
+                ${isAccount ? `📦 Campaigns: ${formatNumber(campaign.count)}` : `🆔 Campaign ID: ${escapeHtml(campaign.id)}`}
             </div>
         </div>
         
         <div class="kpi-grid no-break">
             <div class="kpi-card">
-                <div class="kpi-value">${summary.totalHits.toLocaleString()}</div>
+                <div class="kpi-value">${formatNumber(summary.totalHits)}</div>
                 <div class="kpi-label">Total Hits</div>
             </div>
             <div class="kpi-card">
-                <div class="kpi-value">${summary.totalVisits.toLocaleString()}</div>
+                <div class="kpi-value">${formatNumber(summary.totalVisits)}</div>
                 <div class="kpi-label">Total Visits</div>
             </div>
             <div class="kpi-card">
-                <div class="kpi-value">${summary.avgDailyHits.toLocaleString()}</div>
+                <div class="kpi-value">${formatNumber(summary.avgDailyHits)}</div>
                 <div class="kpi-label">Avg Daily Hits</div>
             </div>
             <div class="kpi-card">
-                <div class="kpi-value">${summary.activeDays}</div>
+                <div class="kpi-value">${formatNumber(summary.activeDays)}</div>
                 <div class="kpi-label">Active Days</div>
             </div>
             <div class="kpi-card">
-                <div class="kpi-value">${summary.topCountry}</div>
+                <div class="kpi-value">${escapeHtml(summary.topCountry)}</div>
                 <div class="kpi-label">Top Country</div>
             </div>
         </div>
@@ -604,11 +668,11 @@ function generateHTMLTemplate(data) {
         <div class="charts-grid no-break">
             <div class="chart-container">
                 <div class="chart-title">📈 Daily Performance Trend</div>
-                <canvas id="lineChart" height="280"></canvas>
+                ${lineChart}
             </div>
             <div class="chart-container">
-                <div class="chart-title">🌍 Traffic by Country</div>
-                <canvas id="pieChart" height="280"></canvas>
+                <div class="chart-title">🌍 Traffic by Country${est ? " (estimated)" : ""}</div>
+                ${pieChart}
             </div>
         </div>
         
@@ -633,9 +697,9 @@ function generateHTMLTemplate(data) {
                             : "0.0";
                         return `
                         <tr>
-                            <td>${day.date}</td>
-                            <td class="text-right">${day.hits.toLocaleString()}</td>
-                            <td class="text-right">${day.visits.toLocaleString()}</td>
+                            <td>${escapeHtml(day.date)}</td>
+                            <td class="text-right">${formatNumber(day.hits)}</td>
+                            <td class="text-right">${formatNumber(day.visits)}</td>
                             <td class="text-right">${hitRate}%</td>
                         </tr>
                         `;
@@ -648,13 +712,18 @@ function generateHTMLTemplate(data) {
         <!-- Country Distribution Table -->
         <div class="table-section">
             <div class="section-title">🌎 Geographic Distribution</div>
+            ${
+              est
+                ? `<p class="section-note">Estimated from each campaign's geo targeting: traffic vendors do not report visits by country.</p>`
+                : ""
+            }
             <table>
                 <thead>
                     <tr>
                         <th>🏳️ Country</th>
                         <th class="text-right">📊 Percentage</th>
-                        <th class="text-right">🎯 Est. Hits</th>
-                        <th class="text-right">👥 Est. Visits</th>
+                        <th class="text-right">🎯 ${est}Hits</th>
+                        <th class="text-right">👥 ${est}Visits</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -662,12 +731,12 @@ function generateHTMLTemplate(data) {
                       .map(
                         (country) => `
                     <tr>
-                        <td>${country.country}</td>
+                        <td>${escapeHtml(country.country)}</td>
                         <td class="text-right">${(
-                          country.percent * 100
+                          (Number(country.percent) || 0) * 100
                         ).toFixed(1)}%</td>
-                        <td class="text-right">${country.hits.toLocaleString()}</td>
-                        <td class="text-right">${country.visits.toLocaleString()}</td>
+                        <td class="text-right">${formatNumber(country.hits)}</td>
+                        <td class="text-right">${formatNumber(country.visits)}</td>
                     </tr>
                     `
                       )
@@ -677,222 +746,124 @@ function generateHTMLTemplate(data) {
         </div>
         
         <div class="footer">
-            <p>🔒 This report is confidential and generated by TrafficBox Analytics Platform</p>
-            <p>🌐 Campaign URL: ${campaign.url} • 📊 Status: ${
-    campaign.state || "Unknown"
-  } • ⚡ Powered by SparkTraffic</p>
+            <p>🔒 This report is confidential${generatedBy}</p>
+            ${
+              isAccount
+                ? poweredBy
+                  ? `<p>${poweredBy.slice(3)}</p>`
+                  : ""
+                : `<p>🌐 Campaign URL: ${escapeHtml(campaign.url || "")} • 📊 Status: ${escapeHtml(
+                    campaign.state || "Unknown"
+                  )}${poweredBy}</p>`
+            }
+            ${branding.footerText ? `<p>${escapeHtml(branding.footerText)}</p>` : ""}
         </div>
     </div>
     
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-    <script>
-        // Line Chart for Daily Performance
-        const lineCtx = document.getElementById('lineChart').getContext('2d');
-        new Chart(lineCtx, {
-            type: 'line',
-            data: {
-                labels: ${JSON.stringify(chartDates)},
-                datasets: [
-                    {
-                        label: 'Hits',
-                        data: ${JSON.stringify(chartHits)},
-                        borderColor: '#06b6d4',
-                        backgroundColor: 'rgba(6, 182, 212, 0.1)',
-                        borderWidth: 3,
-                        fill: true,
-                        tension: 0.4,
-                        pointBackgroundColor: '#06b6d4',
-                        pointBorderColor: '#0f172a',
-                        pointBorderWidth: 3,
-                        pointRadius: 6,
-                        pointHoverRadius: 8,
-                        pointHoverBackgroundColor: '#67e8f9',
-                        pointHoverBorderColor: '#0f172a',
-                        pointHoverBorderWidth: 3
-                    },
-                    {
-                        label: 'Visits',
-                        data: ${JSON.stringify(chartVisits)},
-                        borderColor: '#8b5cf6',
-                        backgroundColor: 'rgba(139, 92, 246, 0.1)',
-                        borderWidth: 3,
-                        fill: true,
-                        tension: 0.4,
-                        pointBackgroundColor: '#8b5cf6',
-                        pointBorderColor: '#0f172a',
-                        pointBorderWidth: 3,
-                        pointRadius: 6,
-                        pointHoverRadius: 8,
-                        pointHoverBackgroundColor: '#c4b5fd',
-                        pointHoverBorderColor: '#0f172a',
-                        pointHoverBorderWidth: 3
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'top',
-                        labels: {
-                            usePointStyle: true,
-                            font: {
-                                size: 13,
-                                weight: '600',
-                                family: 'Inter'
-                            },
-                            color: '#e2e8f0',
-                            padding: 20
-                        }
-                    },
-                    tooltip: {
-                        backgroundColor: 'rgba(15, 23, 42, 0.9)',
-                        titleColor: '#f1f5f9',
-                        bodyColor: '#cbd5e1',
-                        borderColor: '#06b6d4',
-                        borderWidth: 1,
-                        cornerRadius: 8,
-                        titleFont: {
-                            size: 13,
-                            weight: '600'
-                        },
-                        bodyFont: {
-                            size: 12,
-                            weight: '500'
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        grid: {
-                            color: 'rgba(71, 85, 105, 0.3)',
-                            drawBorder: false
-                        },
-                        ticks: {
-                            font: {
-                                size: 11,
-                                weight: '500'
-                            },
-                            color: '#94a3b8'
-                        }
-                    },
-                    y: {
-                        grid: {
-                            color: 'rgba(71, 85, 105, 0.3)',
-                            drawBorder: false
-                        },
-                        ticks: {
-                            font: {
-                                size: 11,
-                                weight: '500'
-                            },
-                            color: '#94a3b8'
-                        }
-                    }
-                }
-            }
-        });
-        
-        // Pie Chart for Country Distribution
-        const pieCtx = document.getElementById('pieChart').getContext('2d');
-        new Chart(pieCtx, {
-            type: 'doughnut',
-            data: {
-                labels: ${JSON.stringify(countryLabels)},
-                datasets: [{
-                    data: ${JSON.stringify(countryPercentages)},
-                    backgroundColor: [
-                        '#06b6d4', '#8b5cf6', '#ec4899', '#f59e0b', 
-                        '#10b981', '#3b82f6', '#ef4444', '#14b8a6', 
-                        '#f43f5e', '#22c55e'
-                    ],
-                    borderWidth: 3,
-                    borderColor: '#0f172a',
-                    hoverBorderWidth: 4,
-                    hoverBorderColor: '#1e293b',
-                    hoverOffset: 8
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                cutout: '60%',
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            usePointStyle: true,
-                            padding: 20,
-                            font: {
-                                size: 12,
-                                weight: '600',
-                                family: 'Inter'
-                            },
-                            color: '#e2e8f0'
-                        }
-                    },
-                    tooltip: {
-                        backgroundColor: 'rgba(15, 23, 42, 0.9)',
-                        titleColor: '#f1f5f9',
-                        bodyColor: '#cbd5e1',
-                        borderColor: '#06b6d4',
-                        borderWidth: 1,
-                        cornerRadius: 8,
-                        titleFont: {
-                            size: 13,
-                            weight: '600'
-                        },
-                        bodyFont: {
-                            size: 12,
-                            weight: '500'
-                        },
-                        callbacks: {
-                            label: function(context) {
-                                return context.label + ': ' + context.parsed + '%';
-                            }
-                        }
-                    }
-                }
-            }
-        });
-    </script>
 </body>
 </html>
   `;
 }
 
 /**
- * Generates a PDF report for a campaign
+ * Combines the report statistics of every campaign matching a filter into one
+ * account report (daily series and country figures summed across campaigns)
  */
-async function generateCampaignReportPDF(campaignId, options = {}) {
-  try {
-    // Get campaign statistics
-    const statsData = await getCampaignStatsForReport(campaignId, options);
+async function getAccountStatsForReport(filter, { from, to, title } = {}) {
+  const campaigns = await Campaign.find({
+    ...filter,
+    is_archived: { $ne: true },
+    $or: [
+      { spark_traffic_project_id: { $exists: true, $ne: null } },
+      { nine_hits_campaign_id: { $exists: true, $ne: null } },
+    ],
+  })
+    .select("_id countries")
+    .lean();
 
-    // Generate HTML
-    const html = generateHTMLTemplate(statsData);
-
-    // Launch Puppeteer
-    const browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-      ],
-    });
+  const toDate = to || new Date().toISOString().split("T")[0];
+  const dateRange = {
+    from:
+      from ||
+      new Date(new Date(toDate).getTime() - 29 * 24 * 60 * 60 * 1000)
+        .toISOString()
+        .split("T")[0],
+    to: toDate,
+  };
+
+  const campaignIds = campaigns.map((c) => c._id);
+  const dailyStats = await dailyStatsService.getDailySeries(campaignIds, dateRange);
+  const totalHits = dailyStats.reduce((sum, d) => sum + d.hits, 0);
+  const totalVisits = dailyStats.reduce((sum, d) => sum + d.visits, 0);
+  const breakdown = await dailyStatsService.getCountryBreakdown(campaigns, dateRange);
+  const countryBreakdown = breakdown.countries.map((c) => ({
+    ...c,
+    percent: totalHits > 0 ? c.hits / totalHits : 0,
+  }));
+
+  return {
+    scope: "account",
+    campaign: {
+      id: null,
+      title: title || "All campaigns",
+      url: null,
+      state: null,
+      count: campaigns.length,
+    },
+    dateRange,
+    summary: {
+      totalHits,
+      totalVisits,
+      avgDailyHits: dailyStats.length > 0 ? Math.round(totalHits / dailyStats.length) : 0,
+      activeDays: dailyStats.filter((d) => d.hits > 0 || d.visits > 0).length,
+      topCountry: countryBreakdown.length > 0 ? countryBreakdown[0].country : "N/A",
+    },
+    dailyStats,
+    countryBreakdown,
+    countryBreakdownEstimated: breakdown.estimated,
+  };
+}
 
+/**
+ * Renders report statistics (campaign or account) to a PDF buffer with optional branding
+ */
+async function renderReportPDF(statsData, branding = {}) {
+  const html = generateHTMLTemplate(statsData, branding);
+
+  // Launch Puppeteer
+  const browser = await puppeteer.launch({
+    headless: "new",
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+    ],
+  });
+
+  try {
     const page = await browser.newPage();
 
-    // Set content and wait for charts to render
+    // The report is static HTML: run no scripts and load nothing but the
+    // organization's signed logo URL
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      const url = request.url();
+      const allowed =
+        url === "about:blank" ||
+        url.startsWith("data:") ||
+        (branding.logoUrl && url === branding.logoUrl && request.resourceType() === "image");
+      if (allowed) request.continue();
+      else request.abort("blockedbyclient");
+    });
+
     await page.setContent(html, {
       waitUntil: "networkidle0",
       timeout: 30000,
     });
 
     // Generate PDF
-    const pdfBuffer = await page.pdf({
+    return await page.pdf({
       format: "A4",
       printBackground: true,
       margin: {
@@ -902,10 +873,19 @@ async function generateCampaignReportPDF(campaignId, options = {}) {
         right: "20px",
       },
     });
-
+  } finally {
     await browser.close();
+  }
+}
 
-    return pdfBuffer;
+/**
+ * Generates a PDF report for a campaign. options: { from, to, branding }
+ */
+async function generateCampaignReportPDF(campaignId, options = {}) {
+  try {
+    // Get campaign statistics
+    const statsData = await getCampaignStatsForReport(campaignId, options);
+    return await renderReportPDF(statsData, options.branding);
   } catch (error) {
     console.error("Error generating PDF report:", error);
     throw error;
@@ -915,4 +895,6 @@ async function generateCampaignReportPDF(campaignId, options = {}) {
 module.exports = {
   generateCampaignReportPDF,
   getCampaignStatsForReport,
+  getAccountStatsForReport,
+  renderReportPDF,
 };
@@ -8,6 +8,7 @@ const {
   getSignedUrl,
   getJSONFromS3,
 } = require("./s3Service");
+const webhookService = require("./webhookService");
 const logger = require("../utils/logger");
 
 /**
@@ -21,13 +22,15 @@ const logger = require("../utils/logger");
  * @param {String} url - Analyzed URL
  * @param {String} userId - User ID who requested analysis
  * @param {Boolean} includeBacklinks - Whether backlinks were included
+ * @param {String} organizationId - Organization the analysis belongs to (defaults to the user's own)
  * @returns {Promise<Object>} - Optimized SEO analysis response
  */
 async function processAndStoreSEOAnalysis(
   aiResponse,
   url,
   userId,
-  includeBacklinks = false
+  includeBacklinks = false,
+  organizationId = undefined
 ) {
   const startTime = Date.now();
   const analysisId = uuidv4();
@@ -85,6 +88,7 @@ async function processAndStoreSEOAnalysis(
     // Store in database
     const seoAnalysis = new SEOAnalysis({
       user: userId,
+      organization: organizationId,
       analysisId,
       url,
       scores: scoresData.scores,
@@ -130,6 +134,17 @@ async function processAndStoreSEOAnalysis(
       ).toFixed(2),
     });
 
+    webhookService.emit(userId, "seo.analysis_finished", {
+      analysis: {
+        id: analysisId,
+        url,
+        status: "completed",
+        totalScore: scoresData.totalScore,
+        grade: scoresData.grade,
+        processingTime,
+      },
+    });
+
     // Return optimized response with signed URLs
     return {
       analysisId,
@@ -160,6 +175,7 @@ async function processAndStoreSEOAnalysis(
     try {
       await SEOAnalysis.create({
         user: userId,
+        organization: organizationId,
         analysisId,
         url,
         includeBacklinks,
@@ -174,6 +190,15 @@ async function processAndStoreSEOAnalysis(
       });
     }
 
+    webhookService.emit(userId, "seo.analysis_finished", {
+      analysis: {
+        id: analysisId,
+        url,
+        status: "failed",
+        error: error?.message || String(error),
+      },
+    });
+
     throw error;
   }
 }
@@ -527,16 +552,16 @@ function extractBacklinkCount(response) {
 /**
  * Get SEO analysis by ID (supports both MongoDB _id and analysisId UUID)
  * @param {String} analysisId - Can be MongoDB _id or analysisId (UUID)
- * @param {String} userId
+ * @param {String} organizationId - Organization the analysis must belong to
  * @returns {Promise<Object>}
  */
-async function getSEOAnalysisById(analysisId, userId) {
+async function getSEOAnalysisById(analysisId, organizationId) {
   // Try to find by analysisId (UUID) first, then by MongoDB _id
-  let analysis = await SEOAnalysis.findOne({ analysisId, user: userId });
+  let analysis = await SEOAnalysis.findOne({ analysisId, organization: organizationId });
   
   if (!analysis) {
     // Try MongoDB _id as fallback
-    analysis = await SEOAnalysis.findOne({ _id: analysisId, user: userId });
+    analysis = await SEOAnalysis.findOne({ _id: analysisId, organization: organizationId });
   }
 
   if (!analysis) {
@@ -578,16 +603,16 @@ async function getSEOAnalysisById(analysisId, userId) {
 }
 
 /**
- * Get user's SEO analysis history
- * @param {String} userId
+ * Get an organization's SEO analysis history
+ * @param {String} organizationId
  * @param {Object} options - Pagination options
  * @returns {Promise<Object>}
  */
-async function getUserSEOAnalyses(userId, options = {}) {
+async function getOrganizationSEOAnalyses(organizationId, options = {}) {
   const { page = 1, limit = 20, url = null } = options;
   const skip = (page - 1) * limit;
 
-  const query = { user: userId };
+  const query = { organization: organizationId };
   if (url) {
     query.url = new RegExp(url, "i"); // Case-insensitive search
   }
@@ -615,5 +640,5 @@ async function getUserSEOAnalyses(userId, options = {}) {
 module.exports = {
   processAndStoreSEOAnalysis,
   getSEOAnalysisById,
-  getUserSEOAnalyses,
+  getOrganizationSEOAnalyses,
 };
@@ -0,0 +1,272 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+
+/**
+ * Login sessions
+ *
+ * A login creates a Session and returns a short-lived access token (JWT with
+ * the session ID as `sid`) plus a refresh token "<sessionId>.<secret>". Each
+ * refresh rotates the refresh token. Access tokens are checked against their
+ * session on every request, so revoking a session logs that device out at once.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+const IMPERSONATION_MAX_MINUTES = 60;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+function clientInfo(req) {
+  return {
+    ip: req?.ip || null,
+    userAgent: req?.headers?.["user-agent"]?.slice(0, 500) || null,
+  };
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: session._id, mfa: !!session.twoFactorVerified },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function tokenResponse(user, session, refreshSecret) {
+  const accessToken = signAccessToken(user, session);
+  return {
+    token: accessToken,
+    refreshToken: `${session._id}.${refreshSecret}`,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId: session._id,
+  };
+}
+
+/**
+ * Start a session for a user who just authenticated
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {Object} options - { twoFactorVerified }
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+  const refreshSecret = newRefreshSecret();
+  const { ip, userAgent } = clientInfo(req);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshSecret),
+    ip,
+    userAgent,
+    lastUsedIp: ip,
+    twoFactorVerified,
+    expiresAt: refreshExpiry(),
+  });
+
+  logger.info("Session created", {
+    userId: user._id,
+    sessionId: session._id,
+    ip,
+  });
+
+  return tokenResponse(user, session, refreshSecret);
+}
+
+/**
+ * Open a read-only session in which an admin sees the app as a user. Only an
+ * access token is issued; it carries the admin's ID as `imp` and expires
+ * together with the session.
+ * @param {Object} admin - Admin user document
+ * @param {Object} user - User document to view as
+ * @param {Object} req - Express request
+ * @param {Object} options - { minutes, reason }
+ * @returns {Object} { token, expiresIn, expiresAt, sessionId }
+ */
+async function createImpersonationSession(admin, user, req, { minutes = 30, reason } = {}) {
+  const ttlMinutes = Math.min(Math.max(minutes, 1), IMPERSONATION_MAX_MINUTES);
+  const { ip, userAgent } = clientInfo(req);
+  const session = await Session.create({
+    user: user._id,
+    // Never handed out, so the session cannot be refreshed
+    refreshTokenHash: hashToken(newRefreshSecret()),
+    ip,
+    userAgent,
+    lastUsedIp: ip,
+    impersonatedBy: admin._id,
+    impersonationReason: reason,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  const token = jwt.sign(
+    { id: user._id, role: user.role, sid: session._id, imp: admin._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ttlMinutes * 60 }
+  );
+
+  logger.info("Impersonation session created", {
+    userId: admin._id,
+    impersonatedUserId: user._id,
+    sessionId: session._id,
+    minutes: ttlMinutes,
+    ip,
+  });
+
+  return {
+    token,
+    expiresIn: ttlMinutes * 60,
+    expiresAt: session.expiresAt,
+    sessionId: session._id,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {String} refreshToken - "<sessionId>.<secret>"
+ * @param {Object} req - Express request
+ * @returns {Object|null} Token response, or null if the token is invalid
+ */
+async function refreshSession(refreshToken, req) {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).select(
+    "+refreshTokenHash +previousRefreshTokenHash"
+  );
+  if (!session || !session.isActive() || session.impersonatedBy) return null;
+
+  const presentedHash = hashToken(secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = "refresh_token_reuse";
+      await session.save();
+      logger.warn("Refresh token reused, session revoked", {
+        userId: session.user,
+        sessionId: session._id,
+        ip: req?.ip,
+      });
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user).select("role");
+  if (!user) return null;
+
+  // Rotate; the filter on the current hash makes concurrent refreshes lose cleanly
+  const nextSecret = newRefreshSecret();
+  const { ip, userAgent } = clientInfo(req);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        lastUsedIp: ip,
+        userAgent: userAgent || session.userAgent,
+        expiresAt: refreshExpiry(),
+      },
+      $inc: { refreshCount: 1 },
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return tokenResponse(user, rotated, nextSecret);
+}
+
+/**
+ * Whether a verified access token still belongs to a live session
+ * @param {Object} decoded - JWT payload
+ * @returns {Boolean}
+ */
+async function isAccessTokenActive(decoded) {
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid).select(
+      "user revokedAt expiresAt impersonatedBy"
+    );
+    return (
+      !!session &&
+      session.isActive() &&
+      session.user.toString() === String(decoded.id) &&
+      String(session.impersonatedBy || "") === String(decoded.imp || "")
+    );
+  }
+
+  // Tokens issued before sessions existed: honour "log out everywhere"
+  const user = await User.findById(decoded.id).select("tokensRevokedAt");
+  if (!user) return false;
+  return !user.tokensRevokedAt || decoded.iat * 1000 >= user.tokensRevokedAt.getTime();
+}
+
+/**
+ * Active sessions of a user, newest activity first
+ * @param {String} userId - User ID
+ * @returns {Array} Session documents
+ */
+async function listSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+}
+
+/**
+ * Revoke one session of a user
+ * @param {String} userId - Owner
+ * @param {String} sessionId - Session to revoke
+ * @param {String} reason - Session.revokedReason
+ * @returns {Boolean} False if no such active session
+ */
+async function revokeSession(userId, sessionId, reason = "revoked") {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user and reject older session-less tokens
+ * @param {String} userId - User ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {Number} Sessions revoked
+ */
+async function revokeAllSessions(userId, { exceptSessionId, reason = "logout_all" } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  await User.updateOne({ _id: userId }, { $set: { tokensRevokedAt: new Date() } });
+
+  logger.info("Sessions revoked", {
+    userId,
+    revoked: result.modifiedCount,
+    exceptSessionId,
+    reason,
+  });
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  IMPERSONATION_MAX_MINUTES,
+  createSession,
+  createImpersonationSession,
+  refreshSession,
+  isAccessTokenActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,593 @@
+const net = require("net");
+const mongoose = require("mongoose");
+const SiteAudit = require("../models/SiteAudit");
+const SiteAuditPage = require("../models/SiteAuditPage");
+const Website = require("../models/Website");
+const crawler = require("../seo-tools/crawler");
+const { extractMetaTags, analyzeMetaTags } = require("../seo-tools/meta-analyzer");
+const { analyzeSecurityHeaders } = require("../seo-tools/headers-analyzer");
+const { addPageLinks, checkLinks, isBroken } = require("../seo-tools/links-checker");
+const { checkCertificate } = require("../seo-tools/ssl-checker");
+const { lookupDns, normalizeDomain } = require("../seo-tools/dns-checker");
+const { validateStructuredData } = require("../seo-tools/schema-generator");
+const { computeGrade } = require("../seo-tools/score-calculator");
+const { INSTANCE_ID } = require("./jobLock");
+const logger = require("../utils/logger");
+
+/**
+ * Full-site SEO audits
+ *
+ * An audit crawls a site and runs the meta, security headers, structured data
+ * and link checks of the SEO tools on every page, plus SSL and DNS checks once
+ * for the site. Pages are stored as SiteAuditPage documents so results can be
+ * paged through after the audit finished.
+ *
+ * The creating instance starts the audit right away; the site-audits cron
+ * picks up audits whose lease expired. A resumed audit starts over, since a
+ * crawl cannot be continued where it stopped.
+ */
+
+const LEASE_MS = 2 * 60 * 1000;
+const CRAWL_TIME_BUDGET_MS = 10 * 60 * 1000;
+const MAX_LINKS = 500;
+const SLOW_PAGE_MS = 2000;
+const INSERT_BATCH = 100;
+
+// Score points a page or site loses per issue
+const SEVERITY_PENALTY = { critical: 10, warning: 4, info: 1 };
+
+const slug = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const issue = (category, severity, code, message, detail) => ({
+  code,
+  severity,
+  category,
+  message,
+  ...(detail !== undefined && { detail }),
+});
+
+const ownedBy = (organization) => ({
+  // Legacy documents without an organization belong to the owner's
+  $or: [
+    { organization: organization._id },
+    { organization: null, user: organization.owner },
+  ],
+});
+
+function countSeverities(issues) {
+  const counts = { critical: 0, warning: 0, info: 0 };
+  issues.forEach((i) => counts[i.severity]++);
+  return counts;
+}
+
+function scoreFor(counts) {
+  return Math.max(
+    0,
+    100 -
+      counts.critical * SEVERITY_PENALTY.critical -
+      counts.warning * SEVERITY_PENALTY.warning -
+      counts.info * SEVERITY_PENALTY.info
+  );
+}
+
+/**
+ * Issues found in one crawled page's HTML and response headers
+ * @param {String} html - Page HTML
+ * @param {Object} headers - Response headers
+ * @returns {Object} { title, issues }
+ */
+function checkPageContent(html, headers) {
+  const issues = [];
+
+  const metaTags = extractMetaTags(html);
+  analyzeMetaTags(metaTags).issues.forEach((i) => {
+    issues.push(issue("meta", i.type, slug(i.message), i.message, { field: i.field }));
+  });
+
+  const { security_headers } = analyzeSecurityHeaders(headers);
+  Object.entries(security_headers)
+    .filter(([, h]) => h.recommended && !h.present)
+    .forEach(([name]) => {
+      issues.push(
+        issue("headers", "info", `missing-${slug(name)}`, `Missing ${name} header`, { header: name })
+      );
+    });
+
+  const structuredData = validateStructuredData(html);
+  if (structuredData.types.length === 0 && structuredData.issues.length === 0) {
+    issues.push(issue("schema", "info", "no-structured-data", "No JSON-LD structured data"));
+  }
+  structuredData.issues.forEach((i) => {
+    issues.push(
+      issue("schema", i.severity, slug(i.message.split(":")[0]), i.message, i.type ? { type: i.type } : undefined)
+    );
+  });
+
+  return { title: metaTags.title, issues };
+}
+
+/**
+ * Issues of a page that come from how it was fetched
+ * @param {Object} page - crawlSite() page
+ * @returns {Array} Issues
+ */
+function checkPageResponse(page) {
+  const issues = [];
+  if (page.error) {
+    issues.push(issue("crawl", "critical", "fetch-failed", "Page could not be fetched", { error: page.error }));
+  } else if (page.status >= 400) {
+    issues.push(
+      issue("crawl", "critical", `http-${page.status}`, `Page returns HTTP ${page.status}`, { status: page.status })
+    );
+  }
+  if (page.redirect_chain.length > 1) {
+    issues.push(
+      issue(
+        "crawl",
+        "warning",
+        "redirect-chain",
+        `Reached through ${page.redirect_chain.length} redirects`,
+        { redirect_chain: page.redirect_chain }
+      )
+    );
+  }
+  if (!page.error && page.response_time_ms > SLOW_PAGE_MS) {
+    issues.push(
+      issue("crawl", "warning", "slow-response", `Response took ${page.response_time_ms} ms`, {
+        response_time_ms: page.response_time_ms,
+      })
+    );
+  }
+  if (page.noindex) {
+    issues.push(issue("crawl", "info", "noindex", "Page is excluded from search results (noindex)"));
+  }
+  return issues;
+}
+
+/**
+ * Site-wide SSL, DNS and robots.txt issues
+ * @param {String} siteUrl - URL the site was reached at
+ * @param {Object} robots - crawlSite() robots summary
+ * @returns {Object} { issues, ssl, dns }
+ */
+async function checkSite(siteUrl, robots) {
+  const issues = [];
+  const { protocol, hostname } = new URL(siteUrl);
+
+  let ssl = null;
+  if (protocol !== "https:") {
+    issues.push(issue("ssl", "critical", "no-https", "Site is not served over HTTPS"));
+  } else {
+    ssl = await checkCertificate(hostname);
+    if (!ssl.valid) {
+      issues.push(issue("ssl", "critical", "invalid-ssl-certificate", "SSL certificate is invalid", { error: ssl.error }));
+    } else if (ssl.expired) {
+      issues.push(issue("ssl", "critical", "ssl-certificate-expired", "SSL certificate has expired", { not_after: ssl.not_after }));
+    } else if (ssl.expiring_soon) {
+      issues.push(
+        issue("ssl", "warning", "ssl-certificate-expiring", `SSL certificate expires in ${ssl.days_until_expiry} days`, {
+          not_after: ssl.not_after,
+        })
+      );
+    }
+  }
+
+  // Sites addressed by IP have no DNS records to check
+  const domain = net.isIP(hostname) ? null : normalizeDomain(hostname);
+  const dns = domain ? await lookupDns(domain) : null;
+  if (dns) {
+    if (dns.A.length === 0 && dns.AAAA.length === 0) {
+      issues.push(issue("dns", "warning", "no-address-records", `${domain} has no A or AAAA records`));
+    }
+    if (dns.MX.length === 0) {
+      issues.push(issue("dns", "info", "no-mx-records", `${domain} has no MX records`));
+    }
+    if (!dns.TXT.some((record) => /^v=spf1/i.test(record))) {
+      issues.push(issue("dns", "info", "no-spf-record", `${domain} has no SPF record`));
+    }
+  }
+
+  if (!robots.found) {
+    issues.push(issue("crawl", "info", "no-robots-txt", "No robots.txt found"));
+  } else if (robots.sitemaps.length === 0) {
+    issues.push(issue("crawl", "info", "no-sitemap-in-robots", "robots.txt does not list a sitemap"));
+  }
+
+  return { issues, ssl, dns };
+}
+
+/**
+ * Validate an audit request and store the audit
+ * @param {Object} organization - Organization the caller acts in
+ * @param {String} userId - Caller
+ * @param {Object} input - { url | websiteId, max_pages, max_depth }
+ * @returns {Object} { audit } or { error, status }
+ */
+async function createAudit(organization, userId, input = {}) {
+  let website = null;
+  if (input.websiteId !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(input.websiteId)) {
+      return { status: 404, error: "Website not found" };
+    }
+    website = await Website.findOne({ _id: input.websiteId, ...ownedBy(organization) });
+    if (!website) return { status: 404, error: "Website not found" };
+  }
+
+  const rawUrl = input.url || website?.url;
+  if (!rawUrl) return { status: 400, error: "url or websiteId is required" };
+  const url = crawler.normalizeUrl(crawler.toAbsoluteUrl(rawUrl));
+  if (!url) return { status: 400, error: "Invalid url provided" };
+  const host = new URL(url).host.replace(/^www\./, "");
+
+  // Audits of a URL are kept in the history of the website with the same host
+  if (!website) {
+    const websites = await Website.find(ownedBy(organization)).select("_id url");
+    website =
+      websites.find((w) => {
+        const websiteUrl = crawler.normalizeUrl(crawler.toAbsoluteUrl(w.url));
+        return websiteUrl && new URL(websiteUrl).host.replace(/^www\./, "") === host;
+      }) || null;
+  }
+
+  const active = await SiteAudit.exists({
+    organization: organization._id,
+    status: { $in: ["queued", "running"] },
+  });
+  if (active) {
+    return {
+      status: 409,
+      error: "Another site audit is still running for this organization",
+      auditId: active._id,
+    };
+  }
+
+  const audit = await SiteAudit.create({
+    user: organization.owner,
+    organization: organization._id,
+    createdBy: userId,
+    website: website ? website._id : undefined,
+    url,
+    host,
+    options: crawler.crawlOptionsFromBody(input, { maxPages: 100, maxDepth: 5 }),
+  });
+
+  logger.info("Site audit created", {
+    userId,
+    auditId: audit._id,
+    url,
+    maxPages: audit.options.maxPages,
+  });
+  return { audit };
+}
+
+// Take or extend the audit's lease; null if another live instance holds it
+async function claim(auditId) {
+  const now = new Date();
+  return SiteAudit.findOneAndUpdate(
+    {
+      _id: auditId,
+      status: { $in: ["queued", "running"] },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } },
+        { lockedBy: INSTANCE_ID },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+        pagesCrawled: 0,
+      },
+    },
+    { new: true }
+  );
+}
+
+// Store the final state if this instance still holds the lease
+function finish(auditId, fields) {
+  return SiteAudit.findOneAndUpdate(
+    { _id: auditId, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        ...fields,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Crawl and check the audit's site. Returns without doing anything if another
+ * instance holds the audit.
+ * @param {String} auditId - SiteAudit ID
+ */
+async function processAudit(auditId) {
+  const audit = await claim(auditId);
+  if (!audit) return;
+
+  // The heartbeat also notices cancellation and a lost lease, which end the crawl
+  let stopReason = null;
+  const heartbeat = setInterval(() => {
+    SiteAudit.findOneAndUpdate(
+      { _id: auditId, lockedBy: INSTANCE_ID },
+      { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } },
+      { new: true, projection: { cancelRequested: 1 } }
+    )
+      .then((current) => {
+        if (!current) stopReason = "lease";
+        else if (current.cancelRequested) stopReason = stopReason || "cancelled";
+      })
+      .catch((error) => {
+        logger.error("Site audit lease renewal failed", { auditId, error: error.message });
+      });
+  }, LEASE_MS / 3);
+
+  try {
+    // Pages of an earlier, interrupted run
+    await SiteAuditPage.deleteMany({ audit: audit._id });
+
+    const checked = new Map(); // Page URL -> { title, issues }
+    const links = new Map();
+    const crawl = await crawler.crawlSite(audit.url, {
+      maxPages: audit.options.maxPages,
+      maxDepth: audit.options.maxDepth,
+      timeBudgetMs: CRAWL_TIME_BUDGET_MS,
+      shouldStop: () => stopReason !== null,
+      onPage: async (page, html, pageLinks, headers) => {
+        checked.set(page.url, checkPageContent(html, headers));
+        addPageLinks(links, page, pageLinks);
+        await SiteAudit.updateOne({ _id: audit._id }, { $set: { pagesCrawled: checked.size } });
+      },
+    });
+    if (stopReason === "lease") return;
+
+    const start = crawl.pages[0];
+    if (!start || start.status !== 200 || checked.size === 0) {
+      await finish(audit._id, {
+        status: "failed",
+        crawl: crawl.stats,
+        error: start?.status
+          ? `Failed to fetch URL (HTTP ${start.status})`
+          : `Failed to fetch URL (${start?.error || "no response"})`,
+      });
+      return;
+    }
+
+    const pages = crawl.pages
+      .filter((page) => !page.duplicate_of)
+      .map((page) => {
+        const content = checked.get(page.url);
+        return {
+          audit: audit._id,
+          url: page.url,
+          final_url: page.final_url,
+          depth: page.depth,
+          status: page.status,
+          content_type: page.content_type,
+          response_time_ms: page.response_time_ms,
+          redirect_chain: page.redirect_chain,
+          title: content?.title,
+          issues: [...checkPageResponse(page), ...(content?.issues || [])],
+        };
+      });
+
+    // Broken links are reported on the pages they appear on. A cancelled
+    // audit keeps the pages crawled so far but skips the remaining checks.
+    let siteChecks = { issues: [], ssl: null, dns: null };
+    if (!stopReason) {
+      const byUrl = new Map(pages.map((page) => [page.url, page]));
+      const checkedLinks = await checkLinks(links, crawl, MAX_LINKS);
+      checkedLinks.filter(isBroken).forEach((link) => {
+        link.found_on.forEach((pageUrl) => {
+          const page = byUrl.get(pageUrl);
+          if (!page) return;
+          page.issues.push(
+            issue(
+              "links",
+              link.internal ? "critical" : "warning",
+              link.internal ? "broken-internal-link" : "broken-external-link",
+              `Broken ${link.internal ? "internal" : "external"} link to ${link.url}`,
+              { url: link.url, status: link.final_status, error: link.error }
+            )
+          );
+        });
+      });
+      siteChecks = await checkSite(start.final_url, crawl.robots);
+    }
+    if (stopReason === "lease") return;
+
+    pages.forEach((page) => {
+      Object.assign(page, countSeverities(page.issues));
+      page.score = scoreFor(page);
+    });
+    for (let i = 0; i < pages.length; i += INSERT_BATCH) {
+      await SiteAuditPage.insertMany(pages.slice(i, i + INSERT_BATCH), { ordered: false });
+    }
+
+    const allIssues = [...siteChecks.issues, ...pages.flatMap((page) => page.issues)];
+    const categories = {};
+    allIssues.forEach((i) => {
+      categories[i.category] = (categories[i.category] || 0) + 1;
+    });
+    const siteCounts = countSeverities(siteChecks.issues);
+    const averagePageScore = pages.reduce((sum, page) => sum + page.score, 0) / pages.length;
+    const score = Math.max(
+      0,
+      Math.round(averagePageScore - (100 - scoreFor(siteCounts)))
+    );
+
+    const done = await finish(audit._id, {
+      status: stopReason === "cancelled" ? "cancelled" : "completed",
+      pagesCrawled: checked.size,
+      summary: {
+        score,
+        grade: computeGrade(score),
+        pages: pages.length,
+        ...countSeverities(allIssues),
+        categories,
+      },
+      siteIssues: siteChecks.issues,
+      site: { ssl: siteChecks.ssl, dns: siteChecks.dns, robots: crawl.robots },
+      crawl: crawl.stats,
+    });
+    logger.info("Site audit finished", {
+      userId: audit.createdBy,
+      auditId,
+      status: done?.status,
+      pages: pages.length,
+      score,
+    });
+  } catch (error) {
+    await finish(audit._id, { status: "failed", error: error.message }).catch(() => {});
+    throw error;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Cancel an audit: queued audits stop right away, running ones at the next
+ * lease renewal and keep the pages crawled until then
+ * @param {Object} audit - SiteAudit document
+ * @returns {Object} { audit } or { error, status }
+ */
+async function cancelAudit(audit) {
+  if (!["queued", "running"].includes(audit.status)) {
+    return { status: 409, error: `Audit is already ${audit.status}` };
+  }
+  const queued = await SiteAudit.findOneAndUpdate(
+    { _id: audit._id, status: "queued", lockedBy: null },
+    { $set: { status: "cancelled", cancelRequested: true, completedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return { audit: queued };
+
+  const running = await SiteAudit.findOneAndUpdate(
+    { _id: audit._id, status: { $in: ["queued", "running"] } },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+  return { audit: running || (await SiteAudit.findById(audit._id)) };
+}
+
+/**
+ * Continue queued audits and audits whose lease expired. Run from the sync worker.
+ * @returns {Number} Audits picked up
+ */
+async function resumeStaleAudits() {
+  const audits = await SiteAudit.find({
+    status: { $in: ["queued", "running"] },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  })
+    .select("_id")
+    .sort({ createdAt: 1 })
+    .limit(2);
+
+  for (const audit of audits) {
+    try {
+      await processAudit(audit._id);
+    } catch (error) {
+      logger.error("Site audit failed", {
+        auditId: audit._id,
+        error: error.message,
+      });
+    }
+  }
+  return audits.length;
+}
+
+/**
+ * Recent audits of an organization, newest first
+ * @param {Object} filter - Organization filter
+ * @param {Object} options - { websiteId, limit }
+ * @returns {Array} SiteAudit documents without site details
+ */
+function listAudits(filter, { websiteId, limit = 20 } = {}) {
+  return SiteAudit.find({ ...filter, ...(websiteId && { website: websiteId }) })
+    .select("-siteIssues -site")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+}
+
+/**
+ * Issues across the audit's pages grouped by code, most severe and most
+ * frequent first
+ * @param {Object} audit - SiteAudit document
+ * @returns {Array} [{ code, severity, category, message, pages, sample_urls }]
+ */
+async function aggregateIssues(audit) {
+  const groups = await SiteAuditPage.aggregate([
+    { $match: { audit: audit._id } },
+    { $unwind: "$issues" },
+    {
+      $group: {
+        _id: "$issues.code",
+        severity: { $first: "$issues.severity" },
+        category: { $first: "$issues.category" },
+        message: { $first: "$issues.message" },
+        urls: { $addToSet: "$url" },
+      },
+    },
+  ]);
+
+  const order = SiteAudit.SEVERITIES;
+  return groups
+    .map((g) => ({
+      code: g._id,
+      severity: g.severity,
+      category: g.category,
+      message: g.message,
+      pages: g.urls.length,
+      sample_urls: g.urls.slice(0, 5),
+    }))
+    .sort(
+      (a, b) =>
+        order.indexOf(a.severity) - order.indexOf(b.severity) || b.pages - a.pages
+    );
+}
+
+function formatAudit(audit, { includeSite = false } = {}) {
+  return {
+    id: audit._id,
+    websiteId: audit.website || null,
+    url: audit.url,
+    host: audit.host,
+    status: audit.status,
+    cancelRequested: audit.cancelRequested,
+    options: audit.options,
+    pagesCrawled: audit.pagesCrawled,
+    summary: audit.summary?.score !== undefined ? audit.summary : null,
+    error: audit.error || null,
+    createdBy: audit.createdBy,
+    createdAt: audit.createdAt,
+    startedAt: audit.startedAt || null,
+    completedAt: audit.completedAt || null,
+    ...(includeSite && {
+      siteIssues: audit.siteIssues,
+      site: audit.site,
+      crawl: audit.crawl || null,
+    }),
+  };
+}
+
+module.exports = {
+  createAudit,
+  processAudit,
+  cancelAudit,
+  resumeStaleAudits,
+  listAudits,
+  aggregateIssues,
+  formatAudit,
+  checkPageContent,
+  checkPageResponse,
+};
@@ -1,6 +1,8 @@
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const Subscription = require("../models/Subscription");
 const User = require("../models/User");
+const visitLedger = require("./visitLedger");
+const webhookService = require("./webhookService");
 const logger = require("../utils/logger");
 
 /**
@@ -89,13 +91,27 @@ async function syncSubscriptionFromStripe(stripeSubscription, userId = null) {
       });
     }
 
+    const previous = subscription.isNew
+      ? null
+      : {
+          planName: subscription.planName,
+          status: subscription.status,
+          cancelAtPeriodEnd: !!subscription.cancelAtPeriodEnd,
+        };
+
     // Update subscription details
     subscription.stripeSubscriptionId = stripeSubscription.id;
     subscription.stripePriceId = priceId;
     subscription.stripeProductId = productId;
     subscription.planName = planName;
     subscription.status = stripeSubscription.status;
-    subscription.visitsIncluded = planConfig.visitsIncluded + (subscription.topUpCredits || 0);
+    const newAllowance = planConfig.visitsIncluded + (subscription.topUpCredits || 0);
+    if (subscription.isNew || subscription.visitsIncluded !== newAllowance) {
+      await visitLedger.setAllowance(subscription, newAllowance, {
+        description: `Plan synced from Stripe: ${planName}`,
+        metadata: { planName, stripeSubscriptionId: stripeSubscription.id },
+      });
+    }
     subscription.campaignLimit = planConfig.campaignLimit;
     subscription.features = planConfig.features;
     // Safely convert Stripe timestamps to Date objects with validation
@@ -149,6 +165,22 @@ async function syncSubscriptionFromStripe(stripeSubscription, userId = null) {
       status: stripeSubscription.status,
     });
 
+    if (
+      !previous ||
+      previous.planName !== subscription.planName ||
+      previous.status !== subscription.status ||
+      previous.cancelAtPeriodEnd !== subscription.cancelAtPeriodEnd
+    ) {
+      webhookService.emit(
+        user._id,
+        "subscription.changed",
+        webhookService.subscriptionEventData(subscription, {
+          source: "stripe",
+          previous,
+        })
+      );
+    }
+
     return subscription;
   } catch (error) {
     logger.error("Failed to sync subscription from Stripe", {
@@ -530,7 +562,10 @@ async function resetMonthlyVisits() {
 
     let resetCount = 0;
     for (const subscription of subscriptions) {
-      subscription.visitsUsed = 0;
+      await visitLedger.resetUsage(subscription, {
+        description: "Monthly visit usage reset",
+        metadata: { periodEnd: subscription.currentPeriodEnd },
+      });
       subscription.lastResetAt = now;
       await subscription.save();
       resetCount++;
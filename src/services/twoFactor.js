@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 second steps)
+ *
+ * Login with 2FA enabled is two steps: the password check returns a short-lived
+ * challenge token, and /api/auth/login/2fa exchanges it plus a code for a
+ * session. Challenge tokens are signed with a derived secret so they can never
+ * be used as access tokens.
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "TrafficBoxes";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step before/after to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+// Wrong codes allowed before code checks lock for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * New random base32 secret
+ * @returns {String}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URI for authenticator apps (render it as a QR code)
+ * @param {String} email - Account label
+ * @param {String} secret - Base32 secret
+ * @returns {String}
+ */
+function provisioningUri(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Check a TOTP code
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number|null} lastUsedStep - Step of the last accepted code (replay protection)
+ * @returns {Number|null} The matched time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let i = -DRIFT_STEPS; i <= DRIFT_STEPS; i++) {
+    const candidate = step + i;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * New set of single-use recovery codes
+ * @returns {{ codes: String[], hashes: String[] }} Plain codes to show once, hashes to store
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Verify a TOTP or recovery code for a user and record its use.
+ * The user must be loaded with +twoFactor.secret +twoFactor.recoveryCodes.
+ * @param {Object} user - User document; caller saves it
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {String|null} "totp" or "recovery_code" on success, null on failure
+ */
+function verifyUserCode(user, { code, recoveryCode } = {}) {
+  const tf = user.twoFactor;
+  if (!tf || !tf.enabled || !tf.secret) return null;
+
+  if (code) {
+    const step = verifyCode(tf.secret, code, tf.lastUsedStep ?? null);
+    if (step === null) return null;
+    tf.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (tf.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return null;
+    tf.recoveryCodes.splice(index, 1);
+    return "recovery_code";
+  }
+
+  return null;
+}
+
+/**
+ * Whether code checks are locked for a user after too many wrong codes
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isLocked = (user) =>
+  Boolean(user.twoFactor?.lockedUntil && user.twoFactor.lockedUntil > new Date());
+
+/**
+ * Count a wrong code, locking code checks once the limit is reached
+ * @param {Object} user - User document; caller saves it
+ * @returns {Boolean} Whether this attempt locked the user
+ */
+function recordFailedAttempt(user) {
+  user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+  if (user.twoFactor.failedAttempts < MAX_FAILED_ATTEMPTS) return false;
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+  return true;
+}
+
+/**
+ * Reset the failed attempt count after a correct code
+ * @param {Object} user - User document; caller saves it
+ */
+function clearFailedAttempts(user) {
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = undefined;
+}
+
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ * @param {Object} user - User document
+ * @returns {String}
+ */
+const signChallenge = (user) =>
+  jwt.sign({ id: user._id }, challengeSecret(), { expiresIn: CHALLENGE_TTL });
+
+/**
+ * @param {String} token - Challenge token from /api/auth/login
+ * @returns {String|null} User ID, or null if invalid or expired
+ */
+function verifyChallenge(token) {
+  try {
+    return jwt.verify(token, challengeSecret()).id;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateSecret,
+  provisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  verifyUserCode,
+  isLocked,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  signChallenge,
+  verifyChallenge,
+};
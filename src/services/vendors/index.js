@@ -1,4 +1,75 @@
-module.exports = {
-  nineHits: require("./nineHits"),
+/**
+ * Traffic vendor registry
+ *
+ * Every adapter implements the same contract; all methods return promises:
+ *   createProject(payload)               -> vendor response with a normalized `id`
+ *   modifyProject(projectId, changes)    -> vendor response
+ *   getProject(projectId)                -> current project settings or null
+ *   pauseProject(projectId)              -> vendor response
+ *   resumeProject(projectId, { speed })  -> vendor response
+ *   deleteProject(projectId)             -> vendor response
+ *   listProjects()                       -> array of live project IDs
+ *   projectExists(projectId)             -> boolean
+ *   getProjectStats(projectId, { from, to })
+ *       -> { hits: [{ date: n }], visits: [{ date: n }], totalHits, totalVisits } or null
+ *   getBalance()                         -> vendor account balance
+ *
+ * The 9Hits and mock adapters also implement
+ *   searchProjects({ page, limit, filter }) -> array of project records
+ *
+ * Set TRAFFIC_VENDOR=mock to route every lookup to the in-process mock vendor
+ * so routes and workers can be exercised offline.
+ */
+const adapters = {
   sparkTraffic: require("./sparkTraffic"),
+  nineHits: require("./nineHits"),
+  mock: require("./mock"),
+};
+
+/**
+ * Resolve a vendor adapter by name
+ * @param {String} name - "sparkTraffic" | "nineHits"
+ * @returns {Object|null} Adapter implementing the vendor contract
+ */
+function getVendor(name) {
+  if (process.env.TRAFFIC_VENDOR === "mock") {
+    return adapters.mock;
+  }
+  if (name === "mock") {
+    return null; // Only reachable through the TRAFFIC_VENDOR override
+  }
+  return adapters[name] || null;
+}
+
+/**
+ * Resolve the vendor adapter and project ID for a campaign
+ * @param {Object} campaign - Campaign document or lean object
+ * @returns {{ vendor: Object, projectId: String|Number }|null}
+ */
+function forCampaign(campaign) {
+  if (!campaign) return null;
+  if (campaign.spark_traffic_project_id) {
+    return {
+      vendor: getVendor("sparkTraffic"),
+      projectId: campaign.spark_traffic_project_id,
+    };
+  }
+  if (campaign.nine_hits_campaign_id) {
+    return {
+      vendor: getVendor("nineHits"),
+      projectId: campaign.nine_hits_campaign_id,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  getVendor,
+  forCampaign,
+  get sparkTraffic() {
+    return getVendor("sparkTraffic");
+  },
+  get nineHits() {
+    return getVendor("nineHits");
+  },
 };
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+
+/**
+ * In-process mock traffic vendor
+ * Implements the same contract as the SparkTraffic and 9Hits adapters, keeping
+ * projects in memory so the campaign lifecycle can run without network access.
+ * Running projects accrue `speed` hits per hour; tests can also inject traffic
+ * directly with simulateTraffic().
+ */
+
+const projects = new Map();
+let balance = parseFloat(process.env.MOCK_VENDOR_BALANCE || "1000");
+
+const dayKey = (date) => date.toISOString().split("T")[0];
+
+function getOrThrow(projectId) {
+  const project = projects.get(projectId);
+  if (!project || project.deleted) {
+    const err = new Error(`Mock project ${projectId} not found`);
+    err.response = { status: 404, data: { error: "Project not found" } };
+    throw err;
+  }
+  return project;
+}
+
+function record(project, date, hits, visits = hits) {
+  const day = dayKey(date);
+  project.hits[day] = (project.hits[day] || 0) + hits;
+  project.visits[day] = (project.visits[day] || 0) + visits;
+}
+
+// Deliver traffic for the time elapsed since the last accrual
+function accrue(project, now = new Date()) {
+  const elapsedMs = now - project.lastAccruedAt;
+  if (project.speed > 0 && elapsedMs > 0) {
+    const hits = Math.floor((elapsedMs / 3600000) * project.speed);
+    if (hits > 0) {
+      record(project, now, hits, Math.ceil(hits * 0.8));
+      project.lastAccruedAt = now;
+    }
+  } else {
+    project.lastAccruedAt = now;
+  }
+}
+
+async function createProject(payload = {}) {
+  const id = `mock-${crypto.randomBytes(6).toString("hex")}`;
+  const now = new Date();
+  projects.set(id, {
+    id,
+    settings: { ...payload },
+    speed: parseInt(payload.speed) || 200,
+    hits: {},
+    visits: {},
+    createdAt: now,
+    lastAccruedAt: now,
+    deleted: false,
+  });
+  return { "new-id": id, id, status: "ok" };
+}
+
+async function modifyProject(projectId, changes = {}) {
+  const project = getOrThrow(projectId);
+  accrue(project);
+  project.settings = { ...project.settings, ...changes };
+  if (changes.speed !== undefined) {
+    project.speed = parseInt(changes.speed) || 0;
+  }
+  return { ...project.settings, speed: project.speed, unique_id: projectId };
+}
+
+async function getProject(projectId) {
+  const project = projects.get(projectId);
+  if (!project || project.deleted) return null;
+  return { ...project.settings, speed: project.speed, unique_id: projectId };
+}
+
+async function pauseProject(projectId) {
+  return modifyProject(projectId, { speed: 0 });
+}
+
+async function resumeProject(projectId, { speed = 200 } = {}) {
+  return modifyProject(projectId, { speed });
+}
+
+async function deleteProject(projectId) {
+  const project = getOrThrow(projectId);
+  project.speed = 0;
+  project.deleted = true;
+  return { status: "ok", unique_id: projectId };
+}
+
+async function listProjects() {
+  return Array.from(projects.values())
+    .filter((p) => !p.deleted)
+    .map((p) => p.id);
+}
+
+async function searchProjects({ page = 1, limit = 100, filter } = {}) {
+  const term = String(filter || "").toLowerCase();
+  const matches = Array.from(projects.values())
+    .filter((p) => !p.deleted)
+    .filter((p) => {
+      if (!term) return true;
+      if (term.startsWith("id:")) return p.id === term.slice(3);
+      return [p.settings.title, ...(p.settings.urls || [])]
+        .some((value) => String(value || "").toLowerCase().includes(term));
+    })
+    .map((p) => ({ ...p.settings, id: p.id, speed: p.speed }));
+  return matches.slice((page - 1) * limit, page * limit);
+}
+
+async function projectExists(projectId) {
+  const project = projects.get(projectId);
+  return !!project && !project.deleted;
+}
+
+async function getProjectStats(projectId, { from, to } = {}) {
+  const project = getOrThrow(projectId);
+  accrue(project);
+
+  const inRange = (day) => (!from || day >= from) && (!to || day <= to);
+  const hits = Object.keys(project.hits)
+    .filter(inRange)
+    .sort()
+    .map((day) => ({ [day]: project.hits[day] }));
+  const visits = Object.keys(project.visits)
+    .filter(inRange)
+    .sort()
+    .map((day) => ({ [day]: project.visits[day] }));
+
+  const sum = (series) =>
+    series.reduce((acc, d) => acc + Object.values(d)[0], 0);
+
+  return { hits, visits, totalHits: sum(hits), totalVisits: sum(visits) };
+}
+
+async function getBalance() {
+  return { balance, currency: "USD", vendor: "mock" };
+}
+
+/**
+ * Test helper: inject traffic for a project on a given day
+ * @param {String} projectId - Mock project ID
+ * @param {Object} options - { hits, visits, date }
+ */
+function simulateTraffic(projectId, { hits = 0, visits = hits, date = new Date() } = {}) {
+  const project = getOrThrow(projectId);
+  record(project, new Date(date), hits, visits);
+}
+
+function reset() {
+  projects.clear();
+  balance = parseFloat(process.env.MOCK_VENDOR_BALANCE || "1000");
+}
+
+module.exports = {
+  name: "mock",
+  createProject,
+  modifyProject,
+  getProject,
+  pauseProject,
+  resumeProject,
+  deleteProject,
+  listProjects,
+  searchProjects,
+  projectExists,
+  getProjectStats,
+  getBalance,
+  simulateTraffic,
+  reset,
+};
@@ -1,9 +1,99 @@
 const nine = require("../nineHits");
 
+// Extract the 9Hits campaign id from a siteAdd response (data.id or "Created #40633533")
+function extractCampaignId(resp) {
+  let id = (resp && resp.data && resp.data.id) || null;
+  if (!id && resp && Array.isArray(resp.messages)) {
+    const match = resp.messages.join(" ").match(/#(\d+)/);
+    if (match) id = Number(match[1]);
+  }
+  return id;
+}
+
+async function createProject(payload, idempotencyKey) {
+  const resp = await nine.siteAdd(
+    payload,
+    idempotencyKey || (await nine.getUuidV4())
+  );
+  return { ...resp, id: extractCampaignId(resp) };
+}
+
+async function modifyProject(projectId, changes = {}) {
+  return nine.siteUpdate({ ...changes, id: projectId });
+}
+
+async function getProject(projectId) {
+  const resp = await nine.siteGet({ filter: `id:${projectId}` });
+  return resp && Array.isArray(resp.data) && resp.data.length > 0
+    ? resp.data[0]
+    : null;
+}
+
+async function pauseProject(projectId) {
+  return nine.sitePause({ id: projectId });
+}
+
+async function resumeProject(projectId) {
+  return nine.siteUpdate({ id: projectId, userState: "running" });
+}
+
+async function deleteProject(projectId) {
+  return nine.siteDel([projectId]);
+}
+
+async function listProjects() {
+  const resp = await nine.siteGet({ limit: 500 });
+  return resp && Array.isArray(resp.data) ? resp.data.map((s) => s.id) : [];
+}
+
+// Full project records for one page of the account's projects; filter is a
+// title, URL or "id:<id>" search
+async function searchProjects({ page = 1, limit = 100, filter } = {}) {
+  const params = { page, limit };
+  if (filter) params.filter = filter;
+  const resp = await nine.siteGet(params);
+  return resp && Array.isArray(resp.data) ? resp.data : [];
+}
+
+async function projectExists(projectId) {
+  return !!(await getProject(projectId));
+}
+
+// 9Hits exposes lifetime counters only, not a daily series
+async function getProjectStats(projectId) {
+  const project = await getProject(projectId);
+  if (!project) return null;
+  const totalHits = parseInt(project.totalHits ?? project.hits) || 0;
+  return {
+    hits: [],
+    visits: [],
+    totalHits,
+    totalVisits: totalHits,
+    project,
+  };
+}
+
+async function getBalance() {
+  const resp = await nine.profileGet();
+  return resp && resp.data ? resp.data : resp;
+}
+
 module.exports = {
+  name: "nineHits",
+  createProject,
+  modifyProject,
+  getProject,
+  pauseProject,
+  resumeProject,
+  deleteProject,
+  listProjects,
+  searchProjects,
+  projectExists,
+  getProjectStats,
+  getBalance,
+  // Legacy helpers kept for the 9Hits create flow
   createCampaign: async (payload, idempotencyKey) => {
     return nine.siteAdd(payload, idempotencyKey);
   },
   getUuidV4: nine.getUuidV4,
-  // Add more methods as needed (updateCampaign, deleteCampaign, etc.)
 };
@@ -1,35 +1,196 @@
 const axios = require("axios");
+const http = require("http");
+const https = require("https");
 
-const API_URL = "https://v2.sparktraffic.com/add-website-traffic-project";
-const API_KEY = process.env.SPARKTRAFFIC_API_KEY; // Add this to your .env
+const BASE_URL = "https://v2.sparktraffic.com";
 
-async function createProject(data) {
-  const resp = await axios.post(API_URL, data, {
-    headers: {
-      "Content-Type": "application/json",
-      API_KEY: API_KEY,
+// Reusable axios instance with keep-alive to reduce socket churn
+const keepAliveHttpAgent = new http.Agent({ keepAlive: true, maxSockets: 50 });
+const keepAliveHttpsAgent = new https.Agent({ keepAlive: true, maxSockets: 50 });
+
+const axiosInstance = axios.create({
+  baseURL: BASE_URL,
+  httpAgent: keepAliveHttpAgent,
+  httpsAgent: keepAliveHttpsAgent,
+  // default timeout; can be overridden per request
+  timeout: 20000,
+});
+
+const apiKey = () => process.env.SPARKTRAFFIC_API_KEY?.trim();
+
+async function requestWithRetry(config, retryCfg = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1500,
+    retryOnStatuses = [429, 500, 502, 503, 504],
+  } = retryCfg;
+
+  let lastError;
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await axiosInstance.request(config);
+    } catch (error) {
+      lastError = error;
+      const status = error.response?.status;
+      const code = error.code;
+
+      const isRetryableStatus = retryOnStatuses.includes(status);
+      const isRetryableCode = [
+        "ECONNRESET",
+        "ECONNABORTED",
+        "ETIMEDOUT",
+        "EAI_AGAIN",
+        "ENOTFOUND",
+      ].includes(code);
+
+      // Only retry on network errors / transient server errors
+      if (!(isRetryableStatus || isRetryableCode)) {
+        break;
+      }
+
+      // Backoff with jitter
+      if (attempt < retries) {
+        const delay = baseDelayMs * Math.pow(2, attempt - 1);
+        const jitter = Math.floor(Math.random() * 250);
+        await new Promise((r) => setTimeout(r, delay + jitter));
+      }
+    }
+  }
+  throw lastError;
+}
+
+async function post(path, data, { params, timeout, retries } = {}) {
+  const key = apiKey();
+  if (!key) {
+    throw new Error("SparkTraffic API key not configured");
+  }
+  const resp = await requestWithRetry(
+    {
+      method: "post",
+      url: path,
+      data,
+      params,
+      timeout,
+      headers: { "Content-Type": "application/json", API_KEY: key },
     },
-  });
+    { retries }
+  );
   return resp.data;
 }
 
-// Pause a SparkTraffic project
-async function pauseProject(projectId) {
-  // Replace with the actual SparkTraffic pause endpoint and payload if available
-  const resp = await axios.post(
-    `https://v2.sparktraffic.com/pause-website-traffic-project`,
-    { id: projectId },
-    {
-      headers: {
-        "Content-Type": "application/json",
-        API_KEY: API_KEY,
-      },
+// Sum a SparkTraffic daily series ([{ "YYYY-MM-DD": count }, ...])
+function sumDailySeries(series) {
+  let total = 0;
+  if (Array.isArray(series)) {
+    series.forEach((day) => {
+      Object.values(day).forEach((count) => {
+        total += parseInt(count) || 0;
+      });
+    });
+  }
+  return total;
+}
+
+async function createProject(payload) {
+  const data = await post("/add-website-traffic-project", payload, {
+    timeout: 15000,
+    retries: 1, // creation is not idempotent
+  });
+  const id = data?.["new-id"] || data?.id || data?.project_id;
+
+  // New projects can come back paused; resume immediately
+  if (data?.["new-id"]) {
+    try {
+      await post("/resume-website-traffic-project", { id: data["new-id"] }, {
+        retries: 1,
+      });
+    } catch (resumeErr) {
+      // Non-fatal: the project exists and can be resumed later
     }
+  }
+
+  return { ...data, id };
+}
+
+async function modifyProject(projectId, changes = {}) {
+  return post(
+    "/modify-website-traffic-project",
+    { ...changes, unique_id: projectId },
+    { timeout: 15000 }
   );
+}
+
+// The modify endpoint echoes the current project settings when called without changes
+async function getProject(projectId) {
+  const data = await modifyProject(projectId);
+  return data && data.speed !== undefined ? data : null;
+}
+
+// SparkTraffic has no pause flag; a project with speed 0 delivers no traffic
+async function pauseProject(projectId) {
+  return modifyProject(projectId, { speed: 0 });
+}
+
+async function resumeProject(projectId, { speed = 200 } = {}) {
+  return modifyProject(projectId, { speed });
+}
+
+// Archived projects are kept on SparkTraffic at speed 0 so they can be restored
+async function deleteProject(projectId) {
+  return pauseProject(projectId);
+}
+
+async function listProjects() {
+  const data = await post(
+    "/get-all-website-traffic-projects",
+    { filters: [] },
+    { timeout: 10000 }
+  );
+  return Array.isArray(data) ? data : [];
+}
+
+async function projectExists(projectId) {
+  const ids = await listProjects();
+  return ids.includes(projectId);
+}
+
+async function getProjectStats(projectId, { from, to } = {}) {
+  const data = await post("/get-website-traffic-project-stats", null, {
+    params: { unique_id: projectId, from, to },
+  });
+  if (!data) return null;
+  return {
+    ...data,
+    totalHits: sumDailySeries(data.hits),
+    totalVisits: sumDailySeries(data.visits),
+  };
+}
+
+async function getBalance() {
+  const key = apiKey();
+  if (!key) {
+    throw new Error("SparkTraffic API key not configured");
+  }
+  const resp = await requestWithRetry({
+    method: "get",
+    url: "/balance",
+    headers: { api_key: key },
+    timeout: 10000,
+  });
   return resp.data;
 }
 
 module.exports = {
+  name: "sparkTraffic",
   createProject,
+  modifyProject,
+  getProject,
   pauseProject,
+  resumeProject,
+  deleteProject,
+  listProjects,
+  projectExists,
+  getProjectStats,
+  getBalance,
+  sumDailySeries,
 };
@@ -0,0 +1,400 @@
+const mongoose = require("mongoose");
+const VisitLedgerEntry = require("../models/VisitLedgerEntry");
+const Subscription = require("../models/Subscription");
+const webhookService = require("./webhookService");
+const logger = require("../utils/logger");
+
+/**
+ * Visit ledger
+ *
+ * Every change to a user's visit balance is appended here as a signed entry with
+ * a reason. Entries form a chain per user: each carries the next `sequence` and
+ * the running `balanceAfter`, and the unique (user, sequence) index makes
+ * concurrent appends retry instead of interleaving, so the balance is always the
+ * latest entry's balanceAfter. A reference (e.g. a Stripe session) is claimed by
+ * inserting its entry, before anything else changes.
+ *
+ * Subscription.visitsUsed / visitsIncluded / topUpCredits are a projection of the
+ * ledger. Each entry records its counter change, and the subscription's
+ * ledgerSequence is the last entry applied: an entry is applied with one update
+ * that moves ledgerSequence past it, so it counts exactly once, and an entry
+ * left unapplied by a crash is applied by the next append or reconcile. The
+ * counters must only be changed through this module.
+ */
+
+const COUNTERS = ["visitsUsed", "visitsIncluded", "topUpCredits"];
+const MAX_APPEND_ATTEMPTS = 5;
+
+const availableVisits = (subscription) =>
+  (subscription.visitsIncluded || 0) - (subscription.visitsUsed || 0);
+
+const counterValues = (subscription) =>
+  Object.fromEntries(COUNTERS.map((field) => [field, subscription[field] || 0]));
+
+const isDuplicateKey = (error, field) =>
+  error && error.code === 11000 && Boolean(error.keyPattern && error.keyPattern[field]);
+
+// Latest entry of a user's chain; entries written before the chain existed
+// have no sequence and are ordered by time
+async function latestEntry(userId) {
+  const chained = await VisitLedgerEntry.findOne({
+    user: userId,
+    sequence: { $type: "number" },
+  })
+    .sort({ sequence: -1 })
+    .lean();
+  if (chained) return chained;
+  return VisitLedgerEntry.findOne({ user: userId }).sort({ createdAt: -1, _id: -1 }).lean();
+}
+
+// Append an entry at the end of the user's chain, retrying when another
+// append took the same sequence
+async function insertEntry(subscription, amount, entry) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await latestEntry(subscription.user);
+    try {
+      return await VisitLedgerEntry.create({
+        user: subscription.user,
+        subscription: subscription._id,
+        amount,
+        sequence: ((last && last.sequence) || 0) + 1,
+        balanceAfter: ((last && last.balanceAfter) || 0) + amount,
+        ...entry,
+      });
+    } catch (error) {
+      if (isDuplicateKey(error, "sequence") && attempt < MAX_APPEND_ATTEMPTS) continue;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Open the ledger for a subscription that predates it by recording its current
+ * counter balance. No-op once any entry exists.
+ * @param {Object} subscription - Subscription document (before mutation)
+ */
+async function ensureOpeningBalance(subscription) {
+  if (subscription.isNew) return;
+
+  const exists = await VisitLedgerEntry.exists({ user: subscription.user });
+  if (exists) return;
+
+  const balance = availableVisits(subscription);
+  try {
+    await VisitLedgerEntry.create({
+      user: subscription.user,
+      subscription: subscription._id,
+      amount: balance,
+      reason: "opening_balance",
+      sequence: 1,
+      balanceAfter: balance,
+      description: "Balance carried over from subscription counters",
+      metadata: counterValues(subscription),
+    });
+  } catch (error) {
+    // Another request opened the ledger first
+    if (!isDuplicateKey(error, "sequence")) throw error;
+  }
+}
+
+// Apply the subscription's entries that are not reflected in its counters yet,
+// in sequence order. Returns the stored counters.
+async function applyPendingEntries(subscription) {
+  const fields = `${COUNTERS.join(" ")} ledgerSequence`;
+  const stored = await Subscription.findById(subscription._id).select(fields).lean();
+  if (!stored) return null;
+
+  const pending = await VisitLedgerEntry.find({
+    user: subscription.user,
+    subscription: subscription._id,
+    sequence: { $gt: stored.ledgerSequence || 0 },
+  })
+    .sort({ sequence: 1 })
+    .select("sequence counterChange")
+    .lean();
+  if (pending.length === 0) return stored;
+
+  // Another request may have applied an entry already; entries without a
+  // change only move ledgerSequence forward
+  const advance = (sequence, inc) =>
+    Subscription.updateOne(
+      { _id: subscription._id, ledgerSequence: { $not: { $gte: sequence } } },
+      inc ? { $set: { ledgerSequence: sequence }, $inc: inc } : { $set: { ledgerSequence: sequence } }
+    );
+  for (const entry of pending) {
+    if (entry.counterChange && Object.keys(entry.counterChange).length > 0) {
+      await advance(entry.sequence, entry.counterChange);
+    }
+  }
+  await advance(pending[pending.length - 1].sequence);
+  return Subscription.findById(subscription._id).select(fields).lean();
+}
+
+// Copy stored counter values onto the document without marking them modified,
+// so a later save() by the caller cannot overwrite concurrent changes
+function syncCounters(subscription, stored) {
+  if (!stored || typeof subscription.set !== "function") return;
+  COUNTERS.forEach((field) => {
+    subscription.set(field, stored[field] || 0);
+    subscription.unmarkModified(field);
+  });
+}
+
+/**
+ * Append an entry and apply its change to the subscription counters
+ * @param {Object} subscription - Subscription document
+ * @param {Object} entry - { reason, campaign, description, reference, createdBy, metadata }
+ * @param {Function} compute - (counters, { isNew }) => { amount, inc }: the signed
+ *   amount and the counter increments, from the current counter values
+ * @returns {Object|null} Created entry, the existing one for a repeated reference, or null for a zero change
+ */
+async function append(subscription, entry, compute) {
+  const findExisting = () =>
+    VisitLedgerEntry.findOne({ user: subscription.user, reference: entry.reference });
+  const logRepeat = () =>
+    logger.info("Visit ledger entry already recorded", {
+      userId: subscription.user,
+      reference: entry.reference,
+      reason: entry.reason,
+    });
+
+  if (entry.reference) {
+    const existing = await findExisting();
+    if (existing) {
+      logRepeat();
+      // Its change may not have reached the counters if the first append died
+      syncCounters(subscription, await applyPendingEntries(subscription));
+      return existing;
+    }
+  }
+
+  // A subscription that is not stored yet is inserted first, so its counters
+  // can be updated like any other's; its ledger starts from nothing
+  const isNew = subscription.isNew;
+  if (isNew) {
+    await subscription.save();
+  } else {
+    await ensureOpeningBalance(subscription);
+  }
+
+  // Compute from the stored counters, not a possibly stale document
+  const current = await applyPendingEntries(subscription);
+  const { amount, inc } = compute(counterValues(current || subscription), { isNew });
+  if (!amount && entry.reason !== "counter_reset") {
+    syncCounters(subscription, current);
+    return null;
+  }
+
+  let created;
+  try {
+    created = await insertEntry(subscription, amount, { ...entry, counterChange: inc });
+  } catch (error) {
+    // A concurrent delivery of the same reference claimed it first
+    if (entry.reference && isDuplicateKey(error, "reference")) {
+      logRepeat();
+      syncCounters(subscription, await applyPendingEntries(subscription));
+      return findExisting();
+    }
+    throw error;
+  }
+
+  syncCounters(subscription, await applyPendingEntries(subscription));
+  return created;
+}
+
+/**
+ * Debit visits consumed by vendor traffic
+ * @param {Object} subscription - Subscription document
+ * @param {Number} visits - Visits to deduct (positive)
+ * @param {Object} options - { campaign, description, metadata }
+ */
+async function deductVisits(subscription, visits, options = {}) {
+  const previousUsed = subscription.visitsUsed || 0;
+  const entry = await append(subscription, { reason: "vendor_hits", ...options }, () => ({
+    amount: -visits,
+    inc: { visitsUsed: visits },
+  }));
+  webhookService.emitUsageThresholds(subscription, previousUsed);
+  return entry;
+}
+
+/**
+ * Credit purchased or granted visits on top of the plan allowance
+ * @param {Object} subscription - Subscription document
+ * @param {Number} visits - Visits to add (positive)
+ * @param {Object} options - { reason: "top_up" | "admin_grant", reference, createdBy, description, metadata }
+ */
+async function addVisits(subscription, visits, options = {}) {
+  const { reason = "top_up", ...rest } = options;
+  return append(subscription, { reason, ...rest }, () => ({
+    amount: visits,
+    inc: { topUpCredits: visits, visitsIncluded: visits },
+  }));
+}
+
+/**
+ * Return consumed visits to the balance. Capped at the visits used this period.
+ * @param {Object} subscription - Subscription document
+ * @param {Number} visits - Visits to refund (positive)
+ * @param {Object} options - { campaign, reference, createdBy, description, metadata }
+ */
+async function refundVisits(subscription, visits, options = {}) {
+  return append(subscription, { reason: "refund", ...options }, (counters) => {
+    const refundable = Math.min(visits, counters.visitsUsed);
+    return { amount: refundable, inc: { visitsUsed: -refundable } };
+  });
+}
+
+/**
+ * Clear usage for a new period
+ * @param {Object} subscription - Subscription document
+ * @param {Object} options - { reason, createdBy, description, metadata }
+ */
+async function resetUsage(subscription, options = {}) {
+  const { reason = "monthly_reset", ...rest } = options;
+  return append(subscription, { reason, ...rest }, (counters) => ({
+    amount: counters.visitsUsed,
+    inc: { visitsUsed: -counters.visitsUsed },
+  }));
+}
+
+/**
+ * Set the visit allowance (plan visits plus any top-ups) to a new total
+ * @param {Object} subscription - Subscription document
+ * @param {Number} visitsIncluded - New allowance
+ * @param {Object} options - { reason, createdBy, description, metadata }
+ */
+async function setAllowance(subscription, visitsIncluded, options = {}) {
+  const { reason = "plan_change", ...rest } = options;
+  return append(subscription, { reason, ...rest }, (counters, { isNew }) => {
+    const change = visitsIncluded - counters.visitsIncluded;
+    // A new subscription's ledger starts from nothing, whatever its defaults say
+    return { amount: isNew ? visitsIncluded : change, inc: { visitsIncluded: change } };
+  });
+}
+
+/**
+ * Record that a campaign's vendor hit baseline was moved without charging
+ * @param {Object} campaign - Campaign document
+ * @param {Object} options - { skippedHits, createdBy, description, metadata }
+ */
+async function recordCounterReset(campaign, options = {}) {
+  const { skippedHits = 0, metadata = {}, ...rest } = options;
+  const subscription = await Subscription.findOne({ user: campaign.user });
+  if (!subscription) return null;
+
+  return append(
+    subscription,
+    {
+      reason: "counter_reset",
+      campaign: campaign._id,
+      metadata: { ...metadata, skippedHits },
+      ...rest,
+    },
+    () => ({ amount: 0, inc: {} })
+  );
+}
+
+/**
+ * Balance derived from the ledger: the running balance of the latest entry
+ * @param {String} userId - User ID
+ * @returns {Number}
+ */
+async function getBalance(userId) {
+  const last = await latestEntry(userId);
+  return last ? last.balanceAfter : 0;
+}
+
+/**
+ * Visits a subscription can still spend, from the ledger. Opens the ledger
+ * for subscriptions that predate it.
+ * @param {Object} subscription - Subscription document
+ * @returns {Number}
+ */
+async function getAvailableVisits(subscription) {
+  if (subscription.isNew) return availableVisits(subscription);
+  await ensureOpeningBalance(subscription);
+  return getBalance(subscription.user);
+}
+
+// Sum of all entry amounts, to check the chain against
+async function sumEntries(userId) {
+  const [row] = await VisitLedgerEntry.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, balance: { $sum: "$amount" } } },
+  ]);
+  return row ? row.balance : 0;
+}
+
+/**
+ * Paginated ledger entries for a user, newest first
+ * @param {String} userId - User ID
+ * @param {Object} options - { page, limit, reason, campaign, from, to }
+ */
+async function getEntries(userId, { page = 1, limit = 50, reason, campaign, from, to } = {}) {
+  const filter = { user: userId };
+  if (reason) filter.reason = reason;
+  if (campaign) filter.campaign = campaign;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const skip = (page - 1) * limit;
+  const [entries, total] = await Promise.all([
+    VisitLedgerEntry.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("campaign", "title")
+      .lean(),
+    VisitLedgerEntry.countDocuments(filter),
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Compare the ledger balance with the sum of its entries and with the
+ * subscription counters, after applying entries missing from the counters
+ * @param {String} userId - User ID
+ * @returns {Object} { ledgerBalance, entrySum, counterBalance, drift }
+ */
+async function reconcile(userId) {
+  const subscription = await Subscription.findOne({ user: userId });
+  if (subscription) {
+    await ensureOpeningBalance(subscription);
+    syncCounters(subscription, await applyPendingEntries(subscription));
+  }
+  const [ledgerBalance, entrySum] = await Promise.all([getBalance(userId), sumEntries(userId)]);
+  const counterBalance = subscription ? availableVisits(subscription) : 0;
+  return {
+    ledgerBalance,
+    entrySum,
+    counterBalance,
+    drift: counterBalance - ledgerBalance,
+  };
+}
+
+module.exports = {
+  ensureOpeningBalance,
+  deductVisits,
+  addVisits,
+  refundVisits,
+  resetUsage,
+  setAllowance,
+  recordCounterReset,
+  getBalance,
+  getAvailableVisits,
+  getEntries,
+  reconcile,
+};
@@ -0,0 +1,347 @@
+const crypto = require("crypto");
+const { safeFetch } = require("../utils/safeFetch");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const logger = require("../utils/logger");
+
+/**
+ * Outbound webhooks
+ *
+ * emit() fans an event out to every active endpoint of the user that subscribes
+ * to its type. Each delivery is stored, attempted right away, and retried with
+ * backoff by processDueDeliveries() until it succeeds or runs out of attempts.
+ *
+ * Requests carry:
+ *   X-TrafficBox-Event: event type
+ *   X-TrafficBox-Delivery: delivery ID
+ *   X-TrafficBox-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+ */
+
+// Delay before each retry, indexed by attempts already made
+const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10000;
+const STALE_SENDING_MS = 5 * 60 * 1000;
+// Endpoints are switched off after this many deliveries in a row exhaust their retries
+const DISABLE_AFTER_FAILURES = 20;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Signature header value for a request body
+ * @param {String} secret - Endpoint secret
+ * @param {String} body - Raw JSON body
+ * @param {Number} timestamp - Unix seconds
+ * @returns {String} "t=<timestamp>,v1=<hex digest>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Send one delivery. The caller must have claimed it (status "sending").
+ * @param {Object} delivery - WebhookDelivery document
+ */
+async function attemptDelivery(delivery) {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select("+secret");
+  const now = new Date();
+
+  if (!endpoint || !endpoint.isActive) {
+    delivery.status = "failed";
+    delivery.error = endpoint ? "Endpoint is disabled" : "Endpoint was deleted";
+    delivery.lastAttemptAt = now;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  try {
+    const resp = await safeFetch(endpoint.url, {
+      method: "post",
+      data: body,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      maxBytes: 1024 * 1024,
+      maxRedirects: 0,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "TrafficBox-Webhooks/1.0",
+        "X-TrafficBox-Event": delivery.eventType,
+        "X-TrafficBox-Delivery": delivery._id.toString(),
+        "X-TrafficBox-Signature": signPayload(endpoint.secret, body),
+      },
+    });
+
+    delivery.responseStatus = resp.status;
+    delivery.responseBody = resp.data.slice(0, 2000);
+    delivery.error = resp.status >= 200 && resp.status < 300 ? null : `HTTP ${resp.status}`;
+  } catch (err) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.error = err.code ? `${err.code}: ${err.message}` : err.message;
+  }
+
+  delivery.durationMs = Date.now() - startedAt;
+  const succeeded = !delivery.error;
+
+  if (succeeded) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = "retrying";
+    delivery.nextAttemptAt = new Date(
+      Date.now() + RETRY_DELAYS_MS[delivery.attempts - 1]
+    );
+  }
+  await delivery.save();
+
+  // Track endpoint health; only exhausted deliveries count as failures
+  if (succeeded) {
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastDeliveryStatus = "succeeded";
+  } else if (delivery.status === "failed") {
+    endpoint.consecutiveFailures += 1;
+    endpoint.lastDeliveryStatus = "failed";
+    if (endpoint.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+      endpoint.isActive = false;
+      endpoint.disabledAt = new Date();
+      endpoint.disabledReason = `${DISABLE_AFTER_FAILURES} consecutive failed deliveries`;
+      logger.warn("Webhook endpoint disabled after repeated failures", {
+        endpointId: endpoint._id,
+        userId: endpoint.user,
+      });
+    }
+  }
+  endpoint.lastDeliveryAt = new Date();
+  await endpoint.save();
+
+  logger.info("Webhook delivery attempted", {
+    deliveryId: delivery._id,
+    endpointId: endpoint._id,
+    eventType: delivery.eventType,
+    attempt: delivery.attempts,
+    status: delivery.status,
+    responseStatus: delivery.responseStatus,
+    error: delivery.error,
+  });
+
+  return delivery;
+}
+
+// Atomically take a due delivery so only one worker sends it
+async function claimDelivery(deliveryId) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [
+        { status: { $in: ["pending", "retrying"] }, nextAttemptAt: { $lte: now } },
+        { status: "sending", lastAttemptAt: { $lte: new Date(now - STALE_SENDING_MS) } },
+      ],
+    },
+    { $set: { status: "sending", lastAttemptAt: now } },
+    { new: true }
+  );
+}
+
+async function claimAndAttempt(deliveryId) {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return null;
+  return attemptDelivery(delivery);
+}
+
+/**
+ * Create deliveries for an event and attempt them in the background.
+ * Never throws: webhook problems must not break the code that emits events.
+ * @param {String} userId - Owner of the event
+ * @param {String} eventType - One of WebhookEndpoint.EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @param {Object} options - { endpointId } to target a single endpoint
+ * @returns {Array} Created deliveries
+ */
+async function emit(userId, eventType, data = {}, { endpointId } = {}) {
+  try {
+    if (!userId) return [];
+
+    const filter = { user: userId, isActive: true };
+    if (endpointId) filter._id = endpointId;
+    const endpoints = await WebhookEndpoint.find(filter);
+    const targets = endpointId
+      ? endpoints
+      : endpoints.filter((e) => e.subscribesTo(eventType));
+    if (targets.length === 0) return [];
+
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(
+      targets.map((endpoint) => ({
+        endpoint: endpoint._id,
+        user: endpoint.user,
+        eventId: event.id,
+        eventType,
+        payload: event,
+      }))
+    );
+
+    deliveries.forEach((delivery) => {
+      claimAndAttempt(delivery._id).catch((err) => {
+        logger.error("Webhook delivery failed to run", {
+          deliveryId: delivery._id,
+          error: err.message,
+        });
+      });
+    });
+
+    return deliveries;
+  } catch (err) {
+    logger.error("Failed to emit webhook event", {
+      userId,
+      eventType,
+      error: err.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Retry deliveries that are due. Run by the webhook-retry job.
+ * @param {Number} limit - Max deliveries per run
+ * @returns {Object} { attempted }
+ */
+async function processDueDeliveries(limit = 50) {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: { $in: ["pending", "retrying"] }, nextAttemptAt: { $lte: now } },
+      { status: "sending", lastAttemptAt: { $lte: new Date(now - STALE_SENDING_MS) } },
+    ],
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select("_id");
+
+  let attempted = 0;
+  for (const { _id } of due) {
+    try {
+      if (await claimAndAttempt(_id)) attempted++;
+    } catch (err) {
+      logger.error("Webhook retry failed", {
+        deliveryId: _id,
+        error: err.message,
+      });
+    }
+  }
+
+  return { attempted };
+}
+
+/**
+ * Send an earlier delivery's payload again as a new delivery
+ * @param {Object} original - WebhookDelivery document
+ * @returns {Object} New delivery after its first attempt
+ */
+async function replayDelivery(original) {
+  const delivery = await WebhookDelivery.create({
+    endpoint: original.endpoint,
+    user: original.user,
+    eventId: original.eventId,
+    eventType: original.eventType,
+    payload: original.payload,
+    replayOf: original._id,
+  });
+  return (await claimAndAttempt(delivery._id)) || delivery;
+}
+
+/**
+ * Notify when a subscription's usage crosses a threshold (50/80/90/100%)
+ * @param {Object} subscription - Subscription document after the change
+ * @param {Number} previousUsed - visitsUsed before the change
+ */
+function emitUsageThresholds(subscription, previousUsed) {
+  const included = subscription.visitsIncluded || 0;
+  if (included <= 0) return;
+
+  const before = (previousUsed / included) * 100;
+  const after = (subscription.visitsUsed / included) * 100;
+  const crossed = [50, 80, 90, 100].filter((t) => before < t && after >= t);
+  if (crossed.length === 0) return;
+
+  emit(subscription.user, "usage.threshold_reached", {
+    threshold: crossed[crossed.length - 1],
+    visitsUsed: subscription.visitsUsed,
+    visitsIncluded: included,
+    visitsRemaining: Math.max(0, included - subscription.visitsUsed),
+    planName: subscription.planName,
+  });
+}
+
+/**
+ * Campaign summary used in campaign.* payloads
+ * @param {Object} campaign - Campaign document
+ */
+function campaignEventData(campaign, extra = {}) {
+  return {
+    campaign: {
+      id: campaign._id.toString(),
+      title: campaign.title || null,
+      state: campaign.state,
+    },
+    ...extra,
+  };
+}
+
+/**
+ * Subscription summary used in subscription.* payloads
+ * @param {Object} subscription - Subscription document
+ */
+function subscriptionEventData(subscription, extra = {}) {
+  return {
+    subscription: {
+      id: subscription._id.toString(),
+      planName: subscription.planName,
+      status: subscription.status,
+      visitsIncluded: subscription.visitsIncluded || 0,
+      visitsUsed: subscription.visitsUsed || 0,
+      campaignLimit: subscription.campaignLimit,
+      cancelAtPeriodEnd: !!subscription.cancelAtPeriodEnd,
+      currentPeriodEnd: subscription.currentPeriodEnd || null,
+    },
+    ...extra,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES: WebhookEndpoint.EVENT_TYPES,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  emit,
+  processDueDeliveries,
+  replayDelivery,
+  emitUsageThresholds,
+  campaignEventData,
+  subscriptionEventData,
+};
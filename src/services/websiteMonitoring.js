@@ -0,0 +1,628 @@
+const crypto = require("crypto");
+const net = require("net");
+const Website = require("../models/Website");
+const WebsiteCheck = require("../models/WebsiteCheck");
+const Notification = require("../models/Notification");
+const crawler = require("../seo-tools/crawler");
+const { extractMetaTags } = require("../seo-tools/meta-analyzer");
+const { analyzeSecurityHeaders } = require("../seo-tools/headers-analyzer");
+const { checkCertificate } = require("../seo-tools/ssl-checker");
+const { lookupDns, normalizeDomain } = require("../seo-tools/dns-checker");
+const { checkGoogleIndex } = require("../seo-tools/index-checker");
+const webhookService = require("./webhookService");
+const logger = require("../utils/logger");
+
+/**
+ * Scheduled SEO monitoring of saved websites
+ *
+ * A website with monitoring enabled is checked every hour, day or week with
+ * the SEO suite checks the user picked. Each check produces a snapshot of the
+ * values worth watching; a run is stored as a WebsiteCheck and compared with
+ * the latest earlier snapshot of each check. Changes raise a notification and
+ * an seo.website_changed webhook. The first run of a check is its baseline.
+ *
+ * A check that fails (timeout, DNS error, Google blocking the index check) is
+ * recorded but not compared, so a flaky request does not raise alerts.
+ *
+ * Manual runs are allowed once per MANUAL_RUN_INTERVAL_MS since the last run
+ * and skip the index check, which stays on the schedule's daily limit.
+ */
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+const MAX_RUNS_PER_TICK = 20;
+const MANUAL_RUN_INTERVAL_MS = 15 * 60 * 1000;
+const PAGE_TIMEOUT_MS = 15000;
+const SSL_EXPIRY_WARNING_DAYS = 14;
+const DNS_TYPES = ["A", "AAAA", "CNAME", "NS", "MX", "TXT"];
+// DNS record types whose change can take the site down or move it
+const CRITICAL_DNS_TYPES = ["A", "AAAA", "CNAME", "NS"];
+
+const sorted = (values) => [...(values || [])].map(String).sort();
+const sameList = (a, b) => JSON.stringify(sorted(a)) === JSON.stringify(sorted(b));
+
+const change = (check, field, severity, message, before, after) => ({
+  check,
+  field,
+  severity,
+  message,
+  before,
+  after,
+});
+
+/**
+ * Next run of a website's monitoring
+ * @param {String} frequency - hourly, daily or weekly
+ * @param {Date} from - Last run (or now)
+ * @returns {Date}
+ */
+function computeNextRun(frequency, from = new Date()) {
+  return new Date(from.getTime() + (FREQUENCY_MS[frequency] || FREQUENCY_MS.daily));
+}
+
+/**
+ * Validate monitoring settings
+ * @param {Object} body - { enabled, checks, frequency }
+ * @param {Object} current - Website's current monitoring settings
+ * @returns {Object} { valid, fields } or { valid: false, error }
+ */
+function parseMonitoringInput(body = {}, current = {}) {
+  const fields = {};
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") {
+      return { valid: false, error: "enabled must be a boolean" };
+    }
+    fields.enabled = body.enabled;
+  }
+
+  if (body.checks !== undefined) {
+    const checks = Array.isArray(body.checks) ? [...new Set(body.checks)] : [];
+    if (checks.length === 0) {
+      return { valid: false, error: "checks must be a non-empty array" };
+    }
+    const unknown = checks.find((c) => !Website.MONITOR_CHECKS.includes(c));
+    if (unknown) {
+      return {
+        valid: false,
+        error: `Unknown check: ${unknown}. Use: ${Website.MONITOR_CHECKS.join(", ")}`,
+      };
+    }
+    fields.checks = checks;
+  }
+
+  if (body.frequency !== undefined) {
+    if (!Website.MONITOR_FREQUENCIES.includes(body.frequency)) {
+      return {
+        valid: false,
+        error: `frequency must be one of: ${Website.MONITOR_FREQUENCIES.join(", ")}`,
+      };
+    }
+    fields.frequency = body.frequency;
+  }
+
+  // Searching Google every hour gets the server blocked
+  const checks = fields.checks || current.checks || [];
+  const frequency = fields.frequency || current.frequency;
+  if (frequency === "hourly" && checks.includes("index")) {
+    return { valid: false, error: "The index check runs at most daily" };
+  }
+  return { valid: true, fields };
+}
+
+// Values of the page worth watching, from one fetch shared by meta and headers
+function pageSnapshots(result) {
+  const reachable = !result.error && result.status === 200;
+  const base = { status: result.status, final_url: result.final_url, error: result.error };
+  if (!reachable || !crawler.isHtml(result.content_type)) {
+    return { meta: base, headers: reachable ? headerSnapshot(result.headers) : null };
+  }
+
+  const tags = extractMetaTags(result.body);
+  const xRobots = String(result.headers["x-robots-tag"] || "").toLowerCase();
+  return {
+    meta: {
+      ...base,
+      title: tags.title,
+      description: tags.description,
+      canonical: tags.canonical,
+      robots: tags.robots,
+      noindex: String(tags.robots || "").toLowerCase().includes("noindex") || xRobots.includes("noindex"),
+    },
+    headers: headerSnapshot(result.headers),
+  };
+}
+
+function headerSnapshot(headers) {
+  const { security_headers, score } = analyzeSecurityHeaders(headers);
+  return {
+    security_headers: Object.keys(security_headers).filter((name) => security_headers[name].present),
+    score,
+  };
+}
+
+async function sslSnapshot(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "https:") return { https: false };
+  const cert = await checkCertificate(hostname);
+  return {
+    https: true,
+    valid: cert.valid,
+    issuer: cert.valid ? cert.issuer?.organizationName || cert.issuer?.commonName || null : null,
+    not_after: cert.not_after || null,
+    days_until_expiry: cert.days_until_expiry ?? null,
+    error: cert.error || null,
+  };
+}
+
+async function dnsSnapshot(url) {
+  const { hostname } = new URL(url);
+  if (net.isIP(hostname)) throw new Error("Sites addressed by IP have no DNS records");
+  const records = await lookupDns(normalizeDomain(hostname));
+  const snapshot = {};
+  DNS_TYPES.forEach((type) => {
+    snapshot[type] = sorted(records[type]);
+  });
+  return snapshot;
+}
+
+async function robotsSnapshot(url) {
+  const { origin } = new URL(url);
+  const result = await crawler.fetchUrl(`${origin}/robots.txt`, { timeoutMs: PAGE_TIMEOUT_MS });
+  if (result.error) throw new Error(result.error);
+  if (result.status !== 200) return { found: false, status: result.status };
+
+  const robots = crawler.parseRobots(result.body);
+  return {
+    found: true,
+    status: result.status,
+    sitemaps: sorted(robots.sitemaps),
+    blocks_site: !crawler.isAllowedByRobots(crawler.robotsGroupFor(robots, "googlebot").rules, url),
+    content_hash: crypto.createHash("sha1").update(result.body).digest("hex"),
+  };
+}
+
+async function indexSnapshot(url) {
+  const result = await checkGoogleIndex(url, new URL(url).hostname);
+  if (result.status === "Unknown") {
+    throw new Error(result.error || "Google did not give a clear answer");
+  }
+  return { status: result.status };
+}
+
+/**
+ * Take a snapshot of every enabled check. Failed checks are reported in
+ * `checkErrors` instead.
+ * @param {String} url - Website URL
+ * @param {Array} checks - Checks to run
+ * @returns {Object} { snapshots, checkErrors }
+ */
+async function takeSnapshots(url, checks) {
+  const snapshots = {};
+  const checkErrors = {};
+  const run = async (check, fn) => {
+    if (!checks.includes(check)) return;
+    try {
+      snapshots[check] = await fn();
+    } catch (error) {
+      checkErrors[check] = error.message;
+    }
+  };
+
+  await Promise.all([
+    (async () => {
+      if (!checks.includes("meta") && !checks.includes("headers")) return;
+      const page = pageSnapshots(await crawler.fetchUrl(url, { timeoutMs: PAGE_TIMEOUT_MS }));
+      if (checks.includes("meta")) snapshots.meta = page.meta;
+      if (checks.includes("headers")) {
+        if (page.headers) snapshots.headers = page.headers;
+        else checkErrors.headers = page.meta.error || `HTTP ${page.meta.status}`;
+      }
+    })(),
+    run("ssl", () => sslSnapshot(url)),
+    run("dns", () => dnsSnapshot(url)),
+    run("robots", () => robotsSnapshot(url)),
+    run("index", () => indexSnapshot(url)),
+  ]);
+  return { snapshots, checkErrors };
+}
+
+function diffMeta(before, after) {
+  const changes = [];
+  if (before.status !== after.status) {
+    if (after.status === 200) {
+      changes.push(change("meta", "status", "info", "Page is reachable again", before.status, after.status));
+    } else {
+      changes.push(
+        change(
+          "meta",
+          "status",
+          "critical",
+          after.status ? `Page now returns HTTP ${after.status}` : `Page is unreachable (${after.error})`,
+          before.status,
+          after.status
+        )
+      );
+    }
+  }
+  if (before.status !== 200 || after.status !== 200) return changes;
+
+  if (before.final_url !== after.final_url) {
+    changes.push(
+      change("meta", "final_url", "warning", `Page now redirects to ${after.final_url}`, before.final_url, after.final_url)
+    );
+  }
+  if (!before.noindex && after.noindex) {
+    changes.push(change("meta", "noindex", "critical", "Page is now excluded from search results (noindex)", false, true));
+  }
+  if (before.noindex && !after.noindex) {
+    changes.push(change("meta", "noindex", "info", "Page no longer has noindex", true, false));
+  }
+  if ((before.canonical || null) !== (after.canonical || null)) {
+    changes.push(
+      change(
+        "meta",
+        "canonical",
+        "warning",
+        after.canonical ? `Canonical URL changed to ${after.canonical}` : "Canonical URL was removed",
+        before.canonical,
+        after.canonical
+      )
+    );
+  }
+  if ((before.title || null) !== (after.title || null)) {
+    changes.push(
+      change("meta", "title", after.title ? "info" : "warning", after.title ? "Title changed" : "Title was removed", before.title, after.title)
+    );
+  }
+  if ((before.description || null) !== (after.description || null)) {
+    changes.push(
+      change(
+        "meta",
+        "description",
+        after.description ? "info" : "warning",
+        after.description ? "Meta description changed" : "Meta description was removed",
+        before.description,
+        after.description
+      )
+    );
+  }
+  return changes;
+}
+
+function diffHeaders(before, after) {
+  const changes = [];
+  before.security_headers
+    .filter((name) => !after.security_headers.includes(name))
+    .forEach((name) => {
+      changes.push(change("headers", name, "warning", `${name} header was removed`, true, false));
+    });
+  after.security_headers
+    .filter((name) => !before.security_headers.includes(name))
+    .forEach((name) => {
+      changes.push(change("headers", name, "info", `${name} header was added`, false, true));
+    });
+  return changes;
+}
+
+function diffSsl(before, after) {
+  const changes = [];
+  if (before.https && !after.https) {
+    return [change("ssl", "https", "critical", "Site is no longer served over HTTPS", true, false)];
+  }
+  if (!before.https && after.https) {
+    changes.push(change("ssl", "https", "info", "Site is now served over HTTPS", false, true));
+  }
+  if (!before.https || !after.https) return changes;
+
+  if (before.valid && !after.valid) {
+    changes.push(change("ssl", "valid", "critical", `SSL certificate is no longer valid (${after.error})`, true, false));
+  } else if (!before.valid && after.valid) {
+    changes.push(change("ssl", "valid", "info", "SSL certificate is valid again", false, true));
+  }
+  if (!before.valid || !after.valid) return changes;
+
+  if (before.not_after !== after.not_after) {
+    changes.push(
+      change("ssl", "not_after", "info", `SSL certificate renewed, now expires ${after.not_after}`, before.not_after, after.not_after)
+    );
+  } else if (
+    before.days_until_expiry > SSL_EXPIRY_WARNING_DAYS &&
+    after.days_until_expiry <= SSL_EXPIRY_WARNING_DAYS
+  ) {
+    changes.push(
+      change(
+        "ssl",
+        "days_until_expiry",
+        "warning",
+        `SSL certificate expires in ${after.days_until_expiry} days`,
+        before.days_until_expiry,
+        after.days_until_expiry
+      )
+    );
+  }
+  if (before.issuer !== after.issuer) {
+    changes.push(change("ssl", "issuer", "info", `SSL certificate issuer changed to ${after.issuer}`, before.issuer, after.issuer));
+  }
+  return changes;
+}
+
+function diffDns(before, after) {
+  return DNS_TYPES.filter((type) => !sameList(before[type], after[type])).map((type) =>
+    change(
+      "dns",
+      type,
+      CRITICAL_DNS_TYPES.includes(type) ? "warning" : "info",
+      `${type} records changed`,
+      before[type],
+      after[type]
+    )
+  );
+}
+
+function diffRobots(before, after) {
+  if (before.found && !after.found) {
+    return [change("robots", "found", "warning", "robots.txt was removed", true, false)];
+  }
+  if (!before.found && after.found) {
+    const changes = [change("robots", "found", "info", "robots.txt was added", false, true)];
+    if (after.blocks_site) {
+      changes.push(change("robots", "blocks_site", "critical", "robots.txt blocks search engines from the site", false, true));
+    }
+    return changes;
+  }
+  if (!before.found) return [];
+
+  const changes = [];
+  if (!before.blocks_site && after.blocks_site) {
+    changes.push(change("robots", "blocks_site", "critical", "robots.txt now blocks search engines from the site", false, true));
+  } else if (before.blocks_site && !after.blocks_site) {
+    changes.push(change("robots", "blocks_site", "info", "robots.txt no longer blocks the site", true, false));
+  }
+  if (!sameList(before.sitemaps, after.sitemaps)) {
+    changes.push(change("robots", "sitemaps", "info", "Sitemaps listed in robots.txt changed", before.sitemaps, after.sitemaps));
+  }
+  if (changes.length === 0 && before.content_hash !== after.content_hash) {
+    changes.push(change("robots", "content", "info", "robots.txt content changed"));
+  }
+  return changes;
+}
+
+function diffIndex(before, after) {
+  if (before.status === after.status) return [];
+  return [
+    after.status === "Indexed"
+      ? change("index", "status", "info", "Page is now indexed by Google", before.status, after.status)
+      : change("index", "status", "critical", "Page is no longer indexed by Google", before.status, after.status),
+  ];
+}
+
+const DIFFS = {
+  meta: diffMeta,
+  headers: diffHeaders,
+  ssl: diffSsl,
+  dns: diffDns,
+  robots: diffRobots,
+  index: diffIndex,
+};
+
+/**
+ * Changes between two snapshots of each check
+ * @param {Object} previous - { check: snapshot }
+ * @param {Object} current - { check: snapshot }
+ * @returns {Array} [{ check, field, severity, message, before, after }]
+ */
+function diffSnapshots(previous, current) {
+  return Object.keys(current)
+    .filter((check) => previous[check] && DIFFS[check])
+    .flatMap((check) => DIFFS[check](previous[check], current[check]));
+}
+
+// Latest earlier snapshot of each check, looking back a few runs for checks
+// that failed or were not enabled last time
+async function previousSnapshots(websiteId) {
+  const runs = await WebsiteCheck.find({ website: websiteId })
+    .select("snapshots")
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .lean();
+  const previous = {};
+  runs.forEach((run) => {
+    Object.entries(run.snapshots || {}).forEach(([check, snapshot]) => {
+      if (!previous[check]) previous[check] = snapshot;
+    });
+  });
+  return previous;
+}
+
+const SEVERITY_ORDER = ["critical", "warning", "info"];
+
+async function alertChanges(website, run) {
+  const changes = [...run.changes].sort(
+    (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+  );
+  const host = new URL(run.url).host;
+  const counts = { critical: 0, warning: 0, info: 0 };
+  changes.forEach((c) => counts[c.severity]++);
+
+  webhookService.emit(website.user, "seo.website_changed", {
+    websiteId: website._id,
+    url: run.url,
+    checkId: run._id,
+    changes,
+  });
+
+  try {
+    const listed = changes.slice(0, 3).map((c) => c.message).join("; ");
+    const more = changes.length > 3 ? ` and ${changes.length - 3} more` : "";
+    await new Notification({
+      user: website.user,
+      type: "website",
+      title: `${changes.length} SEO change${changes.length === 1 ? "" : "s"} on ${host}`,
+      message: `${listed}${more}.`,
+      relatedId: website._id,
+      relatedModel: "Website",
+      metadata: { checkId: run._id, ...counts },
+    }).save();
+  } catch (error) {
+    logger.error("Failed to send website monitoring notification", {
+      websiteId: website._id,
+      error: error.message,
+    });
+  }
+}
+
+// Checks a manual run takes: never the index check, which searches Google
+function manualChecks(website) {
+  return (website.monitoring.checks || []).filter((check) => check !== "index");
+}
+
+/**
+ * Claim a manual run for a website, at most once per interval since its last
+ * run (scheduled or manual)
+ * @param {Object} website - Website document
+ * @returns {Object} { ok: true } or { ok: false, retryAfter } in seconds
+ */
+async function claimManualRun(website, now = new Date()) {
+  const claimed = await Website.findOneAndUpdate(
+    {
+      _id: website._id,
+      $or: [
+        { "monitoring.lastRunAt": null },
+        { "monitoring.lastRunAt": { $lte: new Date(now.getTime() - MANUAL_RUN_INTERVAL_MS) } },
+      ],
+    },
+    { $set: { "monitoring.lastRunAt": now } }
+  );
+  if (claimed) return { ok: true };
+
+  const current = await Website.findById(website._id).select("monitoring.lastRunAt");
+  const last = current?.monitoring?.lastRunAt?.getTime() || now.getTime();
+  return { ok: false, retryAfter: Math.max(1, Math.ceil((last + MANUAL_RUN_INTERVAL_MS - now.getTime()) / 1000)) };
+}
+
+/**
+ * Run a website's monitoring checks, store the run and alert on changes
+ * @param {Object} website - Website document
+ * @param {Object} options - { trigger: "schedule"|"manual" }
+ * @returns {Object} WebsiteCheck document
+ */
+async function runMonitor(website, { trigger = "schedule" } = {}) {
+  const url = crawler.normalizeUrl(crawler.toAbsoluteUrl(website.url));
+  if (!url) {
+    await Website.updateOne(
+      { _id: website._id },
+      { $set: { "monitoring.lastRunAt": new Date(), "monitoring.lastStatus": "failed", "monitoring.lastError": "Invalid website URL" } }
+    );
+    return null;
+  }
+
+  const checks = trigger === "manual" ? manualChecks(website) : website.monitoring.checks;
+  const previous = await previousSnapshots(website._id);
+  const { snapshots, checkErrors } = await takeSnapshots(url, checks);
+  const changes = diffSnapshots(previous, snapshots);
+
+  const run = await WebsiteCheck.create({
+    website: website._id,
+    user: website.user,
+    organization: website.organization,
+    url,
+    trigger,
+    checks,
+    snapshots,
+    checkErrors,
+    baseline: Object.keys(previous).length === 0,
+    changes,
+  });
+
+  const failed = Object.keys(snapshots).length === 0;
+  await Website.updateOne(
+    { _id: website._id },
+    {
+      $set: {
+        "monitoring.lastRunAt": run.createdAt,
+        "monitoring.lastStatus": failed ? "failed" : changes.length > 0 ? "changed" : "ok",
+        "monitoring.lastError": Object.keys(checkErrors).length > 0
+          ? Object.entries(checkErrors).map(([check, message]) => `${check}: ${message}`).join("; ")
+          : null,
+      },
+    }
+  );
+
+  if (changes.length > 0) await alertChanges(website, run);
+  return run;
+}
+
+/**
+ * Run monitoring of websites whose next run is due. Each is claimed by moving
+ * nextRunAt forward first, so instances never run the same website twice.
+ * @returns {Object} { due, changed, failed }
+ */
+async function runDueMonitors(now = new Date()) {
+  const due = await Website.find({
+    "monitoring.enabled": true,
+    "monitoring.nextRunAt": { $lte: now },
+  })
+    .sort({ "monitoring.nextRunAt": 1 })
+    .limit(MAX_RUNS_PER_TICK);
+
+  let changed = 0;
+  let failed = 0;
+  for (const website of due) {
+    const claimed = await Website.findOneAndUpdate(
+      {
+        _id: website._id,
+        "monitoring.enabled": true,
+        "monitoring.nextRunAt": website.monitoring.nextRunAt,
+      },
+      { $set: { "monitoring.nextRunAt": computeNextRun(website.monitoring.frequency, now) } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const run = await runMonitor(claimed);
+      if (run && run.changes.length > 0) changed++;
+    } catch (error) {
+      failed++;
+      logger.error("Website monitoring run failed", {
+        websiteId: website._id,
+        error: error.message,
+      });
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info("Website monitoring run completed", { due: due.length, changed, failed });
+  }
+  return { due: due.length, changed, failed };
+}
+
+function formatRun(run) {
+  return {
+    id: run._id,
+    url: run.url,
+    trigger: run.trigger,
+    checks: run.checks,
+    baseline: run.baseline,
+    changes: run.changes,
+    snapshots: run.snapshots,
+    checkErrors: run.checkErrors,
+    createdAt: run.createdAt,
+  };
+}
+
+module.exports = {
+  computeNextRun,
+  parseMonitoringInput,
+  takeSnapshots,
+  diffSnapshots,
+  manualChecks,
+  claimManualRun,
+  runMonitor,
+  runDueMonitors,
+  formatRun,
+};
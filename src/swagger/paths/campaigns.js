@@ -696,7 +696,7 @@
  *     tags:
  *       - Campaigns
  *     summary: Get campaign statistics
- *     description: Get daily hits and visits report for a SparkTraffic campaign using the get-website-traffic-project-stats API. Returns statistics for the specified date range or last 30 days by default.
+ *     description: Get daily hits and visits for a SparkTraffic campaign from the daily stats rollup. Returns statistics for the specified date range or last 30 days by default. When the range includes today and today has not been rolled up yet, today is read from the vendor.
  *     security:
  *       - BearerAuth: []
  *     parameters:
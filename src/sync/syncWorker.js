@@ -1,61 +1,115 @@
-const cron = require("node-cron");
 const Campaign = require("../models/Campaign");
 const { processAllCampaignCredits } = require("../services/creditDeduction");
+const { runScheduler } = require("../services/campaignScheduler");
+const { resumeBudgetPausedCampaigns } = require("../services/campaignBudget");
+const { processDueDeliveries } = require("../services/webhookService");
+const { resumeStaleJobs } = require("../services/bulkCampaignJobs");
+const { resumeStaleAudits } = require("../services/siteAudits");
+const { runDueSchedules } = require("../services/reportSchedules");
+const { runDueMonitors } = require("../services/websiteMonitoring");
+const { runIntradayRollup, runNightlyRollup } = require("../services/dailyStats");
 // const nine = require("../services/nineHits");
 // const { cleanupArchivedCampaigns } = require("../utils/archiveCleanup");
+const jobLock = require("../services/jobLock");
 const logger = require("../utils/logger");
 
+// Job bodies let errors through: jobLock.schedule logs them and records them on
+// the job's lease (JobLock.lastError)
 module.exports = function () {
   // Credit deduction job - default every 5 minutes (env overridable)
   const creditDeductionExpression =
     process.env.CREDIT_DEDUCTION_CRON || "*/1 * * * *"; // Every 5 minutes
-  cron.schedule(creditDeductionExpression, async () => {
-    try {
-      const result = await processAllCampaignCredits();
-
-      if (result.totalCreditsDeducted > 0) {
-        logger.info("Credits deducted from active campaigns", {
-          activeCampaigns: result.totalCampaigns,
-          creditsDeducted: result.totalCreditsDeducted,
-        });
-      }
-    } catch (error) {
-      logger.error("Credit deduction failed", {
-        error: error.message,
+  jobLock.schedule("credit-deduction", creditDeductionExpression, async () => {
+    const result = await processAllCampaignCredits();
+
+    if (result.totalCreditsDeducted > 0) {
+      logger.info("Credits deducted from active campaigns", {
+        activeCampaigns: result.totalCampaigns,
+        creditsDeducted: result.totalCreditsDeducted,
       });
     }
   });
 
+  // Campaign scheduler - pauses/resumes campaigns at start, end and hourly schedule boundaries
+  const schedulerExpression = process.env.CAMPAIGN_SCHEDULER_CRON || "* * * * *";
+  jobLock.schedule("campaign-scheduler", schedulerExpression, async () => {
+    await runScheduler();
+  });
+
+  // Budget resume job - restarts budget-paused campaigns when a new budget period starts
+  const budgetResumeExpression = process.env.BUDGET_RESUME_CRON || "*/5 * * * *";
+  jobLock.schedule("budget-resume", budgetResumeExpression, async () => {
+    await resumeBudgetPausedCampaigns();
+  });
+
+  // Webhook retries - resends deliveries whose backoff has elapsed
+  const webhookRetryExpression = process.env.WEBHOOK_RETRY_CRON || "* * * * *";
+  jobLock.schedule("webhook-retry", webhookRetryExpression, async () => {
+    await processDueDeliveries();
+  });
+
+  // Bulk campaign jobs - continues jobs left behind by a stopped instance
+  const bulkJobsExpression = process.env.BULK_CAMPAIGN_JOBS_CRON || "* * * * *";
+  jobLock.schedule("bulk-campaign-jobs", bulkJobsExpression, async () => {
+    await resumeStaleJobs();
+  }, { ttlMs: 30 * 60 * 1000 });
+
+  // Site audits - continues audits left behind by a stopped instance
+  const siteAuditsExpression = process.env.SITE_AUDITS_CRON || "*/2 * * * *";
+  jobLock.schedule("site-audits", siteAuditsExpression, async () => {
+    await resumeStaleAudits();
+  }, { ttlMs: 60 * 60 * 1000 });
+
+  // Website monitoring - runs the SEO checks of websites whose next run is due
+  const websiteMonitoringExpression = process.env.WEBSITE_MONITORING_CRON || "*/10 * * * *";
+  jobLock.schedule("website-monitoring", websiteMonitoringExpression, async () => {
+    await runDueMonitors();
+  }, { ttlMs: 30 * 60 * 1000 });
+
+  // Scheduled email reports - renders and sends reports whose next run is due
+  const reportSchedulesExpression = process.env.REPORT_SCHEDULES_CRON || "*/5 * * * *";
+  jobLock.schedule("report-schedules", reportSchedulesExpression, async () => {
+    await runDueSchedules();
+  }, { ttlMs: 30 * 60 * 1000 });
+
+  // Daily stats rollup - copies today's and yesterday's vendor stats into CampaignDailyStat
+  const statsRollupExpression = process.env.STATS_ROLLUP_CRON || "10 * * * *";
+  jobLock.schedule("stats-rollup", statsRollupExpression, async () => {
+    await runIntradayRollup();
+  }, { ttlMs: 30 * 60 * 1000 });
+
+  // Nightly stats rollup - re-reads the last week to pick up late vendor corrections
+  const nightlyRollupExpression = process.env.STATS_ROLLUP_NIGHTLY_CRON || "30 1 * * *";
+  jobLock.schedule("stats-rollup-nightly", nightlyRollupExpression, async () => {
+    await runNightlyRollup();
+  }, { ttlMs: 2 * 60 * 60 * 1000 });
+
   // Archive cleanup job - runs daily at 2 AM (only for active campaigns)
-  cron.schedule("0 2 * * *", async () => {
-    try {
-      // Mark ACTIVE campaigns archived for more than 7 days as eligible for deletion
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-      const result = await Campaign.updateMany(
-        {
-          status: "active", // Only process active campaigns
-          is_archived: true,
-          archived_at: { $lte: sevenDaysAgo },
-          delete_eligible: { $ne: true },
-        },
-        {
-          delete_eligible: true,
-        }
-      );
+  jobLock.schedule("archive-cleanup", "0 2 * * *", async () => {
+    // Mark ACTIVE campaigns archived for more than 7 days as eligible for deletion
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-      if (result.modifiedCount > 0) {
-        logger.info(
-          `Marked ${result.modifiedCount} active campaigns for deletion`
-        );
+    const result = await Campaign.updateMany(
+      {
+        status: "active", // Only process active campaigns
+        is_archived: true,
+        archived_at: { $lte: sevenDaysAgo },
+        delete_eligible: { $ne: true },
+      },
+      {
+        delete_eligible: true,
       }
-    } catch (error) {
-      logger.error("Archive cleanup failed", {
-        error: error.message,
-      });
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(
+        `Marked ${result.modifiedCount} active campaigns for deletion`
+      );
     }
   });
 
-  logger.info("Sync workers initialized for active campaigns");
+  logger.info("Sync workers initialized for active campaigns", {
+    instanceId: jobLock.INSTANCE_ID,
+  });
 };
@@ -0,0 +1,83 @@
+/**
+ * Minimal RFC 4180 CSV parsing: quoted fields, "" escapes, CRLF or LF rows
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} Rows of fields; blank lines are skipped
+ */
+function parse(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, ""); // Excel byte order mark
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by lower-cased header
+ * @param {String} text - CSV text
+ * @returns {Array<Object>}
+ */
+function parseObjects(text) {
+  const [header, ...rows] = parse(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return rows.map((fields) => {
+    const obj = {};
+    keys.forEach((key, i) => {
+      if (key) obj[key] = (fields[i] ?? "").trim();
+    });
+    return obj;
+  });
+}
+
+/**
+ * Format one value as a CSV field, quoting when needed
+ * @param {*} value - Dates become ISO strings; null and undefined become ""
+ * @returns {String}
+ */
+function cell(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header and rows of fields
+ * @param {Array<String>} header - Column labels
+ * @param {Array<Array>} rows - Rows of values
+ * @returns {String}
+ */
+function stringify(header, rows) {
+  return [header, ...rows].map((fields) => fields.map(cell).join(",") + "\n").join("");
+}
+
+module.exports = { parse, parseObjects, cell, stringify };
@@ -0,0 +1,255 @@
+const axios = require("axios");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+/**
+ * Fetching user-supplied URLs
+ *
+ * Every request to a URL a user gave us (SEO tools, webhooks) goes through
+ * here so it cannot reach our own network: only http(s), no private, loopback,
+ * link-local or otherwise reserved addresses, a total time limit and a body
+ * size limit. Addresses are checked in the socket's DNS lookup, so the IP that
+ * was checked is the one connected to, and redirects are followed one hop at a
+ * time so every hop is checked too.
+ *
+ * Hosts in SAFE_FETCH_ALLOWED_HOSTS (comma-separated) may resolve to private
+ * addresses, for local development.
+ */
+
+const ALLOWED_PROTOCOLS = ["http:", "https:"];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, cloud metadata endpoints
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // Documentation
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation
+  ["203.0.113.0", 24], // Documentation
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64], // Discard
+  ["2001:db8::", 32], // Documentation
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, "ipv6"));
+
+const allowedHosts = () =>
+  (process.env.SAFE_FETCH_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Errors carry a code like axios errors do, so callers can tell them apart
+function fetchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or reserved
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 4) return BLOCKED_RANGES.check(address, "ipv4");
+
+  // IPv4-mapped and IPv4-compatible addresses are checked as IPv4
+  const embedded = /^::(ffff:)?(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (embedded) return isBlockedAddress(embedded[2]);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isBlockedAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return BLOCKED_RANGES.check(address, "ipv6");
+}
+
+/**
+ * dns.lookup replacement for sockets: fails when the host resolves to a
+ * blocked address
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowedHosts().includes(String(hostname).toLowerCase())) {
+      const blocked = addresses.find((a) => isBlockedAddress(a.address));
+      if (blocked) {
+        return callback(
+          fetchError("ERR_UNSAFE_URL", `${hostname} resolves to a blocked address (${blocked.address})`)
+        );
+      }
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Check a URL's scheme and, for IP hosts, its address. Host names are checked
+ * when the request connects.
+ * @param {String} url - Absolute URL
+ * @returns {URL} Parsed URL
+ * @throws {Error} code ERR_UNSAFE_URL
+ */
+function assertSafeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw fetchError("ERR_UNSAFE_URL", "Invalid URL");
+  }
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw fetchError("ERR_UNSAFE_URL", `${parsed.protocol.replace(":", "")} URLs are not allowed`);
+  }
+  if (parsed.username || parsed.password) {
+    throw fetchError("ERR_UNSAFE_URL", "URLs with credentials are not allowed");
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && !allowedHosts().includes(hostname) && isBlockedAddress(hostname)) {
+    throw fetchError("ERR_UNSAFE_URL", `${hostname} is a private or reserved address`);
+  }
+  return parsed;
+}
+
+/**
+ * Resolve a host and check every address it resolves to, for callers that
+ * hand the URL to something else (another service, a TLS socket)
+ * @param {String} hostname - Host name or IP
+ * @throws {Error} code ERR_UNSAFE_URL
+ */
+async function assertSafeHost(hostname) {
+  const host = String(hostname || "").replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) {
+    assertSafeUrl(`http://${net.isIP(host) === 6 ? `[${host}]` : host}/`);
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    safeLookup(host, { all: true }, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Request a user-supplied URL
+ * @param {String} url - Absolute http(s) URL
+ * @param {Object} options - { method, headers, data, timeoutMs (whole request,
+ *   redirects included), maxBytes, maxRedirects }
+ * @returns {Object} { url, final_url, status, headers, data, redirect_chain,
+ *   response_time_ms } for any HTTP status
+ * @throws {Error} code ERR_UNSAFE_URL, ERR_TIMEOUT, ERR_TOO_LARGE,
+ *   ERR_TOO_MANY_REDIRECTS or a network error code
+ */
+async function safeFetch(url, options = {}) {
+  const {
+    method = "get",
+    headers = {},
+    data,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+  } = options;
+  const started = Date.now();
+  const redirectChain = [];
+  let current = url;
+  let currentMethod = method;
+  let currentData = data;
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    assertSafeUrl(current);
+    const remainingMs = timeoutMs - (Date.now() - started);
+    if (remainingMs <= 0) throw fetchError("ERR_TIMEOUT", "timeout");
+
+    let response;
+    try {
+      response = await axios.request({
+        method: currentMethod,
+        url: current,
+        data: currentData,
+        headers,
+        timeout: remainingMs,
+        signal: AbortSignal.timeout(remainingMs),
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        maxBodyLength: maxBytes,
+        responseType: "text",
+        transformResponse: (body) => body,
+        validateStatus: () => true,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+      });
+    } catch (error) {
+      const cause = error.cause || error;
+      if (cause.code === "ERR_UNSAFE_URL") throw cause;
+      if (error.code === "ECONNABORTED" || error.code === "ERR_CANCELED") {
+        throw fetchError("ERR_TIMEOUT", "timeout");
+      }
+      if (/maxContentLength/.test(error.message)) {
+        throw fetchError("ERR_TOO_LARGE", `Response is larger than ${maxBytes} bytes`);
+      }
+      throw error;
+    }
+
+    const location = response.headers?.location;
+    // With maxRedirects 0 a redirect is returned like any other response
+    if (maxRedirects > 0 && REDIRECT_STATUSES.includes(response.status) && location) {
+      redirectChain.push({ url: current, status: response.status });
+      current = new URL(location, current).toString();
+      // 303, and 301/302 after a POST, continue as GET without a body
+      if (response.status === 303 || (currentMethod.toLowerCase() === "post" && response.status < 303)) {
+        currentMethod = "get";
+        currentData = undefined;
+      }
+      continue;
+    }
+
+    return {
+      url,
+      final_url: current,
+      status: response.status,
+      headers: { ...(response.headers || {}) },
+      data: currentMethod.toLowerCase() === "head" ? "" : String(response.data ?? ""),
+      redirect_chain: redirectChain,
+      response_time_ms: Date.now() - started,
+    };
+  }
+  throw fetchError("ERR_TOO_MANY_REDIRECTS", `More than ${maxRedirects} redirects`);
+}
+
+module.exports = {
+  safeFetch,
+  assertSafeUrl,
+  assertSafeHost,
+  safeLookup,
+  isBlockedAddress,
+  REDIRECT_STATUSES,
+};
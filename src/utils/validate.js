@@ -1,3 +1,5 @@
 module.exports = {
   isValidISOCode: (code) => typeof code === "string" && /^[A-Z]{2}$/.test(code),
+  isValidEmail: (email) =>
+    typeof email === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email),
 };